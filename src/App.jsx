@@ -1,7 +1,10 @@
-import React, { useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import {
   BarChart,
   Bar,
+  Cell,
+  LineChart,
+  Line,
   XAxis,
   YAxis,
   CartesianGrid,
@@ -9,574 +12,2581 @@ import {
   Legend,
   ResponsiveContainer,
 } from "recharts";
+import {
+  FRAMING_OPTIONS,
+  CAVITY_INSULATION_TYPES,
+  EXTERIOR_SHEATHING,
+  AIR_TIGHTNESS_PRESETS,
+  EXTERIOR_CONTINUOUS_INSULATION,
+  HEATING_TYPES,
+  DEFAULT_SCENARIOS,
+  estimateSTC,
+  evaluateScenario,
+  evaluateScenarioHourly,
+  materialR,
+  presetToLayers,
+  LAYER_PATHS,
+  WALL_MODES,
+  FRAMING_PRESETS,
+  FRAMING_FACTOR_MODES,
+  FLOOR_EXPOSURES,
+  SLAB_EDGE_OPTIONS,
+  WINDOW_ORIENTATIONS,
+  OVERHANG_OPTIONS,
+  VENTILATION_TYPES,
+  VENTILATION_CFM_MODES,
+  DUCT_LOCATIONS,
+  INFILTRATION_METHODS,
+  SHIELDING_CLASSES,
+  REFERENCE_RULESETS,
+  HEAT_PUMP_RATINGS,
+  HEAT_PUMP_MODELS,
+  HEAT_PUMP_CAPACITY_MODES,
+  WATER_HEATER_TYPES,
+  HERS_INDEX_METHODS,
+  IECC_EDITIONS,
+  calcNaturalInfiltration,
+  heatPumpCurve,
+  ratedHeatPumpCapacity,
+  SOLAR_HEATING_UTILIZATION,
+  SHR_RANGE,
+  calcInternalGains,
+  DEGREE_DAY_BASES_F,
+  degreeDaysAtBase,
+  isDegreeDayTable,
+  findLocation,
+  searchLocations,
+  referenceHomeForClimateZone,
+  referenceAch50,
+  parseWeatherFile,
+  degreeDaysByBaseFromHourly,
+  calcEconomics,
+  createDefaultProject,
+  serializeProject,
+  parseProject,
+  encodeProjectHash,
+  decodeProjectHash,
+  runUnitTests,
+} from "./engine/index.js";
 
 /**
  * Home Insulation & Energy Performance Simulator — v1.3
  *
- * Fixes:
- * - ReferenceError: Qh_ceil was referenced before definition in calcReferenceWholeHouseKWh.
- *   Added explicit Qh_ceil/Qc_ceil terms using U_ceil and ceilingArea before totals.
- * - Fixed double-counting of sheathing R-value in calcWholeWallR function.
- *   Sheathing is now treated as a distinct layer rather than bundled with common layers.
- * - Updated ScenarioCard to display whole-house energy costs (walls + windows + ceilings + infiltration)
- *   instead of just walls + infiltration, aligning cost figures with HERS index calculations.
- *
- * Adds:
- * - Built‑in unit tests (sanity checks) for core math paths and HERS estimator.
- * - Diagnostics panel to view test results.
- *
- * Key formulas (double‑checked):
- * - Whole‑wall effective R:  U_eff = f/R_stud + (1‑f)/R_cavity  → R_eff = 1/U_eff
- * - Conduction load: Q = U · A · DD · 24   [BTU/yr]
- *   (U in BTU/hr·ft²·°F; DD in °F·days; ×24 hr/day)
- * - Infiltration sensible load: Q = 0.432 · ACH_nat · Volume · DD   [BTU/yr]
- *   Derivation: CFM = ACH·Vol/60; 1.08 BTU/hr·CFM·°F; integrate over DD·24h ⇒ 1.08·(ACH·Vol/60)·DD·24 = 0.432·ACH·Vol·DD
- * - Heating kWh (heat pump): (Q/3412)/COP
- * - Cooling kWh: Q/(SEER·1000)
- * - HERS (estimated): Index = 100 × (Rated site energy / Reference site energy)
+ * UI for comparing wall assemblies. All physics and catalogs live in the
+ * framework-free engine (`src/engine`); see `src/engine/index.js` for the
+ * key formulas.
  *
  * This tool is transparent and comparative; not for stamped compliance.
  */
 
-const CLIMATE_DEFAULTS = {
-  locationName: "Fuquay-Varina, NC (CZ4)",
-  HDD65: 3450,
-  CDD65: 1730,
+function formatUSD(n) {
+  return n.toLocaleString(undefined, {
+    style: "currency",
+    currency: "USD",
+    maximumFractionDigits: 0,
+  });
+}
+
+function formatKBtuh(btuh) {
+  return `${(btuh / 1000).toFixed(1)} kBTU/h`;
+}
+
+const TEST_RESULTS = runUnitTests();
+
+function LocationPicker({ locationKey, onSelect }) {
+  const [query, setQuery] = useState("");
+  const matches = useMemo(() => searchLocations(query), [query]);
+  const current = findLocation(locationKey);
+
+  return (
+    <div className="relative">
+      <label className="block text-sm font-medium">Location</label>
+      <input
+        type="search"
+        className="w-full mt-1 rounded-lg border px-3 py-2"
+        placeholder="Search city, state/province or climate zone…"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+      />
+      {matches.length > 0 && (
+        <ul className="absolute z-10 mt-1 w-full rounded-lg border bg-white shadow text-sm">
+          {matches.map((loc) => (
+            <li key={loc.key}>
+              <button
+                type="button"
+                className="w-full text-left px-3 py-2 hover:bg-slate-100"
+                onClick={() => {
+                  onSelect(loc);
+                  setQuery("");
+                }}
+              >
+                {loc.name}{" "}
+                <span className="text-slate-500">
+                  CZ{loc.climateZone} · HDD {loc.HDD65} · CDD {loc.CDD65}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="mt-1 text-xs text-slate-500">
+        {current
+          ? `${current.name} · IECC CZ${current.climateZone} · design ${current.heatingDesignF}°F / ${current.coolingDesignF}°F · elev. ${current.elevationFt} ft`
+          : "Custom climate (degree days entered by hand)"}
+      </div>
+    </div>
+  );
+}
+
+const MONTH_LABELS = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+function HourlyPanel({ shared, scenarios, onApplyClimate }) {
+  const [weather, setWeather] = useState(null);
+  const [fileName, setFileName] = useState("");
+  const [error, setError] = useState("");
+  // Inputs of the last run; 8760 hours per scenario is too slow to repeat on
+  // every keystroke, so the simulation runs when asked
+  const [run, setRun] = useState(null);
+
+  const onFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setFileName(file.name);
+    try {
+      setWeather(parseWeatherFile(await file.text(), file.name));
+      setError("");
+    } catch (err) {
+      setWeather(null);
+      setError(err.message);
+    }
+  };
+
+  const weatherDegreeDays = useMemo(
+    () => weather && degreeDaysByBaseFromHourly(weather),
+    [weather]
+  );
+  const base65 = DEGREE_DAY_BASES_F.indexOf(65);
+
+  const results = useMemo(() => {
+    if (!run || run.weather !== weather) return [];
+    // Scenario state, not result rows: the run needs each scenario's walls,
+    // ventilation and ducts
+    return run.scenarios.map((sc, i) => ({
+      id: sc.id,
+      name: sc.name,
+      color: SCENARIO_COLORS[i % SCENARIO_COLORS.length],
+      ...evaluateScenarioHourly(sc, run.shared, run.weather),
+    }));
+  }, [run, weather]);
+  const stale =
+    results.length > 0 &&
+    (run.scenarios !== scenarios || run.shared !== shared);
+
+  const monthlyData = MONTH_LABELS.map((name, m) => {
+    const row = { name };
+    results.forEach((r) => {
+      row[`${r.id}:heat`] = r.hourly.monthly[m].Qh / 1e6;
+      row[`${r.id}:cool`] = r.hourly.monthly[m].Qc / 1e6;
+    });
+    return row;
+  });
+  const profileData = Array.from({ length: 24 }, (_, hour) => {
+    const row = { hour };
+    results.forEach((r) => {
+      row[`${r.id}:heat`] = r.hourly.byHourOfDay[hour].Qh;
+      row[`${r.id}:cool`] = r.hourly.byHourOfDay[hour].Qc;
+    });
+    return row;
+  });
+
+  return (
+    <section className="rounded-2xl bg-white shadow p-5 border border-slate-200 mt-6">
+      <details>
+        <summary className="cursor-pointer text-lg font-semibold">
+          Hourly Simulation (EPW / TMY3)
+        </summary>
+        <p className="text-sm text-slate-600 mt-2">
+          Load an EnergyPlus .epw or TMY3 .csv file from your computer, then run
+          an 8760-hour balance on the same envelope. Heat pump COP and capacity
+          vary with outdoor temperature; what the heat pump cannot cover goes to
+          resistance backup.
+        </p>
+        <div className="mt-3 flex flex-wrap items-center gap-3 text-sm">
+          <input type="file" accept=".epw,.csv" onChange={onFile} />
+          {weather && (
+            <>
+              <span className="text-slate-600">
+                {weather.location.name || fileName} · HDD65{" "}
+                {weatherDegreeDays.HDD[base65]} · CDD65{" "}
+                {weatherDegreeDays.CDD[base65]} (from daily mean temperatures)
+              </span>
+              <button
+                type="button"
+                className="rounded-lg border px-3 py-1 hover:bg-slate-100"
+                onClick={() => setRun({ weather, scenarios, shared })}
+              >
+                {results.length > 0 ? "Re-run hourly" : "Run hourly"}
+              </button>
+              <button
+                type="button"
+                className="rounded-lg border px-3 py-1 hover:bg-slate-100"
+                onClick={() =>
+                  onApplyClimate({
+                    locationName: weather.location.name || fileName,
+                    HDD65: weatherDegreeDays.HDD[base65],
+                    CDD65: weatherDegreeDays.CDD[base65],
+                    degreeDaysByBase: weatherDegreeDays,
+                  })
+                }
+              >
+                Use these degree days
+              </button>
+            </>
+          )}
+        </div>
+        {error && (
+          <div className="mt-3 rounded-lg border border-red-200 bg-red-50 p-2 text-sm text-red-700">
+            {fileName}: {error}
+          </div>
+        )}
+
+        {stale && (
+          <div className="mt-3 rounded-lg border border-amber-200 bg-amber-50 p-2 text-sm text-amber-800">
+            Inputs changed since this run; re-run to update the hourly results.
+          </div>
+        )}
+        {results.length > 0 && (
+          <>
+            <div className="mt-4 overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-slate-500">
+                    <th className="py-1">Scenario</th>
+                    <th>Heating kWh (hourly / DD)</th>
+                    <th>Heating therms (hourly / DD)</th>
+                    <th>Cooling kWh (hourly / DD)</th>
+                    <th>Seasonal HP COP</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {results.map(({ id, name, hourly, degreeDay }) => (
+                    <tr key={id} className="border-t">
+                      <td className="py-1 font-medium">{name}</td>
+                      <td>
+                        {hourly.annual.kWhHeat.toFixed(0)} /{" "}
+                        {degreeDay.kWhHeat.toFixed(0)}
+                      </td>
+                      <td>
+                        {hourly.annual.thermsHeat.toFixed(0)} /{" "}
+                        {degreeDay.thermsHeat.toFixed(0)}
+                      </td>
+                      <td>
+                        {hourly.annual.kWhCool.toFixed(0)} /{" "}
+                        {degreeDay.kWhCool.toFixed(0)}
+                      </td>
+                      <td>
+                        {hourly.annual.seasonalCOP?.toFixed(2) ?? "—"}
+                        {hourly.annual.backupShare > 0 &&
+                          ` (${(hourly.annual.backupShare * 100).toFixed(
+                            1
+                          )}% backup)`}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="mt-5 grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <div>
+                <div className="text-sm text-slate-600 mb-2">
+                  Monthly loads (MMBTU)
+                </div>
+                <div className="h-64">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <BarChart data={monthlyData}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="name" />
+                      <YAxis />
+                      <Tooltip formatter={(v) => v.toFixed(2)} />
+                      <Legend />
+                      {results.map((r) => (
+                        <React.Fragment key={r.id}>
+                          <Bar
+                            dataKey={`${r.id}:heat`}
+                            name={`${r.name} heat`}
+                            fill={r.color}
+                          />
+                          <Bar
+                            dataKey={`${r.id}:cool`}
+                            name={`${r.name} cool`}
+                            fill={r.color}
+                            fillOpacity={0.45}
+                          />
+                        </React.Fragment>
+                      ))}
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+              <div>
+                <div className="text-sm text-slate-600 mb-2">
+                  Average load by hour of day (BTU/h)
+                </div>
+                <div className="h-64">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <LineChart data={profileData}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="hour" />
+                      <YAxis />
+                      <Tooltip formatter={(v) => Math.round(v)} />
+                      <Legend />
+                      {results.map((r) => (
+                        <React.Fragment key={r.id}>
+                          <Line
+                            dataKey={`${r.id}:heat`}
+                            name={`${r.name} heat`}
+                            stroke={r.color}
+                            dot={false}
+                          />
+                          <Line
+                            dataKey={`${r.id}:cool`}
+                            name={`${r.name} cool`}
+                            stroke={r.color}
+                            strokeDasharray="4 3"
+                            dot={false}
+                          />
+                        </React.Fragment>
+                      ))}
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+            </div>
+          </>
+        )}
+      </details>
+    </section>
+  );
+}
+
+function EconomicsPanel({ results, baseline, econ, finance, onFinanceChange }) {
+  const candidates = results.filter((r) => r.id !== baseline.id);
+  const [compareId, setCompareId] = useState(candidates[0]?.id);
+  const upgrade = candidates.find((r) => r.id === compareId) || candidates[0];
+
+  const result = useMemo(
+    () =>
+      upgrade &&
+      calcEconomics({
+        incrementalCost: upgrade.installedCost - baseline.installedCost,
+        kWhSaved:
+          baseline.loads.kWhHeat +
+          baseline.loads.kWhCool +
+          baseline.loads.kWhFan -
+          upgrade.loads.kWhHeat -
+          upgrade.loads.kWhCool -
+          upgrade.loads.kWhFan,
+        thermsSaved: baseline.loads.thermsHeat - upgrade.loads.thermsHeat,
+        econ,
+        finance,
+      }),
+    [upgrade, baseline, econ, finance]
+  );
+  const fmtOrDash = (v, f) => (v === null ? "—" : f(v));
+
+  if (!upgrade) return null;
+
+  return (
+    <section className="rounded-2xl bg-white shadow p-5 border border-slate-200 mt-6">
+      <h2 className="text-lg font-semibold mb-3">
+        Economics — {upgrade.name} vs {baseline.name} (baseline)
+      </h2>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+        <label className="block">
+          Compare scenario
+          <select
+            className="w-full mt-1 rounded-lg border px-3 py-2"
+            value={upgrade.id}
+            onChange={(e) => setCompareId(e.target.value)}
+          >
+            {candidates.map((r) => (
+              <option key={r.id} value={r.id}>
+                {r.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          Discount rate (%)
+          <input
+            type="number"
+            step="0.1"
+            className="w-full mt-1 rounded-lg border px-3 py-2"
+            value={+(finance.discountRate * 100).toFixed(4)}
+            onChange={(e) =>
+              onFinanceChange({ discountRate: Number(e.target.value) / 100 })
+            }
+          />
+        </label>
+        <label className="block">
+          Energy price escalation (%/yr)
+          <input
+            type="number"
+            step="0.1"
+            className="w-full mt-1 rounded-lg border px-3 py-2"
+            value={+(finance.escalationRate * 100).toFixed(4)}
+            onChange={(e) =>
+              onFinanceChange({ escalationRate: Number(e.target.value) / 100 })
+            }
+          />
+        </label>
+        <label className="block">
+          Analysis period (yr)
+          <input
+            type="number"
+            step="1"
+            min={1}
+            className="w-full mt-1 rounded-lg border px-3 py-2"
+            value={finance.analysisYears}
+            onChange={(e) =>
+              onFinanceChange({ analysisYears: Number(e.target.value) })
+            }
+          />
+        </label>
+      </div>
+
+      <div className="mt-4 grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-3 text-sm">
+        <div className="rounded-xl bg-slate-50 p-3 border">
+          <div className="text-slate-500">Incremental Cost</div>
+          <div className="text-lg font-semibold">
+            {formatUSD(result.incrementalCost)}
+          </div>
+        </div>
+        <div className="rounded-xl bg-slate-50 p-3 border">
+          <div className="text-slate-500">Year‑1 Savings</div>
+          <div className="text-lg font-semibold">
+            {formatUSD(result.annualSavings)}
+          </div>
+        </div>
+        <div className="rounded-xl bg-slate-50 p-3 border">
+          <div className="text-slate-500">Simple Payback</div>
+          <div className="text-lg font-semibold">
+            {fmtOrDash(result.simplePaybackYears, (v) => `${v.toFixed(1)} yr`)}
+          </div>
+        </div>
+        <div
+          className={`rounded-xl p-3 border ${
+            result.npv >= 0 ? "bg-green-50" : "bg-amber-50"
+          }`}
+        >
+          <div className="text-slate-500">NPV</div>
+          <div className="text-lg font-semibold">{formatUSD(result.npv)}</div>
+        </div>
+        <div className="rounded-xl bg-slate-50 p-3 border">
+          <div className="text-slate-500">IRR</div>
+          <div className="text-lg font-semibold">
+            {fmtOrDash(result.irr, (v) => `${(v * 100).toFixed(1)}%`)}
+          </div>
+        </div>
+        <div className="rounded-xl bg-slate-50 p-3 border">
+          <div className="text-slate-500">SIR</div>
+          <div className="text-lg font-semibold">
+            {fmtOrDash(result.sir, (v) => v.toFixed(2))}
+          </div>
+        </div>
+        <div className="rounded-xl bg-slate-50 p-3 border">
+          <div className="text-slate-500">Break‑even Prices</div>
+          <div className="text-xs text-slate-700 mt-1">
+            Elec:{" "}
+            {fmtOrDash(
+              result.breakEvenElecPrice,
+              (v) => `$${v.toFixed(3)}/kWh`
+            )}
+          </div>
+          <div className="text-xs text-slate-700">
+            Gas:{" "}
+            {fmtOrDash(
+              result.breakEvenGasPrice,
+              (v) => `$${v.toFixed(2)}/therm`
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="mt-5">
+        <div className="text-sm text-slate-600 mb-2">
+          Cumulative cash flow ({upgrade.name} vs {baseline.name})
+        </div>
+        <div className="h-56">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart
+              data={result.cashFlow}
+              margin={{ top: 10, right: 10, left: 0, bottom: 0 }}
+            >
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="year" />
+              <YAxis tickFormatter={(v) => `$${Math.round(v)}`} />
+              <Tooltip formatter={(v) => formatUSD(v)} />
+              <Legend />
+              <Line
+                dataKey="cumulative"
+                name="Cumulative"
+                stroke="#3b82f6"
+                dot={false}
+              />
+              <Line
+                dataKey="cumulativeDiscounted"
+                name="Cumulative (discounted)"
+                stroke="#10b981"
+                dot={false}
+              />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+const SCENARIO_COLORS = [
+  "#2563eb",
+  "#16a34a",
+  "#ea580c",
+  "#9333ea",
+  "#dc2626",
+  "#0891b2",
+  "#ca8a04",
+  "#db2777",
+];
+
+const COMPONENT_COLORS = {
+  wall: "#2563eb",
+  window: "#0891b2",
+  door: "#7c3aed",
+  ceiling: "#ca8a04",
+  cathedral: "#ea580c",
+  floor: "#16a34a",
+  slab: "#64748b",
+  basement: "#78350f",
+  solar: "#f59e0b",
+  latent: "#0d9488",
+  infiltration: "#dc2626",
+  ventilation: "#9333ea",
 };
 
-const FRAMING_OPTIONS = [
-  { key: "2x4", label: '2x4 (3.5" depth)', depth: 3.5 },
-  { key: "2x6", label: '2x6 (5.5" depth)', depth: 5.5 },
+const RANK_OPTIONS = [
+  { key: "cost", label: "Annual cost (low → high)" },
+  { key: "hers", label: "HERS (low → high)" },
+  { key: "wallR", label: "Whole‑wall R (high → low)" },
+];
+
+function ProjectFileBar({ project, onLoad, shareError }) {
+  const [error, setError] = useState("");
+  const [copied, setCopied] = useState(false);
+
+  const onSave = () => {
+    const json = JSON.stringify(serializeProject(project), null, 2);
+    const url = URL.createObjectURL(
+      new Blob([json], { type: "application/json" })
+    );
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "energy-sim-project.json";
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const onCopyLink = async () => {
+    let hash;
+    try {
+      hash = await encodeProjectHash(project);
+    } catch (err) {
+      setError(`Share link: ${err.message}`);
+      return;
+    }
+    const url = window.location.href.split("#")[0] + hash;
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      window.prompt("Copy this link:", url);
+    }
+  };
+
+  const onFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // allow re-loading the same file
+    if (!file) return;
+    try {
+      onLoad(parseProject(await file.text()));
+      setError("");
+    } catch (err) {
+      setError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="text-sm">
+      <div className="flex gap-2">
+        <button
+          type="button"
+          className="rounded-lg border bg-white px-3 py-1 hover:bg-slate-50"
+          onClick={onSave}
+        >
+          Save project
+        </button>
+        <label className="rounded-lg border bg-white px-3 py-1 hover:bg-slate-50 cursor-pointer">
+          Load project
+          <input
+            type="file"
+            accept=".json,application/json"
+            className="hidden"
+            onChange={onFile}
+          />
+        </label>
+        <button
+          type="button"
+          className="rounded-lg border bg-white px-3 py-1 hover:bg-slate-50"
+          onClick={onCopyLink}
+        >
+          {copied ? "Link copied" : "Copy link"}
+        </button>
+      </div>
+      {[error, shareError].filter(Boolean).map((msg) => (
+        <div
+          key={msg}
+          className="mt-2 max-w-md whitespace-pre-line rounded-lg border border-red-200 bg-red-50 p-2 text-red-700"
+        >
+          {msg}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function makeScenarioId() {
+  return `s${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function ComparisonTable({ results, baseline, onBaselineChange }) {
+  const [rankBy, setRankBy] = useState("cost");
+  const ranked = useMemo(() => {
+    const sorted = [...results];
+    if (rankBy === "hers") sorted.sort((a, b) => a.hers - b.hers);
+    else if (rankBy === "wallR")
+      sorted.sort((a, b) => b.wholeWall.rEff - a.wholeWall.rEff);
+    else sorted.sort((a, b) => a.costs.annualCost - b.costs.annualCost);
+    return sorted;
+  }, [results, rankBy]);
+
+  const chartData = ranked.map((r) => ({
+    name: r.name,
+    color: r.color,
+    Cost: r.costs.annualCost,
+  }));
+
+  return (
+    <>
+      <div className="flex flex-wrap gap-4 text-sm mb-3">
+        <label className="flex items-center gap-2">
+          Baseline
+          <select
+            className="rounded-lg border px-2 py-1"
+            value={baseline.id}
+            onChange={(e) => onBaselineChange(e.target.value)}
+          >
+            {results.map((r) => (
+              <option key={r.id} value={r.id}>
+                {r.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          Rank by
+          <select
+            className="rounded-lg border px-2 py-1"
+            value={rankBy}
+            onChange={(e) => setRankBy(e.target.value)}
+          >
+            {RANK_OPTIONS.map((o) => (
+              <option key={o.key} value={o.key}>
+                {o.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-slate-500">
+              <th className="py-1">#</th>
+              <th>Scenario</th>
+              <th>Whole‑Wall R</th>
+              <th>ACH50</th>
+              <th>Annual Cost</th>
+              <th>vs Baseline</th>
+              <th>HERS</th>
+              <th>Heat loss / gain</th>
+              <th>Heat pump</th>
+            </tr>
+          </thead>
+          <tbody>
+            {ranked.map((r, i) => {
+              const diff = r.costs.annualCost - baseline.costs.annualCost;
+              return (
+                <tr key={r.id} className="border-t">
+                  <td className="py-1">{i + 1}</td>
+                  <td className="font-medium">
+                    <span
+                      className="inline-block w-2 h-2 rounded-full mr-2"
+                      style={{ backgroundColor: r.color }}
+                    />
+                    {r.name}
+                    {r.id === baseline.id && (
+                      <span className="text-xs text-slate-500">
+                        {" "}
+                        (baseline)
+                      </span>
+                    )}
+                  </td>
+                  <td>R{r.wholeWall.rEff.toFixed(1)}</td>
+                  <td>{r.ach50}</td>
+                  <td>{formatUSD(r.costs.annualCost)}</td>
+                  <td
+                    className={
+                      diff < 0
+                        ? "text-green-700"
+                        : diff > 0
+                        ? "text-amber-700"
+                        : "text-slate-500"
+                    }
+                  >
+                    {r.id === baseline.id
+                      ? "—"
+                      : `${diff < 0 ? "saves" : "costs"} ${formatUSD(
+                          Math.abs(diff)
+                        )} / yr`}
+                  </td>
+                  <td>{r.hers.toFixed(0)}</td>
+                  <td>
+                    {formatKBtuh(r.design.heatLossBtuh)} /{" "}
+                    {formatKBtuh(r.design.heatGainBtuh)}
+                  </td>
+                  <td>
+                    {r.design.tons} t
+                    {r.id !== baseline.id &&
+                      r.design.tons !== baseline.design.tons && (
+                        <span className="text-xs text-slate-500">
+                          {" "}
+                          ({r.design.tons < baseline.design.tons ? "−" : "+"}
+                          {Math.abs(r.design.tons - baseline.design.tons)} t)
+                        </span>
+                      )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <div className="h-56 mt-4">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart
+            data={chartData}
+            margin={{ top: 10, right: 10, left: 0, bottom: 0 }}
+          >
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="name" />
+            <YAxis tickFormatter={(v) => `$${Math.round(v)}`} />
+            <Tooltip formatter={(v) => formatUSD(v)} />
+            <Bar dataKey="Cost" radius={[8, 8, 0, 0]}>
+              {chartData.map((d, i) => (
+                <Cell key={i} fill={d.color} />
+              ))}
+            </Bar>
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    </>
+  );
+}
+
+function makeLayerId() {
+  return `l${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function LayerBuilder({ layers, materials, onChange }) {
+  const material = (key) => materials.find((m) => m.key === key);
+  const update = (id, patch) =>
+    onChange(layers.map((l) => (l.id === id ? { ...l, ...patch } : l)));
+  const move = (i, dir) => {
+    const j = i + dir;
+    if (j < 0 || j >= layers.length) return;
+    const next = [...layers];
+    [next[i], next[j]] = [next[j], next[i]];
+    onChange(next);
+  };
+  const addLayer = () =>
+    onChange([
+      ...layers,
+      {
+        id: makeLayerId(),
+        materialKey: "fiberglass",
+        thicknessIn: 3.5,
+        path: "series",
+      },
+    ]);
+
+  return (
+    <div>
+      <div className="text-sm font-medium mb-1">
+        Wall layers (inside → outside)
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-left text-slate-500">
+              <th className="py-1 pr-1">Material / fill</th>
+              <th className="py-1 pr-1">Thick. (in)</th>
+              <th className="py-1 pr-1">Path</th>
+              <th className="py-1 pr-1">Framing</th>
+              <th className="py-1 pr-1 text-right">R</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {layers.map((layer, i) => {
+              const fill = material(layer.materialKey);
+              const parallel = layer.path === "parallel";
+              const rFill = materialR(fill, layer.thicknessIn);
+              return (
+                <tr key={layer.id} className="border-t">
+                  <td className="py-1 pr-1">
+                    <select
+                      className="w-full rounded border px-1 py-0.5"
+                      value={layer.materialKey}
+                      onChange={(e) =>
+                        update(layer.id, { materialKey: e.target.value })
+                      }
+                    >
+                      {materials.map((m) => (
+                        <option key={m.key} value={m.key}>
+                          {m.label}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="py-1 pr-1">
+                    <input
+                      type="number"
+                      step="0.25"
+                      min={0}
+                      className="w-16 rounded border px-1 py-0.5 disabled:opacity-40"
+                      value={layer.thicknessIn}
+                      disabled={fill.rValue != null && !parallel}
+                      onChange={(e) =>
+                        update(layer.id, {
+                          thicknessIn: Number(e.target.value),
+                        })
+                      }
+                    />
+                  </td>
+                  <td className="py-1 pr-1">
+                    <select
+                      className="rounded border px-1 py-0.5"
+                      value={layer.path}
+                      onChange={(e) =>
+                        update(layer.id, {
+                          path: e.target.value,
+                          framingKey: layer.framingKey || "wood",
+                        })
+                      }
+                    >
+                      {LAYER_PATHS.map((o) => (
+                        <option key={o.key} value={o.key}>
+                          {o.label}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="py-1 pr-1">
+                    {parallel && (
+                      <select
+                        className="w-full rounded border px-1 py-0.5"
+                        value={layer.framingKey}
+                        onChange={(e) =>
+                          update(layer.id, { framingKey: e.target.value })
+                        }
+                      >
+                        {materials.map((m) => (
+                          <option key={m.key} value={m.key}>
+                            {m.label}
+                          </option>
+                        ))}
+                      </select>
+                    )}
+                  </td>
+                  <td className="py-1 pr-1 text-right whitespace-nowrap">
+                    {rFill.toFixed(2)}
+                    {parallel && (
+                      <span className="text-slate-500">
+                        {" "}
+                        /{" "}
+                        {materialR(
+                          material(layer.framingKey),
+                          layer.thicknessIn
+                        ).toFixed(2)}
+                      </span>
+                    )}
+                  </td>
+                  <td className="py-1 whitespace-nowrap">
+                    <button
+                      type="button"
+                      className="rounded border px-1 disabled:opacity-40"
+                      onClick={() => move(i, -1)}
+                      disabled={i === 0}
+                      title="Move inward"
+                    >
+                      ↑
+                    </button>
+                    <button
+                      type="button"
+                      className="rounded border px-1 ml-1 disabled:opacity-40"
+                      onClick={() => move(i, 1)}
+                      disabled={i === layers.length - 1}
+                      title="Move outward"
+                    >
+                      ↓
+                    </button>
+                    <button
+                      type="button"
+                      className="rounded border px-1 ml-1 text-red-700"
+                      onClick={() =>
+                        onChange(layers.filter((l) => l.id !== layer.id))
+                      }
+                      title="Remove layer"
+                    >
+                      ×
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <div className="mt-1 flex items-center justify-between text-xs text-slate-500">
+        <button
+          type="button"
+          className="rounded border border-dashed border-slate-400 px-2 py-0.5 text-slate-700"
+          onClick={addLayer}
+        >
+          + Add layer
+        </button>
+        <span>
+          Parallel R shows cavity / framing. Adjacent parallel layers share one
+          stud; rows split by a series layer are staggered.
+        </span>
+      </div>
+    </div>
+  );
+}
+
+function MaterialsLibrary({ materials, usedKeys, onChange }) {
+  const update = (key, patch) =>
+    onChange(materials.map((m) => (m.key === key ? { ...m, ...patch } : m)));
+  const setKind = (m, kind) => {
+    const { rValue, rPerInch, ...rest } = m;
+    const value = rValue ?? rPerInch;
+    onChange(
+      materials.map((x) =>
+        x.key === m.key
+          ? { ...rest, [kind === "fixed" ? "rValue" : "rPerInch"]: value }
+          : x
+      )
+    );
+  };
+  const addMaterial = () =>
+    onChange([
+      ...materials,
+      {
+        key: `custom-${makeLayerId()}`,
+        label: "Custom material",
+        rPerInch: 1,
+      },
+    ]);
+
+  return (
+    <div className="mt-3 text-sm">
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-left text-slate-500">
+            <th className="py-1 pr-2">Material</th>
+            <th className="py-1 pr-2">R given as</th>
+            <th className="py-1 pr-2">Value</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {materials.map((m) => {
+            const fixed = m.rValue != null;
+            const used = usedKeys.has(m.key);
+            return (
+              <tr key={m.key} className="border-t">
+                <td className="py-1 pr-2">
+                  <input
+                    className="w-full rounded border px-1 py-0.5"
+                    value={m.label}
+                    onChange={(e) => update(m.key, { label: e.target.value })}
+                  />
+                </td>
+                <td className="py-1 pr-2">
+                  <select
+                    className="rounded border px-1 py-0.5"
+                    value={fixed ? "fixed" : "perInch"}
+                    onChange={(e) => setKind(m, e.target.value)}
+                  >
+                    <option value="perInch">R per inch</option>
+                    <option value="fixed">Fixed R</option>
+                  </select>
+                </td>
+                <td className="py-1 pr-2">
+                  <input
+                    type="number"
+                    step="0.05"
+                    min={0}
+                    className="w-20 rounded border px-1 py-0.5"
+                    value={fixed ? m.rValue : m.rPerInch}
+                    onChange={(e) =>
+                      update(m.key, {
+                        [fixed ? "rValue" : "rPerInch"]: Number(e.target.value),
+                      })
+                    }
+                  />
+                </td>
+                <td className="py-1">
+                  <button
+                    type="button"
+                    className="rounded border px-1 text-red-700 disabled:opacity-40"
+                    onClick={() =>
+                      onChange(materials.filter((x) => x.key !== m.key))
+                    }
+                    disabled={used}
+                    title={used ? "Used by a scenario" : "Remove material"}
+                  >
+                    ×
+                  </button>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <button
+        type="button"
+        className="mt-2 rounded border border-dashed border-slate-400 px-2 py-0.5 text-xs text-slate-700"
+        onClick={addMaterial}
+      >
+        + Add material
+      </button>
+    </div>
+  );
+}
+
+const FRAMING_FIELDS = [
+  { key: "plates", label: "Plates (bottom + top)", step: 1 },
+  { key: "cornerStuds", label: "Studs per corner", step: 1 },
+  { key: "intersectionStuds", label: "Backer studs per T-wall", step: 1 },
+  { key: "headerDepthIn", label: "Header depth (in)", step: 0.25 },
+  { key: "jackStuds", label: "Jack studs per side", step: 1 },
+  { key: "extraStudsPct", label: "Extra studs (%)", step: 5 },
+];
+
+function FramingEditor({ state, framingFactor, onChange }) {
+  const calculated = state.framingFactorMode === "calculated";
+  const setFraming = (patch) =>
+    onChange({ framing: { ...state.framing, presetKey: "custom", ...patch } });
+  const applyPreset = (key) => {
+    const {
+      key: presetKey,
+      label: _label,
+      ...framing
+    } = FRAMING_PRESETS.find((p) => p.key === key);
+    onChange({ framing: { presetKey, ...framing } });
+  };
+
+  return (
+    <details>
+      <summary className="cursor-pointer text-sm font-medium">
+        Framing factor: {(framingFactor * 100).toFixed(1)}%{" "}
+        <span className="font-normal text-slate-500">
+          (
+          {calculated
+            ? FRAMING_PRESETS.find((p) => p.key === state.framing.presetKey)
+                ?.label ?? "custom framing"
+            : "manual"}
+          )
+        </span>
+      </summary>
+      <div className="mt-2 grid grid-cols-2 gap-2 text-xs">
+        <label className="block">
+          Source
+          <select
+            className="w-full mt-1 rounded border px-2 py-1"
+            value={state.framingFactorMode}
+            onChange={(e) => onChange({ framingFactorMode: e.target.value })}
+          >
+            {FRAMING_FACTOR_MODES.map((o) => (
+              <option key={o.key} value={o.key}>
+                {o.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {calculated ? (
+          <>
+            <label className="block">
+              Framing preset
+              <select
+                className="w-full mt-1 rounded border px-2 py-1"
+                value={state.framing.presetKey}
+                onChange={(e) => applyPreset(e.target.value)}
+              >
+                {FRAMING_PRESETS.map((o) => (
+                  <option key={o.key} value={o.key}>
+                    {o.label}
+                  </option>
+                ))}
+                {state.framing.presetKey === "custom" && (
+                  <option value="custom">Custom</option>
+                )}
+              </select>
+            </label>
+            <label className="block">
+              Stud spacing
+              <select
+                className="w-full mt-1 rounded border px-2 py-1"
+                value={state.framing.studSpacingIn}
+                onChange={(e) =>
+                  setFraming({ studSpacingIn: Number(e.target.value) })
+                }
+              >
+                <option value={16}>16" o.c.</option>
+                <option value={24}>24" o.c.</option>
+              </select>
+            </label>
+            {FRAMING_FIELDS.map((f) => (
+              <label key={f.key} className="block">
+                {f.label}
+                <input
+                  type="number"
+                  min={0}
+                  step={f.step}
+                  className="w-full mt-1 rounded border px-2 py-1"
+                  value={state.framing[f.key]}
+                  onChange={(e) =>
+                    setFraming({ [f.key]: Number(e.target.value) })
+                  }
+                />
+              </label>
+            ))}
+            <div className="col-span-2 text-slate-500">
+              Uses the house wall geometry (length, height, corners, openings)
+              under Project &amp; House Inputs. Applies to this wall and to its
+              HERS reference wall.
+            </div>
+          </>
+        ) : (
+          <label className="block">
+            Framing factor (0–1)
+            <input
+              type="number"
+              min={0}
+              max={1}
+              step={0.01}
+              className="w-full mt-1 rounded border px-2 py-1"
+              value={state.framingFactor}
+              onChange={(e) =>
+                onChange({ framingFactor: Number(e.target.value) })
+              }
+            />
+          </label>
+        )}
+      </div>
+    </details>
+  );
+}
+
+const WALL_GEOMETRY_FIELDS = [
+  { key: "wallLengthFt", label: "Exterior wall length, all stories (ft)" },
+  { key: "wallHeightFt", label: "Wall height per story (ft)" },
+  { key: "corners", label: "Corners" },
+  { key: "intersections", label: "Interior wall intersections" },
+  { key: "windows", label: "Windows" },
+  { key: "windowWidthFt", label: "Window width (ft)" },
+  { key: "windowHeightFt", label: "Window height (ft)" },
+  { key: "doors", label: "Exterior doors" },
+  { key: "doorWidthFt", label: "Door width (ft)" },
+  { key: "doorHeightFt", label: "Door height (ft)" },
 ];
 
-const CAVITY_INSULATION_TYPES = [
-  { key: "fiberglass", label: "Fiberglass Batts" },
-  { key: "mineralwool", label: "Mineral Wool Batts" },
-  { key: "flashbatt", label: 'Flash & Batt (1" CC + FG)' },
-  { key: "ocspf", label: "Open-Cell Spray Foam (full)" },
-  { key: "ccspf", label: "Closed-Cell Spray Foam (full)" },
+// Size field (on `shared.envelope`) and assembly field (on `hers.rated` /
+// `hers.reference`) per envelope component. The attic ceiling is sized from
+// the floor area, so it has no size field.
+const ENVELOPE_ROWS = [
+  {
+    key: "ceiling",
+    label: "Attic ceiling",
+    assembly: "ceilingR",
+    unit: "R",
+    step: 1,
+  },
+  {
+    key: "cathedral",
+    label: "Cathedral ceiling / roof",
+    size: "cathedralAreaFt2",
+    sizeUnit: "ft²",
+    assembly: "cathedralR",
+    unit: "R",
+    step: 1,
+  },
+  {
+    key: "floor",
+    label: "Floor over unconditioned space",
+    size: "floorAreaFt2",
+    sizeUnit: "ft²",
+    assembly: "floorR",
+    unit: "R",
+    step: 1,
+  },
+  {
+    key: "slab",
+    label: "Slab on grade",
+    size: "slabPerimeterFt",
+    sizeUnit: "ft perimeter",
+    assembly: "slabF",
+    unit: "F-factor",
+    step: 0.01,
+  },
+  {
+    key: "basement",
+    label: "Basement walls (below grade)",
+    size: "basementWallAreaFt2",
+    sizeUnit: "ft²",
+    assembly: "basementC",
+    unit: "C-factor",
+    step: 0.01,
+  },
+  {
+    key: "door",
+    label: "Exterior doors",
+    size: "doorAreaFt2",
+    sizeUnit: "ft²",
+    assembly: "doorU",
+    unit: "U",
+    step: 0.01,
+  },
 ];
 
-const EXTERIOR_SHEATHING = [
-  { key: "osbwrap", label: "OSB + Housewrap", rContinuous: 0 },
-  { key: "zip", label: "Taped OSB (ZIP System)", rContinuous: 0 },
+const INTERNAL_GAIN_FIELDS = [
+  { key: "occupants", label: "Occupants", step: 1 },
   {
-    key: "zipr3",
-    label: "Exterior Insulated Sheathing (ZIP-R, R-3)",
-    rContinuous: 3,
+    key: "btuhPerOccupant",
+    label: "Sensible gain per occupant (BTU/h)",
+    step: 10,
   },
   {
-    key: "zipr6",
-    label: "Exterior Insulated Sheathing (ZIP-R, R-6)",
-    rContinuous: 6,
+    key: "otherEnergyToHeat",
+    label: "Share of other site energy released as heat (0–1)",
+    step: 0.05,
   },
 ];
+const THERMOSTAT_FIELDS = [
+  { key: "heatingF", label: "Heating setpoint (°F)" },
+  { key: "coolingF", label: "Cooling setpoint (°F)" },
+];
+function InternalGainsEditor({ shared, onChange }) {
+  const gains = calcInternalGains(
+    shared.internalGains,
+    shared.hers.otherSiteEnergyKWh
+  );
+  const climate = {
+    HDD65: shared.HDD65,
+    CDD65: shared.CDD65,
+    degreeDaysByBase: shared.degreeDaysByBase,
+  };
+
+  return (
+    <div className="mt-3 text-sm">
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+        {INTERNAL_GAIN_FIELDS.map((f) => (
+          <label key={f.key} className="block">
+            {f.label}
+            <input
+              type="number"
+              min={0}
+              step={f.step}
+              className="w-full mt-1 rounded border px-2 py-1"
+              value={shared.internalGains[f.key]}
+              onChange={(e) =>
+                onChange({
+                  internalGains: {
+                    ...shared.internalGains,
+                    [f.key]: Number(e.target.value),
+                  },
+                })
+              }
+            />
+          </label>
+        ))}
+        {THERMOSTAT_FIELDS.map((f) => (
+          <label key={f.key} className="block">
+            {f.label}
+            <input
+              type="number"
+              className="w-full mt-1 rounded border px-2 py-1"
+              value={shared.thermostat[f.key]}
+              onChange={(e) =>
+                onChange({
+                  thermostat: {
+                    ...shared.thermostat,
+                    [f.key]: Number(e.target.value),
+                  },
+                })
+              }
+            />
+          </label>
+        ))}
+      </div>
+      <div className="mt-2 text-xs text-slate-500">
+        Internal gains ≈ {gains.totalBtuh.toFixed(0)} BTU/h (occupants{" "}
+        {gains.occupantsBtuh.toFixed(0)}, lights/appliances/plug loads{" "}
+        {gains.equipmentBtuh.toFixed(0)} from the HERS other site energy). Each
+        home heats below T_set − gains/UA and cools above its own cooling
+        balance point, so better envelopes get fewer heating degree days.{" "}
+        {isDegreeDayTable(shared.degreeDaysByBase)
+          ? "Degree days to a balance point are interpolated between the tabulated bases below."
+          : "This climate was entered by hand, so degree days at other bases are approximated from HDD65/CDD65 with a normal distribution of daily temperatures; pick a location or load a weather file for tabulated values."}
+      </div>
+      <table className="mt-3 text-xs">
+        <thead>
+          <tr className="text-left text-slate-500">
+            <th className="py-1 pr-4">Base (°F)</th>
+            {DEGREE_DAY_BASES_F.map((b) => (
+              <th key={b} className="py-1 pr-4 text-right">
+                {b}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {["HDD", "CDD"].map((k) => (
+            <tr key={k} className="border-t">
+              <td className="py-1 pr-4">
+                {k}
+                {!isDegreeDayTable(shared.degreeDaysByBase) && " (approx.)"}
+              </td>
+              {DEGREE_DAY_BASES_F.map((b) => (
+                <td key={b} className="py-1 pr-4 text-right">
+                  {degreeDaysAtBase(climate, b)[k].toFixed(0)}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
 
-const AIR_TIGHTNESS_PRESETS = [
-  { key: "leaky", label: "Leaky (~7 ACH50)", ach50: 7 },
-  { key: "builder", label: "Builder Standard (~5 ACH50)", ach50: 5 },
-  { key: "energystar", label: "Energy Star (~3 ACH50)", ach50: 3 },
-  { key: "passive", label: "Passive House (~0.6 ACH50)", ach50: 0.6 },
+function WindowsEditor({ windows, windowArea, onChange }) {
+  const totalShare = WINDOW_ORIENTATIONS.reduce(
+    (a, o) => a + Math.max(0, windows[o.key].areaShare),
+    0
+  );
+  const update = (key, patch) =>
+    onChange({ ...windows, [key]: { ...windows[key], ...patch } });
+
+  return (
+    <div className="mt-3 text-sm">
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-left text-slate-500">
+            <th className="py-1 pr-2">Facing</th>
+            <th className="py-1 pr-2">Share of window area</th>
+            <th className="py-1 pr-2">Area</th>
+            <th className="py-1 pr-2">SHGC</th>
+            <th className="py-1 pr-2">Overhang</th>
+            <th className="py-1 pr-2">Other shading (1 = none)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {WINDOW_ORIENTATIONS.map((o) => {
+            const w = windows[o.key];
+            const share =
+              totalShare > 0
+                ? Math.max(0, w.areaShare) / totalShare
+                : 1 / WINDOW_ORIENTATIONS.length;
+            return (
+              <tr key={o.key} className="border-t">
+                <td className="py-1 pr-2">{o.label}</td>
+                <td className="py-1 pr-2">
+                  <input
+                    type="number"
+                    min={0}
+                    max={1}
+                    step={0.05}
+                    className="w-20 rounded border px-1 py-0.5"
+                    value={w.areaShare}
+                    onChange={(e) =>
+                      update(o.key, { areaShare: Number(e.target.value) })
+                    }
+                  />
+                </td>
+                <td className="py-1 pr-2 text-slate-500">
+                  {(windowArea * share).toFixed(0)} ft²
+                </td>
+                <td className="py-1 pr-2">
+                  <input
+                    type="number"
+                    min={0}
+                    max={1}
+                    step={0.01}
+                    className="w-20 rounded border px-1 py-0.5"
+                    value={w.shgc}
+                    onChange={(e) =>
+                      update(o.key, { shgc: Number(e.target.value) })
+                    }
+                  />
+                </td>
+                <td className="py-1 pr-2">
+                  <select
+                    className="rounded border px-1 py-0.5"
+                    value={w.overhangKey}
+                    onChange={(e) =>
+                      update(o.key, { overhangKey: e.target.value })
+                    }
+                  >
+                    {OVERHANG_OPTIONS.map((opt) => (
+                      <option key={opt.key} value={opt.key}>
+                        {opt.label}
+                      </option>
+                    ))}
+                  </select>
+                </td>
+                <td className="py-1 pr-2">
+                  <input
+                    type="number"
+                    min={0}
+                    max={1}
+                    step={0.05}
+                    className="w-20 rounded border px-1 py-0.5"
+                    value={w.shadeFactor}
+                    onChange={(e) =>
+                      update(o.key, { shadeFactor: Number(e.target.value) })
+                    }
+                  />
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <div className="mt-2 text-xs text-slate-500">
+        Total window area comes from the window‑to‑wall ratio; shares are
+        normalized to it. Solar gain offsets heating (
+        {(SOLAR_HEATING_UTILIZATION * 100).toFixed(0)}% of winter gain is
+        useful) and adds to cooling, using seasonal sun by climate zone. The
+        reference home splits the same area evenly at the reference SHGC (HERS
+        Inputs).
+      </div>
+    </div>
+  );
+}
+
+function EnvelopeEditor({ envelope, hers, ceilingArea, onEnvelope, onHers }) {
+  const setAssembly = (side, key, value) =>
+    onHers({ [side]: { ...hers[side], [key]: value } });
+
+  return (
+    <div className="mt-3 text-sm">
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-left text-slate-500">
+            <th className="py-1 pr-2">Component</th>
+            <th className="py-1 pr-2">Size</th>
+            <th className="py-1 pr-2">Rated</th>
+            <th className="py-1 pr-2">Reference</th>
+          </tr>
+        </thead>
+        <tbody>
+          {ENVELOPE_ROWS.map((row) => (
+            <tr key={row.key} className="border-t">
+              <td className="py-1 pr-2">
+                <span
+                  className="inline-block w-2 h-2 rounded-full mr-1"
+                  style={{ backgroundColor: COMPONENT_COLORS[row.key] }}
+                />
+                {row.label}
+              </td>
+              <td className="py-1 pr-2">
+                {row.size ? (
+                  <>
+                    <input
+                      type="number"
+                      min={0}
+                      className="w-20 rounded border px-1 py-0.5"
+                      value={envelope[row.size]}
+                      onChange={(e) =>
+                        onEnvelope({ [row.size]: Number(e.target.value) })
+                      }
+                    />{" "}
+                    {row.sizeUnit}
+                  </>
+                ) : (
+                  <span className="text-slate-500">
+                    {ceilingArea.toFixed(0)} ft² (top floor − cathedral)
+                  </span>
+                )}
+              </td>
+              {["rated", "reference"].map((side) => (
+                <td key={side} className="py-1 pr-2">
+                  <input
+                    type="number"
+                    min={0}
+                    step={row.step}
+                    className="w-20 rounded border px-1 py-0.5"
+                    value={hers[side][row.assembly]}
+                    onChange={(e) =>
+                      setAssembly(side, row.assembly, Number(e.target.value))
+                    }
+                  />{" "}
+                  {row.unit}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mt-3 text-xs">
+        <label className="block">
+          Floor is over
+          <select
+            className="w-full mt-1 rounded border px-2 py-1"
+            value={envelope.floorExposure}
+            onChange={(e) => onEnvelope({ floorExposure: e.target.value })}
+          >
+            {FLOOR_EXPOSURES.map((o) => (
+              <option key={o.key} value={o.key}>
+                {o.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          Rated slab edge insulation
+          <select
+            className="w-full mt-1 rounded border px-2 py-1"
+            value={
+              SLAB_EDGE_OPTIONS.find((o) => o.fFactor === hers.rated.slabF)
+                ?.key ?? "custom"
+            }
+            onChange={(e) =>
+              setAssembly(
+                "rated",
+                "slabF",
+                SLAB_EDGE_OPTIONS.find((o) => o.key === e.target.value).fFactor
+              )
+            }
+          >
+            {SLAB_EDGE_OPTIONS.map((o) => (
+              <option key={o.key} value={o.key}>
+                {o.label} (F {o.fFactor})
+              </option>
+            ))}
+            {!SLAB_EDGE_OPTIONS.some((o) => o.fFactor === hers.rated.slabF) && (
+              <option value="custom">Custom</option>
+            )}
+          </select>
+        </label>
+        <label className="block">
+          Basement depth below grade (ft)
+          <input
+            type="number"
+            min={0}
+            step={0.5}
+            className="w-full mt-1 rounded border px-2 py-1"
+            value={envelope.basementDepthFt}
+            onChange={(e) =>
+              onEnvelope({ basementDepthFt: Number(e.target.value) })
+            }
+          />
+        </label>
+        <div className="md:col-span-3 text-slate-500">
+          Ceiling, roof and floor R are insulation values (air films are added).
+          Slab and basement walls only add heating load. Walls and windows are
+          set above and per scenario. The reference home uses the same sizes.
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const VENTILATION_FIELDS = [
+  { key: "sensibleRecovery", label: "Sensible recovery", step: 0.05 },
+  { key: "latentRecovery", label: "Latent recovery", step: 0.05 },
+  { key: "wattsPerCfm", label: "Fan W/CFM", step: 0.05 },
 ];
 
-const EXTERIOR_CONTINUOUS_INSULATION = [
-  { key: "none", label: "None", rValue: 0 },
-  { key: "r3", label: '0.5" Polyiso (R-3)', rValue: 3.0 },
-  { key: "r6", label: '1.0" Polyiso (R-6)', rValue: 6.0 },
-  { key: "r9", label: '1.5" Polyiso (R-9)', rValue: 9.0 },
-  { key: "r12", label: '2.0" Polyiso (R-12)', rValue: 12.0 },
+// Houses this tight need mechanical ventilation for indoor air quality
+const VENTILATION_WARNING_ACH50 = 3;
+
+function describeHeating(hvac) {
+  const heatPump =
+    hvac.heatPumpRating === "cop"
+      ? `COP ${hvac.heatPumpCOP}`
+      : hvac.heatPumpRating === "points"
+      ? "47/17/5°F points"
+      : `HSPF2 ${hvac.hspf2}`;
+  const furnace = `AFUE ${(hvac.furnaceAFUE * 100).toFixed(0)}%`;
+  switch (hvac.heatingType) {
+    case "gasfurnace":
+      return `Furnace, ${furnace}`;
+    case "resistance":
+      return "Electric resistance";
+    case "dualfuel":
+      return `Dual fuel, ${heatPump} / ${furnace}`;
+    default:
+      return `Heat pump, ${heatPump}`;
+  }
+}
+
+const REFERENCE_RULE_FIELDS = [
+  { key: "specificLeakageArea", label: "Specific leakage area", step: 0.00001 },
+  { key: "framingFactor", label: "Wall framing factor", step: 0.01 },
+  { key: "windowAreaFraction", label: "Window area (× CFA)", step: 0.01 },
+  { key: "doorAreaFt2", label: "Door area (ft²)", step: 1 },
+  { key: "heatPumpHSPF2", label: "Heat pump HSPF2", step: 0.05 },
+  { key: "furnaceAFUE", label: "Furnace AFUE", step: 0.01 },
+  { key: "coolingSEER2", label: "Cooling SEER2", step: 0.05 },
+  {
+    key: "waterHeaterElectricEF",
+    label: "Electric water heater EF",
+    step: 0.01,
+  },
+  { key: "waterHeaterGasEF", label: "Gas water heater EF", step: 0.01 },
 ];
 
-// Per-inch nominal R-values
-const R_PER_INCH = {
-  wood: 1.25,
-  fiberglass: 3.7,
-  mineralwool: 4.2,
-  ocspf: 3.6,
-  ccspf: 6.5,
-  polyiso: 6.0,
-};
+function describeWaterHeating(hotWater) {
+  const fuel = hotWater.fuel === "gas" ? "Gas" : "Electric";
+  return `${fuel}, EF ${hotWater.energyFactor}`;
+}
 
-const LAYER_R = {
-  airFilms: 0.85,
-  drywallHalf: 0.45,
-  osb716: 0.62,
-  siding: 0.6,
-  interiorPolyisoHalf: 3.0, // continuous thermal break
-};
+// Rated vs. reference home, feature by feature. Each scenario is its own
+// rated home; the reference column is the baseline scenario's reference.
+function ReferenceHomePanel({ shared, results, baseline, onReference }) {
+  const reference = shared.hers.reference;
+  const set = (patch) => onReference({ ...reference, ...patch });
+  const ansi301 = reference.ruleset === "ansi301";
+  const ref = baseline.reference;
+  const rows = [
+    {
+      label: "Walls (whole-wall R)",
+      ref: ref.wholeWallR.toFixed(1),
+      rated: (r) => r.wholeWallR.toFixed(1),
+    },
+    {
+      label: "Wall framing factor",
+      ref: `${(ref.framingFactor * 100).toFixed(0)}%`,
+      rated: (r) => `${(r.framingFactor * 100).toFixed(0)}%`,
+    },
+    {
+      label: "Window area",
+      ref: `${ref.windowArea.toFixed(0)} ft²`,
+      rated: (r) => `${r.loads.windowArea.toFixed(0)} ft²`,
+    },
+    {
+      label: "Window U / SHGC",
+      ref: `${reference.windowU} / ${reference.shgc}`,
+      rated: () => `${shared.hers.rated.windowU} / by orientation`,
+    },
+    {
+      label: "Doors (area, U)",
+      ref: `${ref.doorAreaFt2.toFixed(0)} ft², U ${reference.doorU}`,
+      rated: () =>
+        `${shared.envelope.doorAreaFt2} ft², U ${shared.hers.rated.doorU}`,
+    },
+    {
+      label: "Attic ceiling R",
+      ref: reference.ceilingR,
+      rated: () => shared.hers.rated.ceilingR,
+    },
+    {
+      label: "Air leakage",
+      ref: `${ref.ach50.toFixed(1)} ACH50 (${ref.ACHnat.toFixed(2)} nat)`,
+      rated: (r) => `${r.ach50} ACH50 (${r.loads.ACHnat.toFixed(2)} nat)`,
+    },
+    {
+      label: "Heating",
+      ref: describeHeating(ref.hvac),
+      rated: () => describeHeating(shared.hvac),
+    },
+    {
+      label: "Cooling",
+      ref: `SEER2 ${ref.hvac.coolingSEER2}`,
+      rated: () => `SEER2 ${shared.hvac.coolingSEER2}`,
+    },
+    {
+      label: "Water heating",
+      ref: describeWaterHeating(ref.hotWater),
+      rated: (r) => describeWaterHeating(r.hotWater),
+    },
+    {
+      label: "Duct DSE (heat / cool)",
+      ref: reference.distributionEfficiency.toFixed(2),
+      rated: (r) =>
+        `${r.loads.distribution.heating.toFixed(
+          2
+        )} / ${r.loads.distribution.cooling.toFixed(2)}`,
+    },
+    {
+      label: "Heating + cooling kWh",
+      ref: (ref.kWhHeat + ref.kWhCool).toFixed(0),
+      rated: (r) => (r.loads.kWhHeat + r.loads.kWhCool).toFixed(0),
+    },
+  ];
 
-const DEFAULT_HOME = {
-  wallAreaFt2: 3000, // net opaque wall area
-  conditionedFloorArea: 3500,
-  avgCeilingHeight: 9,
-  stories: 2,
-  windowToWallRatio: 0.15, // fraction of GROSS wall area
-};
+  return (
+    <div className="mt-3 text-sm">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <label className="block">
+          Reference rules
+          <select
+            className="w-full mt-1 rounded border px-2 py-1"
+            value={reference.ruleset}
+            onChange={(e) => set({ ruleset: e.target.value })}
+          >
+            {REFERENCE_RULESETS.map((o) => (
+              <option key={o.key} value={o.key}>
+                {o.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {ansi301 ? (
+          REFERENCE_RULE_FIELDS.map((f) => (
+            <label key={f.key} className="block">
+              {f.label}
+              <input
+                type="number"
+                min={0}
+                step={f.step}
+                className="w-full mt-1 rounded border px-2 py-1"
+                value={reference[f.key]}
+                onChange={(e) => set({ [f.key]: Number(e.target.value) })}
+              />
+            </label>
+          ))
+        ) : (
+          <label className="block">
+            ACH50
+            <input
+              type="number"
+              step="0.1"
+              className="w-full mt-1 rounded border px-2 py-1"
+              value={reference.ach50}
+              onChange={(e) => set({ ach50: Number(e.target.value) })}
+            />
+          </label>
+        )}
+      </div>
+      <div className="mt-2 text-xs text-slate-500">
+        {ansi301
+          ? "Envelope assemblies follow the climate zone (set when a location is picked); windows are split evenly over the four orientations, walls are the rated gross wall area less the reference windows and doors, and equipment is minimum efficiency for the rated home's fuel."
+          : "The reference borrows the rated home's window and door areas, each scenario's framing factor and the rated equipment."}
+      </div>
+      <div className="overflow-x-auto">
+        <table className="mt-3 w-full text-xs">
+          <thead>
+            <tr className="text-left text-slate-500">
+              <th className="py-1 pr-2">Feature</th>
+              <th className="py-1 pr-2">Reference</th>
+              {results.map((r) => (
+                <th key={r.id} className="py-1 pr-2">
+                  {r.name}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.label} className="border-t">
+                <td className="py-1 pr-2 font-medium">{row.label}</td>
+                <td className="py-1 pr-2">{row.ref}</td>
+                {results.map((r) => (
+                  <td key={r.id} className="py-1 pr-2">
+                    {row.rated(r)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {!ansi301 && results.length > 1 && (
+        <div className="mt-1 text-xs text-slate-500">
+          Reference column for the baseline ({baseline.name}); with these rules
+          each scenario's reference differs.
+        </div>
+      )}
+    </div>
+  );
+}
 
-const DEFAULT_ECON = {
-  elecPricePerKWh: 0.14,
-  gasPricePerTherm: 1.25,
+const HERS_END_USE_LABELS = {
+  heating: "Heating",
+  cooling: "Cooling",
+  hotWater: "Hot water",
 };
 
-const DEFAULT_HVAC = {
-  heatingType: "heatpump",
-  heatPumpCOP: 3.0,
-  coolingSEER: 15,
-};
+// The nMEUL index terms for one scenario, laid out like the 301 worksheet so
+// the number can be checked against rater software.
+function HersCalculationPanel({ results }) {
+  const [scenarioId, setScenarioId] = useState(results[0].id);
+  const result = results.find((r) => r.id === scenarioId) || results[0];
+  const detail = result.hersDetail;
+  // Rows for an end use the rated home lacks carry only the reference terms
+  const mbtu = (v, digits = 2) => (v == null ? "—" : v.toFixed(digits));
 
-const HERS_DEFAULTS = {
-  ach50ToNatFactor: 0.07, // editable conversion factor
-  rated: { windowU: 0.3, ceilingR: 38 },
-  reference: {
-    // 2006-ish reference style (editable):
-    framingKey: "2x4",
-    cavityKey: "fiberglass",
-    sheathingKey: "osbwrap",
-    exteriorContinuousKey: "none", // Add this line
-    interiorPolyiso: false,
-    ach50: 7,
-    windowU: 0.4,
-    ceilingR: 38,
-  },
-  otherSiteEnergyKWh: 6000, // DHW, lights, appliances; same for rated & ref by default
-};
+  return (
+    <div className="mt-3 text-sm">
+      <label className="block max-w-xs">
+        Scenario
+        <select
+          className="w-full mt-1 rounded border px-2 py-1"
+          value={result.id}
+          onChange={(e) => setScenarioId(e.target.value)}
+        >
+          {results.map((r) => (
+            <option key={r.id} value={r.id}>
+              {r.name}
+            </option>
+          ))}
+        </select>
+      </label>
+      {!detail ? (
+        <div className="mt-2 text-xs text-slate-500">
+          The site energy ratio method has no end-use terms: the index is 100 ×
+          rated / reference site energy. Switch the index method under HERS
+          Inputs to see the nMEUL calculation.
+        </div>
+      ) : (
+        <>
+          <div className="overflow-x-auto">
+            <table className="mt-3 w-full text-xs">
+              <thead>
+                <tr className="text-left text-slate-500">
+                  <th className="py-1 pr-2">End use</th>
+                  <th className="py-1 pr-2">Fuel</th>
+                  <th className="py-1 pr-2">REUL</th>
+                  <th className="py-1 pr-2">
+                    EC<sub>r</sub>
+                  </th>
+                  <th className="py-1 pr-2">
+                    EEC<sub>r</sub>
+                  </th>
+                  <th className="py-1 pr-2">
+                    DSE<sub>r</sub>
+                  </th>
+                  <th className="py-1 pr-2">
+                    EC<sub>x</sub>
+                  </th>
+                  <th className="py-1 pr-2">
+                    EEC<sub>x</sub>
+                  </th>
+                  <th className="py-1 pr-2">a</th>
+                  <th className="py-1 pr-2">b</th>
+                  <th className="py-1 pr-2">
+                    nEC<sub>x</sub>
+                  </th>
+                  <th className="py-1 pr-2">nMEUL</th>
+                </tr>
+              </thead>
+              <tbody>
+                {detail.rows.map((row) => (
+                  <tr key={`${row.endUse}-${row.fuel}`} className="border-t">
+                    <td className="py-1 pr-2 font-medium">
+                      {HERS_END_USE_LABELS[row.endUse]}
+                    </td>
+                    <td className="py-1 pr-2">{row.fuel ?? "none"}</td>
+                    <td className="py-1 pr-2">{mbtu(row.REUL)}</td>
+                    <td className="py-1 pr-2">{mbtu(row.ECr)}</td>
+                    <td className="py-1 pr-2">{mbtu(row.EECr, 3)}</td>
+                    <td className="py-1 pr-2">{mbtu(row.DSEr)}</td>
+                    <td className="py-1 pr-2">{mbtu(row.ECx)}</td>
+                    <td className="py-1 pr-2">{mbtu(row.EECx, 3)}</td>
+                    <td className="py-1 pr-2">{row.a ?? "—"}</td>
+                    <td className="py-1 pr-2">{row.b ?? "—"}</td>
+                    <td className="py-1 pr-2">{mbtu(row.nECx)}</td>
+                    <td className="py-1 pr-2">{mbtu(row.nMEUL)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="mt-3 grid grid-cols-2 md:grid-cols-6 gap-2 text-xs">
+            {[
+              ["EC_LA", mbtu(detail.ECLA)],
+              ["REUL_LA", mbtu(detail.REULLA)],
+              ["TnML", mbtu(detail.TnML)],
+              ["TRL", mbtu(detail.TRL)],
+              ["PEfrac", detail.PEfrac.toFixed(3)],
+              ["Index", detail.index.toFixed(1)],
+            ].map(([label, value]) => (
+              <div key={label} className="rounded-lg bg-slate-50 border p-2">
+                <div className="text-slate-500">{label}</div>
+                <div className="font-semibold">{value}</div>
+              </div>
+            ))}
+          </div>
+          <div className="mt-2 text-xs text-slate-500">
+            Loads and energy in MBtu/yr; EEC is energy per unit of delivered
+            load. nEC_x = (a · EEC_x − b) · EC_x · EC_r · DSE_r / (EEC_x ·
+            REUL), nMEUL = REUL · nEC_x / EC_r, TnML = Σ nMEUL + EC_LA, TRL = Σ
+            REUL + REUL_LA and index = PEfrac · 100 · TnML / TRL.
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
 
-function formatUSD(n) {
-  return n.toLocaleString(undefined, {
-    style: "currency",
-    currency: "USD",
-    maximumFractionDigits: 0,
-  });
+const formatWallOption = (o) =>
+  o.ciR > 0 ? `R-${o.cavityR} + ${o.ciR}ci` : `R-${o.cavityR}`;
+
+function PassFail({ pass }) {
+  return (
+    <b className={pass ? "text-emerald-700" : "text-red-700"}>
+      {pass ? "Pass" : "Fail"}
+    </b>
+  );
 }
 
-function clamp(n, min, max) {
-  return Math.max(min, Math.min(max, n));
+// IECC prescriptive checks and the total UA alternative, one column per
+// scenario. Requirements follow the shared climate zone, so they are read
+// from the first scenario.
+function CompliancePanel({ shared, results, onCompliance }) {
+  const first = results[0].compliance;
+  const checkOf = (r, key) => r.compliance.checks.find((c) => c.key === key);
+  const rows = first && [
+    {
+      label: "Wall",
+      required: `${first.requirements.walls
+        .map(formatWallOption)
+        .join(" or ")} (U ≤ ${first.requirements.uFactors.wallU})`,
+      cell: (r) => {
+        const { proposed } = checkOf(r, "wall");
+        return `${
+          proposed.cavityR == null ? "" : `${formatWallOption(proposed)}, `
+        }U ${proposed.uFactor.toFixed(3)}`;
+      },
+      key: "wall",
+    },
+    {
+      label: "Window U",
+      required:
+        first.requirements.windowU === null
+          ? "NR"
+          : `≤ ${first.requirements.windowU}`,
+      cell: (r) => checkOf(r, "window").proposed,
+      key: "window",
+    },
+    {
+      label: "Attic ceiling R",
+      required: `≥ ${first.requirements.ceilingR}`,
+      cell: (r) => checkOf(r, "ceiling").proposed,
+      key: "ceiling",
+    },
+    {
+      label: "Air leakage (ACH50, mandatory)",
+      required: `≤ ${first.requirements.ach50}`,
+      cell: (r) => checkOf(r, "ach50").proposed,
+      key: "ach50",
+    },
+  ];
+
+  return (
+    <div className="mt-3 text-sm">
+      <label className="block max-w-xs">
+        Code edition
+        <select
+          className="w-full mt-1 rounded border px-2 py-1"
+          value={shared.compliance.editionKey}
+          onChange={(e) => onCompliance({ editionKey: e.target.value })}
+        >
+          {IECC_EDITIONS.map((o) => (
+            <option key={o.key} value={o.key}>
+              {o.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {!first ? (
+        <div className="mt-2 text-xs text-slate-500">
+          Pick a location to set the climate zone and check compliance.
+        </div>
+      ) : (
+        <>
+          <div className="overflow-x-auto">
+            <table className="mt-3 w-full text-xs">
+              <thead>
+                <tr className="text-left text-slate-500">
+                  <th className="py-1 pr-2">
+                    Zone {first.requirements.zone} prescriptive
+                  </th>
+                  <th className="py-1 pr-2">Required</th>
+                  {results.map((r) => (
+                    <th key={r.id} className="py-1 pr-2">
+                      {r.name}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => (
+                  <tr key={row.key} className="border-t">
+                    <td className="py-1 pr-2 font-medium">{row.label}</td>
+                    <td className="py-1 pr-2">{row.required}</td>
+                    {results.map((r) => (
+                      <td key={r.id} className="py-1 pr-2">
+                        {row.cell(r)}{" "}
+                        <PassFail pass={checkOf(r, row.key).pass} />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+                <tr className="border-t">
+                  <td className="py-1 pr-2 font-medium">Prescriptive path</td>
+                  <td className="py-1 pr-2" />
+                  {results.map((r) => (
+                    <td key={r.id} className="py-1 pr-2">
+                      <PassFail pass={r.compliance.prescriptivePass} />
+                    </td>
+                  ))}
+                </tr>
+                <tr className="border-t">
+                  <td className="py-1 pr-2 font-medium">
+                    Total UA (proposed / code, BTU/hr·°F)
+                  </td>
+                  <td className="py-1 pr-2">Proposed ≤ code</td>
+                  {results.map((r) => (
+                    <td key={r.id} className="py-1 pr-2">
+                      {r.compliance.ua.proposed.toFixed(0)} /{" "}
+                      {r.compliance.ua.code.toFixed(0)} (
+                      {(r.compliance.ua.margin * 100).toFixed(1)}%){" "}
+                      <PassFail pass={r.compliance.ua.pass} />
+                    </td>
+                  ))}
+                </tr>
+                <tr className="border-t">
+                  <td className="py-1 pr-2 font-medium">Complies</td>
+                  <td className="py-1 pr-2">Air leakage + either path</td>
+                  {results.map((r) => (
+                    <td key={r.id} className="py-1 pr-2">
+                      <PassFail pass={r.compliance.pass} />
+                    </td>
+                  ))}
+                </tr>
+              </tbody>
+            </table>
+          </div>
+          <div className="mt-2 text-xs text-slate-500">
+            Wall cavity and continuous insulation are nominal R-values; steel
+            and custom-layer walls are checked by U-factor only. The UA
+            alternative compares the rated envelope (walls, windows, doors,
+            ceilings, floors, slab, basement) with the same areas at the code
+            U-factors; the margin is how much lower the proposed UA is. A
+            screening check, not a substitute for REScheck or a code official.
+          </div>
+        </>
+      )}
+    </div>
+  );
 }
 
-function calcCavityR(depth, insulationKey) {
-  const d = depth; // inches
-  switch (insulationKey) {
-    case "fiberglass":
-      return d * R_PER_INCH.fiberglass;
-    case "mineralwool":
-      return d * R_PER_INCH.mineralwool;
-    case "ocspf":
-      return d * R_PER_INCH.ocspf;
-    case "ccspf":
-      return d * R_PER_INCH.ccspf;
-    case "flashbatt": {
-      const foam = 1 * R_PER_INCH.ccspf;
-      const remaining = Math.max(0, d - 1) * R_PER_INCH.fiberglass;
-      return foam + remaining;
-    }
-    default:
-      return d * R_PER_INCH.fiberglass;
-  }
+function VentilationEditor({ state, loads, onChange }) {
+  const ventilation = state.ventilation;
+  const type =
+    VENTILATION_TYPES.find((t) => t.key === ventilation.typeKey) ||
+    VENTILATION_TYPES[0];
+  const set = (patch) =>
+    onChange({ ventilation: { ...ventilation, ...patch } });
+  const vent = loads.ventilation;
+
+  return (
+    <div className="col-span-1 md:col-span-2">
+      <label className="block text-sm font-medium">
+        Mechanical Ventilation
+      </label>
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-2 mt-1 text-sm">
+        <select
+          className="rounded-lg border px-3 py-2"
+          value={ventilation.typeKey}
+          onChange={(e) => {
+            const next = VENTILATION_TYPES.find(
+              (t) => t.key === e.target.value
+            );
+            // Picking a type loads its typical recovery and fan efficacy
+            set({
+              typeKey: next.key,
+              sensibleRecovery: next.sensibleRecovery,
+              latentRecovery: next.latentRecovery,
+              wattsPerCfm: next.wattsPerCfm,
+            });
+          }}
+        >
+          {VENTILATION_TYPES.map((o) => (
+            <option key={o.key} value={o.key}>
+              {o.label}
+            </option>
+          ))}
+        </select>
+        {type.key !== "none" && (
+          <>
+            <select
+              className="rounded-lg border px-3 py-2"
+              value={ventilation.cfmMode}
+              onChange={(e) => set({ cfmMode: e.target.value })}
+            >
+              {VENTILATION_CFM_MODES.map((o) => (
+                <option key={o.key} value={o.key}>
+                  {o.label}
+                </option>
+              ))}
+            </select>
+            {ventilation.cfmMode === "manual" && (
+              <label className="block text-xs text-slate-600">
+                Fan CFM
+                <input
+                  type="number"
+                  min={0}
+                  step={5}
+                  className="w-full rounded border px-2 py-1"
+                  value={ventilation.cfm}
+                  onChange={(e) => set({ cfm: Number(e.target.value) })}
+                />
+              </label>
+            )}
+          </>
+        )}
+      </div>
+      {type.key !== "none" && (
+        <div className="grid grid-cols-3 gap-2 mt-2 text-xs text-slate-600">
+          {VENTILATION_FIELDS.filter(
+            (f) => type.balanced || f.key === "wattsPerCfm"
+          ).map((f) => (
+            <label key={f.key} className="block">
+              {f.label}
+              <input
+                type="number"
+                min={0}
+                max={f.key === "wattsPerCfm" ? undefined : 1}
+                step={f.step}
+                className="w-full rounded border px-2 py-1"
+                value={ventilation[f.key]}
+                onChange={(e) => set({ [f.key]: Number(e.target.value) })}
+              />
+            </label>
+          ))}
+        </div>
+      )}
+      <div className="mt-2 text-xs text-slate-600">
+        62.2 required {vent.requiredCfm.toFixed(0)} CFM
+        {type.key !== "none" && (
+          <>
+            {" "}
+            · fan {vent.fanCfm.toFixed(0)} CFM ·{" "}
+            {(vent.fanCfm * ventilation.wattsPerCfm).toFixed(0)} W ·{" "}
+            {vent.fanKWh.toFixed(0)} kWh/yr
+          </>
+        )}
+      </div>
+      {type.key === "none" && state.ach50 <= VENTILATION_WARNING_ACH50 && (
+        <div className="mt-1 text-xs text-amber-700">
+          At {state.ach50} ACH50 the house needs mechanical ventilation; add an
+          exhaust, HRV or ERV system.
+        </div>
+      )}
+    </div>
+  );
+}
+
+function InfiltrationEditor({ shared, onChange }) {
+  const infiltration = shared.infiltration;
+  const set = (patch) =>
+    onChange({ infiltration: { ...infiltration, ...patch } });
+  const lbl = infiltration.method === "lbl";
+  const refAch50 = referenceAch50(shared.hers.reference, shared);
+  const ref = calcNaturalInfiltration({
+    ach50: refAch50,
+    ach50ToNatFactor: shared.hers.ach50ToNatFactor,
+    shared,
+  });
+
+  return (
+    <div className="mt-3 text-sm">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <label className="block">
+          Method
+          <select
+            className="w-full mt-1 rounded border px-2 py-1"
+            value={infiltration.method}
+            onChange={(e) => set({ method: e.target.value })}
+          >
+            {INFILTRATION_METHODS.map((o) => (
+              <option key={o.key} value={o.key}>
+                {o.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {lbl ? (
+          <>
+            <label className="block">
+              Shielding
+              <select
+                className="w-full mt-1 rounded border px-2 py-1"
+                value={infiltration.shieldingKey}
+                onChange={(e) => set({ shieldingKey: e.target.value })}
+              >
+                {SHIELDING_CLASSES.map((o) => (
+                  <option key={o.key} value={o.key}>
+                    {o.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="block">
+              Average wind speed (mph)
+              <input
+                type="number"
+                min={0}
+                step={0.5}
+                className="w-full mt-1 rounded border px-2 py-1"
+                value={infiltration.windSpeedMph}
+                onChange={(e) => set({ windSpeedMph: Number(e.target.value) })}
+              />
+            </label>
+            <label className="block">
+              Flow exponent n
+              <input
+                type="number"
+                min={0.5}
+                max={1}
+                step={0.01}
+                className="w-full mt-1 rounded border px-2 py-1"
+                value={infiltration.flowExponent}
+                onChange={(e) => set({ flowExponent: Number(e.target.value) })}
+              />
+            </label>
+          </>
+        ) : (
+          <label className="block">
+            ACH50 → ACHnat factor
+            <input
+              type="number"
+              step="0.005"
+              className="w-full mt-1 rounded border px-2 py-1"
+              value={shared.hers.ach50ToNatFactor}
+              onChange={(e) =>
+                onChange({
+                  hers: {
+                    ...shared.hers,
+                    ach50ToNatFactor: Number(e.target.value),
+                  },
+                })
+              }
+            />
+          </label>
+        )}
+      </div>
+      <div className="mt-2 text-xs text-slate-500">
+        {lbl
+          ? `Leakage area from each scenario's CFM50, stack effect from ${shared.stories} stories and the climate's mean temperature difference, wind from the shielding class. `
+          : "Natural infiltration is ACH50 × the factor. "}
+        Reference home at {refAch50.toFixed(1)} ACH50: ACHnat ≈{" "}
+        {ref.ACHnat.toFixed(2)} h⁻¹ (N ≈ {ref.nFactor.toFixed(1)}
+        {ref.elaIn2 !== null && <>, ELA ≈ {ref.elaIn2.toFixed(0)} in²</>}).
+      </div>
+    </div>
+  );
 }
 
-function calcWholeWallR({
-  framingDepthIn,
-  cavityInsulationKey,
-  exteriorSheathingKey,
-  exteriorContinuousR, // New parameter
-  interiorPolyiso,
-  framingFactor = 0.23,
-}) {
-  const depth = framingDepthIn; // inches
-  const rCavity = calcCavityR(depth, cavityInsulationKey);
-  const rWoodStud = depth * R_PER_INCH.wood;
-  const ext = EXTERIOR_SHEATHING.find((x) => x.key === exteriorSheathingKey);
-
-  // Determine the R-value of the sheathing layer itself.
-  // Standard OSB is R-0.62, while insulated sheathing has its own value.
-  const rSheathing = ext?.rContinuous > 0 ? ext.rContinuous : LAYER_R.osb716;
-
-  const rInteriorThermalBreak = interiorPolyiso
-    ? LAYER_R.interiorPolyisoHalf
-    : 0;
-
-  // Add the R-value from the new continuous foam layer
-  const rExteriorContinuous = exteriorContinuousR || 0;
-
-  // Common layers NOT including sheathing
-  const rCommon = LAYER_R.airFilms + LAYER_R.drywallHalf + LAYER_R.siding;
-
-  // Add the distinct sheathing R-value AND new continuous foam to both paths
-  const rStudPath =
-    rCommon +
-    rInteriorThermalBreak +
-    rSheathing +
-    rWoodStud +
-    rExteriorContinuous;
-  const rCavityPath =
-    rCommon +
-    rInteriorThermalBreak +
-    rSheathing +
-    rCavity +
-    rExteriorContinuous;
-
-  // Area-weighted effective R
-  const uEff = framingFactor / rStudPath + (1 - framingFactor) / rCavityPath;
-  const rEff = 1 / uEff;
-  return { rEff, rStudPath, rCavityPath };
-}
+const HEAT_PUMP_POINT_TEMPS = [47, 17, 5];
 
-function ach50ToAchnat(ach50, factor) {
-  return ach50 * factor; // user-editable factor (default 0.07)
-}
+function HeatPumpEditor({ hvac, design, onChange }) {
+  const set = (patch) => onChange({ ...hvac, ...patch });
+  const setPoint = (key, value) =>
+    set({ heatPumpPoints: { ...hvac.heatPumpPoints, [key]: value } });
+  const rating = hvac.heatPumpRating;
+  const curve = heatPumpCurve(hvac, ratedHeatPumpCapacity(hvac, design));
 
-function calcLoadsAndCosts({
-  wallAreaFt2,
-  volumeFt3,
-  HDD65,
-  CDD65,
-  rEff,
-  ach50,
-  ach50ToNatFactor,
-  econ,
-  hvac,
-}) {
-  const U = 1 / rEff; // BTU/hr·ft²·°F
-
-  // Conduction through walls only
-  const Qh_cond_BTU = U * wallAreaFt2 * HDD65 * 24;
-  const Qc_cond_BTU = U * wallAreaFt2 * CDD65 * 24;
-
-  // Infiltration (whole-house, influenced by ACH)
-  const ACHnat = ach50ToAchnat(ach50, ach50ToNatFactor);
-  const Qh_inf_BTU = 0.432 * ACHnat * volumeFt3 * HDD65;
-  const Qc_inf_BTU = 0.432 * ACHnat * volumeFt3 * CDD65;
-
-  const Qh_total_BTU = Qh_cond_BTU + Qh_inf_BTU;
-  const Qc_total_BTU = Qc_cond_BTU + Qc_inf_BTU;
-
-  // Energy use/costs (heat pump for heating in v1)
-  const kWhHeat = Qh_total_BTU / 3412 / Math.max(0.5, hvac.heatPumpCOP);
-  const kWhCool = Qc_total_BTU / (Math.max(8, hvac.coolingSEER) * 1000);
-
-  const costHeat = kWhHeat * econ.elecPricePerKWh;
-  const costCool = kWhCool * econ.elecPricePerKWh;
-
-  return {
-    Qh_cond_BTU,
-    Qc_cond_BTU,
-    Qh_inf_BTU,
-    Qc_inf_BTU,
-    Qh_total_BTU,
-    Qc_total_BTU,
-    kWhHeat,
-    kWhCool,
-    costHeat,
-    costCool,
-    annualCost: costHeat + costCool,
-    ACHnat,
-  };
+  return (
+    <div className="mt-3 text-sm">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <label className="block">
+          Rating
+          <select
+            className="w-full mt-1 rounded border px-2 py-1"
+            value={rating}
+            onChange={(e) => set({ heatPumpRating: e.target.value })}
+          >
+            {HEAT_PUMP_RATINGS.map((o) => (
+              <option key={o.key} value={o.key}>
+                {o.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {rating === "hspf2" && (
+          <>
+            <label className="block">
+              Unit type
+              <select
+                className="w-full mt-1 rounded border px-2 py-1"
+                value={hvac.heatPumpModelKey}
+                onChange={(e) => {
+                  const model = HEAT_PUMP_MODELS.find(
+                    (m) => m.key === e.target.value
+                  );
+                  set({
+                    heatPumpModelKey: model.key,
+                    hspf2: model.hspf2,
+                    coolingSEER2: model.seer2,
+                  });
+                }}
+              >
+                {HEAT_PUMP_MODELS.map((o) => (
+                  <option key={o.key} value={o.key}>
+                    {o.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="block">
+              HSPF2
+              <input
+                type="number"
+                min={1}
+                step={0.1}
+                className="w-full mt-1 rounded border px-2 py-1"
+                value={hvac.hspf2}
+                onChange={(e) => set({ hspf2: Number(e.target.value) })}
+              />
+            </label>
+            <label className="block">
+              Capacity
+              <select
+                className="w-full mt-1 rounded border px-2 py-1"
+                value={hvac.heatPumpCapacityMode}
+                onChange={(e) => set({ heatPumpCapacityMode: e.target.value })}
+              >
+                {HEAT_PUMP_CAPACITY_MODES.map((o) => (
+                  <option key={o.key} value={o.key}>
+                    {o.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            {hvac.heatPumpCapacityMode === "manual" && (
+              <label className="block">
+                Capacity at 47°F (BTU/h)
+                <input
+                  type="number"
+                  min={0}
+                  step={1000}
+                  className="w-full mt-1 rounded border px-2 py-1"
+                  value={hvac.heatPumpCapacityBtuh}
+                  onChange={(e) =>
+                    set({ heatPumpCapacityBtuh: Number(e.target.value) })
+                  }
+                />
+              </label>
+            )}
+          </>
+        )}
+        {rating === "cop" && (
+          <label className="block">
+            Seasonal COP
+            <input
+              type="number"
+              step={0.1}
+              className="w-full mt-1 rounded border px-2 py-1"
+              value={hvac.heatPumpCOP}
+              onChange={(e) => set({ heatPumpCOP: Number(e.target.value) })}
+            />
+          </label>
+        )}
+      </div>
+      {curve && (
+        <table className="mt-3 text-xs w-full md:w-auto">
+          <thead>
+            <tr className="text-left text-slate-500">
+              <th className="pr-4">Outdoor</th>
+              <th className="pr-4">Capacity (BTU/h)</th>
+              <th>COP</th>
+            </tr>
+          </thead>
+          <tbody>
+            {HEAT_PUMP_POINT_TEMPS.map((t) => {
+              const point = curve.points.find((p) => p.tempF === t);
+              return (
+                <tr key={t}>
+                  <td className="pr-4 py-1">{t}°F</td>
+                  {rating === "points" ? (
+                    <>
+                      <td className="pr-4">
+                        <input
+                          type="number"
+                          min={0}
+                          step={1000}
+                          className="w-28 rounded border px-2 py-1"
+                          value={hvac.heatPumpPoints[`capacity${t}`]}
+                          onChange={(e) =>
+                            setPoint(`capacity${t}`, Number(e.target.value))
+                          }
+                        />
+                      </td>
+                      <td>
+                        <input
+                          type="number"
+                          min={1}
+                          step={0.1}
+                          className="w-20 rounded border px-2 py-1"
+                          value={hvac.heatPumpPoints[`cop${t}`]}
+                          onChange={(e) =>
+                            setPoint(`cop${t}`, Number(e.target.value))
+                          }
+                        />
+                      </td>
+                    </>
+                  ) : (
+                    <>
+                      <td className="pr-4">
+                        {Number.isFinite(point.capacityBtuh)
+                          ? point.capacityBtuh.toFixed(0)
+                          : "—"}
+                      </td>
+                      <td>{point.cop.toFixed(2)}</td>
+                    </>
+                  )}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+      <div className="mt-2 text-xs text-slate-500">
+        {rating === "cop"
+          ? "One COP for the season (2%/°F around 35°F in hourly mode) and no capacity limit — how projects saved before performance curves were modeled."
+          : "COP and capacity follow outdoor temperature; heating the heat pump cannot cover goes to electric resistance backup."}
+        {rating === "hspf2" &&
+          hvac.heatPumpCapacityMode === "design" &&
+          ` Sized from the first scenario's design loads here; each scenario is sized from its own.`}
+      </div>
+    </div>
+  );
 }
 
-function estimateSTC({ framingKey, cavityInsulationKey }) {
-  // Heuristic for relative comparison (bounded 28–55)
-  let stc = 33; // base 2x4 empty
-  if (framingKey === "2x6") stc += 2;
-  switch (cavityInsulationKey) {
-    case "fiberglass":
-      stc += 3;
-      break;
-    case "mineralwool":
-      stc += 5;
-      break;
-    case "ocspf":
-      stc += 2;
-      break;
-    case "ccspf":
-      stc += 1;
-      break;
-    case "flashbatt":
-      stc += 4;
-      break;
-    default:
-      break;
-  }
-  return Math.max(28, Math.min(55, Math.round(stc)));
-}
+const DUCT_FIELDS = [
+  { key: "leakageCfm25", label: "Leakage to outside (CFM25)", step: 10 },
+  { key: "insulationR", label: "Duct insulation R", step: 1 },
+  { key: "supplyAreaFt2", label: "Supply area (ft²)", step: 10 },
+  { key: "returnAreaFt2", label: "Return area (ft²)", step: 10 },
+];
 
-// --- Whole-house HERS model (simplified & transparent) ---
-function wallGrossAreaFromNet(netOpaqueFt2, wwr) {
-  const gross = netOpaqueFt2 / Math.max(0.01, 1 - wwr);
-  return { gross, windowArea: gross * wwr };
-}
+function DuctsEditor({ state, loads, onChange }) {
+  const ducts = state.ducts;
+  const set = (patch) => onChange({ ducts: { ...ducts, ...patch } });
 
-function calcWholeHouseKWh({
-  scenarioWholeWallR,
-  ach50,
-  ach50ToNatFactor,
-  shared,
-  hers,
-}) {
-  const {
-    wallAreaFt2,
-    conditionedFloorArea,
-    avgCeilingHeight,
-    stories,
-    windowToWallRatio,
-  } = shared;
-  const volumeFt3 = conditionedFloorArea * avgCeilingHeight; // total house volume approx
-  const { windowArea } = wallGrossAreaFromNet(wallAreaFt2, windowToWallRatio);
-  const ceilingArea = conditionedFloorArea / Math.max(1, stories);
-
-  // U-values
-  const U_wall = 1 / scenarioWholeWallR; // walls include films; ok
-  const U_win = hers.rated.windowU; // NFRC U includes films; use directly
-  const U_ceiling = 1 / (hers.rated.ceilingR + LAYER_R.airFilms); // align with wall treatment
-
-  // Degree days
-  const { HDD65, CDD65 } = shared;
-
-  // Conduction loads (BTU)
-  const Qh_wall = U_wall * wallAreaFt2 * HDD65 * 24;
-  const Qc_wall = U_wall * wallAreaFt2 * CDD65 * 24;
-
-  const Qh_win = U_win * windowArea * HDD65 * 24;
-  const Qc_win = U_win * windowArea * CDD65 * 24;
-
-  const Qh_ceil = U_ceiling * ceilingArea * HDD65 * 24;
-  const Qc_ceil = U_ceiling * ceilingArea * CDD65 * 24;
-
-  // Infiltration (whole-house)
-  const ACHnat = ach50ToAchnat(ach50, ach50ToNatFactor);
-  const Qh_inf = 0.432 * ACHnat * volumeFt3 * HDD65;
-  const Qc_inf = 0.432 * ACHnat * volumeFt3 * CDD65;
-
-  // Totals
-  const Qh_total = Qh_wall + Qh_win + Qh_ceil + Qh_inf;
-  const Qc_total = Qc_wall + Qc_win + Qc_ceil + Qc_inf;
-
-  // Convert to energy
-  const kWhHeat = Qh_total / 3412 / Math.max(0.5, shared.hvac.heatPumpCOP);
-  const kWhCool = Qc_total / (Math.max(8, shared.hvac.coolingSEER) * 1000);
-
-  return { kWhHeat, kWhCool, ACHnat, windowArea, ceilingArea };
+  return (
+    <div className="col-span-1 md:col-span-2">
+      <label className="block text-sm font-medium">Duct System</label>
+      <select
+        className="w-full mt-1 rounded-lg border px-3 py-2"
+        value={ducts.locationKey}
+        onChange={(e) => set({ locationKey: e.target.value })}
+      >
+        {DUCT_LOCATIONS.map((o) => (
+          <option key={o.key} value={o.key}>
+            {o.label}
+          </option>
+        ))}
+      </select>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mt-2 text-xs text-slate-600">
+        {DUCT_FIELDS.map((f) => (
+          <label key={f.key} className="block">
+            {f.label}
+            <input
+              type="number"
+              min={0}
+              step={f.step}
+              className="w-full rounded border px-2 py-1"
+              value={ducts[f.key]}
+              onChange={(e) => set({ [f.key]: Number(e.target.value) })}
+            />
+          </label>
+        ))}
+      </div>
+      <div className="mt-2 text-xs text-slate-600">
+        Distribution efficiency: heating{" "}
+        <b>{(loads.distribution.heating * 100).toFixed(0)}%</b> · cooling{" "}
+        <b>{(loads.distribution.cooling * 100).toFixed(0)}%</b>
+      </div>
+    </div>
+  );
 }
 
-function calcReferenceWholeHouseKWh({
-  referenceWholeWallR,
-  refAch50,
-  ach50ToNatFactor,
+function ScenarioCard({
+  state,
+  result,
+  onChange,
   shared,
-  hers,
+  color,
+  isBaseline,
+  onDuplicate,
+  onDelete,
+  onMoveUp,
+  onMoveDown,
 }) {
-  // Same geometry as rated (RESNET uses a reference home of same size/shape)
   const {
-    wallAreaFt2,
-    conditionedFloorArea,
-    avgCeilingHeight,
-    stories,
-    windowToWallRatio,
-  } = shared;
-  const volumeFt3 = conditionedFloorArea * avgCeilingHeight;
-  const { windowArea } = wallGrossAreaFromNet(wallAreaFt2, windowToWallRatio);
-  const ceilingArea = conditionedFloorArea / Math.max(1, stories);
-
-  const U_wall = 1 / referenceWholeWallR;
-  const U_win = hers.reference.windowU;
-  const U_ceil = 1 / (hers.reference.ceilingR + LAYER_R.airFilms);
-
-  const { HDD65, CDD65 } = shared;
-
-  const Qh_wall = U_wall * wallAreaFt2 * HDD65 * 24;
-  const Qc_wall = U_wall * wallAreaFt2 * CDD65 * 24;
-
-  const Qh_win = U_win * windowArea * HDD65 * 24;
-  const Qc_win = U_win * windowArea * CDD65 * 24;
-
-  // ✅ FIX: define ceiling loads before using in totals
-  const Qh_ceil = U_ceil * ceilingArea * HDD65 * 24;
-  const Qc_ceil = U_ceil * ceilingArea * CDD65 * 24;
-
-  const ACHnat = ach50ToAchnat(refAch50, ach50ToNatFactor);
-  const Qh_inf = 0.432 * ACHnat * volumeFt3 * HDD65;
-  const Qc_inf = 0.432 * ACHnat * volumeFt3 * CDD65;
-
-  const Qh_total = Qh_wall + Qh_win + Qh_ceil + Qh_inf;
-  const Qc_total = Qc_wall + Qc_win + Qc_ceil + Qc_inf;
-
-  const kWhHeat = Qh_total / 3412 / Math.max(0.5, shared.hvac.heatPumpCOP);
-  const kWhCool = Qc_total / (Math.max(8, shared.hvac.coolingSEER) * 1000);
-
-  return { kWhHeat, kWhCool };
-}
-
-function estimateHERSIndex({
-  ratedKWhHeat,
-  ratedKWhCool,
-  refKWhHeat,
-  refKWhCool,
-  otherKWh,
-}) {
-  const rated = ratedKWhHeat + ratedKWhCool + otherKWh;
-  const ref = refKWhHeat + refKWhCool + otherKWh;
-  if (ref <= 0) return 100; // guard
-  return 100 * (rated / ref);
-}
-
-// --- Minimal test harness ---
-function isFiniteNum(x) {
-  return Number.isFinite(x) && !Number.isNaN(x);
-}
-function runUnitTests() {
-  const results = [];
-  const ok = (name, cond) => results.push({ name, pass: !!cond });
-  const approxEq = (a, b, tol = 1e-9) => Math.abs(a - b) <= tol;
-
-  // Common test params
-  const shared = {
-    HDD65: 3450,
-    CDD65: 1730,
-    wallAreaFt2: 3000,
-    conditionedFloorArea: 3500,
-    avgCeilingHeight: 9,
-    stories: 2,
-    windowToWallRatio: 0.15,
-    econ: { elecPricePerKWh: 0.14 },
-    hvac: { heatPumpCOP: 3, coolingSEER: 15 },
-  };
-  const hers = JSON.parse(JSON.stringify(HERS_DEFAULTS));
-
-  // Test 1: whole-wall R increases from 2x4 FG to 2x6 FG
-  const R_24 = calcWholeWallR({
-    framingDepthIn: 3.5,
-    cavityInsulationKey: "fiberglass",
-    exteriorSheathingKey: "osbwrap",
-    exteriorContinuousR: 0,
-    interiorPolyiso: false,
-    framingFactor: 0.23,
-  }).rEff;
-  const R_26 = calcWholeWallR({
-    framingDepthIn: 5.5,
-    cavityInsulationKey: "fiberglass",
-    exteriorSheathingKey: "osbwrap",
-    exteriorContinuousR: 0,
-    interiorPolyiso: false,
-    framingFactor: 0.23,
-  }).rEff;
-  ok("R(2x6 FG) > R(2x4 FG)", R_26 > R_24);
-
-  // Test 2: whole-house calc returns finite values
-  const ratedWH = calcWholeHouseKWh({
-    scenarioWholeWallR: R_24,
-    ach50: 5,
-    ach50ToNatFactor: 0.07,
-    shared,
-    hers,
-  });
-  ok(
-    "rated kWh finite",
-    isFiniteNum(ratedWH.kWhHeat) && isFiniteNum(ratedWH.kWhCool)
-  );
-
-  // Test 3: reference calc does not throw and returns finite
-  const refWallR = calcWholeWallR({
-    framingDepthIn: 3.5,
-    cavityInsulationKey: "fiberglass",
-    exteriorSheathingKey: "osbwrap",
-    exteriorContinuousR: 0,
-    interiorPolyiso: false,
-    framingFactor: 0.23,
-  }).rEff;
-  const refWH = calcReferenceWholeHouseKWh({
-    referenceWholeWallR: refWallR,
-    refAch50: 7,
-    ach50ToNatFactor: 0.07,
-    shared,
-    hers,
-  });
-  ok(
-    "reference kWh finite",
-    isFiniteNum(refWH.kWhHeat) && isFiniteNum(refWH.kWhCool)
-  );
-
-  // Test 4: lower ACH50 should reduce heating kWh (all else equal)
-  const infilHi = calcWholeHouseKWh({
-    scenarioWholeWallR: R_24,
-    ach50: 7,
-    ach50ToNatFactor: 0.07,
-    shared,
-    hers,
-  });
-  const infilLo = calcWholeHouseKWh({
-    scenarioWholeWallR: R_24,
-    ach50: 3,
-    ach50ToNatFactor: 0.07,
-    shared,
-    hers,
-  });
-  ok("ACH50 3 < 7 reduces kWhHeat", infilLo.kWhHeat < infilHi.kWhHeat);
-
-  // Test 5: HERS == 100 when rated == reference
-  const hers100 = estimateHERSIndex({
-    ratedKWhHeat: refWH.kWhHeat,
-    ratedKWhCool: refWH.kWhCool,
-    refKWhHeat: refWH.kWhHeat,
-    refKWhCool: refWH.kWhCool,
-    otherKWh: 6000,
-  });
-  ok("HERS 100 when rated==ref", approxEq(hers100, 100, 1e-6));
-
-  return results;
-}
-const TEST_RESULTS = runUnitTests();
-
-function ScenarioCard({ title, state, onChange, shared }) {
-  const framing =
-    FRAMING_OPTIONS.find((f) => f.key === state.framingKey) ||
-    FRAMING_OPTIONS[0];
-  const wholeWall = React.useMemo(() => {
-    const exteriorFoam = EXTERIOR_CONTINUOUS_INSULATION.find(
-      (o) => o.key === state.exteriorContinuousKey
-    ) || { rValue: 0 };
-
-    return calcWholeWallR({
-      framingDepthIn: framing.depth,
-      cavityInsulationKey: state.cavityKey,
-      exteriorSheathingKey: state.sheathingKey,
-      exteriorContinuousR: exteriorFoam.rValue,
-      interiorPolyiso: state.interiorPolyiso,
-      framingFactor: state.framingFactor,
-    });
-  }, [
-    framing.depth,
-    state.cavityKey,
-    state.sheathingKey,
-    state.exteriorContinuousKey, // Add this dependency
-    state.interiorPolyiso,
-    state.framingFactor,
-  ]);
-
-  const volumeFt3 = shared.conditionedFloorArea * shared.avgCeilingHeight;
-
-  const loads = React.useMemo(
-    () =>
-      calcLoadsAndCosts({
-        wallAreaFt2: shared.wallAreaFt2,
-        volumeFt3,
-        HDD65: shared.HDD65,
-        CDD65: shared.CDD65,
-        rEff: wholeWall.rEff,
-        ach50: state.ach50,
-        ach50ToNatFactor: shared.hers.ach50ToNatFactor,
-        econ: shared.econ,
-        hvac: shared.hvac,
-      }),
-    [
-      shared.wallAreaFt2,
-      volumeFt3,
-      shared.HDD65,
-      shared.CDD65,
-      wholeWall.rEff,
-      state.ach50,
-      shared.hers.ach50ToNatFactor,
-      shared.econ,
-      shared.hvac,
-    ]
+    wholeWall,
+    loads,
+    costs,
+    hers: hersIndex,
+    design,
+    compliance,
+  } = result;
+  // Components the house doesn't have (no slab, no basement, ...) are hidden
+  const breakdown = result.breakdown.filter(
+    (row) => row.Qh !== 0 || row.Qc !== 0 || row.kWhFan !== 0
   );
 
   const stc = React.useMemo(
@@ -588,95 +2598,115 @@ function ScenarioCard({ title, state, onChange, shared }) {
     [state.framingKey, state.cavityKey]
   );
 
-  // HERS (rated vs reference)
-  const ratedWH = React.useMemo(
-    () =>
-      calcWholeHouseKWh({
-        scenarioWholeWallR: wholeWall.rEff,
-        ach50: state.ach50,
-        ach50ToNatFactor: shared.hers.ach50ToNatFactor,
-        shared,
-        hers: shared.hers,
-      }),
-    [wholeWall.rEff, state.ach50, shared]
-  );
-
-  // Calculate costs based on whole-house energy use (walls + windows + ceilings + infiltration)
-  const wholeHouseCosts = React.useMemo(() => {
-    const costHeat = ratedWH.kWhHeat * shared.econ.elecPricePerKWh;
-    const costCool = ratedWH.kWhCool * shared.econ.elecPricePerKWh;
-    return { costHeat, costCool, annualCost: costHeat + costCool };
-  }, [ratedWH, shared.econ.elecPricePerKWh]);
-
+  // One stacked bar per season (plus ventilation fans when there are any),
+  // one segment per envelope component
   const chartData = [
-    { name: "Heating", Cost: wholeHouseCosts.costHeat },
-    { name: "Cooling", Cost: wholeHouseCosts.costCool },
-  ];
-
-  const refWall = React.useMemo(
-    () =>
-      calcWholeWallR({
-        framingDepthIn:
-          FRAMING_OPTIONS.find(
-            (f) => f.key === shared.hers.reference.framingKey
-          )?.depth || 3.5,
-        cavityInsulationKey: shared.hers.reference.cavityKey,
-        exteriorSheathingKey: shared.hers.reference.sheathingKey,
-        exteriorContinuousR: 0, // Add this for the reference home
-        interiorPolyiso: shared.hers.reference.interiorPolyiso,
-        framingFactor: state.framingFactor,
-      }),
-    [shared.hers.reference, state.framingFactor]
-  );
-
-  const refWH = React.useMemo(
-    () =>
-      calcReferenceWholeHouseKWh({
-        referenceWholeWallR: refWall.rEff,
-        refAch50: shared.hers.reference.ach50,
-        ach50ToNatFactor: shared.hers.ach50ToNatFactor,
-        shared,
-        hers: shared.hers,
-      }),
-    [refWall.rEff, shared]
-  );
-
-  const hersIndex = React.useMemo(
-    () =>
-      estimateHERSIndex({
-        ratedKWhHeat: ratedWH.kWhHeat,
-        ratedKWhCool: ratedWH.kWhCool,
-        refKWhHeat: refWH.kWhHeat,
-        refKWhCool: refWH.kWhCool,
-        otherKWh: shared.hers.otherSiteEnergyKWh,
-      }),
-    [ratedWH, refWH, shared.hers.otherSiteEnergyKWh]
-  );
+    { name: "Heating", costKey: "costHeat" },
+    { name: "Cooling", costKey: "costCool" },
+    ...(loads.kWhFan > 0 ? [{ name: "Fans", costKey: "costFan" }] : []),
+  ].map(({ name, costKey }) => ({
+    name,
+    ...Object.fromEntries(breakdown.map((row) => [row.key, row[costKey]])),
+  }));
 
   return (
-    <div className="rounded-2xl shadow-lg p-5 bg-white border border-slate-200">
-      <div className="flex items-center justify-between mb-3">
-        <h3 className="text-xl font-semibold">{title}</h3>
-        <div className="flex gap-4 text-sm text-slate-600">
+    <div
+      className="rounded-2xl shadow-lg p-5 bg-white border border-slate-200 border-t-4"
+      style={{ borderTopColor: color }}
+    >
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <div className="flex items-center gap-2">
+          <input
+            className="text-xl font-semibold rounded-lg border border-transparent hover:border-slate-200 px-1 w-48"
+            value={state.name}
+            onChange={(e) => onChange({ name: e.target.value })}
+            aria-label="Scenario name"
+          />
+          {isBaseline && (
+            <span className="rounded-full bg-slate-100 px-2 py-0.5 text-xs text-slate-600">
+              Baseline
+            </span>
+          )}
+        </div>
+        <div className="flex gap-1 text-sm">
+          <button
+            type="button"
+            className="rounded border px-2 disabled:opacity-40"
+            onClick={onMoveUp}
+            disabled={!onMoveUp}
+            title="Move up"
+          >
+            ↑
+          </button>
+          <button
+            type="button"
+            className="rounded border px-2 disabled:opacity-40"
+            onClick={onMoveDown}
+            disabled={!onMoveDown}
+            title="Move down"
+          >
+            ↓
+          </button>
+          <button
+            type="button"
+            className="rounded border px-2"
+            onClick={onDuplicate}
+          >
+            Duplicate
+          </button>
+          <button
+            type="button"
+            className="rounded border px-2 text-red-700 disabled:opacity-40"
+            onClick={onDelete}
+            disabled={!onDelete}
+          >
+            Delete
+          </button>
+        </div>
+        <div className="flex gap-4 text-sm text-slate-600 w-full">
           <span>
             Whole‑Wall R: <b>{wholeWall.rEff.toFixed(1)}</b>
           </span>
+          <span>
+            Framing: <b>{(result.framingFactor * 100).toFixed(0)}%</b>
+          </span>
           <span>
             Est. HERS: <b>{hersIndex.toFixed(0)}</b>
           </span>
+          {compliance && (
+            <span>
+              IECC {compliance.editionKey}:{" "}
+              <b
+                className={
+                  compliance.pass ? "text-emerald-700" : "text-red-700"
+                }
+              >
+                {compliance.pass ? "Pass" : "Fail"}
+              </b>
+            </span>
+          )}
         </div>
       </div>
 
       {/* Inputs */}
       <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-        <div>
-          <label className="block text-sm font-medium">Framing</label>
+        <div className="md:col-span-2">
+          <label className="block text-sm font-medium">Wall Assembly</label>
           <select
             className="w-full mt-1 rounded-lg border px-3 py-2"
-            value={state.framingKey}
-            onChange={(e) => onChange({ framingKey: e.target.value })}
+            value={state.wallMode}
+            onChange={(e) =>
+              onChange({
+                wallMode: e.target.value,
+                // Start the layer builder from the current preset
+                ...(e.target.value === "layers" &&
+                  state.layers.length === 0 && {
+                    layers: presetToLayers(state),
+                  }),
+              })
+            }
           >
-            {FRAMING_OPTIONS.map((o) => (
+            {WALL_MODES.map((o) => (
               <option key={o.key} value={o.key}>
                 {o.label}
               </option>
@@ -684,55 +2714,99 @@ function ScenarioCard({ title, state, onChange, shared }) {
           </select>
         </div>
 
-        <div>
-          <label className="block text-sm font-medium">Cavity Insulation</label>
-          <select
-            className="w-full mt-1 rounded-lg border px-3 py-2"
-            value={state.cavityKey}
-            onChange={(e) => onChange({ cavityKey: e.target.value })}
-          >
-            {CAVITY_INSULATION_TYPES.map((o) => (
-              <option key={o.key} value={o.key}>
-                {o.label}
-              </option>
-            ))}
-          </select>
-        </div>
+        {state.wallMode === "layers" ? (
+          <div className="md:col-span-2">
+            <LayerBuilder
+              layers={state.layers}
+              materials={shared.materials}
+              onChange={(layers) => onChange({ layers })}
+            />
+          </div>
+        ) : (
+          <>
+            <div>
+              <label className="block text-sm font-medium">Framing</label>
+              <select
+                className="w-full mt-1 rounded-lg border px-3 py-2"
+                value={state.framingKey}
+                onChange={(e) => onChange({ framingKey: e.target.value })}
+              >
+                {FRAMING_OPTIONS.map((o) => (
+                  <option key={o.key} value={o.key}>
+                    {o.label}
+                  </option>
+                ))}
+              </select>
+              {FRAMING_OPTIONS.find((o) => o.key === state.framingKey)
+                ?.material === "steel" && (
+                <div className="mt-1 text-xs text-slate-500">
+                  Steel: ASHRAE 90.1 effective R for the stud layer (framing
+                  factor not used)
+                </div>
+              )}
+            </div>
 
-        <div>
-          <label className="block text-sm font-medium">
-            Exterior Sheathing
-          </label>
-          <select
-            className="w-full mt-1 rounded-lg border px-3 py-2"
-            value={state.sheathingKey}
-            onChange={(e) => onChange({ sheathingKey: e.target.value })}
-          >
-            {EXTERIOR_SHEATHING.map((o) => (
-              <option key={o.key} value={o.key}>
-                {o.label}
-              </option>
-            ))}
-          </select>
-        </div>
+            <div>
+              <label className="block text-sm font-medium">
+                Cavity Insulation
+              </label>
+              <select
+                className="w-full mt-1 rounded-lg border px-3 py-2"
+                value={state.cavityKey}
+                onChange={(e) => onChange({ cavityKey: e.target.value })}
+              >
+                {CAVITY_INSULATION_TYPES.map((o) => (
+                  <option key={o.key} value={o.key}>
+                    {o.label}
+                  </option>
+                ))}
+              </select>
+            </div>
 
-        <div>
-          <label className="block text-sm font-medium">
-            Additional Exterior Insulation
-          </label>
-          <select
-            className="w-full mt-1 rounded-lg border px-3 py-2"
-            value={state.exteriorContinuousKey}
-            onChange={(e) =>
-              onChange({ exteriorContinuousKey: e.target.value })
-            }
-          >
-            {EXTERIOR_CONTINUOUS_INSULATION.map((o) => (
-              <option key={o.key} value={o.key}>
-                {o.label}
-              </option>
-            ))}
-          </select>
+            <div>
+              <label className="block text-sm font-medium">
+                Exterior Sheathing
+              </label>
+              <select
+                className="w-full mt-1 rounded-lg border px-3 py-2"
+                value={state.sheathingKey}
+                onChange={(e) => onChange({ sheathingKey: e.target.value })}
+              >
+                {EXTERIOR_SHEATHING.map((o) => (
+                  <option key={o.key} value={o.key}>
+                    {o.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium">
+                Additional Exterior Insulation
+              </label>
+              <select
+                className="w-full mt-1 rounded-lg border px-3 py-2"
+                value={state.exteriorContinuousKey}
+                onChange={(e) =>
+                  onChange({ exteriorContinuousKey: e.target.value })
+                }
+              >
+                {EXTERIOR_CONTINUOUS_INSULATION.map((o) => (
+                  <option key={o.key} value={o.key}>
+                    {o.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </>
+        )}
+
+        <div className="md:col-span-2">
+          <FramingEditor
+            state={state}
+            framingFactor={result.framingFactor}
+            onChange={onChange}
+          />
         </div>
 
         <div>
@@ -770,19 +2844,56 @@ function ScenarioCard({ title, state, onChange, shared }) {
               }
               className="w-24 ml-2 rounded border px-2 py-1"
             />{" "}
-            (editable)
+            · CFM50:{" "}
+            <input
+              type="number"
+              step="10"
+              min={0}
+              value={Math.round(loads.infiltration.cfm50)}
+              onChange={(e) =>
+                onChange({
+                  ach50:
+                    (Number(e.target.value) * 60) /
+                    (shared.conditionedFloorArea * shared.avgCeilingHeight),
+                })
+              }
+              className="w-24 ml-2 rounded border px-2 py-1"
+            />
           </div>
         </div>
 
-        <div className="col-span-1 md:col-span-2">
-          <label className="inline-flex items-center gap-2 mt-2">
-            <input
-              type="checkbox"
-              checked={state.interiorPolyiso}
-              onChange={(e) => onChange({ interiorPolyiso: e.target.checked })}
-            />
-            <span> Add 1/2" Polyiso furring strips (thermal break)</span>
+        <VentilationEditor state={state} loads={loads} onChange={onChange} />
+
+        <DuctsEditor state={state} loads={loads} onChange={onChange} />
+
+        {state.wallMode !== "layers" && (
+          <div className="col-span-1 md:col-span-2">
+            <label className="inline-flex items-center gap-2 mt-2">
+              <input
+                type="checkbox"
+                checked={state.interiorPolyiso}
+                onChange={(e) =>
+                  onChange({ interiorPolyiso: e.target.checked })
+                }
+              />
+              <span> Add 1/2" Polyiso furring strips (thermal break)</span>
+            </label>
+          </div>
+        )}
+
+        <div>
+          <label className="block text-sm font-medium">
+            Installed Cost ($)
           </label>
+          <input
+            type="number"
+            step="100"
+            className="w-full mt-1 rounded-lg border px-3 py-2"
+            value={state.installedCost}
+            onChange={(e) =>
+              onChange({ installedCost: Number(e.target.value) })
+            }
+          />
         </div>
 
         <div className="col-span-1 md:col-span-2 grid grid-cols-1 sm:grid-cols-3 gap-2 text-sm">
@@ -790,11 +2901,15 @@ function ScenarioCard({ title, state, onChange, shared }) {
             Effective U: <b>{(1 / wholeWall.rEff).toFixed(3)}</b> BTU/hr·ft²·°F
           </div>
           <div className="text-slate-700">
-            Estimated STC: <b>{stc}</b>
+            Estimated STC:{" "}
+            <b>{state.wallMode === "layers" ? "n/a (custom)" : stc}</b>
           </div>
           <div className="text-slate-700">
-            ACHnat≈<b>{loads.ACHnat.toFixed(2)}</b> h⁻¹ (factor{" "}
-            {shared.hers.ach50ToNatFactor})
+            ACHnat≈<b>{loads.ACHnat.toFixed(2)}</b> h⁻¹ (
+            {loads.infiltration.method === "lbl"
+              ? `LBL, N≈${loads.infiltration.nFactor.toFixed(1)}`
+              : `factor ${shared.hers.ach50ToNatFactor}`}
+            )
           </div>
         </div>
       </div>
@@ -802,8 +2917,8 @@ function ScenarioCard({ title, state, onChange, shared }) {
       {/* Chart */}
       <div className="mt-5">
         <div className="text-sm text-slate-600 mb-2">
-          Annual Energy Costs (whole-house: walls + windows + ceilings +
-          infiltration)
+          Annual Energy Costs by component (whole-house: walls + windows +
+          ceilings + infiltration + ventilation)
         </div>
         <div className="h-52">
           <ResponsiveContainer width="100%" height="100%">
@@ -816,10 +2931,70 @@ function ScenarioCard({ title, state, onChange, shared }) {
               <YAxis tickFormatter={(v) => `$${Math.round(v)}`} />
               <Tooltip formatter={(v) => formatUSD(v)} />
               <Legend />
-              <Bar dataKey="Cost" /* default color */ radius={[8, 8, 0, 0]} />
+              {breakdown.map((row) => (
+                <Bar
+                  key={row.key}
+                  dataKey={row.key}
+                  name={row.label}
+                  stackId="cost"
+                  fill={COMPONENT_COLORS[row.key]}
+                />
+              ))}
             </BarChart>
           </ResponsiveContainer>
         </div>
+        <div className="overflow-x-auto mt-3">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-left text-slate-500">
+                <th className="py-1 pr-2">Component</th>
+                <th className="py-1 pr-2 text-right">Heat MMBTU</th>
+                <th className="py-1 pr-2 text-right">Cool MMBTU</th>
+                <th className="py-1 pr-2 text-right">kWh</th>
+                {loads.thermsHeat > 0 && (
+                  <th className="py-1 pr-2 text-right">Therms</th>
+                )}
+                <th className="py-1 pr-2 text-right">Cost/yr</th>
+                <th className="py-1 pr-2 text-right">% heat</th>
+                <th className="py-1 text-right">% cool</th>
+              </tr>
+            </thead>
+            <tbody>
+              {breakdown.map((row) => (
+                <tr key={row.key} className="border-t">
+                  <td className="py-1 pr-2">
+                    <span
+                      className="inline-block w-2 h-2 rounded-full mr-1"
+                      style={{ backgroundColor: COMPONENT_COLORS[row.key] }}
+                    />
+                    {row.label}
+                  </td>
+                  <td className="py-1 pr-2 text-right">
+                    {(row.Qh / 1e6).toFixed(1)}
+                  </td>
+                  <td className="py-1 pr-2 text-right">
+                    {(row.Qc / 1e6).toFixed(1)}
+                  </td>
+                  <td className="py-1 pr-2 text-right">{row.kWh.toFixed(0)}</td>
+                  {loads.thermsHeat > 0 && (
+                    <td className="py-1 pr-2 text-right">
+                      {row.thermsHeat.toFixed(0)}
+                    </td>
+                  )}
+                  <td className="py-1 pr-2 text-right">
+                    {formatUSD(row.cost)}
+                  </td>
+                  <td className="py-1 pr-2 text-right">
+                    {(row.shareHeat * 100).toFixed(0)}%
+                  </td>
+                  <td className="py-1 text-right">
+                    {(row.shareCool * 100).toFixed(0)}%
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
       </div>
 
       {/* Totals */}
@@ -827,33 +3002,43 @@ function ScenarioCard({ title, state, onChange, shared }) {
         <div className="rounded-xl bg-slate-50 p-3 border">
           <div className="text-slate-500">Annual Heating Cost</div>
           <div className="text-lg font-semibold">
-            {formatUSD(wholeHouseCosts.costHeat)}
+            {formatUSD(costs.costHeat)}
           </div>
           <div className="text-xs text-slate-500">
-            Heat load: {((ratedWH.kWhHeat * 3412) / 1e6).toFixed(1)} MMBTU
+            Heat load: {(loads.Qh_total / 1e6).toFixed(1)} MMBTU
+            {loads.thermsHeat > 0 && (
+              <> · {loads.thermsHeat.toFixed(0)} therms</>
+            )}
+            <br />
+            Balance point {loads.balancePoint.heatF.toFixed(1)}°F · HDD{" "}
+            {!isDegreeDayTable(shared.degreeDaysByBase) && "≈ "}
+            {loads.balancePoint.HDD.toFixed(0)}
           </div>
         </div>
         <div className="rounded-xl bg-slate-50 p-3 border">
           <div className="text-slate-500">Annual Cooling Cost</div>
           <div className="text-lg font-semibold">
-            {formatUSD(wholeHouseCosts.costCool)}
+            {formatUSD(costs.costCool)}
           </div>
           <div className="text-xs text-slate-500">
-            Cool load:{" "}
-            {(
-              (ratedWH.kWhCool * 1000 * Math.max(8, shared.hvac.coolingSEER)) /
-              1e6
-            ).toFixed(1)}{" "}
-            MMBTU
+            Cool load: {(loads.Qc_total / 1e6).toFixed(1)} MMBTU (latent{" "}
+            {(loads.Qc_latent / 1e6).toFixed(1)})
+            <br />
+            Balance point {loads.balancePoint.coolF.toFixed(1)}°F · CDD{" "}
+            {!isDegreeDayTable(shared.degreeDaysByBase) && "≈ "}
+            {loads.balancePoint.CDD.toFixed(0)}
           </div>
         </div>
         <div className="rounded-xl bg-slate-50 p-3 border">
           <div className="text-slate-500">Annual (Heating + Cooling)</div>
           <div className="text-lg font-semibold">
-            {formatUSD(wholeHouseCosts.annualCost)}
+            {formatUSD(costs.annualCost)}
           </div>
           <div className="text-xs text-slate-500">
-            ACHnat≈{ratedWH.ACHnat.toFixed(2)} h⁻¹
+            ACHnat≈{loads.ACHnat.toFixed(2)} h⁻¹
+            {loads.kWhFan > 0 && (
+              <> · ventilation fans {formatUSD(costs.costFan)}</>
+            )}
           </div>
         </div>
         <div className="rounded-xl bg-slate-50 p-3 border">
@@ -864,171 +3049,213 @@ function ScenarioCard({ title, state, onChange, shared }) {
           </div>
         </div>
       </div>
+
+      {/* Design-day loads */}
+      <div className="mt-3 rounded-xl bg-slate-50 p-3 border text-sm">
+        <div className="text-slate-500">Equipment sizing (design day)</div>
+        <div className="mt-1">
+          Heat loss <b>{formatKBtuh(design.heatLossBtuh)}</b> at{" "}
+          {design.heatingDesignF}°F · heat gain{" "}
+          <b>{formatKBtuh(design.heatGainBtuh)}</b> at {design.coolingDesignF}
+          °F → <b>{design.tons}-ton</b> heat pump
+        </div>
+        {design.designTempsAssumed && (
+          <div className="text-xs text-amber-700">
+            Design temperatures not set: assumed {design.heatingDesignF}°F /{" "}
+            {design.coolingDesignF}°F.
+          </div>
+        )}
+        <div className="text-xs text-slate-500">
+          Gain: sensible {formatKBtuh(design.sensibleGainBtuh)}, latent{" "}
+          {formatKBtuh(design.latentGainBtuh)}; ducts add{" "}
+          {formatKBtuh(design.ductBtuh.heating)} heating /{" "}
+          {formatKBtuh(design.ductBtuh.cooling)} cooling
+        </div>
+        {loads.heatPump.seasonalCOP !== null && (
+          <div className="text-xs text-slate-500">
+            Heat pump seasonal COP {loads.heatPump.seasonalCOP.toFixed(2)}
+            {loads.heatPump.capacityBalanceF !== null && (
+              <>
+                {" "}
+                · capacity runs out below{" "}
+                {loads.heatPump.capacityBalanceF.toFixed(0)}°F · backup heat{" "}
+                {(loads.heatPump.backupShare * 100).toFixed(1)}% of the heating
+                load
+              </>
+            )}
+          </div>
+        )}
+      </div>
     </div>
   );
 }
 
 export default function App() {
-  const [shared, setShared] = useState({
-    locationName: CLIMATE_DEFAULTS.locationName,
-    HDD65: CLIMATE_DEFAULTS.HDD65,
-    CDD65: CLIMATE_DEFAULTS.CDD65,
-    wallAreaFt2: DEFAULT_HOME.wallAreaFt2,
-    conditionedFloorArea: DEFAULT_HOME.conditionedFloorArea,
-    avgCeilingHeight: DEFAULT_HOME.avgCeilingHeight,
-    stories: DEFAULT_HOME.stories,
-    windowToWallRatio: DEFAULT_HOME.windowToWallRatio,
-    econ: { ...DEFAULT_ECON },
-    hvac: { ...DEFAULT_HVAC },
-    hers: JSON.parse(JSON.stringify(HERS_DEFAULTS)),
-  });
-
-  const [A, setA] = useState({
-    framingKey: "2x4",
-    cavityKey: "fiberglass",
-    sheathingKey: "osbwrap",
-    exteriorContinuousKey: "none", // Add this line
-    interiorPolyiso: false,
-    ach50Preset: "builder",
-    ach50: 5,
-    framingFactor: 0.23,
-  });
-  const [B, setB] = useState({
-    framingKey: "2x6",
-    cavityKey: "mineralwool",
-    sheathingKey: "zipr6",
-    exteriorContinuousKey: "r6", // Add this line
-    interiorPolyiso: true,
-    ach50Preset: "energystar",
-    ach50: 3,
-    framingFactor: 0.23,
-  });
+  const [initial] = useState(createDefaultProject);
+  const [shared, setShared] = useState(initial.shared);
+  const [scenarios, setScenarios] = useState(initial.scenarios);
+  const [baselineId, setBaselineId] = useState(initial.baselineId);
 
-  // Compute totals for comparison summary
-  const vol = shared.conditionedFloorArea * shared.avgCeilingHeight;
-
-  const A_foam = EXTERIOR_CONTINUOUS_INSULATION.find(
-    (o) => o.key === A.exteriorContinuousKey
-  ) || { rValue: 0 };
-  const A_whole = calcWholeWallR({
-    framingDepthIn:
-      FRAMING_OPTIONS.find((f) => f.key === A.framingKey)?.depth || 3.5,
-    cavityInsulationKey: A.cavityKey,
-    exteriorSheathingKey: A.sheathingKey,
-    exteriorContinuousR: A_foam.rValue,
-    interiorPolyiso: A.interiorPolyiso,
-    framingFactor: A.framingFactor,
-  });
-  const B_foam = EXTERIOR_CONTINUOUS_INSULATION.find(
-    (o) => o.key === B.exteriorContinuousKey
-  ) || { rValue: 0 };
-  const B_whole = calcWholeWallR({
-    framingDepthIn:
-      FRAMING_OPTIONS.find((f) => f.key === B.framingKey)?.depth || 5.5,
-    cavityInsulationKey: B.cavityKey,
-    exteriorSheathingKey: B.sheathingKey,
-    exteriorContinuousR: B_foam.rValue,
-    interiorPolyiso: B.interiorPolyiso,
-    framingFactor: B.framingFactor,
-  });
+  const loadProject = (project) => {
+    setShared(project.shared);
+    setScenarios(project.scenarios);
+    setBaselineId(project.baselineId);
+  };
 
-  const A_loads = calcLoadsAndCosts({
-    wallAreaFt2: shared.wallAreaFt2,
-    volumeFt3: vol,
-    HDD65: shared.HDD65,
-    CDD65: shared.CDD65,
-    rEff: A_whole.rEff,
-    ach50: A.ach50,
-    ach50ToNatFactor: shared.hers.ach50ToNatFactor,
-    econ: shared.econ,
-    hvac: shared.hvac,
-  });
-  const B_loads = calcLoadsAndCosts({
-    wallAreaFt2: shared.wallAreaFt2,
-    volumeFt3: vol,
-    HDD65: shared.HDD65,
-    CDD65: shared.CDD65,
-    rEff: B_whole.rEff,
-    ach50: B.ach50,
-    ach50ToNatFactor: shared.hers.ach50ToNatFactor,
-    econ: shared.econ,
-    hvac: shared.hvac,
-  });
+  // The URL hash mirrors the whole project, so the address bar is always a
+  // permalink. It is read once on load (and when a link is pasted into this
+  // tab), then rewritten after every change.
+  const [shareError, setShareError] = useState("");
+  const [hashRestored, setHashRestored] = useState(false);
+  const lastHash = useRef("");
 
-  // HERS comparison for A & B
-  const A_rated = calcWholeHouseKWh({
-    scenarioWholeWallR: A_whole.rEff,
-    ach50: A.ach50,
-    ach50ToNatFactor: shared.hers.ach50ToNatFactor,
-    shared,
-    hers: shared.hers,
-  });
-  const B_rated = calcWholeHouseKWh({
-    scenarioWholeWallR: B_whole.rEff,
-    ach50: B.ach50,
-    ach50ToNatFactor: shared.hers.ach50ToNatFactor,
-    shared,
-    hers: shared.hers,
-  });
+  useEffect(() => {
+    const restore = () => {
+      if (window.location.hash === lastHash.current) return;
+      decodeProjectHash(window.location.hash)
+        .then((project) => {
+          if (project) loadProject(project);
+          setShareError("");
+        })
+        .catch((err) => setShareError(`Share link: ${err.message}`))
+        .finally(() => setHashRestored(true));
+    };
+    restore();
+    window.addEventListener("hashchange", restore);
+    return () => window.removeEventListener("hashchange", restore);
+  }, []);
 
-  const refWall = calcWholeWallR({
-    framingDepthIn:
-      FRAMING_OPTIONS.find((f) => f.key === shared.hers.reference.framingKey)
-        ?.depth || 3.5,
-    cavityInsulationKey: shared.hers.reference.cavityKey,
-    exteriorSheathingKey: shared.hers.reference.sheathingKey,
-    exteriorContinuousR: 0, // Add this for the reference home
-    interiorPolyiso: shared.hers.reference.interiorPolyiso,
-    framingFactor: A.framingFactor, // assume same framing factor
-  });
-  const refKWh = calcReferenceWholeHouseKWh({
-    referenceWholeWallR: refWall.rEff,
-    refAch50: shared.hers.reference.ach50,
-    ach50ToNatFactor: shared.hers.ach50ToNatFactor,
-    shared,
-    hers: shared.hers,
-  });
+  useEffect(() => {
+    if (!hashRestored) return;
+    let cancelled = false;
+    encodeProjectHash({ shared, scenarios, baselineId })
+      .then((hash) => {
+        if (cancelled) return;
+        lastHash.current = hash;
+        window.history.replaceState(null, "", hash);
+      })
+      .catch((err) => {
+        if (!cancelled) setShareError(`Share link: ${err.message}`);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [hashRestored, shared, scenarios, baselineId]);
 
-  const A_HERS = estimateHERSIndex({
-    ratedKWhHeat: A_rated.kWhHeat,
-    ratedKWhCool: A_rated.kWhCool,
-    refKWhHeat: refKWh.kWhHeat,
-    refKWhCool: refKWh.kWhCool,
-    otherKWh: shared.hers.otherSiteEnergyKWh,
-  });
-  const B_HERS = estimateHERSIndex({
-    ratedKWhHeat: B_rated.kWhHeat,
-    ratedKWhCool: B_rated.kWhCool,
-    refKWhHeat: refKWh.kWhHeat,
-    refKWhCool: refKWh.kWhCool,
-    otherKWh: shared.hers.otherSiteEnergyKWh,
-  });
+  const updateScenario = (id, patch) =>
+    setScenarios((list) =>
+      list.map((sc) => (sc.id === id ? { ...sc, ...patch } : sc))
+    );
+  const addScenario = () =>
+    setScenarios((list) => [
+      ...list,
+      {
+        ...DEFAULT_SCENARIOS[0],
+        id: makeScenarioId(),
+        name: `Scenario ${list.length + 1}`,
+      },
+    ]);
+  const duplicateScenario = (id) =>
+    setScenarios((list) => {
+      const i = list.findIndex((sc) => sc.id === id);
+      const copy = {
+        ...list[i],
+        id: makeScenarioId(),
+        name: `${list[i].name} (copy)`,
+      };
+      return [...list.slice(0, i + 1), copy, ...list.slice(i + 1)];
+    });
+  const moveScenario = (id, delta) =>
+    setScenarios((list) => {
+      const i = list.findIndex((sc) => sc.id === id);
+      const j = i + delta;
+      if (j < 0 || j >= list.length) return list;
+      const next = [...list];
+      [next[i], next[j]] = [next[j], next[i]];
+      return next;
+    });
+  const deleteScenario = (id) =>
+    setScenarios((list) =>
+      list.length > 1 ? list.filter((sc) => sc.id !== id) : list
+    );
 
-  const diff = B_loads.annualCost - A_loads.annualCost;
-  const better =
-    diff < 0
-      ? "Scenario B saves"
-      : diff > 0
-      ? "Scenario A saves"
-      : "No difference";
+  // One evaluation per scenario feeds the cards, summary and economics
+  const results = useMemo(
+    () =>
+      scenarios.map((sc, i) => ({
+        id: sc.id,
+        name: sc.name,
+        color: SCENARIO_COLORS[i % SCENARIO_COLORS.length],
+        ach50: sc.ach50,
+        installedCost: sc.installedCost,
+        ...evaluateScenario(sc, shared),
+      })),
+    [scenarios, shared]
+  );
+  const baseline = results.find((r) => r.id === baselineId) || results[0];
+  const usedMaterialKeys = useMemo(
+    () =>
+      new Set(
+        scenarios.flatMap((sc) =>
+          sc.layers.flatMap((l) =>
+            l.path === "parallel"
+              ? [l.materialKey, l.framingKey]
+              : [l.materialKey]
+          )
+        )
+      ),
+    [scenarios]
+  );
 
   return (
     <div className="min-h-screen bg-slate-100">
       <div className="max-w-7xl mx-auto p-5 md:p-8">
-        <header className="mb-6">
-          <h1 className="text-2xl md:text-3xl font-bold">
-            Home Insulation & Energy Performance Simulator
-          </h1>
-          <p className="text-slate-600 mt-1">
-            Compare two wall assemblies side-by-side for thermal, acoustic, and
-            HERS (estimated) in {shared.locationName}.
-          </p>
+        <header className="mb-6 flex flex-wrap items-start justify-between gap-4">
+          <div>
+            <h1 className="text-2xl md:text-3xl font-bold">
+              Home Insulation & Energy Performance Simulator
+            </h1>
+            <p className="text-slate-600 mt-1">
+              Compare wall assemblies side-by-side for thermal, acoustic, and
+              HERS (estimated) in {shared.locationName}.
+            </p>
+          </div>
+          <ProjectFileBar
+            project={{ shared, scenarios, baselineId }}
+            onLoad={loadProject}
+            shareError={shareError}
+          />
         </header>
 
         {/* Global/Shared Inputs */}
         <section className="rounded-2xl bg-white shadow p-5 border border-slate-200 mb-6">
           <h2 className="text-lg font-semibold mb-3">Project & House Inputs</h2>
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="md:col-span-3">
+              <LocationPicker
+                locationKey={shared.locationKey}
+                onSelect={(loc) =>
+                  setShared((s) => ({
+                    ...s,
+                    locationKey: loc.key,
+                    locationName: `${loc.name} (CZ${loc.climateZone})`,
+                    climateZone: loc.climateZone,
+                    HDD65: loc.HDD65,
+                    CDD65: loc.CDD65,
+                    degreeDaysByBase: loc.degreeDaysByBase,
+                    heatingDesignF: loc.heatingDesignF,
+                    coolingDesignF: loc.coolingDesignF,
+                    hers: {
+                      ...s.hers,
+                      reference: {
+                        ...referenceHomeForClimateZone(loc.climateZone),
+                        ruleset: s.hers.reference.ruleset,
+                      },
+                    },
+                  }))
+                }
+              />
+            </div>
             <div>
               <label className="block text-sm font-medium">
                 Heating Degree Days (HDD65)
@@ -1038,7 +3265,12 @@ export default function App() {
                 className="w-full mt-1 rounded-lg border px-3 py-2"
                 value={shared.HDD65}
                 onChange={(e) =>
-                  setShared((s) => ({ ...s, HDD65: Number(e.target.value) }))
+                  setShared((s) => ({
+                    ...s,
+                    locationKey: null, // hand-entered climate
+                    degreeDaysByBase: null,
+                    HDD65: Number(e.target.value),
+                  }))
                 }
               />
             </div>
@@ -1051,10 +3283,55 @@ export default function App() {
                 className="w-full mt-1 rounded-lg border px-3 py-2"
                 value={shared.CDD65}
                 onChange={(e) =>
-                  setShared((s) => ({ ...s, CDD65: Number(e.target.value) }))
+                  setShared((s) => ({
+                    ...s,
+                    locationKey: null, // hand-entered climate
+                    degreeDaysByBase: null,
+                    CDD65: Number(e.target.value),
+                  }))
                 }
               />
             </div>
+            <div>
+              <label className="block text-sm font-medium">
+                Design Temperatures (99% heat / 1% cool, °F)
+              </label>
+              <div className="flex gap-2 mt-1">
+                {["heatingDesignF", "coolingDesignF"].map((key) => (
+                  <input
+                    key={key}
+                    type="number"
+                    className="w-full rounded-lg border px-3 py-2"
+                    placeholder="not set"
+                    value={shared[key] ?? ""}
+                    onChange={(e) =>
+                      setShared((s) => ({
+                        ...s,
+                        locationKey: null, // hand-entered climate
+                        // blank = not set (sizing assumes the default)
+                        [key]:
+                          e.target.value === "" ? null : Number(e.target.value),
+                      }))
+                    }
+                  />
+                ))}
+              </div>
+            </div>
+            {(!shared.climateZone ||
+              shared.heatingDesignF == null ||
+              shared.coolingDesignF == null) && (
+              <div className="md:col-span-3 rounded-lg border border-amber-200 bg-amber-50 p-2 text-sm text-amber-800">
+                This climate was entered by hand
+                {!shared.climateZone && ", without a climate zone"}. Pick a
+                location{" "}
+                {shared.heatingDesignF == null || shared.coolingDesignF == null
+                  ? "or enter the design temperatures "
+                  : ""}
+                to confirm it: until then code compliance is not checked, solar
+                and moisture use zone 4 / no-latent defaults, and sizing assumes
+                the default design temperatures.
+              </div>
+            )}
             <div>
               <label className="block text	sm font-medium">
                 Net Wall Area (ft²)
@@ -1114,6 +3391,21 @@ export default function App() {
                 }
               />
             </div>
+            <div>
+              <label className="block text-sm font-medium">Bedrooms</label>
+              <input
+                type="number"
+                min={0}
+                className="w-full mt-1 rounded-lg border px-3 py-2"
+                value={shared.bedrooms}
+                onChange={(e) =>
+                  setShared((s) => ({
+                    ...s,
+                    bedrooms: Number(e.target.value),
+                  }))
+                }
+              />
+            </div>
             <div>
               <label className="block text-sm font-medium">
                 Window‑to‑Wall Ratio
@@ -1153,38 +3445,199 @@ export default function App() {
             </div>
             <div>
               <label className="block text-sm font-medium">
-                Heat Pump COP (seasonal)
+                Gas Price ($/therm)
               </label>
               <input
                 type="number"
-                step="0.1"
+                step="0.01"
+                className="w-full mt-1 rounded-lg border px-3 py-2"
+                value={shared.econ.gasPricePerTherm}
+                onChange={(e) =>
+                  setShared((s) => ({
+                    ...s,
+                    econ: {
+                      ...s.econ,
+                      gasPricePerTherm: Number(e.target.value),
+                    },
+                  }))
+                }
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium">
+                Heating System
+              </label>
+              <select
+                className="w-full mt-1 rounded-lg border px-3 py-2"
+                value={shared.hvac.heatingType}
+                onChange={(e) =>
+                  setShared((s) => ({
+                    ...s,
+                    hvac: { ...s.hvac, heatingType: e.target.value },
+                  }))
+                }
+              >
+                {HEATING_TYPES.map((o) => (
+                  <option key={o.key} value={o.key}>
+                    {o.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium">
+                Furnace AFUE (0–1)
+              </label>
+              <input
+                type="number"
+                step="0.01"
+                min={0.5}
+                max={1}
+                className="w-full mt-1 rounded-lg border px-3 py-2"
+                value={shared.hvac.furnaceAFUE}
+                onChange={(e) =>
+                  setShared((s) => ({
+                    ...s,
+                    hvac: { ...s.hvac, furnaceAFUE: Number(e.target.value) },
+                  }))
+                }
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium">
+                Dual-Fuel Switchover (°F)
+              </label>
+              <input
+                type="number"
+                step="1"
                 className="w-full mt-1 rounded-lg border px-3 py-2"
-                value={shared.hvac.heatPumpCOP}
+                value={shared.hvac.dualFuelSwitchoverF}
                 onChange={(e) =>
                   setShared((s) => ({
                     ...s,
-                    hvac: { ...s.hvac, heatPumpCOP: Number(e.target.value) },
+                    hvac: {
+                      ...s.hvac,
+                      dualFuelSwitchoverF: Number(e.target.value),
+                    },
                   }))
                 }
               />
             </div>
             <div>
-              <label className="block text-sm font-medium">Cooling SEER</label>
+              <label className="block text-sm font-medium">Cooling SEER2</label>
               <input
                 type="number"
                 step="0.1"
                 className="w-full mt-1 rounded-lg border px-3 py-2"
-                value={shared.hvac.coolingSEER}
+                value={shared.hvac.coolingSEER2}
+                onChange={(e) =>
+                  setShared((s) => ({
+                    ...s,
+                    hvac: { ...s.hvac, coolingSEER2: Number(e.target.value) },
+                  }))
+                }
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium">
+                Cooling SHR (sensible heat ratio, {SHR_RANGE.min}–
+                {SHR_RANGE.max})
+              </label>
+              <input
+                type="number"
+                step="0.01"
+                min={SHR_RANGE.min}
+                max={SHR_RANGE.max}
+                className="w-full mt-1 rounded-lg border px-3 py-2"
+                value={shared.hvac.coolingSHR}
+                onChange={(e) =>
+                  setShared((s) => ({
+                    ...s,
+                    hvac: { ...s.hvac, coolingSHR: Number(e.target.value) },
+                  }))
+                }
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium">Water Heater</label>
+              <select
+                className="w-full mt-1 rounded-lg border px-3 py-2"
+                value={shared.waterHeating.typeKey}
+                onChange={(e) => {
+                  const type = WATER_HEATER_TYPES.find(
+                    (t) => t.key === e.target.value
+                  );
+                  setShared((s) => ({
+                    ...s,
+                    waterHeating: {
+                      ...s.waterHeating,
+                      typeKey: type.key,
+                      energyFactor: type.energyFactor,
+                    },
+                  }));
+                }}
+              >
+                {WATER_HEATER_TYPES.map((o) => (
+                  <option key={o.key} value={o.key}>
+                    {o.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium">
+                Water Heater EF
+              </label>
+              <input
+                type="number"
+                step="0.01"
+                min={0.1}
+                className="w-full mt-1 rounded-lg border px-3 py-2"
+                value={shared.waterHeating.energyFactor}
+                onChange={(e) =>
+                  setShared((s) => ({
+                    ...s,
+                    waterHeating: {
+                      ...s.waterHeating,
+                      energyFactor: Number(e.target.value),
+                    },
+                  }))
+                }
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium">
+                Hot Water Setpoint (°F)
+              </label>
+              <input
+                type="number"
+                step="1"
+                className="w-full mt-1 rounded-lg border px-3 py-2"
+                value={shared.waterHeating.setpointF}
                 onChange={(e) =>
                   setShared((s) => ({
                     ...s,
-                    hvac: { ...s.hvac, coolingSEER: Number(e.target.value) },
+                    waterHeating: {
+                      ...s.waterHeating,
+                      setpointF: Number(e.target.value),
+                    },
                   }))
                 }
               />
             </div>
           </div>
 
+          <details className="mt-4">
+            <summary className="cursor-pointer text-sm font-semibold">
+              Heat Pump Performance (HSPF2, capacity &amp; COP)
+            </summary>
+            <HeatPumpEditor
+              hvac={shared.hvac}
+              design={results[0].design}
+              onChange={(hvac) => setShared((s) => ({ ...s, hvac }))}
+            />
+          </details>
+
           {/* HERS knobs */}
           <details className="mt-4">
             <summary className="cursor-pointer text-sm font-semibold">
@@ -1194,7 +3647,26 @@ export default function App() {
               <div className="rounded-xl bg-slate-50 p-3 border">
                 <div className="font-medium mb-2">Conversions</div>
                 <label className="block">
-                  ACH50 → ACHnat factor
+                  Index method
+                  <select
+                    className="w-full mt-1 rounded border px-2 py-1"
+                    value={shared.hers.indexMethod}
+                    onChange={(e) =>
+                      setShared((s) => ({
+                        ...s,
+                        hers: { ...s.hers, indexMethod: e.target.value },
+                      }))
+                    }
+                  >
+                    {HERS_INDEX_METHODS.map((o) => (
+                      <option key={o.key} value={o.key}>
+                        {o.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="block mt-2">
+                  ACH50 → ACHnat factor (fixed-factor infiltration)
                   <input
                     type="number"
                     step="0.005"
@@ -1212,7 +3684,7 @@ export default function App() {
                   />
                 </label>
                 <label className="block mt-2">
-                  Other site energy (kWh/yr)
+                  Lights, appliances & plug loads (kWh/yr)
                   <input
                     type="number"
                     className="w-full mt-1 rounded border px-2 py-1"
@@ -1253,38 +3725,17 @@ export default function App() {
                     }
                   />
                 </label>
-                <label className="block mt-2">
-                  Ceiling R
-                  <input
-                    type="number"
-                    step="1"
-                    className="w-full mt-1 rounded border px-2 py-1"
-                    value={shared.hers.rated.ceilingR}
-                    onChange={(e) =>
-                      setShared((s) => ({
-                        ...s,
-                        hers: {
-                          ...s.hers,
-                          rated: {
-                            ...s.hers.rated,
-                            ceilingR: Number(e.target.value),
-                          },
-                        },
-                      }))
-                    }
-                  />
-                </label>
               </div>
 
               <div className="rounded-xl bg-slate-50 p-3 border">
                 <div className="font-medium mb-2">Reference Home</div>
                 <label className="block">
-                  ACH50
+                  Window U
                   <input
                     type="number"
-                    step="0.1"
+                    step="0.01"
                     className="w-full mt-1 rounded border px-2 py-1"
-                    value={shared.hers.reference.ach50}
+                    value={shared.hers.reference.windowU}
                     onChange={(e) =>
                       setShared((s) => ({
                         ...s,
@@ -1292,7 +3743,7 @@ export default function App() {
                           ...s.hers,
                           reference: {
                             ...s.hers.reference,
-                            ach50: Number(e.target.value),
+                            windowU: Number(e.target.value),
                           },
                         },
                       }))
@@ -1300,12 +3751,12 @@ export default function App() {
                   />
                 </label>
                 <label className="block mt-2">
-                  Window U
+                  Window SHGC
                   <input
                     type="number"
                     step="0.01"
                     className="w-full mt-1 rounded border px-2 py-1"
-                    value={shared.hers.reference.windowU}
+                    value={shared.hers.reference.shgc}
                     onChange={(e) =>
                       setShared((s) => ({
                         ...s,
@@ -1313,7 +3764,7 @@ export default function App() {
                           ...s.hers,
                           reference: {
                             ...s.hers.reference,
-                            windowU: Number(e.target.value),
+                            shgc: Number(e.target.value),
                           },
                         },
                       }))
@@ -1321,12 +3772,14 @@ export default function App() {
                   />
                 </label>
                 <label className="block mt-2">
-                  Ceiling R
+                  Duct distribution efficiency
                   <input
                     type="number"
-                    step="1"
+                    step="0.01"
+                    min={0.3}
+                    max={1}
                     className="w-full mt-1 rounded border px-2 py-1"
-                    value={shared.hers.reference.ceilingR}
+                    value={shared.hers.reference.distributionEfficiency}
                     onChange={(e) =>
                       setShared((s) => ({
                         ...s,
@@ -1334,7 +3787,7 @@ export default function App() {
                           ...s.hers,
                           reference: {
                             ...s.hers.reference,
-                            ceilingR: Number(e.target.value),
+                            distributionEfficiency: Number(e.target.value),
                           },
                         },
                       }))
@@ -1442,79 +3895,206 @@ export default function App() {
               </div>
             </div>
           </details>
+
+          <details className="mt-4">
+            <summary className="cursor-pointer text-sm font-semibold">
+              Reference Home (rated vs. reference features)
+            </summary>
+            <ReferenceHomePanel
+              shared={shared}
+              results={results}
+              baseline={baseline}
+              onReference={(reference) =>
+                setShared((s) => ({ ...s, hers: { ...s.hers, reference } }))
+              }
+            />
+          </details>
+
+          <details className="mt-4">
+            <summary className="cursor-pointer text-sm font-semibold">
+              HERS Index Calculation (end uses &amp; nMEUL)
+            </summary>
+            <HersCalculationPanel results={results} />
+          </details>
+
+          <details className="mt-4">
+            <summary className="cursor-pointer text-sm font-semibold">
+              Code Compliance (IECC prescriptive &amp; UA tradeoff)
+            </summary>
+            <CompliancePanel
+              shared={shared}
+              results={results}
+              onCompliance={(patch) =>
+                setShared((s) => ({
+                  ...s,
+                  compliance: { ...s.compliance, ...patch },
+                }))
+              }
+            />
+          </details>
+
+          <details className="mt-4">
+            <summary className="cursor-pointer text-sm font-semibold">
+              Internal Gains &amp; Balance Point
+            </summary>
+            <InternalGainsEditor
+              shared={shared}
+              onChange={(patch) => setShared((s) => ({ ...s, ...patch }))}
+            />
+          </details>
+
+          <details className="mt-4">
+            <summary className="cursor-pointer text-sm font-semibold">
+              Infiltration (blower door → natural)
+            </summary>
+            <InfiltrationEditor
+              shared={shared}
+              onChange={(patch) => setShared((s) => ({ ...s, ...patch }))}
+            />
+          </details>
+
+          <details className="mt-4">
+            <summary className="cursor-pointer text-sm font-semibold">
+              Windows by Orientation (solar gains)
+            </summary>
+            <WindowsEditor
+              windows={shared.windows}
+              windowArea={results[0].loads.windowArea}
+              onChange={(windows) => setShared((s) => ({ ...s, windows }))}
+            />
+          </details>
+
+          <details className="mt-4">
+            <summary className="cursor-pointer text-sm font-semibold">
+              Envelope Components (ceilings, floors, foundation, doors)
+            </summary>
+            <EnvelopeEditor
+              envelope={shared.envelope}
+              hers={shared.hers}
+              ceilingArea={results[0].loads.ceilingArea}
+              onEnvelope={(patch) =>
+                setShared((s) => ({
+                  ...s,
+                  envelope: { ...s.envelope, ...patch },
+                }))
+              }
+              onHers={(patch) =>
+                setShared((s) => ({ ...s, hers: { ...s.hers, ...patch } }))
+              }
+            />
+          </details>
+
+          <details className="mt-4">
+            <summary className="cursor-pointer text-sm font-semibold">
+              Wall Framing Geometry (framing-factor calculator)
+            </summary>
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mt-3 text-sm">
+              {WALL_GEOMETRY_FIELDS.map((f) => (
+                <label key={f.key} className="block">
+                  {f.label}
+                  <input
+                    type="number"
+                    min={0}
+                    className="w-full mt-1 rounded border px-2 py-1"
+                    value={shared.wallGeometry[f.key]}
+                    onChange={(e) =>
+                      setShared((s) => ({
+                        ...s,
+                        wallGeometry: {
+                          ...s.wallGeometry,
+                          [f.key]: Number(e.target.value),
+                        },
+                      }))
+                    }
+                  />
+                </label>
+              ))}
+            </div>
+          </details>
+
+          <details className="mt-4">
+            <summary className="cursor-pointer text-sm font-semibold">
+              Wall Materials Library (custom layers)
+            </summary>
+            <MaterialsLibrary
+              materials={shared.materials}
+              usedKeys={usedMaterialKeys}
+              onChange={(materials) => setShared((s) => ({ ...s, materials }))}
+            />
+          </details>
         </section>
 
         {/* Scenario cards */}
         <section className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-          <ScenarioCard
-            title="Scenario A"
-            state={A}
-            onChange={(patch) => setA((prev) => ({ ...prev, ...patch }))}
-            shared={shared}
-          />
-          <ScenarioCard
-            title="Scenario B"
-            state={B}
-            onChange={(patch) => setB((prev) => ({ ...prev, ...patch }))}
-            shared={shared}
-          />
+          {scenarios.map((sc, i) => (
+            <ScenarioCard
+              key={sc.id}
+              state={sc}
+              result={results[i]}
+              onChange={(patch) => updateScenario(sc.id, patch)}
+              shared={shared}
+              color={results[i].color}
+              isBaseline={sc.id === baseline.id}
+              onDuplicate={() => duplicateScenario(sc.id)}
+              onDelete={
+                scenarios.length > 1 ? () => deleteScenario(sc.id) : undefined
+              }
+              onMoveUp={i > 0 ? () => moveScenario(sc.id, -1) : undefined}
+              onMoveDown={
+                i < scenarios.length - 1
+                  ? () => moveScenario(sc.id, 1)
+                  : undefined
+              }
+            />
+          ))}
         </section>
+        <button
+          type="button"
+          className="mt-4 rounded-xl border border-dashed border-slate-400 px-4 py-2 text-sm text-slate-700 hover:bg-white"
+          onClick={addScenario}
+        >
+          + Add scenario
+        </button>
 
         {/* Comparison Summary */}
         <section className="rounded-2xl bg-white shadow p-5 border border-slate-200 mt-6">
           <h2 className="text-lg font-semibold mb-3">Comparison Summary</h2>
-          <div className="grid grid-cols-1 md:grid-cols-5 gap-4 text-sm">
-            <div className="rounded-xl bg-slate-50 p-3 border">
-              <div className="text-slate-500">Scenario A — Annual Cost</div>
-              <div className="text-lg font-semibold">
-                {formatUSD(A_loads.annualCost)}
-              </div>
-              <div className="text-xs text-slate-500">
-                R{A_whole.rEff.toFixed(1)}, ACH50 {A.ach50}
-              </div>
-            </div>
-            <div className="rounded-xl bg-slate-50 p-3 border">
-              <div className="text-slate-500">Scenario B — Annual Cost</div>
-              <div className="text-lg font-semibold">
-                {formatUSD(B_loads.annualCost)}
-              </div>
-              <div className="text-xs text-slate-500">
-                R{B_whole.rEff.toFixed(1)}, ACH50 {B.ach50}
-              </div>
-            </div>
-            <div
-              className={`rounded-xl p-3 border ${
-                diff < 0
-                  ? "bg-green-50"
-                  : diff > 0
-                  ? "bg-amber-50"
-                  : "bg-slate-50"
-              }`}
-            >
-              <div className="text-slate-500">Difference</div>
-              <div className="text-lg font-semibold">
-                {formatUSD(Math.abs(diff))} / yr
-              </div>
-              <div className="text-xs text-slate-500">{better}</div>
-            </div>
-            <div className="rounded-xl bg-slate-50 p-3 border">
-              <div className="text-slate-500">HERS — Scenario A</div>
-              <div className="text-lg font-semibold">{A_HERS.toFixed(0)}</div>
-            </div>
-            <div className="rounded-xl bg-slate-50 p-3 border">
-              <div className="text-slate-500">HERS — Scenario B</div>
-              <div className="text-lg font-semibold">{B_HERS.toFixed(0)}</div>
-            </div>
-          </div>
+          <ComparisonTable
+            results={results}
+            baseline={baseline}
+            onBaselineChange={setBaselineId}
+          />
           <div className="mt-3 text-xs text-slate-500">
-            HERS is an estimate using a simplified whole‑house model (walls,
-            windows, ceiling, and infiltration). Solar gains, latent loads,
-            ducts, DHW, and equipment sizing are not modeled; edit HERS inputs
-            above to calibrate. For code compliance use a certified HERS rater
-            with accredited software.
+            Costs and HERS come from the same simplified whole‑house model
+            (walls, windows, doors, ceilings, floors, foundation, window solar
+            gains, infiltration and mechanical ventilation with their latent
+            load, and duct losses) as the scenario cards. Equipment sizing is a
+            simplified design-day estimate, not a full Manual J. Water heating
+            is modeled from the shared water heater and counts in the nMEUL HERS
+            index; costs leave it out because every scenario shares it. Edit
+            HERS inputs above to calibrate. For code compliance use a certified
+            HERS rater with accredited software.
           </div>
         </section>
 
+        <EconomicsPanel
+          results={results}
+          baseline={baseline}
+          econ={shared.econ}
+          finance={shared.finance}
+          onFinanceChange={(patch) =>
+            setShared((s) => ({ ...s, finance: { ...s.finance, ...patch } }))
+          }
+        />
+
+        <HourlyPanel
+          shared={shared}
+          scenarios={scenarios}
+          onApplyClimate={(climate) =>
+            setShared((s) => ({ ...s, locationKey: null, ...climate }))
+          }
+        />
+
         {/* Diagnostics */}
         <section className="rounded-2xl bg-white shadow p-5 border border-slate-200 mt-6">
           <details>
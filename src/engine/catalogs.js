@@ -0,0 +1,793 @@
+/**
+ * Catalogs and default inputs shared by the engine and the UI.
+ *
+ * Every option list is an array of `{ key, label, ... }` records so that
+ * callers can look entries up by `key` and render `label` directly.
+ */
+
+export const CLIMATE_DEFAULTS = {
+  locationKey: "us-nc-fuquay-varina", // see CLIMATE_LOCATIONS
+  locationName: "Fuquay-Varina, NC (CZ4)",
+  climateZone: "4A",
+  HDD65: 3450,
+  CDD65: 1730,
+  heatingDesignF: 20, // ASHRAE 99% heating dry-bulb
+  coolingDesignF: 92, // ASHRAE 1% cooling dry-bulb
+};
+
+// Wood framing uses the parallel-path method; light-gauge steel (`material:
+// "steel"`) uses `STEEL_STUD_EFFECTIVE_R` at the given stud spacing.
+export const FRAMING_OPTIONS = [
+  { key: "2x4", label: '2x4 (3.5" depth)', depth: 3.5 },
+  { key: "2x6", label: '2x6 (5.5" depth)', depth: 5.5 },
+  {
+    key: "steel358-16",
+    label: 'Steel 3-5/8", 16" o.c.',
+    depth: 3.625,
+    material: "steel",
+    spacingIn: 16,
+  },
+  {
+    key: "steel358-24",
+    label: 'Steel 3-5/8", 24" o.c.',
+    depth: 3.625,
+    material: "steel",
+    spacingIn: 24,
+  },
+  {
+    key: "steel6-16",
+    label: 'Steel 6", 16" o.c.',
+    depth: 6,
+    material: "steel",
+    spacingIn: 16,
+  },
+  {
+    key: "steel6-24",
+    label: 'Steel 6", 24" o.c.',
+    depth: 6,
+    material: "steel",
+    spacingIn: 24,
+  },
+];
+
+// ASHRAE 90.1 Appendix A (Table A9.2B): effective R of the insulation/framing
+// layer for cavity insulation between light-gauge steel studs, as
+// [nominal cavity R, effective layer R] points per stud depth and spacing.
+// Steel studs short-circuit the cavity, so this layer replaces the
+// parallel-path calculation and is added in series with the other layers.
+export const STEEL_STUD_EFFECTIVE_R = [
+  {
+    depthIn: 3.5,
+    spacingIn: 16,
+    points: [
+      [0, 0.79],
+      [11, 5.5],
+      [13, 6.0],
+      [15, 6.4],
+    ],
+  },
+  {
+    depthIn: 3.5,
+    spacingIn: 24,
+    points: [
+      [0, 0.79],
+      [11, 6.6],
+      [13, 7.2],
+      [15, 7.8],
+    ],
+  },
+  {
+    depthIn: 6,
+    spacingIn: 16,
+    points: [
+      [0, 0.79],
+      [19, 7.1],
+      [21, 7.4],
+    ],
+  },
+  {
+    depthIn: 6,
+    spacingIn: 24,
+    points: [
+      [0, 0.79],
+      [19, 8.6],
+      [21, 9.0],
+    ],
+  },
+];
+
+export const CAVITY_INSULATION_TYPES = [
+  { key: "fiberglass", label: "Fiberglass Batts" },
+  { key: "mineralwool", label: "Mineral Wool Batts" },
+  { key: "flashbatt", label: 'Flash & Batt (1" CC + FG)' },
+  { key: "ocspf", label: "Open-Cell Spray Foam (full)" },
+  { key: "ccspf", label: "Closed-Cell Spray Foam (full)" },
+];
+
+export const EXTERIOR_SHEATHING = [
+  { key: "osbwrap", label: "OSB + Housewrap", rContinuous: 0 },
+  { key: "zip", label: "Taped OSB (ZIP System)", rContinuous: 0 },
+  {
+    key: "zipr3",
+    label: "Exterior Insulated Sheathing (ZIP-R, R-3)",
+    rContinuous: 3,
+  },
+  {
+    key: "zipr6",
+    label: "Exterior Insulated Sheathing (ZIP-R, R-6)",
+    rContinuous: 6,
+  },
+];
+
+export const AIR_TIGHTNESS_PRESETS = [
+  { key: "leaky", label: "Leaky (~7 ACH50)", ach50: 7 },
+  { key: "builder", label: "Builder Standard (~5 ACH50)", ach50: 5 },
+  { key: "energystar", label: "Energy Star (~3 ACH50)", ach50: 3 },
+  { key: "passive", label: "Passive House (~0.6 ACH50)", ach50: 0.6 },
+];
+
+// How blower-door leakage becomes natural infiltration: the LBL model
+// (leakage area, stack and wind) or the fixed `hers.ach50ToNatFactor`.
+export const INFILTRATION_METHODS = [
+  { key: "lbl", label: "LBL model (blower door, height, shielding, climate)" },
+  { key: "manual", label: "Fixed factor (ACHnat = ACH50 × factor)" },
+];
+
+// LBL wind coefficients C_w (cfm²/in⁴·mph²) for 1, 2 and 3 stories by local
+// shielding class (ASHRAE Fundamentals, ch. 16).
+export const SHIELDING_CLASSES = [
+  {
+    key: "class1",
+    label: "1 – No obstructions",
+    windCoefficients: [0.0119, 0.0157, 0.0184],
+  },
+  {
+    key: "class2",
+    label: "2 – Light (scattered trees, one neighbor)",
+    windCoefficients: [0.0092, 0.0121, 0.0143],
+  },
+  {
+    key: "class3",
+    label: "3 – Moderate (typical suburban)",
+    windCoefficients: [0.0065, 0.0086, 0.0101],
+  },
+  {
+    key: "class4",
+    label: "4 – Heavy (dense suburban)",
+    windCoefficients: [0.0039, 0.0051, 0.006],
+  },
+  {
+    key: "class5",
+    label: "5 – Very heavy (urban, houses close on all sides)",
+    windCoefficients: [0.0012, 0.0016, 0.0018],
+  },
+];
+
+export const DEFAULT_INFILTRATION = {
+  method: "lbl",
+  flowExponent: 0.65, // blower-door flow exponent n
+  shieldingKey: "class3",
+  windSpeedMph: 8, // site annual average
+};
+
+// Water heaters, with a typical (uniform) energy factor copied onto
+// `waterHeating.energyFactor` when picked
+export const WATER_HEATER_TYPES = [
+  {
+    key: "electric",
+    label: "Electric storage",
+    fuel: "electric",
+    energyFactor: 0.92,
+  },
+  {
+    key: "heatpump",
+    label: "Heat pump water heater",
+    fuel: "electric",
+    energyFactor: 3.3,
+  },
+  { key: "gas", label: "Gas storage", fuel: "gas", energyFactor: 0.62 },
+  {
+    key: "gastankless",
+    label: "Gas tankless",
+    fuel: "gas",
+    energyFactor: 0.93,
+  },
+];
+
+export const DEFAULT_WATER_HEATING = {
+  typeKey: "electric",
+  energyFactor: 0.92,
+  setpointF: 125,
+};
+
+// Whole-house mechanical ventilation. Balanced systems (HRV/ERV) pass their
+// recovery efficiencies on to the outdoor air; unbalanced ones (exhaust,
+// supply) pressurize the house and combine sub-additively with infiltration.
+// Recovery and fan efficacy (W/CFM) are typical values, copied onto the
+// scenario when the type is picked.
+export const VENTILATION_TYPES = [
+  {
+    key: "none",
+    label: "None",
+    balanced: false,
+    sensibleRecovery: 0,
+    latentRecovery: 0,
+    wattsPerCfm: 0,
+  },
+  {
+    key: "exhaust",
+    label: "Exhaust only",
+    balanced: false,
+    sensibleRecovery: 0,
+    latentRecovery: 0,
+    wattsPerCfm: 0.35,
+  },
+  {
+    key: "supply",
+    label: "Supply only",
+    balanced: false,
+    sensibleRecovery: 0,
+    latentRecovery: 0,
+    wattsPerCfm: 0.35,
+  },
+  {
+    key: "hrv",
+    label: "HRV (balanced, heat recovery)",
+    balanced: true,
+    sensibleRecovery: 0.7,
+    latentRecovery: 0,
+    wattsPerCfm: 1.0,
+  },
+  {
+    key: "erv",
+    label: "ERV (balanced, energy recovery)",
+    balanced: true,
+    sensibleRecovery: 0.65,
+    latentRecovery: 0.5,
+    wattsPerCfm: 1.0,
+  },
+];
+
+export const VENTILATION_CFM_MODES = [
+  { key: "ashrae622", label: "ASHRAE 62.2 (with infiltration credit)" },
+  { key: "manual", label: "Manual" },
+];
+
+export const DEFAULT_VENTILATION = {
+  typeKey: "none",
+  cfmMode: "ashrae622",
+  cfm: 60, // used when cfmMode is "manual"
+  sensibleRecovery: 0,
+  latentRecovery: 0,
+  wattsPerCfm: 0,
+};
+
+// Where the supply and return ducts run. Ambient temperatures are typical
+// heating/cooling-season values for the space (ASHRAE 152 seasonal method);
+// `regain` is the share of duct losses that still ends up in the house.
+export const DUCT_LOCATIONS = [
+  {
+    key: "conditioned",
+    label: "Conditioned space",
+    heatingAmbientF: 68,
+    coolingAmbientF: 75,
+    regain: 1,
+  },
+  {
+    key: "attic",
+    label: "Vented attic",
+    heatingAmbientF: 40,
+    coolingAmbientF: 100,
+    regain: 0,
+  },
+  {
+    key: "crawl",
+    label: "Vented crawlspace",
+    heatingAmbientF: 50,
+    coolingAmbientF: 70,
+    regain: 0.1,
+  },
+];
+
+// Defaults follow ASHRAE 152 for the default house: supply area 27% and
+// return area 5% of the floor area, leakage to outside at the IECC limit of
+// 4 CFM25 per 100 ft².
+export const DEFAULT_DUCTS = {
+  locationKey: "attic",
+  leakageCfm25: 140, // to outside, at 25 Pa
+  insulationR: 6,
+  supplyAreaFt2: 945,
+  returnAreaFt2: 175,
+};
+
+export const EXTERIOR_CONTINUOUS_INSULATION = [
+  { key: "none", label: "None", rValue: 0 },
+  { key: "r3", label: '0.5" Polyiso (R-3)', rValue: 3.0 },
+  { key: "r6", label: '1.0" Polyiso (R-6)', rValue: 6.0 },
+  { key: "r9", label: '1.5" Polyiso (R-9)', rValue: 9.0 },
+  { key: "r12", label: '2.0" Polyiso (R-12)', rValue: 12.0 },
+];
+
+// Per-inch nominal R-values
+export const R_PER_INCH = {
+  wood: 1.25,
+  fiberglass: 3.7,
+  mineralwool: 4.2,
+  ocspf: 3.6,
+  ccspf: 6.5,
+  polyiso: 6.0,
+};
+
+export const LAYER_R = {
+  airFilms: 0.85,
+  drywallHalf: 0.45,
+  osb716: 0.62,
+  siding: 0.6,
+  interiorPolyisoHalf: 3.0, // continuous thermal break
+};
+
+// Framing descriptions for the framing-factor calculator (`calcFramingFactor`).
+// Header depth is the solid-wood depth over each opening (0 = none/insulated);
+// extra studs cover layout breaks, doubled studs and blocking.
+export const FRAMING_PRESETS = [
+  {
+    key: "standard16",
+    label: 'Standard, 16" o.c.',
+    studSpacingIn: 16,
+    plates: 3,
+    cornerStuds: 3,
+    intersectionStuds: 2,
+    headerDepthIn: 9.25,
+    jackStuds: 1,
+    extraStudsPct: 25,
+  },
+  {
+    key: "standard24",
+    label: 'Standard, 24" o.c.',
+    studSpacingIn: 24,
+    plates: 3,
+    cornerStuds: 3,
+    intersectionStuds: 2,
+    headerDepthIn: 9.25,
+    jackStuds: 1,
+    extraStudsPct: 25,
+  },
+  {
+    key: "ove",
+    label: 'Advanced framing (OVE), 24" o.c.',
+    studSpacingIn: 24,
+    plates: 2,
+    cornerStuds: 2,
+    intersectionStuds: 0,
+    headerDepthIn: 3,
+    jackStuds: 0,
+    extraStudsPct: 5,
+  },
+  {
+    key: "doublestud",
+    label: 'Double-stud, 24" o.c. (per row)',
+    studSpacingIn: 24,
+    plates: 2,
+    cornerStuds: 2,
+    intersectionStuds: 0,
+    headerDepthIn: 5.5,
+    jackStuds: 1,
+    extraStudsPct: 10,
+  },
+];
+
+export const FRAMING_FACTOR_MODES = [
+  { key: "calculated", label: "From framing description" },
+  { key: "manual", label: "Manual" },
+];
+
+// Exterior wall geometry for the framing-factor calculator. Length is the
+// total run of exterior wall across all stories; height is per story.
+export const DEFAULT_WALL_GEOMETRY = {
+  wallLengthFt: 390,
+  wallHeightFt: 9,
+  corners: 10,
+  intersections: 14, // interior walls meeting exterior walls
+  windows: 30,
+  windowWidthFt: 3,
+  windowHeightFt: 5,
+  doors: 3,
+  doorWidthFt: 3,
+  doorHeightFt: 6.75,
+};
+
+// Default materials library for custom layer-by-layer walls. Each material
+// has either `rPerInch` (R = thickness × rPerInch) or a fixed `rValue`.
+export const WALL_MATERIALS = [
+  {
+    key: "airFilms",
+    label: "Air films (inside + outside)",
+    rValue: LAYER_R.airFilms,
+  },
+  { key: "drywall", label: "Gypsum drywall", rPerInch: 0.9 },
+  { key: "osb716", label: 'OSB sheathing (7/16")', rValue: LAYER_R.osb716 },
+  { key: "plywood", label: "Plywood", rPerInch: 1.25 },
+  { key: "zipr3", label: "ZIP-R sheathing (R-3)", rValue: 3 },
+  { key: "zipr6", label: "ZIP-R sheathing (R-6)", rValue: 6 },
+  { key: "wood", label: "Wood framing", rPerInch: R_PER_INCH.wood },
+  // Steel framing: the framed zone uses STEEL_STUD_EFFECTIVE_R, not rPerInch
+  {
+    key: "steel16",
+    label: 'Steel studs, 16" o.c.',
+    rPerInch: 0,
+    steelSpacingIn: 16,
+  },
+  {
+    key: "steel24",
+    label: 'Steel studs, 24" o.c.',
+    rPerInch: 0,
+    steelSpacingIn: 24,
+  },
+  {
+    key: "fiberglass",
+    label: "Fiberglass batts",
+    rPerInch: R_PER_INCH.fiberglass,
+  },
+  {
+    key: "mineralwool",
+    label: "Mineral wool batts",
+    rPerInch: R_PER_INCH.mineralwool,
+  },
+  { key: "cellulose", label: "Dense-pack cellulose", rPerInch: 3.6 },
+  { key: "ocspf", label: "Open-cell spray foam", rPerInch: R_PER_INCH.ocspf },
+  { key: "ccspf", label: "Closed-cell spray foam", rPerInch: R_PER_INCH.ccspf },
+  { key: "polyiso", label: "Polyiso board", rPerInch: R_PER_INCH.polyiso },
+  { key: "xps", label: "XPS board", rPerInch: 5.0 },
+  { key: "eps", label: "EPS board", rPerInch: 4.0 },
+  { key: "woodfiber", label: "Wood-fiber board", rPerInch: 3.4 },
+  { key: "airSpace", label: 'Still air space (3/4"–4")', rValue: 1.0 },
+  { key: "rainscreen", label: "Rainscreen gap (ventilated)", rValue: 0 },
+  { key: "siding", label: "Siding (lap/panel)", rValue: LAYER_R.siding },
+  { key: "brick", label: "Brick veneer", rPerInch: 0.2 },
+  { key: "stucco", label: "Stucco", rPerInch: 0.2 },
+];
+
+// How a wall layer carries heat: continuous across the wall, or a framed
+// layer (framing members alternating with a cavity fill).
+export const LAYER_PATHS = [
+  { key: "series", label: "Series (continuous)" },
+  { key: "parallel", label: "Parallel path (framed)" },
+];
+
+export const WALL_MODES = [
+  { key: "preset", label: "Preset assembly" },
+  { key: "layers", label: "Custom layers" },
+];
+
+export const DEFAULT_HOME = {
+  wallAreaFt2: 3000, // net opaque wall area (excluding windows and doors)
+  conditionedFloorArea: 3500,
+  avgCeilingHeight: 9,
+  stories: 2,
+  windowToWallRatio: 0.15, // fraction of GROSS wall area
+  bedrooms: 3, // ASHRAE 62.2 ventilation rate
+};
+
+// Envelope components beyond walls and windows. The vented-attic ceiling is
+// the top-floor footprint (floor area / stories) minus any cathedral ceiling.
+export const DEFAULT_ENVELOPE = {
+  cathedralAreaFt2: 0,
+  floorAreaFt2: 0, // floor over a crawlspace, garage or outdoors
+  floorExposure: "crawlspace",
+  slabPerimeterFt: 0, // slab-on-grade exposed perimeter
+  basementWallAreaFt2: 0, // conditioned basement, below-grade wall area
+  basementDepthFt: 7, // average depth below grade
+  doorAreaFt2: 40,
+};
+
+// What a floor over an unconditioned space sees: the share of the outdoor
+// temperature difference the buffer space passes on, for heating and cooling.
+export const FLOOR_EXPOSURES = [
+  {
+    key: "crawlspace",
+    label: "Vented crawlspace",
+    heatFactor: 0.7,
+    coolFactor: 0,
+  },
+  {
+    key: "garage",
+    label: "Unconditioned garage",
+    heatFactor: 0.6,
+    coolFactor: 0.5,
+  },
+  {
+    key: "outdoors",
+    label: "Outdoors (cantilever, piers)",
+    heatFactor: 1,
+    coolFactor: 1,
+  },
+];
+
+// Slab-on-grade F-factors (BTU/hr·ft·°F per ft of perimeter), unheated slab,
+// approximate ASHRAE 90.1 Appendix A values.
+export const SLAB_EDGE_OPTIONS = [
+  { key: "none", label: "Uninsulated", fFactor: 0.73 },
+  { key: "r5-24", label: 'R-5, 24" deep', fFactor: 0.58 },
+  { key: "r10-24", label: 'R-10, 24" deep', fFactor: 0.54 },
+  { key: "r15-24", label: 'R-15, 24" deep', fFactor: 0.52 },
+  { key: "r10-48", label: 'R-10, 48" deep', fFactor: 0.5 },
+];
+
+// Window orientations. Each gets a share of the total window area (set by
+// the window-to-wall ratio) and its own glass and shading.
+export const WINDOW_ORIENTATIONS = [
+  { key: "N", label: "North" },
+  { key: "E", label: "East" },
+  { key: "S", label: "South" },
+  { key: "W", label: "West" },
+];
+
+// Fixed overhangs: fraction of the seasonal solar gain that still reaches the
+// glass. Values are typical for south glass, where the high summer sun is
+// shaded and the low winter sun is not.
+export const OVERHANG_OPTIONS = [
+  { key: "none", label: "None", heatFactor: 1, coolFactor: 1 },
+  { key: "short", label: "Short (~1 ft)", heatFactor: 0.95, coolFactor: 0.8 },
+  { key: "deep", label: "Deep (~2 ft)", heatFactor: 0.85, coolFactor: 0.6 },
+];
+
+// shadeFactor: other shading (trees, screens, blinds), 1 = unshaded.
+export const DEFAULT_WINDOWS = Object.fromEntries(
+  WINDOW_ORIENTATIONS.map(({ key }) => [
+    key,
+    { areaShare: 0.25, shgc: 0.3, overhangKey: "none", shadeFactor: 1 },
+  ])
+);
+
+// Sensible internal gains. `btuhPerOccupant` is a typical sensible gain for
+// light activity; `otherEnergyToHeat` is the share of the HERS "other site
+// energy" (lights, appliances, plug loads) released indoors as heat — the
+// rest leaves through dryer exhaust, drains and exterior lighting. Water
+// heating is modeled on its own (`calcHotWater`) and adds no gains. Projects
+// saved before that keep 0.6, tuned for other site energy that included
+// water heating, most of which goes down the drain.
+export const DEFAULT_INTERNAL_GAINS = {
+  occupants: 3,
+  btuhPerOccupant: 230,
+  otherEnergyToHeat: 0.8,
+};
+
+// Thermostat setpoints (°F); with internal gains they set each home's
+// heating and cooling balance points.
+export const DEFAULT_THERMOSTAT = { heatingF: 68, coolingF: 75 };
+
+export const DEFAULT_ECON = {
+  elecPricePerKWh: 0.14,
+  gasPricePerTherm: 1.25,
+};
+
+export const DEFAULT_FINANCE = {
+  discountRate: 0.03, // real discount rate (fraction)
+  escalationRate: 0.02, // annual energy-price escalation (fraction)
+  analysisYears: 30,
+};
+
+export const HEATING_TYPES = [
+  { key: "heatpump", label: "Heat Pump" },
+  { key: "gasfurnace", label: "Gas Furnace" },
+  { key: "resistance", label: "Electric Resistance" },
+  { key: "dualfuel", label: "Dual Fuel (Heat Pump + Gas Furnace)" },
+];
+
+// How the heat pump's heating performance is described
+export const HEAT_PUMP_RATINGS = [
+  { key: "hspf2", label: "HSPF2 / SEER2 rating" },
+  { key: "points", label: "Capacity & COP at 47/17/5°F" },
+  { key: "cop", label: "Single seasonal COP" },
+];
+
+// Typical units. `capacity17` / `capacity5` are heating capacity relative to
+// 47°F and `cop*` the curve shape; in "hspf2" mode the COPs are scaled so
+// the unit meets its HSPF2. `hspf2` / `seer2` are copied onto the HVAC
+// inputs when a model is picked.
+export const HEAT_PUMP_MODELS = [
+  {
+    key: "standard",
+    label: "Standard single-stage",
+    hspf2: 7.5,
+    seer2: 14.3,
+    cop47: 3.5,
+    cop17: 2.2,
+    cop5: 1.7,
+    capacity17: 0.6,
+    capacity5: 0.45,
+  },
+  {
+    key: "variable",
+    label: "Variable-speed",
+    hspf2: 8.5,
+    seer2: 18,
+    cop47: 4,
+    cop17: 2.6,
+    cop5: 2,
+    capacity17: 0.75,
+    capacity5: 0.6,
+  },
+  {
+    key: "coldclimate",
+    label: "Cold-climate variable-speed",
+    hspf2: 9.5,
+    seer2: 19,
+    cop47: 4.2,
+    cop17: 2.8,
+    cop5: 2.2,
+    capacity17: 0.9,
+    capacity5: 0.75,
+  },
+];
+
+export const HEAT_PUMP_CAPACITY_MODES = [
+  { key: "design", label: "Sized to design load" },
+  { key: "manual", label: "Manual (BTU/h at 47°F)" },
+];
+
+// Envelope components in whole-house load breakdowns
+export const LOAD_COMPONENTS = [
+  { key: "wall", label: "Walls" },
+  { key: "window", label: "Windows" },
+  { key: "door", label: "Doors" },
+  { key: "ceiling", label: "Attic ceiling" },
+  { key: "cathedral", label: "Cathedral ceiling" },
+  { key: "floor", label: "Floor" },
+  { key: "slab", label: "Slab" },
+  { key: "basement", label: "Basement walls" },
+  { key: "solar", label: "Solar gains (windows)" },
+  { key: "latent", label: "Latent (humidity)" },
+  { key: "infiltration", label: "Air leakage" },
+  { key: "ventilation", label: "Ventilation" },
+];
+
+export const DEFAULT_HVAC = {
+  heatingType: "heatpump",
+  heatPumpRating: "hspf2",
+  heatPumpModelKey: "standard",
+  hspf2: 7.5,
+  heatPumpCOP: 3.0, // used when heatPumpRating is "cop"
+  // Used when heatPumpRating is "points"
+  heatPumpPoints: {
+    capacity47: 36000,
+    cop47: 3.5,
+    capacity17: 22000,
+    cop17: 2.2,
+    capacity5: 16000,
+    cop5: 1.7,
+  },
+  heatPumpCapacityMode: "design",
+  heatPumpCapacityBtuh: 36000, // at 47°F, used when capacity mode is "manual"
+  furnaceAFUE: 0.95,
+  dualFuelSwitchoverF: 35, // furnace takes over below this outdoor temp
+  coolingSEER2: 14.3,
+  coolingSHR: 0.75, // sensible share of the cooling coil's capacity
+};
+
+const { key: _key, label: _label, ...STANDARD_FRAMING } = FRAMING_PRESETS[0];
+
+// Starting scenario list; every entry is one wall assembly + air sealing.
+export const DEFAULT_SCENARIOS = [
+  {
+    id: "a",
+    name: "Scenario A",
+    framingKey: "2x4",
+    cavityKey: "fiberglass",
+    sheathingKey: "osbwrap",
+    exteriorContinuousKey: "none",
+    interiorPolyiso: false,
+    ach50Preset: "builder",
+    ach50: 5,
+    framingFactor: 0.23, // used when framingFactorMode is "manual"
+    framingFactorMode: "calculated",
+    framing: { presetKey: "standard16", ...STANDARD_FRAMING },
+    wallMode: "preset",
+    layers: [], // used when wallMode is "layers"; see WALL_MATERIALS
+    ventilation: { ...DEFAULT_VENTILATION },
+    ducts: { ...DEFAULT_DUCTS },
+    installedCost: 15000,
+  },
+  {
+    id: "b",
+    name: "Scenario B",
+    framingKey: "2x6",
+    cavityKey: "mineralwool",
+    sheathingKey: "zipr6",
+    exteriorContinuousKey: "r6",
+    interiorPolyiso: true,
+    ach50Preset: "energystar",
+    ach50: 3,
+    framingFactor: 0.23, // used when framingFactorMode is "manual"
+    framingFactorMode: "calculated",
+    framing: { presetKey: "standard16", ...STANDARD_FRAMING },
+    wallMode: "preset",
+    layers: [], // used when wallMode is "layers"; see WALL_MATERIALS
+    ventilation: { ...DEFAULT_VENTILATION },
+    ducts: { ...DEFAULT_DUCTS },
+    installedCost: 24000,
+  },
+];
+
+// How the HERS reference home is built. "ansi301" follows ANSI/RESNET 301:
+// its own window area (share of floor area), door area, framing factor,
+// leakage (specific leakage area) and minimum-efficiency equipment of the
+// rated home's fuel. "simplified" borrows the rated home's window and door
+// areas, the scenario's framing factor and the rated equipment, with a fixed
+// ACH50; projects saved before the generator use it.
+export const REFERENCE_RULESETS = [
+  { key: "ansi301", label: "ANSI/RESNET 301" },
+  { key: "simplified", label: "Simplified (borrows rated home)" },
+];
+
+// How the HERS index is computed. "nmeul" is the ANSI/RESNET 301 method:
+// heating, cooling and hot water loads normalized for equipment efficiency,
+// plus lighting, appliance and fan energy, over the reference home's loads.
+// "ratio" is rated over reference site energy; projects saved before the
+// nMEUL method use it.
+export const HERS_INDEX_METHODS = [
+  { key: "nmeul", label: "ANSI/RESNET 301 (nMEUL)" },
+  { key: "ratio", label: "Site energy ratio" },
+];
+
+// Energy code editions for the IECC compliance check (`checkCompliance`).
+export const IECC_EDITIONS = [
+  { key: "2018", label: "IECC 2018" },
+  { key: "2021", label: "IECC 2021" },
+  { key: "2024", label: "IECC 2024" },
+];
+
+export const DEFAULT_COMPLIANCE = { editionKey: "2021" };
+
+export const HERS_DEFAULTS = {
+  indexMethod: "nmeul",
+  ach50ToNatFactor: 0.07, // editable conversion factor
+  // Assemblies for the envelope components in DEFAULT_ENVELOPE. Slab is an
+  // F-factor (per ft of perimeter); basement walls a C-factor (no soil or
+  // air films).
+  rated: {
+    windowU: 0.3,
+    ceilingR: 38,
+    cathedralR: 30,
+    floorR: 19,
+    slabF: 0.54,
+    basementC: 0.092,
+    doorU: 0.2,
+  },
+  reference: {
+    // ANSI/RESNET 301 reference for climate zone 4 (editable; see
+    // `referenceHomeForClimateZone`):
+    ruleset: "ansi301",
+    framingKey: "2x4",
+    cavityKey: "fiberglass",
+    sheathingKey: "osbwrap",
+    exteriorContinuousKey: "none",
+    interiorPolyiso: false,
+    ach50: 7, // "simplified" ruleset
+    specificLeakageArea: 0.00036, // ELA / floor area, "ansi301" ruleset
+    framingFactor: 0.23,
+    windowAreaFraction: 0.18, // of conditioned floor area
+    doorAreaFt2: 40,
+    windowU: 0.4,
+    shgc: 0.4, // same on every orientation, window area split evenly
+    ceilingR: 38,
+    cathedralR: 38,
+    floorR: 19,
+    slabF: 0.54,
+    basementC: 0.092,
+    doorU: 0.4,
+    distributionEfficiency: 0.8, // ANSI/RESNET 301 reference DSE
+    // Minimum equipment: electric homes get a heat pump (HSPF 7.7 ≈ HSPF2
+    // 6.55), fossil-fuel homes a furnace; SEER 13 ≈ SEER2 12.35 cooling
+    heatPumpHSPF2: 6.55,
+    furnaceAFUE: 0.78,
+    coolingSEER2: 12.35,
+    // Reference water heater of the rated home's fuel
+    waterHeaterElectricEF: 0.92,
+    waterHeaterGasEF: 0.59,
+  },
+  // Lights, appliances and plug loads (EC_LA in the nMEUL index; water heating
+  // is its own end use): the former 6000 kWh less the ~3400 kWh the default
+  // electric water heater uses. Same for rated & ref by default
+  otherSiteEnergyKWh: 2600,
+};
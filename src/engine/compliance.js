@@ -0,0 +1,273 @@
+import {
+  DEFAULT_ENVELOPE,
+  FRAMING_OPTIONS,
+  EXTERIOR_CONTINUOUS_INSULATION,
+  EXTERIOR_SHEATHING,
+  LAYER_R,
+  SLAB_EDGE_OPTIONS,
+} from "./catalogs.js";
+import { calcEnvelopeUA } from "./loads.js";
+import { climateZoneNumber } from "./reference.js";
+import { calcCavityR } from "./wall.js";
+
+/**
+ * IECC residential envelope compliance (2018, 2021, 2024).
+ *
+ * - Prescriptive (R402.1.2/R402.1.3): wood-frame wall cavity + continuous
+ *   insulation against any of the zone's options (or the wall's U-factor
+ *   against the U-factor alternative), fenestration U, attic ceiling R, and
+ *   the mandatory blower-door limit (ACH50).
+ * - Total UA alternative (R402.1.5, REScheck-style): Σ U · A of the rated
+ *   envelope against the same areas at the code U-factors; margin =
+ *   1 − UA_proposed / UA_code. Infiltration is not part of either UA.
+ *
+ * Steel-stud and custom-layer walls use the U-factor alternative only. Marine
+ * 4C takes the zone 5 row, as in the code tables.
+ */
+
+// Requirements by edition, one entry per climate zone 1–8. Prescriptive:
+// fenestration U (null is "NR", no requirement), attic ceiling R, wood-frame
+// wall options as [cavity R, continuous R] and the ACH50 limit. Assembly
+// U-factors (R402.1.2 / R402.1.4) for the UA alternative: fenestration (and
+// doors), ceiling, wood-frame wall, floor and basement wall; the slab keeps
+// its R-value entry, as a `SLAB_EDGE_OPTIONS` key.
+const W13 = [[13, 0]];
+const W13_0_10 = [...W13, [0, 10]];
+const W20 = [
+  [20, 0],
+  [13, 5],
+];
+const W20_0_15 = [...W20, [0, 15]];
+const W20_5 = [
+  [20, 5],
+  [13, 10],
+];
+const W20_5_0_15 = [...W20_5, [0, 15]];
+const W20_5_0_20 = [...W20_5, [0, 20]];
+const IECC_2021 = {
+  windowU: [null, 0.4, 0.3, 0.3, 0.3, 0.3, 0.3, 0.3],
+  ceilingR: [30, 49, 49, 60, 60, 60, 60, 60],
+  walls: [
+    W13_0_10,
+    W13_0_10,
+    W20_0_15,
+    W20_5_0_15,
+    W20_5_0_15,
+    W20_5_0_20,
+    W20_5_0_20,
+    W20_5_0_20,
+  ],
+  ach50: [5, 5, 5, 5, 5, 5, 5, 5],
+  uWindow: [0.5, 0.4, 0.3, 0.3, 0.3, 0.3, 0.3, 0.3],
+  uCeiling: [0.035, 0.026, 0.026, 0.024, 0.024, 0.024, 0.024, 0.024],
+  uWall: [0.084, 0.084, 0.06, 0.045, 0.045, 0.045, 0.045, 0.045],
+  uFloor: [0.064, 0.064, 0.047, 0.047, 0.033, 0.033, 0.028, 0.028],
+  uBasement: [0.36, 0.36, 0.091, 0.059, 0.05, 0.05, 0.05, 0.05],
+  slab: [
+    "none",
+    "none",
+    "r10-24",
+    "r10-48",
+    "r10-48",
+    "r10-48",
+    "r10-48",
+    "r10-48",
+  ],
+};
+const IECC = {
+  2018: {
+    windowU: [null, 0.4, 0.32, 0.32, 0.3, 0.3, 0.3, 0.3],
+    ceilingR: [30, 38, 38, 49, 49, 49, 49, 49],
+    walls: [W13, W13, W20, W20, W20, W20_5, W20_5, W20_5],
+    ach50: [5, 5, 3, 3, 3, 3, 3, 3],
+    uWindow: [0.5, 0.4, 0.32, 0.32, 0.3, 0.3, 0.3, 0.3],
+    uCeiling: [0.035, 0.03, 0.03, 0.026, 0.026, 0.026, 0.026, 0.026],
+    uWall: [0.084, 0.084, 0.06, 0.06, 0.06, 0.045, 0.045, 0.045],
+    uFloor: IECC_2021.uFloor,
+    uBasement: IECC_2021.uBasement,
+    slab: [
+      "none",
+      "none",
+      "none",
+      "r10-24",
+      "r10-24",
+      "r10-48",
+      "r10-48",
+      "r10-48",
+    ],
+  },
+  2021: IECC_2021,
+  // 2024 adds an R-30 cavity-only wall in zones 4 and 5
+  2024: {
+    ...IECC_2021,
+    walls: IECC_2021.walls.map((w, i) =>
+      i === 3 || i === 4 ? [[30, 0], ...w] : w
+    ),
+  },
+};
+
+function codeZone(climateZone) {
+  const n = climateZoneNumber(climateZone);
+  const marine4 = n === 4 && /c$/i.test(String(climateZone).trim());
+  return marine4 ? 5 : n;
+}
+
+/**
+ * IECC envelope requirements for a climate zone.
+ *
+ * @param {string} climateZone e.g. "4A", "5B", "4C".
+ * @param {string} editionKey Key from `IECC_EDITIONS`.
+ * @returns {{ zone: number, windowU: number|null, ceilingR: number, walls: { cavityR: number, ciR: number }[], ach50: number, uFactors: object }|null}
+ *   `uFactors` holds `windowU`, `ceilingU`, `wallU`, `floorU`, `basementU`
+ *   and `slabF`; null for an unknown zone or edition.
+ */
+export function codeRequirements(climateZone, editionKey) {
+  const zone = codeZone(climateZone);
+  const table = IECC[editionKey];
+  if (!table || !zone) return null;
+  const i = zone - 1;
+  return {
+    zone,
+    windowU: table.windowU[i],
+    ceilingR: table.ceilingR[i],
+    walls: table.walls[i].map(([cavityR, ciR]) => ({ cavityR, ciR })),
+    ach50: table.ach50[i],
+    uFactors: {
+      windowU: table.uWindow[i],
+      ceilingU: table.uCeiling[i],
+      wallU: table.uWall[i],
+      floorU: table.uFloor[i],
+      basementU: table.uBasement[i],
+      slabF: SLAB_EDGE_OPTIONS.find((o) => o.key === table.slab[i]).fFactor,
+    },
+  };
+}
+
+/**
+ * Nominal cavity and continuous insulation of a preset wood-frame wall
+ * (rounded to whole R-values, as labeled), or null for steel studs and
+ * custom layers, which the code tables only cover by U-factor.
+ *
+ * @param {object} scenario `DEFAULT_SCENARIOS` shape.
+ * @returns {{ cavityR: number, ciR: number }|null}
+ */
+export function nominalWallInsulation(scenario) {
+  if (scenario.wallMode === "layers") return null;
+  const framing = FRAMING_OPTIONS.find((f) => f.key === scenario.framingKey);
+  if (!framing || framing.material === "steel") return null;
+  const sheathing = EXTERIOR_SHEATHING.find(
+    (o) => o.key === scenario.sheathingKey
+  );
+  const foam = EXTERIOR_CONTINUOUS_INSULATION.find(
+    (o) => o.key === scenario.exteriorContinuousKey
+  );
+  const ciR =
+    (sheathing?.rContinuous ?? 0) +
+    (foam?.rValue ?? 0) +
+    (scenario.interiorPolyiso ? LAYER_R.interiorPolyisoHalf : 0);
+  return {
+    cavityR: Math.round(calcCavityR(framing.depth, scenario.cavityKey)),
+    ciR: Math.round(ciR),
+  };
+}
+
+/**
+ * Check one scenario against the IECC edition in `shared.compliance`.
+ *
+ * @param {object} input
+ * @param {object} input.scenario `DEFAULT_SCENARIOS` shape (`ach50` and the
+ *   wall fields are used).
+ * @param {number} input.wholeWallR The scenario's whole-wall effective R.
+ * @param {object} input.shared Shared inputs: `climateZone`, `compliance`,
+ *   `hers.rated` assemblies and the house geometry.
+ * @returns {object|null} `editionKey`, `requirements` (`codeRequirements`),
+ *   `checks` (`{ key, required, proposed, pass }` for wall, window, ceiling
+ *   and ach50), `prescriptivePass`, `ua` (`{ proposed, code, margin, pass,
+ *   components }`, components keyed like `LOAD_COMPONENTS`) and `pass`
+ *   (mandatory air leakage plus the prescriptive or UA path); null for an
+ *   unknown climate zone.
+ */
+export function checkCompliance({ scenario, wholeWallR, shared }) {
+  const editionKey = shared.compliance?.editionKey ?? "2021";
+  const req = codeRequirements(shared.climateZone, editionKey);
+  if (!req) return null;
+  const rated = shared.hers.rated;
+  const code = req.uFactors;
+
+  const insulation = nominalWallInsulation(scenario);
+  const wallU = 1 / wholeWallR;
+  const checks = [
+    {
+      key: "wall",
+      required: { options: req.walls, uFactor: code.wallU },
+      proposed: { ...insulation, uFactor: wallU },
+      pass:
+        wallU <= code.wallU ||
+        (insulation !== null &&
+          req.walls.some(
+            (o) => insulation.cavityR >= o.cavityR && insulation.ciR >= o.ciR
+          )),
+    },
+    {
+      key: "window",
+      required: req.windowU,
+      proposed: rated.windowU,
+      pass: req.windowU === null || rated.windowU <= req.windowU,
+    },
+    {
+      key: "ceiling",
+      required: req.ceilingR,
+      proposed: rated.ceilingR,
+      pass: rated.ceilingR >= req.ceilingR,
+    },
+    {
+      key: "ach50",
+      required: req.ach50,
+      proposed: scenario.ach50,
+      pass: scenario.ach50 <= req.ach50,
+      mandatory: true,
+    },
+  ];
+  const prescriptivePass = checks.every((c) => c.pass);
+
+  // Same areas as the annual model; conduction only
+  const envelope = { ...DEFAULT_ENVELOPE, ...shared.envelope };
+  const proposed = calcEnvelopeUA({
+    wholeWallR,
+    assemblies: rated,
+    ACHnat: 0,
+    shared,
+  });
+  const { windowArea, ceilingArea } = proposed;
+  const codeUA = {
+    wall: shared.wallAreaFt2 * code.wallU,
+    window: windowArea * code.windowU,
+    door: envelope.doorAreaFt2 * code.windowU,
+    ceiling: ceilingArea * code.ceilingU,
+    cathedral: envelope.cathedralAreaFt2 * code.ceilingU,
+    floor: envelope.floorAreaFt2 * code.floorU,
+    slab: envelope.slabPerimeterFt * code.slabF,
+    basement: envelope.basementWallAreaFt2 * code.basementU,
+  };
+  const components = Object.fromEntries(
+    Object.entries(codeUA).map(([key, UA]) => [
+      key,
+      { proposed: proposed.components[key].UA, code: UA },
+    ])
+  );
+  const sum = (side) =>
+    Object.values(components).reduce((a, c) => a + c[side], 0);
+  const ua = { proposed: sum("proposed"), code: sum("code"), components };
+  ua.margin = ua.code > 0 ? 1 - ua.proposed / ua.code : 0;
+  ua.pass = ua.proposed <= ua.code;
+
+  const airPass = checks.find((c) => c.key === "ach50").pass;
+  return {
+    editionKey,
+    requirements: req,
+    checks,
+    prescriptivePass,
+    ua,
+    pass: airPass && (prescriptivePass || ua.pass),
+  };
+}
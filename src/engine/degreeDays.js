@@ -0,0 +1,152 @@
+/**
+ * Degree days to other base temperatures.
+ *
+ * Bundled locations and loaded weather files carry degree days tabulated at
+ * `DEGREE_DAY_BASES_F` (`degreeDaysByBase`); degree days to a balance point
+ * are interpolated between them.
+ *
+ * A hand-entered climate has only HDD65/CDD65, so those are treated as
+ * moments of a normal distribution of daily mean outdoor temperature
+ * T ~ N(μ, σ):
+ * - HDD65 − CDD65 = 365 · (65 − μ)      → μ
+ * - HDD65 = 365 · E[(65 − T)⁺]          → σ (solved by bisection)
+ * That fit is an approximation (real climates are skewed, and seasonal ones
+ * bimodal); it is also what answers "how much of the heating load happens
+ * below X°F" without hourly weather data.
+ */
+
+/** Base temperatures (°F) of tabulated degree days. */
+export const DEGREE_DAY_BASES_F = [50, 55, 60, 65, 70];
+
+// Abramowitz & Stegun 7.1.26 (|error| < 1.5e-7)
+function erf(x) {
+  const sign = x < 0 ? -1 : 1;
+  const a = Math.abs(x);
+  const t = 1 / (1 + 0.3275911 * a);
+  const poly =
+    t *
+    (0.254829592 +
+      t *
+        (-0.284496736 +
+          t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  return sign * (1 - poly * Math.exp(-a * a));
+}
+
+function normPdf(z) {
+  return Math.exp(-0.5 * z * z) / Math.sqrt(2 * Math.PI);
+}
+
+function normCdf(z) {
+  return 0.5 * (1 + erf(z / Math.SQRT2));
+}
+
+// E[(base − T) · 1{T < limit}] for T ~ N(μ, σ)
+function partialHeatingDegrees(mu, sigma, base, limit) {
+  const z = (limit - mu) / sigma;
+  return (base - mu) * normCdf(z) + sigma * normPdf(z);
+}
+
+/**
+ * Fit the daily mean temperature distribution to annual degree days.
+ *
+ * @param {{ HDD65: number, CDD65: number }} climate
+ * @returns {{ meanF: number, sdF: number }}
+ */
+export function fitDegreeDayDistribution({ HDD65, CDD65 }) {
+  const meanF = 65 - (HDD65 - CDD65) / 365;
+  const target = Math.max(0, HDD65) / 365;
+  let lo = 0.5;
+  let hi = 60;
+  for (let i = 0; i < 60; i++) {
+    const mid = (lo + hi) / 2;
+    if (partialHeatingDegrees(meanF, mid, 65, 65) < target) lo = mid;
+    else hi = mid;
+  }
+  return { meanF, sdF: (lo + hi) / 2 };
+}
+
+// Degree days to any base from the distribution fitted to HDD65/CDD65.
+function fittedDegreeDays({ HDD65, CDD65 }, baseF) {
+  const { meanF, sdF } = fitDegreeDayDistribution({ HDD65, CDD65 });
+  const HDD = 365 * partialHeatingDegrees(meanF, sdF, baseF, baseF);
+  // E[(T − base)⁺] = E[(base − T)⁺] − (base − μ)
+  const CDD = 365 * (HDD / 365 - (baseF - meanF));
+  return { HDD: Math.max(0, HDD), CDD: Math.max(0, CDD) };
+}
+
+/**
+ * Whether `table` is a degree-day table: `{ HDD, CDD }`, each a list of
+ * °F·days at `DEGREE_DAY_BASES_F`.
+ *
+ * @param {*} table
+ * @returns {boolean}
+ */
+export function isDegreeDayTable(table) {
+  return ["HDD", "CDD"].every(
+    (k) =>
+      Array.isArray(table?.[k]) &&
+      table[k].length === DEGREE_DAY_BASES_F.length &&
+      table[k].every((v) => Number.isFinite(v) && v >= 0)
+  );
+}
+
+/**
+ * Annual heating and cooling degree days to any base temperature.
+ *
+ * With a `degreeDaysByBase` table the result is interpolated linearly between
+ * the tabulated bases; beyond 50–70°F it follows the fitted distribution's
+ * slope from the nearest tabulated base. Without one (a hand-entered climate)
+ * it comes from the distribution fitted to HDD65/CDD65, an approximation that
+ * returns the inputs at base 65°F.
+ *
+ * @param {{ HDD65: number, CDD65: number, degreeDaysByBase?: object|null }} climate
+ * @param {number} baseF Base (balance-point) temperature (°F).
+ * @returns {{ HDD: number, CDD: number }} °F·days.
+ */
+export function degreeDaysAtBase({ HDD65, CDD65, degreeDaysByBase }, baseF) {
+  if (!isDegreeDayTable(degreeDaysByBase)) {
+    return fittedDegreeDays({ HDD65, CDD65 }, baseF);
+  }
+  const bases = DEGREE_DAY_BASES_F;
+  const last = bases.length - 1;
+  const at = (i) => ({
+    HDD: degreeDaysByBase.HDD[i],
+    CDD: degreeDaysByBase.CDD[i],
+  });
+  if (baseF < bases[0] || baseF > bases[last]) {
+    const i = baseF < bases[0] ? 0 : last;
+    const from = fittedDegreeDays({ HDD65, CDD65 }, bases[i]);
+    const to = fittedDegreeDays({ HDD65, CDD65 }, baseF);
+    return {
+      HDD: Math.max(0, at(i).HDD + to.HDD - from.HDD),
+      CDD: Math.max(0, at(i).CDD + to.CDD - from.CDD),
+    };
+  }
+  let i = 0;
+  while (i < last - 1 && baseF > bases[i + 1]) i++;
+  const t = (baseF - bases[i]) / (bases[i + 1] - bases[i]);
+  const lo = at(i);
+  const hi = at(i + 1);
+  return {
+    HDD: lo.HDD + t * (hi.HDD - lo.HDD),
+    CDD: lo.CDD + t * (hi.CDD - lo.CDD),
+  };
+}
+
+/**
+ * Share of the annual heating load (base 65°F) that occurs on days colder
+ * than `tempF`.
+ *
+ * @param {{ HDD65: number, CDD65: number }} climate
+ * @param {number} tempF Outdoor temperature threshold (°F).
+ * @returns {number} Fraction 0–1.
+ */
+export function heatingLoadFractionBelow({ HDD65, CDD65 }, tempF) {
+  if (!(HDD65 > 0)) return 0;
+  if (tempF >= 65) return 1;
+  const { meanF, sdF } = fitDegreeDayDistribution({ HDD65, CDD65 });
+  const total = partialHeatingDegrees(meanF, sdF, 65, 65);
+  if (total <= 0) return 0;
+  const below = partialHeatingDegrees(meanF, sdF, 65, tempF);
+  return Math.max(0, Math.min(1, below / total));
+}
@@ -0,0 +1,82 @@
+import { DEFAULT_THERMOSTAT, DUCT_LOCATIONS } from "./catalogs.js";
+
+/**
+ * Duct distribution efficiency (ASHRAE 152 seasonal delivery effectiveness).
+ *
+ * - Conduction: the share of supply heat that survives the run,
+ *   B = exp(−A / (1.08 · Q · R)), with Q the air-handler flow (CFM).
+ * - Leakage to outside: half on the supply side, half on the return, as a
+ *   fraction of the air-handler flow; a = 1 − leakage fraction.
+ * - Delivery effectiveness:
+ *   DE = a_s·B_s − a_s·B_s·(1 − B_r·a_r)·ΔT_r/ΔT_e − a_s·(1 − B_s)·ΔT_s/ΔT_e,
+ *   where ΔT_s, ΔT_r are indoor minus duct-space temperature and ΔT_e is the
+ *   temperature change across the equipment.
+ * - Losses a buffer space returns to the house are credited:
+ *   DSE = DE + regain · (1 − DE).
+ *
+ * Heating and cooling energy are divided by their DSE.
+ */
+
+// System airflow: 400 CFM per ton at roughly 600 ft² per ton
+const AIR_HANDLER_CFM_PER_FT2 = 400 / 600;
+// Temperature change across the heating and cooling equipment (°F)
+const HEATING_RISE_F = 40;
+const COOLING_DROP_F = 20;
+// Inside and outside air films on the duct wall
+const DUCT_FILM_R = 0.7;
+
+const IDEAL = { heating: 1, cooling: 1 };
+
+function deliveryEffectiveness({ supplyB, returnB, aS, aR, dTs, dTr, dTe }) {
+  return (
+    aS * supplyB -
+    aS * supplyB * (1 - returnB * aR) * (dTr / dTe) -
+    aS * (1 - supplyB) * (dTs / dTe)
+  );
+}
+
+/**
+ * Seasonal heating and cooling distribution efficiency of a duct system.
+ * With no ducts given, distribution is ideal (1, 1).
+ *
+ * @param {object} [ducts] `DEFAULT_DUCTS` shape.
+ * @param {object} house
+ * @param {number} house.conditionedFloorArea ft² (sets the air-handler flow).
+ * @param {object} [house.thermostat] `DEFAULT_THERMOSTAT` shape.
+ * @returns {{ heating: number, cooling: number }} DSE, 0–1.
+ */
+export function calcDistributionEfficiency(ducts, house) {
+  if (!ducts) return IDEAL;
+  const location =
+    DUCT_LOCATIONS.find((l) => l.key === ducts.locationKey) ||
+    DUCT_LOCATIONS[0];
+  const t = { ...DEFAULT_THERMOSTAT, ...house.thermostat };
+  const flow = Math.max(
+    1,
+    house.conditionedFloorArea * AIR_HANDLER_CFM_PER_FT2
+  );
+  const R = Math.max(0, ducts.insulationR) + DUCT_FILM_R;
+  const conduction = (area) => Math.exp(-Math.max(0, area) / (1.08 * flow * R));
+  const leakShare = Math.min(1, Math.max(0, ducts.leakageCfm25) / 2 / flow);
+  const common = {
+    supplyB: conduction(ducts.supplyAreaFt2),
+    returnB: conduction(ducts.returnAreaFt2),
+    aS: 1 - leakShare,
+    aR: 1 - leakShare,
+  };
+
+  const dse = (indoorF, ambientF, dTe) => {
+    const de = deliveryEffectiveness({
+      ...common,
+      dTs: indoorF - ambientF,
+      dTr: indoorF - ambientF,
+      dTe,
+    });
+    const withRegain = de + location.regain * (1 - de);
+    return Math.min(1, Math.max(0.3, withRegain));
+  };
+  return {
+    heating: dse(t.heatingF, location.heatingAmbientF, HEATING_RISE_F),
+    cooling: dse(t.coolingF, location.coolingAmbientF, -COOLING_DROP_F),
+  };
+}
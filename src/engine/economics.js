@@ -0,0 +1,116 @@
+/**
+ * Life-cycle economics of an upgrade against a baseline.
+ *
+ * Savings grow with energy-price escalation e and are discounted at d:
+ * - Savings in year t: S_t = S₁ · (1 + e)^(t−1)
+ * - NPV = −ΔC + Σ S_t / (1 + d)^t, t = 1…N
+ * - SIR = PV(savings) / ΔC;  IRR solves NPV = 0
+ * Break-even prices hold the other fuel's price fixed and solve NPV = 0.
+ */
+
+function presentValueFactor(years, discountRate, escalationRate) {
+  let pvf = 0;
+  for (let t = 1; t <= years; t++) {
+    pvf += (1 + escalationRate) ** (t - 1) / (1 + discountRate) ** t;
+  }
+  return pvf;
+}
+
+function npvAt(
+  rate,
+  { incrementalCost, annualSavings, years, escalationRate }
+) {
+  return (
+    annualSavings * presentValueFactor(years, rate, escalationRate) -
+    incrementalCost
+  );
+}
+
+// NPV falls as the rate rises once the upfront cost is positive; bisect.
+function solveIRR(cashFlow) {
+  if (cashFlow.incrementalCost <= 0 || cashFlow.annualSavings <= 0) return null;
+  let lo = -0.99;
+  let hi = 10;
+  if (npvAt(lo, cashFlow) < 0 || npvAt(hi, cashFlow) > 0) return null;
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if (npvAt(mid, cashFlow) > 0) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+/**
+ * Payback, NPV, IRR, SIR, cumulative cash flow and break-even energy prices.
+ *
+ * @param {object} input
+ * @param {number} input.incrementalCost Upgrade cost minus baseline cost ($).
+ * @param {number} input.kWhSaved First-year electricity savings (kWh).
+ * @param {number} [input.thermsSaved=0] First-year gas savings (therms).
+ * @param {{ elecPricePerKWh: number, gasPricePerTherm: number }} input.econ
+ * @param {{ discountRate: number, escalationRate: number, analysisYears: number }} input.finance
+ *   Rates as fractions (0.03 = 3%).
+ * @returns {object} `annualSavings`, `simplePaybackYears`, `npv`, `irr`,
+ *   `sir`, `breakEvenElecPrice`, `breakEvenGasPrice` and `cashFlow`
+ *   (`{ year, cumulative, cumulativeDiscounted }` for years 0…N).
+ *   Metrics that are undefined for the inputs are `null`.
+ */
+export function calcEconomics({
+  incrementalCost,
+  kWhSaved,
+  thermsSaved = 0,
+  econ,
+  finance,
+}) {
+  const years = Math.max(1, Math.round(finance.analysisYears));
+  const { discountRate, escalationRate } = finance;
+  const annualSavings =
+    kWhSaved * econ.elecPricePerKWh +
+    thermsSaved * (econ.gasPricePerTherm || 0);
+  const pvf = presentValueFactor(years, discountRate, escalationRate);
+  const pvSavings = annualSavings * pvf;
+
+  const cashFlow = [
+    {
+      year: 0,
+      cumulative: -incrementalCost,
+      cumulativeDiscounted: -incrementalCost,
+    },
+  ];
+  for (let t = 1; t <= years; t++) {
+    const s = annualSavings * (1 + escalationRate) ** (t - 1);
+    const prev = cashFlow[t - 1];
+    cashFlow.push({
+      year: t,
+      cumulative: prev.cumulative + s,
+      cumulativeDiscounted:
+        prev.cumulativeDiscounted + s / (1 + discountRate) ** t,
+    });
+  }
+
+  const breakEvenPrice = (units, otherSavings) =>
+    units > 0 && pvf > 0
+      ? (incrementalCost / pvf - otherSavings) / units
+      : null;
+
+  return {
+    incrementalCost,
+    annualSavings,
+    simplePaybackYears:
+      incrementalCost > 0 && annualSavings > 0
+        ? incrementalCost / annualSavings
+        : null,
+    npv: pvSavings - incrementalCost,
+    irr: solveIRR({ incrementalCost, annualSavings, years, escalationRate }),
+    sir: incrementalCost > 0 ? pvSavings / incrementalCost : null,
+    breakEvenElecPrice: breakEvenPrice(
+      kWhSaved,
+      thermsSaved * (econ.gasPricePerTherm || 0)
+    ),
+    breakEvenGasPrice: breakEvenPrice(
+      thermsSaved,
+      kWhSaved * econ.elecPricePerKWh
+    ),
+    cashFlow,
+  };
+}
@@ -0,0 +1,191 @@
+import {
+  calcScenarioWall,
+  calcWholeWallR,
+  scenarioFramingFactor,
+  scenarioWallInputs,
+} from "./wall.js";
+import {
+  calcComponentBreakdown,
+  calcReferenceWholeHouseKWh,
+  calcWholeHouseKWh,
+} from "./loads.js";
+import { calcEnergyCosts } from "./heating.js";
+import { calcHERSIndexNMEUL, estimateHERSIndex, hersEndUses } from "./hers.js";
+import {
+  referenceAch50,
+  referenceFramingFactor,
+  referenceWaterHeating,
+} from "./reference.js";
+import { calcHotWater } from "./waterHeating.js";
+import { checkCompliance } from "./compliance.js";
+import { simulateHourly } from "./hourly.js";
+import { degreeDaysByBaseFromHourly } from "./weather.js";
+
+// The scenario's framing factor (manual or derived) and its wall.
+function scenarioWall(scenario, shared) {
+  const framingFactor = scenarioFramingFactor(scenario, shared.wallGeometry);
+  const wholeWall = calcScenarioWall(
+    { ...scenario, framingFactor },
+    shared.materials
+  );
+  return { framingFactor, wholeWall };
+}
+
+/**
+ * Evaluate one scenario against the shared inputs. This is the single path
+ * behind every number the UI shows for a scenario (cards, comparison summary,
+ * economics), so they always agree.
+ *
+ * The reference home is built from `shared.hers.reference` (see
+ * `referenceHouse`); under the simplified rules it also takes the scenario's
+ * framing factor (manual or derived from the framing description). Its
+ * ventilation follows the scenario's (see `referenceVentilation`).
+ *
+ * @param {object} scenario Scenario state (`DEFAULT_SCENARIOS` shape).
+ * @param {object} shared Shared house, climate, HVAC, economic and HERS inputs
+ *   plus the wall `materials` library and `wallGeometry`.
+ * @returns {object} `framingFactor`, `wholeWall` (from `calcScenarioWall`),
+ *   `wholeWallR`, `loads` (from `calcWholeHouseKWh`), `costs` (`costHeat`,
+ *   `costCool`, `costFan`, `annualCost`), `breakdown` (from
+ *   `calcComponentBreakdown`), `reference` (`wholeWallR`, `framingFactor`,
+ *   `ach50`, `hotWater` and the `calcReferenceWholeHouseKWh` result),
+ *   `hotWater` (from `calcHotWater`), `hers` (the index by
+ *   `hers.indexMethod`), `hersDetail` (the `calcHERSIndexNMEUL` terms, or
+ *   null for the "ratio" method), `design` (from `calcDesignLoads`) and
+ *   `compliance` (from `checkCompliance`).
+ */
+export function evaluateScenario(scenario, shared) {
+  const { hers: hersInputs, econ } = shared;
+  const { framingFactor, wholeWall } = scenarioWall(scenario, shared);
+
+  const loads = calcWholeHouseKWh({
+    scenarioWholeWallR: wholeWall.rEff,
+    ach50: scenario.ach50,
+    ach50ToNatFactor: hersInputs.ach50ToNatFactor,
+    ventilation: scenario.ventilation,
+    ducts: scenario.ducts,
+    shared,
+    hers: hersInputs,
+  });
+  const costs = calcEnergyCosts({
+    kWhHeat: loads.kWhHeat,
+    thermsHeat: loads.thermsHeat,
+    kWhCool: loads.kWhCool,
+    kWhFan: loads.kWhFan,
+    econ,
+  });
+
+  const refFramingFactor = referenceFramingFactor(
+    hersInputs.reference,
+    framingFactor
+  );
+  const refWall = calcWholeWallR(
+    scenarioWallInputs({
+      ...hersInputs.reference,
+      framingFactor: refFramingFactor,
+    })
+  );
+  const refAch50 = referenceAch50(hersInputs.reference, shared);
+  const refKWh = calcReferenceWholeHouseKWh({
+    referenceWholeWallR: refWall.rEff,
+    refAch50,
+    ach50ToNatFactor: hersInputs.ach50ToNatFactor,
+    ratedVentilation: loads.ventilation,
+    shared,
+    hers: hersInputs,
+  });
+  const hotWater = calcHotWater({ waterHeating: shared.waterHeating, shared });
+  const refHotWater = calcHotWater({
+    waterHeating: referenceWaterHeating(
+      shared.waterHeating,
+      hersInputs.reference
+    ),
+    shared,
+  });
+
+  const hersDetail =
+    hersInputs.indexMethod === "nmeul"
+      ? calcHERSIndexNMEUL({
+          rated: hersEndUses({ ...loads, hvac: shared.hvac, hotWater }),
+          reference: hersEndUses({ ...refKWh, hotWater: refHotWater }),
+          distributionEfficiency:
+            hersInputs.reference.distributionEfficiency ?? 1,
+          ratedLAKWh: hersInputs.otherSiteEnergyKWh + loads.kWhFan,
+          refLAKWh: hersInputs.otherSiteEnergyKWh + refKWh.kWhFan,
+        })
+      : null;
+  const hers =
+    hersDetail?.index ??
+    estimateHERSIndex({
+      ratedKWhHeat: loads.kWhHeat,
+      ratedThermsHeat: loads.thermsHeat,
+      ratedKWhCool: loads.kWhCool,
+      refKWhHeat: refKWh.kWhHeat,
+      refThermsHeat: refKWh.thermsHeat,
+      refKWhCool: refKWh.kWhCool,
+      ratedKWhFan: loads.kWhFan,
+      refKWhFan: refKWh.kWhFan,
+      otherKWh: hersInputs.otherSiteEnergyKWh,
+    });
+
+  return {
+    framingFactor,
+    wholeWall,
+    wholeWallR: wholeWall.rEff,
+    loads,
+    costs,
+    breakdown: calcComponentBreakdown(loads, econ),
+    reference: {
+      wholeWallR: refWall.rEff,
+      framingFactor: refFramingFactor,
+      ach50: refAch50,
+      ...refKWh,
+      hotWater: refHotWater,
+    },
+    hotWater,
+    hers,
+    hersDetail,
+    design: loads.design,
+    compliance: checkCompliance({
+      scenario,
+      wholeWallR: wholeWall.rEff,
+      shared,
+    }),
+  };
+}
+
+/**
+ * Run one scenario through the hourly engine on a weather year, with the
+ * degree-day engine on the same year alongside for comparison (the year's
+ * own degree days at every base, not the project location's). Walls,
+ * ventilation and ducts come from the scenario state exactly as in
+ * `evaluateScenario`.
+ *
+ * @param {object} scenario Scenario state (`DEFAULT_SCENARIOS` shape).
+ * @param {object} shared Shared inputs, as for `evaluateScenario`.
+ * @param {{ hours: object[] }} weather From `parseWeatherFile`.
+ * @returns {{ hourly: object, degreeDay: object }} `simulateHourly` and
+ *   `calcWholeHouseKWh` results.
+ */
+export function evaluateScenarioHourly(scenario, shared, weather) {
+  const { wholeWall } = scenarioWall(scenario, shared);
+  const inputs = {
+    scenarioWholeWallR: wholeWall.rEff,
+    ach50: scenario.ach50,
+    ach50ToNatFactor: shared.hers.ach50ToNatFactor,
+    ventilation: scenario.ventilation,
+    ducts: scenario.ducts,
+    hers: shared.hers,
+  };
+  const hourly = simulateHourly({ ...inputs, shared, weather });
+  const degreeDay = calcWholeHouseKWh({
+    ...inputs,
+    shared: {
+      ...shared,
+      HDD65: hourly.annual.HDD,
+      CDD65: hourly.annual.CDD,
+      degreeDaysByBase: degreeDaysByBaseFromHourly(weather),
+    },
+  });
+  return { hourly, degreeDay };
+}
@@ -0,0 +1,337 @@
+import { DEFAULT_HVAC, HEAT_PUMP_MODELS } from "./catalogs.js";
+import { fitDegreeDayDistribution } from "./degreeDays.js";
+
+/**
+ * Heat pump performance.
+ *
+ * A unit is a heating curve: capacity (BTU/h) and COP at 47, 17 and 5°F,
+ * linear between the points and extended along the end segments. It comes
+ * from `hvac.heatPumpRating`:
+ * - "points": the capacities and COPs as entered.
+ * - "hspf2": the curve shape of `hvac.heatPumpModelKey`, its COPs scaled so
+ *   the unit's seasonal COP in the AHRI region IV climate (with backup heat)
+ *   equals HSPF2 / 3.412, and its capacities scaled to the rated capacity.
+ * - "cop": a single seasonal COP (2%/°F around 35°F hourly), no capacity
+ *   limit. Projects saved before performance curves use this.
+ *
+ * Seasonal heating is a bin calculation over the daily-temperature
+ * distribution fitted to HDD65/CDD65: below the balance point the house needs
+ * UA · (T_bal − T); the heat pump covers what its capacity allows at its COP
+ * and electric resistance backup covers the rest. Cooling uses SEER2 / 0.95
+ * as the seasonal SEER (SEER2 is rated at higher blower static pressure).
+ */
+
+// Legacy single-COP mode: `hvac.heatPumpCOP` is read as the COP at 35°F, close
+// to where a mixed-climate seasonal average lands. Air-source COP moves
+// roughly 2% per °F of outdoor temperature; it is floored at 1 (strip heat)
+// and capped at 1.6× rated.
+const HP_COP_REF_F = 35;
+const HP_COP_SLOPE_PER_F = 0.02;
+const HP_COP_MAX_MULT = 1.6;
+
+const BTUH_PER_WATT = 3.412;
+const SEER2_PER_SEER = 0.95;
+const HSPF2_PER_HSPF = 0.85;
+const CURVE_TEMPS_F = [5, 17, 47];
+// Capacity above 47°F stops growing at this multiple of the 47°F value
+const MAX_CAPACITY_MULT = 1.25;
+
+// AHRI 210/240 region IV: 5°F heating design, building load zero at 55°F and
+// equal to 1.15 × the 47°F capacity at the design temperature.
+const REGION_IV = { HDD65: 5400, CDD65: 1000 };
+const REGION_IV_DESIGN_F = 5;
+const REGION_IV_ZERO_LOAD_F = 55;
+const REGION_IV_LOAD_FACTOR = 1.15;
+
+function withHvacDefaults(hvac) {
+  return {
+    ...DEFAULT_HVAC,
+    // Callers that predate performance curves pass a bare COP
+    heatPumpRating: "cop",
+    ...hvac,
+    heatPumpPoints: { ...DEFAULT_HVAC.heatPumpPoints, ...hvac?.heatPumpPoints },
+  };
+}
+
+function interpolate(points, key, tempF) {
+  const [a, b] =
+    tempF <= points[1].tempF ? [points[0], points[1]] : [points[1], points[2]];
+  return a[key] + ((b[key] - a[key]) * (tempF - a.tempF)) / (b.tempF - a.tempF);
+}
+
+// Daily-mean temperature bins (1°F wide) below `fromF`, with days per bin
+function temperatureBins(climate, fromF) {
+  const { meanF, sdF } = fitDegreeDayDistribution(climate);
+  const bins = [];
+  for (let t = fromF - 0.5; t > meanF - 5 * sdF; t -= 1) {
+    const z = (t - meanF) / sdF;
+    const days =
+      (365 * Math.exp(-0.5 * z * z)) / (sdF * Math.sqrt(2 * Math.PI));
+    bins.push({ tempF: t, days });
+  }
+  return bins;
+}
+
+function binHeating({
+  bins,
+  balanceF,
+  lossBtuhPerF,
+  switchoverF,
+  capacityAt,
+  copAt,
+}) {
+  let total = 0;
+  let hp = 0;
+  let hpInput = 0;
+  let backup = 0;
+  let furnace = 0;
+  for (const { tempF, days } of bins) {
+    const loadBtuh = lossBtuhPerF * (balanceF - tempF);
+    const load = loadBtuh * days;
+    total += load;
+    if (tempF < switchoverF) {
+      furnace += load;
+      continue;
+    }
+    const capacity = capacityAt(tempF);
+    const share = loadBtuh > 0 ? Math.min(1, capacity / loadBtuh) : 1;
+    hp += load * share;
+    hpInput += (load * share) / copAt(tempF);
+    backup += load * (1 - share);
+  }
+  return { total, hp, hpInput, backup, furnace };
+}
+
+// Seasonal COP (heat pump plus backup) of a curve in region IV, i.e.
+// HSPF2 / 3.412
+function regionIVSeasonalCOP(points) {
+  const capacity47 = points[2].capacityBtuh;
+  const r = binHeating({
+    bins: temperatureBins(REGION_IV, REGION_IV_ZERO_LOAD_F),
+    balanceF: REGION_IV_ZERO_LOAD_F,
+    lossBtuhPerF:
+      (REGION_IV_LOAD_FACTOR * capacity47) /
+      (REGION_IV_ZERO_LOAD_F - REGION_IV_DESIGN_F),
+    switchoverF: -Infinity,
+    capacityAt: (t) => interpolate(points, "capacityBtuh", t),
+    copAt: (t) => Math.max(1, interpolate(points, "cop", t)),
+  });
+  return r.total / (r.hpInput + r.backup);
+}
+
+// COP scale factor that makes a curve shape meet its HSPF2 in region IV
+const hspf2ScaleCache = new Map();
+function hspf2Scale(model, hspf2) {
+  const cacheKey = `${model.key}:${hspf2}`;
+  if (hspf2ScaleCache.has(cacheKey)) return hspf2ScaleCache.get(cacheKey);
+  const target = hspf2 / BTUH_PER_WATT;
+  let lo = 0.2;
+  let hi = 4;
+  for (let i = 0; i < 40; i++) {
+    const mid = (lo + hi) / 2;
+    if (regionIVSeasonalCOP(shapeCurve(model, 1, mid).points) < target) {
+      lo = mid;
+    } else hi = mid;
+  }
+  const scale = (lo + hi) / 2;
+  hspf2ScaleCache.set(cacheKey, scale);
+  return scale;
+}
+
+function shapeCurve(model, capacity47, copScale) {
+  return {
+    points: CURVE_TEMPS_F.map((tempF) => ({
+      tempF,
+      capacityBtuh: capacity47 * (tempF === 47 ? 1 : model[`capacity${tempF}`]),
+      cop: model[`cop${tempF}`] * copScale,
+    })),
+  };
+}
+
+/**
+ * Heating curve of the selected heat pump, or null for the single-COP mode.
+ *
+ * @param {object} hvac `DEFAULT_HVAC` shape.
+ * @param {number} [ratedCapacityBtuh] 47°F capacity for the "hspf2" mode.
+ * @returns {{ points: { tempF: number, capacityBtuh: number, cop: number }[] } | null}
+ */
+export function heatPumpCurve(hvac, ratedCapacityBtuh = Infinity) {
+  const h = withHvacDefaults(hvac);
+  if (h.heatPumpRating === "points") {
+    const p = h.heatPumpPoints;
+    return {
+      points: CURVE_TEMPS_F.map((tempF) => ({
+        tempF,
+        capacityBtuh: p[`capacity${tempF}`],
+        cop: p[`cop${tempF}`],
+      })),
+    };
+  }
+  if (h.heatPumpRating === "hspf2") {
+    const model =
+      HEAT_PUMP_MODELS.find((m) => m.key === h.heatPumpModelKey) ||
+      HEAT_PUMP_MODELS[0];
+    return shapeCurve(
+      model,
+      ratedCapacityBtuh,
+      hspf2Scale(model, Math.max(1, h.hspf2))
+    );
+  }
+  return null;
+}
+
+/**
+ * Heat pump COP at an outdoor dry-bulb temperature (floored at 1).
+ *
+ * @param {number} tempF Outdoor dry-bulb (°F).
+ * @param {object} hvac `DEFAULT_HVAC` shape.
+ * @returns {number}
+ */
+export function heatPumpCOPAt(tempF, hvac) {
+  const curve = heatPumpCurve(hvac);
+  if (curve) return Math.max(1, interpolate(curve.points, "cop", tempF));
+  const rated = Math.max(0.5, hvac.heatPumpCOP);
+  const cop = rated * (1 + HP_COP_SLOPE_PER_F * (tempF - HP_COP_REF_F));
+  return Math.max(1, Math.min(rated * HP_COP_MAX_MULT, cop));
+}
+
+/**
+ * Heat pump heating capacity (BTU/h) at an outdoor temperature; unlimited
+ * in the single-COP mode.
+ *
+ * @param {number} tempF
+ * @param {object} hvac
+ * @param {number} ratedCapacityBtuh 47°F capacity for the "hspf2" mode.
+ * @returns {number}
+ */
+export function heatPumpCapacityAt(tempF, hvac, ratedCapacityBtuh) {
+  const curve = heatPumpCurve(hvac, ratedCapacityBtuh);
+  if (!curve || !Number.isFinite(curve.points[2].capacityBtuh)) {
+    return Infinity;
+  }
+  const at47 = curve.points[2].capacityBtuh;
+  return Math.max(
+    0,
+    Math.min(
+      at47 * MAX_CAPACITY_MULT,
+      interpolate(curve.points, "capacityBtuh", tempF)
+    )
+  );
+}
+
+/**
+ * Rated (47°F) heat pump capacity: the "points" capacity, a manual value, or
+ * the nominal size from the design loads.
+ *
+ * @param {object} hvac
+ * @param {{ tons: number }} [design] From `calcDesignLoads`.
+ * @returns {number} BTU/h (Infinity when unknown).
+ */
+export function ratedHeatPumpCapacity(hvac, design) {
+  const h = withHvacDefaults(hvac);
+  if (h.heatPumpRating === "points") return h.heatPumpPoints.capacity47;
+  if (h.heatPumpCapacityMode === "manual") return h.heatPumpCapacityBtuh;
+  return design ? design.tons * 12000 : Infinity;
+}
+
+/**
+ * Seasonal heat pump heating for a climate and house: how the annual load
+ * splits between the heat pump, resistance backup and (dual fuel) a furnace,
+ * and the heat pump's own seasonal COP. Returns null in the single-COP mode.
+ *
+ * @param {object} input
+ * @param {object} input.hvac `DEFAULT_HVAC` shape.
+ * @param {{ HDD65: number, CDD65: number }} input.climate
+ * @param {number} [input.balanceF=65] Heating balance point (°F).
+ * @param {number} [input.lossBtuhPerF] House heat loss at the equipment
+ *   (BTU/h·°F); without it the heat pump is never capacity-limited.
+ * @param {number} [input.ratedCapacityBtuh] 47°F capacity ("hspf2" mode).
+ * @returns {{ hpShare: number, backupShare: number, furnaceShare: number, hpCOP: number, capacityBalanceF: number | null } | null}
+ */
+export function calcSeasonalHeatPump({
+  hvac,
+  climate,
+  balanceF = 65,
+  lossBtuhPerF,
+  ratedCapacityBtuh,
+}) {
+  const h = withHvacDefaults(hvac);
+  if (!heatPumpCurve(h)) return null;
+  const limited = lossBtuhPerF > 0;
+  const capacityAt = (t) =>
+    limited ? heatPumpCapacityAt(t, h, ratedCapacityBtuh) : Infinity;
+  const r = binHeating({
+    bins: temperatureBins(climate, balanceF),
+    balanceF,
+    lossBtuhPerF: limited ? lossBtuhPerF : 1,
+    switchoverF:
+      h.heatingType === "dualfuel" ? h.dualFuelSwitchoverF ?? 35 : -Infinity,
+    capacityAt,
+    copAt: (t) => heatPumpCOPAt(t, h),
+  });
+
+  // Where the capacity line crosses the load line
+  let capacityBalanceF = null;
+  const gap = (t) => capacityAt(t) - lossBtuhPerF * (balanceF - t);
+  if (limited && gap(-60) < 0) {
+    let lo = -60;
+    let hi = balanceF;
+    for (let i = 0; i < 50; i++) {
+      const mid = (lo + hi) / 2;
+      if (gap(mid) < 0) lo = mid;
+      else hi = mid;
+    }
+    capacityBalanceF = (lo + hi) / 2;
+  }
+
+  if (!(r.total > 0)) {
+    return {
+      hpShare: 1,
+      backupShare: 0,
+      furnaceShare: 0,
+      hpCOP: heatPumpCOPAt(47, h),
+      capacityBalanceF,
+    };
+  }
+  return {
+    hpShare: r.hp / r.total,
+    backupShare: r.backup / r.total,
+    furnaceShare: r.furnace / r.total,
+    hpCOP: r.hpInput > 0 ? r.hp / r.hpInput : heatPumpCOPAt(47, h),
+    capacityBalanceF,
+  };
+}
+
+/**
+ * Seasonal cooling efficiency (BTU/Wh) from the SEER2 rating, or a legacy
+ * `coolingSEER`.
+ *
+ * @param {object} hvac
+ * @returns {number}
+ */
+export function seasonalSEER(hvac) {
+  if (hvac.coolingSEER2 == null && hvac.coolingSEER != null) {
+    return Math.max(1, hvac.coolingSEER);
+  }
+  const seer2 = hvac.coolingSEER2 ?? DEFAULT_HVAC.coolingSEER2;
+  return Math.max(1, seer2) / SEER2_PER_SEER;
+}
+
+/**
+ * Heat pump heating efficiency on the HSPF basis (HSPF / 3.412): from the
+ * HSPF2 rating (HSPF2 = 0.85 · HSPF), from the entered curve's region IV
+ * performance, or the single seasonal COP.
+ *
+ * @param {object} hvac
+ * @returns {number}
+ */
+export function ratedHeatingCOP(hvac) {
+  const h = withHvacDefaults(hvac);
+  if (h.heatPumpRating === "hspf2") {
+    return Math.max(1, h.hspf2) / HSPF2_PER_HSPF / BTUH_PER_WATT;
+  }
+  if (h.heatPumpRating === "points") {
+    return regionIVSeasonalCOP(heatPumpCurve(h).points) / HSPF2_PER_HSPF;
+  }
+  return Math.max(0.5, h.heatPumpCOP);
+}
@@ -0,0 +1,133 @@
+import { heatingLoadFractionBelow } from "./degreeDays.js";
+import { calcSeasonalHeatPump } from "./heatPump.js";
+
+export const BTU_PER_KWH = 3412;
+export const BTU_PER_THERM = 100000;
+export const KWH_PER_THERM = BTU_PER_THERM / BTU_PER_KWH;
+
+/**
+ * Split an annual heating load into purchased electricity and gas for the
+ * selected `hvac.heatingType` (see `HEATING_TYPES`).
+ *
+ * - heatpump:   kWh = (Q/3412)/COP
+ * - gasfurnace: therms = (Q/100000)/AFUE
+ * - resistance: kWh = Q/3412
+ * - dualfuel:   heat pump above `hvac.dualFuelSwitchoverF`, furnace below;
+ *               the split comes from the degree-day temperature distribution.
+ *
+ * With a heat pump performance curve (`hvac.heatPumpRating` "hspf2" or
+ * "points"), COP follows outdoor temperature and load the heat pump lacks the
+ * capacity for goes to resistance backup (see `calcSeasonalHeatPump`).
+ *
+ * @param {object} input
+ * @param {number} input.Qh_BTU Annual heating load (BTU).
+ * @param {object} input.hvac Heating settings (`DEFAULT_HVAC` shape).
+ * @param {number} input.HDD65
+ * @param {number} input.CDD65
+ * @param {number} [input.balanceF=65] Heating balance point (°F).
+ * @param {number} [input.lossBtuhPerF] Heat loss at the equipment (BTU/h·°F).
+ * @param {number} [input.ratedCapacityBtuh] Heat pump 47°F capacity.
+ * @returns {{ kWhHeat: number, thermsHeat: number, furnaceShare: number, backupShare: number, heatPumpCOP: number | null, capacityBalanceF: number | null }}
+ */
+export function calcHeatingEnergy({
+  Qh_BTU,
+  hvac,
+  HDD65,
+  CDD65,
+  balanceF = 65,
+  lossBtuhPerF,
+  ratedCapacityBtuh,
+}) {
+  const cop = Math.max(0.5, hvac.heatPumpCOP);
+  const afue = Math.max(0.5, Math.min(1, hvac.furnaceAFUE ?? 0.95));
+  const none = { backupShare: 0, heatPumpCOP: null, capacityBalanceF: null };
+
+  let furnaceShare;
+  switch (hvac.heatingType) {
+    case "gasfurnace":
+      furnaceShare = 1;
+      break;
+    case "resistance":
+      return {
+        kWhHeat: Qh_BTU / BTU_PER_KWH,
+        thermsHeat: 0,
+        furnaceShare: 0,
+        ...none,
+      };
+    case "dualfuel":
+      furnaceShare = heatingLoadFractionBelow(
+        { HDD65, CDD65 },
+        hvac.dualFuelSwitchoverF ?? 35
+      );
+      break;
+    case "heatpump":
+    default:
+      furnaceShare = 0;
+      break;
+  }
+
+  const seasonal =
+    hvac.heatingType === "gasfurnace"
+      ? null
+      : calcSeasonalHeatPump({
+          hvac,
+          climate: { HDD65, CDD65 },
+          balanceF,
+          lossBtuhPerF,
+          ratedCapacityBtuh,
+        });
+  if (seasonal) {
+    const kWhHeat =
+      (Qh_BTU * seasonal.hpShare) / BTU_PER_KWH / seasonal.hpCOP +
+      (Qh_BTU * seasonal.backupShare) / BTU_PER_KWH;
+    const thermsHeat = (Qh_BTU * seasonal.furnaceShare) / BTU_PER_THERM / afue;
+    return {
+      kWhHeat,
+      thermsHeat,
+      furnaceShare: seasonal.furnaceShare,
+      backupShare: seasonal.backupShare,
+      heatPumpCOP: seasonal.hpCOP,
+      capacityBalanceF: seasonal.capacityBalanceF,
+    };
+  }
+
+  const kWhHeat = (Qh_BTU * (1 - furnaceShare)) / BTU_PER_KWH / cop;
+  const thermsHeat = (Qh_BTU * furnaceShare) / BTU_PER_THERM / afue;
+  return {
+    kWhHeat,
+    thermsHeat,
+    furnaceShare,
+    ...none,
+    heatPumpCOP: furnaceShare < 1 ? cop : null,
+  };
+}
+
+/**
+ * Annual energy costs at the `econ` prices.
+ *
+ * @param {object} input
+ * @param {number} input.kWhHeat
+ * @param {number} [input.thermsHeat=0]
+ * @param {number} input.kWhCool
+ * @param {number} [input.kWhFan=0] Ventilation fan energy.
+ * @param {{ elecPricePerKWh: number, gasPricePerTherm: number }} input.econ
+ * @returns {{ costHeat: number, costCool: number, costFan: number, annualCost: number }}
+ */
+export function calcEnergyCosts({
+  kWhHeat,
+  thermsHeat = 0,
+  kWhCool,
+  kWhFan = 0,
+  econ,
+}) {
+  const costHeat =
+    kWhHeat * econ.elecPricePerKWh + thermsHeat * (econ.gasPricePerTherm || 0);
+  const costCool = kWhCool * econ.elecPricePerKWh;
+  const costFan = kWhFan * econ.elecPricePerKWh;
+  return {
+    costHeat,
+    costCool,
+    costFan,
+    annualCost: costHeat + costCool + costFan,
+  };
+}
@@ -0,0 +1,206 @@
+import { BTU_PER_KWH, BTU_PER_THERM, KWH_PER_THERM } from "./heating.js";
+import { ratedHeatingCOP, seasonalSEER } from "./heatPump.js";
+
+/**
+ * HERS index (ANSI/RESNET 301 normalized modified end-use loads), per end
+ * use (heating, cooling, hot water), in MBtu:
+ *
+ * - REUL = EC_r · DSE_r / EEC_r: the reference home's end-use load.
+ * - nEC_x = (a · EEC_x − b) · (EC_x · EC_r · DSE_r) / (EEC_x · REUL)
+ * - nMEUL = REUL · nEC_x / EC_r
+ * - Index = PEfrac · 100 · TnML / TRL, with TnML = Σ nMEUL + EC_LA and
+ *   TRL = Σ REUL + REUL_LA; PEfrac = 1 (no on-site generation).
+ *
+ * EC is site energy, EEC the equipment's energy use per unit of load (3.413 /
+ * HSPF for heat pumps, 1 / AFUE for furnaces, 3.413 / SEER for cooling, 1 /
+ * EF for water heaters) and DSE_r the reference distribution efficiency (1
+ * for hot water). The a, b coefficients make minimum-efficiency equipment
+ * score 1. An end use served by two fuels (dual fuel) gets a row per fuel.
+ * Lighting, appliances and ventilation fans (L&A) enter as site energy.
+ */
+
+const MBTU_PER_KWH = BTU_PER_KWH / 1e6;
+const MBTU_PER_THERM = BTU_PER_THERM / 1e6;
+
+// ANSI/RESNET 301 Table 4.1.2(1)
+const NMEUL_COEFFICIENTS = {
+  heating: { electric: { a: 2.2561, b: 0 }, gas: { a: 1.0943, b: 0.403 } },
+  cooling: { electric: { a: 3.809, b: 0 } },
+  hotWater: { electric: { a: 0.92, b: 0 }, gas: { a: 1.1877, b: 1.013 } },
+};
+
+/**
+ * Estimated HERS index: 100 × (rated site energy / reference site energy);
+ * the "ratio" index method.
+ * Gas heating is converted to site kWh at 29.3 kWh/therm.
+ *
+ * @param {object} input
+ * @param {number} input.ratedKWhHeat
+ * @param {number} [input.ratedThermsHeat=0]
+ * @param {number} input.ratedKWhCool
+ * @param {number} input.refKWhHeat
+ * @param {number} [input.refThermsHeat=0]
+ * @param {number} input.refKWhCool
+ * @param {number} [input.ratedKWhFan=0] Ventilation fan energy.
+ * @param {number} [input.refKWhFan=0]
+ * @param {number} input.otherKWh DHW, lights, appliances; added to both sides.
+ * @returns {number}
+ */
+export function estimateHERSIndex({
+  ratedKWhHeat,
+  ratedThermsHeat = 0,
+  ratedKWhCool,
+  refKWhHeat,
+  refThermsHeat = 0,
+  refKWhCool,
+  ratedKWhFan = 0,
+  refKWhFan = 0,
+  otherKWh,
+}) {
+  const rated =
+    ratedKWhHeat +
+    ratedThermsHeat * KWH_PER_THERM +
+    ratedKWhCool +
+    ratedKWhFan +
+    otherKWh;
+  const ref =
+    refKWhHeat +
+    refThermsHeat * KWH_PER_THERM +
+    refKWhCool +
+    refKWhFan +
+    otherKWh;
+  if (ref <= 0) return 100; // guard
+  return 100 * (rated / ref);
+}
+
+/**
+ * Site energy (MBtu) and equipment efficiency coefficients for one home's
+ * heating, cooling and hot water, the shape `calcHERSIndexNMEUL` takes.
+ *
+ * @param {object} input
+ * @param {object} input.hvac Heating and cooling equipment (`DEFAULT_HVAC`
+ *   shape).
+ * @param {number} input.kWhHeat
+ * @param {number} [input.thermsHeat=0]
+ * @param {number} input.kWhCool
+ * @param {{ fuel: string, energyFactor: number, kWh: number, therms: number }} input.hotWater
+ *   From `calcHotWater`.
+ * @returns {{ heating: object[], cooling: object[], hotWater: object[] }}
+ *   Each a list of `{ fuel, EC, EEC }`, one per fuel with energy use.
+ */
+export function hersEndUses({
+  hvac,
+  kWhHeat,
+  thermsHeat = 0,
+  kWhCool,
+  hotWater,
+}) {
+  const heatPump =
+    hvac.heatingType === "heatpump" || hvac.heatingType === "dualfuel";
+  const parts = (list) => list.filter((p) => p.EC > 0);
+  return {
+    heating: parts([
+      {
+        fuel: "electric",
+        EC: kWhHeat * MBTU_PER_KWH,
+        EEC: heatPump ? 1 / ratedHeatingCOP(hvac) : 1,
+      },
+      {
+        fuel: "gas",
+        EC: thermsHeat * MBTU_PER_THERM,
+        EEC: 1 / Math.max(0.5, Math.min(1, hvac.furnaceAFUE ?? 0.95)),
+      },
+    ]),
+    cooling: parts([
+      {
+        fuel: "electric",
+        EC: kWhCool * MBTU_PER_KWH,
+        EEC: BTU_PER_KWH / 1000 / seasonalSEER(hvac),
+      },
+    ]),
+    hotWater: parts([
+      {
+        fuel: hotWater.fuel,
+        EC: hotWater.kWh * MBTU_PER_KWH + hotWater.therms * MBTU_PER_THERM,
+        EEC: 1 / hotWater.energyFactor,
+      },
+    ]),
+  };
+}
+
+/**
+ * HERS index by the ANSI/RESNET 301 nMEUL method, with every intermediate
+ * term so the result can be reconciled against rating software.
+ *
+ * @param {object} input
+ * @param {object} input.rated `hersEndUses` of the rated home.
+ * @param {object} input.reference `hersEndUses` of the reference home.
+ * @param {number} input.distributionEfficiency Reference heating and cooling
+ *   DSE.
+ * @param {number} input.ratedLAKWh Rated lighting, appliance and fan energy.
+ * @param {number} input.refLAKWh Reference lighting, appliance and fan energy.
+ * @returns {{ index: number, rows: object[], ECLA: number, REULLA: number, TnML: number, TRL: number, PEfrac: number }}
+ *   `rows`: one per end use and rated fuel, `{ endUse, fuel, REUL, ECr,
+ *   EECr, DSEr, ECx, EECx, a, b, nECx, nMEUL }` (energy in MBtu).
+ */
+export function calcHERSIndexNMEUL({
+  rated,
+  reference,
+  distributionEfficiency,
+  ratedLAKWh,
+  refLAKWh,
+}) {
+  const rows = [];
+  for (const endUse of ["heating", "cooling", "hotWater"]) {
+    const DSEr = endUse === "hotWater" ? 1 : distributionEfficiency;
+    const ECr = reference[endUse].reduce((a, p) => a + p.EC, 0);
+    const REUL = reference[endUse].reduce(
+      (a, p) => a + (p.EC * DSEr) / p.EEC,
+      0
+    );
+    const EECr = REUL > 0 ? (ECr * DSEr) / REUL : null;
+    for (const { fuel, EC: ECx, EEC: EECx } of rated[endUse]) {
+      const { a, b } =
+        NMEUL_COEFFICIENTS[endUse][fuel] ?? NMEUL_COEFFICIENTS[endUse].electric;
+      const nECx =
+        REUL > 0 ? ((a * EECx - b) * (ECx * ECr * DSEr)) / (EECx * REUL) : 0;
+      rows.push({
+        endUse,
+        fuel,
+        REUL,
+        ECr,
+        EECr,
+        DSEr,
+        ECx,
+        EECx,
+        a,
+        b,
+        nECx,
+        nMEUL: ECr > 0 ? (REUL * nECx) / ECr : 0,
+      });
+    }
+    if (rated[endUse].length === 0 && REUL > 0) {
+      rows.push({ endUse, fuel: null, REUL, ECr, EECr, DSEr, nMEUL: 0 });
+    }
+  }
+
+  const ECLA = ratedLAKWh * MBTU_PER_KWH;
+  const REULLA = refLAKWh * MBTU_PER_KWH;
+  const TnML = rows.reduce((a, r) => a + r.nMEUL, 0) + ECLA;
+  // Each end use's REUL counts once however many rated fuels serve it
+  const TRL =
+    [...new Map(rows.map((r) => [r.endUse, r.REUL])).values()].reduce(
+      (a, v) => a + v,
+      0
+    ) + REULLA;
+  const PEfrac = 1;
+  return {
+    index: TRL > 0 ? PEfrac * 100 * (TnML / TRL) : 100, // guard
+    rows,
+    ECLA,
+    REULLA,
+    TnML,
+    TRL,
+    PEfrac,
+  };
+}
@@ -0,0 +1,223 @@
+import { DEFAULT_HVAC } from "./catalogs.js";
+import {
+  calcBalancePoints,
+  calcEnvelopeUA,
+  calcInternalGains,
+} from "./loads.js";
+import { hourlySolarGain, solarApertures } from "./solar.js";
+import { calcVentilation, ventilationInputs } from "./ventilation.js";
+import { calcDistributionEfficiency } from "./ducts.js";
+import { calcNaturalInfiltration } from "./infiltration.js";
+import {
+  INDOOR_HUMIDITY_GRAINS,
+  coolingWithLatent,
+  humidityRatioGrains,
+} from "./latent.js";
+import { BTU_PER_KWH, BTU_PER_THERM } from "./heating.js";
+import {
+  heatPumpCapacityAt,
+  heatPumpCOPAt,
+  ratedHeatPumpCapacity,
+  seasonalSEER,
+} from "./heatPump.js";
+import { calcDesignLoads } from "./sizing.js";
+import { degreeDaysFromHourly } from "./weather.js";
+
+function emptyTotals() {
+  return { Qh: 0, Qc: 0, kWhHeat: 0, thermsHeat: 0, kWhCool: 0 };
+}
+
+/**
+ * Hourly (8760) heat balance on the same envelope as `calcWholeHouseKWh`:
+ * each hour, Q = UA · |T_bal − T_out| (heating UA and balance point below the
+ * heating balance point, cooling UA and balance point above the cooling one,
+ * so ground contact only counts in heating; see `calcBalancePoints`). Window
+ * solar gain from the hour's global horizontal irradiance offsets heating and
+ * adds to cooling; outdoor air more humid than indoors (from the hour's dew
+ * point) adds a latent cooling load, met at the equipment's SHR. Mechanical
+ * ventilation adds its effective outdoor air to both, and its fans run every
+ * hour. Duct losses scale equipment energy by the seasonal distribution
+ * efficiency. Heat pump
+ * COP and capacity are evaluated at that hour's outdoor temperature (load
+ * beyond the capacity goes to resistance backup) and dual-fuel switching uses
+ * the actual hourly temperature.
+ *
+ * @param {object} input
+ * @param {number} input.scenarioWholeWallR Whole-wall effective R.
+ * @param {number} input.ach50
+ * @param {number} input.ach50ToNatFactor
+ * @param {object} [input.ventilation] Scenario ventilation.
+ * @param {object} [input.ducts] Scenario duct system.
+ * @param {object} input.shared Shared house, window, gains, thermostat and
+ *   HVAC inputs.
+ * @param {object} input.hers HERS inputs (`hers.rated` and
+ *   `hers.otherSiteEnergyKWh` are used).
+ * @param {{ hours: object[] }} input.weather From `parseWeatherFile`.
+ * @returns {{ annual: object, monthly: object[], byHourOfDay: object[], hourly: { Qh: number[], Qc: number[] } }}
+ *   `annual.seasonalCOP` is the heat pump's own; `annual.backupShare` is the
+ *   share of heat pump heating met by resistance backup; `annual.distribution`
+ *   is the heating/cooling DSE applied.
+ */
+export function simulateHourly({
+  scenarioWholeWallR,
+  ach50,
+  ach50ToNatFactor,
+  ventilation,
+  ducts,
+  shared,
+  hers,
+  weather,
+}) {
+  const { hvac } = shared;
+  const { ACHnat } = calcNaturalInfiltration({
+    ach50,
+    ach50ToNatFactor,
+    shared,
+  });
+  const vent = calcVentilation({
+    ventilation,
+    ...ventilationInputs(ACHnat, shared),
+  });
+  const { UA_heat, UA_cool, windowArea, volumeFt3 } = calcEnvelopeUA({
+    wholeWallR: scenarioWholeWallR,
+    assemblies: hers.rated,
+    ACHnat,
+    ventilationCfm: vent.sensibleCfm,
+    shared,
+  });
+  const outdoorAirCfm = (ACHnat * volumeFt3) / 60 + vent.latentCfm;
+  const internalGainsBtuh = calcInternalGains(
+    shared.internalGains,
+    hers.otherSiteEnergyKWh
+  ).totalBtuh;
+  const balance = calcBalancePoints({
+    UA_heat,
+    UA_cool,
+    internalGainsBtuh,
+    thermostat: shared.thermostat,
+  });
+  const apertures = solarApertures(windowArea, shared.windows);
+  const seer = seasonalSEER(hvac);
+  const afue = Math.max(0.5, Math.min(1, hvac.furnaceAFUE ?? 0.95));
+  const switchoverF = hvac.dualFuelSwitchoverF ?? 35;
+  const shr = hvac.coolingSHR ?? DEFAULT_HVAC.coolingSHR;
+  const dse = calcDistributionEfficiency(ducts, shared);
+  const ratedCapacityBtuh = ratedHeatPumpCapacity(
+    hvac,
+    calcDesignLoads(
+      {
+        UA_heat,
+        UA_cool,
+        volumeFt3,
+        windowArea,
+        ACHnat,
+        ventilation: vent,
+        distribution: dse,
+        internalGainsBtuh,
+      },
+      shared
+    )
+  );
+
+  const annual = emptyTotals();
+  const monthly = Array.from({ length: 12 }, (_, i) => ({
+    month: i + 1,
+    ...emptyTotals(),
+  }));
+  const byHour = Array.from({ length: 24 }, (_, hour) => ({
+    hour,
+    Qh: 0,
+    Qc: 0,
+  }));
+  const hourlyQh = new Array(weather.hours.length);
+  const hourlyQc = new Array(weather.hours.length);
+  let hpHeatBTU = 0;
+  let hpKWh = 0;
+  let backupBTU = 0;
+
+  weather.hours.forEach(({ month, hour, dryBulbF, dewPointF, ghi }, i) => {
+    const heating = dryBulbF < balance.heatF;
+    const solar = hourlySolarGain(apertures, ghi ?? 0, heating);
+    const Qh = heating
+      ? Math.max(0, UA_heat * (balance.heatF - dryBulbF) - solar)
+      : 0;
+    let Qc = 0;
+    if (dryBulbF > balance.coolF) {
+      const grains = Number.isFinite(dewPointF)
+        ? humidityRatioGrains(dewPointF) - INDOOR_HUMIDITY_GRAINS
+        : 0;
+      Qc = coolingWithLatent({
+        sensible: UA_cool * (dryBulbF - balance.coolF) + solar,
+        latent: 0.68 * outdoorAirCfm * Math.max(0, grains),
+        shr,
+      });
+    }
+
+    let kWhHeat = 0;
+    let thermsHeat = 0;
+    if (Qh > 0) {
+      const useFurnace =
+        hvac.heatingType === "gasfurnace" ||
+        (hvac.heatingType === "dualfuel" && dryBulbF < switchoverF);
+      const output = Qh / dse.heating;
+      if (useFurnace) thermsHeat = output / BTU_PER_THERM / afue;
+      else if (hvac.heatingType === "resistance") {
+        kWhHeat = output / BTU_PER_KWH;
+      } else {
+        const hpOutput = Math.min(
+          output,
+          heatPumpCapacityAt(dryBulbF, hvac, ratedCapacityBtuh)
+        );
+        const hpKWhHour =
+          hpOutput / BTU_PER_KWH / heatPumpCOPAt(dryBulbF, hvac);
+        kWhHeat = hpKWhHour + (output - hpOutput) / BTU_PER_KWH;
+        hpHeatBTU += hpOutput;
+        hpKWh += hpKWhHour;
+        backupBTU += output - hpOutput;
+      }
+    }
+    const kWhCool = Qc / dse.cooling / (seer * 1000);
+
+    for (const t of [annual, monthly[month - 1]]) {
+      t.Qh += Qh;
+      t.Qc += Qc;
+      t.kWhHeat += kWhHeat;
+      t.thermsHeat += thermsHeat;
+      t.kWhCool += kWhCool;
+    }
+    byHour[hour].Qh += Qh;
+    byHour[hour].Qc += Qc;
+    hourlyQh[i] = Qh;
+    hourlyQc[i] = Qc;
+  });
+
+  const days = weather.hours.length / 24;
+  // Base-65 degree days describe the weather year (and feed the degree-day
+  // engine); the balance-point ones describe this house in it.
+  const { HDD, CDD } = degreeDaysFromHourly(weather);
+  return {
+    annual: {
+      ...annual,
+      kWhFan: (vent.fanKWh * weather.hours.length) / 8760,
+      distribution: dse,
+      HDD,
+      CDD,
+      balancePoint: {
+        ...balance,
+        HDD: degreeDaysFromHourly(weather, balance.heatF).HDD,
+        CDD: degreeDaysFromHourly(weather, balance.coolF).CDD,
+      },
+      seasonalCOP: hpKWh > 0 ? hpHeatBTU / BTU_PER_KWH / hpKWh : null,
+      backupShare:
+        hpHeatBTU + backupBTU > 0 ? backupBTU / (hpHeatBTU + backupBTU) : 0,
+    },
+    monthly,
+    // Average load (BTU/h) at each hour of the day across the year
+    byHourOfDay: byHour.map((h) => ({
+      hour: h.hour,
+      Qh: h.Qh / days,
+      Qc: h.Qc / days,
+    })),
+    hourly: { Qh: hourlyQh, Qc: hourlyQc },
+  };
+}
@@ -0,0 +1,247 @@
+/**
+ * Home energy engine — public API.
+ *
+ * Pure, framework-free physics and catalogs behind the simulator UI. Import
+ * from this module (not the individual files) in scripts and other tools:
+ *
+ *   import { calcWholeWallR, FRAMING_OPTIONS } from "./src/engine/index.js";
+ *
+ * Key formulas (double‑checked):
+ * - Whole‑wall effective R:  U_eff = f/R_stud + (1‑f)/R_cavity  → R_eff = 1/U_eff
+ *   (custom layers: one path per framing/cavity combination of each framed
+ *   zone; see `calcLayeredWallR`)
+ * - Steel studs: ASHRAE 90.1 effective R of the stud/insulation layer, added
+ *   in series (parallel path does not apply); see `steelStudLayerR`
+ * - Conduction load: Q = U · A · DD · 24   [BTU/yr]
+ *   (U in BTU/hr·ft²·°F; DD in °F·days; ×24 hr/day)
+ * - Degree days are taken to each home's balance point,
+ *   T_bal = T_setpoint − Q_internal / UA, interpolated between degree days
+ *   tabulated at 50–70°F (bundled locations, weather files); a hand-entered
+ *   climate approximates them from a normal distribution of daily mean
+ *   temperature fitted to HDD65/CDD65 (see `degreeDaysAtBase`)
+ * - Envelope components: walls, windows, doors, attic and cathedral ceilings
+ *   and floors use U = 1/R (air films added to cavity R); floors over buffer
+ *   spaces see a fraction of the temperature difference; slabs use UA = F ·
+ *   perimeter and basement walls U = 1/(1/C + depth/2), heating only
+ * - Solar gains: Σ window area · SHGC · shading · incident solar per
+ *   orientation (seasonal table by climate zone; hourly mode scales GHI);
+ *   70% of heating-season gain offsets heating, all of it adds to cooling
+ * - Infiltration sensible load: Q = 0.432 · ACH_nat · Volume · DD   [BTU/yr]
+ *   Derivation: CFM = ACH·Vol/60; 1.08 BTU/hr·CFM·°F; integrate over DD·24h ⇒ 1.08·(ACH·Vol/60)·DD·24 = 0.432·ACH·Vol·DD
+ * - ACH_nat (LBL): ELA = 0.2833 · CFM50 · (4/50)^n, Q = ELA · √(C_s·ΔT + C_w·U²),
+ *   ACH_nat = 60 · Q / Vol (or ACH50 × a fixed factor); see
+ *   `calcNaturalInfiltration`
+ * - Mechanical ventilation: ASHRAE 62.2 Q_tot = 0.03 · CFA + 7.5 · (N_br + 1);
+ *   balanced fans add Q_fan · (1 − recovery) of outdoor air, unbalanced ones
+ *   max(Q_fan, Q_inf + Q_fan/2) − Q_inf; fan kWh = W/CFM · Q_fan · 8.76
+ * - Heating kWh (heat pump): (Q/3412)/COP; gas furnace therms: (Q/100000)/AFUE
+ * - Heat pump curves: capacity and COP at 47/17/5°F, binned over the daily
+ *   temperature distribution; load above capacity goes to resistance backup;
+ *   HSPF2 ratings scale a model's COPs to its region IV seasonal COP
+ *   (HSPF2/3.412); see `calcSeasonalHeatPump`
+ * - Dual fuel: furnace below the switchover temperature, share taken from a
+ *   normal daily-temperature distribution fitted to HDD65/CDD65
+ * - Latent load: 0.68 · CFM_outdoor · Δgrains (per hour; grain-days by
+ *   climate zone in degree-day mode, hourly dew point in hourly mode);
+ *   cooling delivered = max(Qs + Ql, Ql / (1 − SHR)), SHR clamped to 0.5–0.9
+ * - Cooling kWh: Q/(SEER·1000), SEER = SEER2/0.95
+ * - Ducts (ASHRAE 152 seasonal): DE = a_s·B_s − a_s·B_s·(1 − B_r·a_r)·ΔT_r/ΔT_e
+ *   − a_s·(1 − B_s)·ΔT_s/ΔT_e with B = exp(−A/(1.08·Q·R)), a = 1 − leakage
+ *   share; DSE = DE + regain·(1 − DE); equipment energy = load / DSE
+ * - Hourly mode: Q_hr = UA · (65 − T_out) with COP and capacity at T_out,
+ *   driven by an EPW/TMY3 file (8760 h); see `simulateHourly`
+ * - Design loads (Manual J-style): heat loss = UA · (70 − T_99%), heat gain =
+ *   UA · (T_1% − 75) + design solar + internal gains + latent, both divided
+ *   by the duct DSE; heat pump = smallest nominal size covering the cooling
+ *   load (heating up to 125% of it)
+ * - HERS (ANSI/RESNET 301): nEC_x = (a·EEC_x − b)·(EC_x·EC_r·DSE_r)/(EEC_x·REUL),
+ *   nMEUL = REUL·nEC_x/EC_r per heating, cooling and hot water;
+ *   Index = 100 · (Σ nMEUL + EC_LA) / (Σ REUL + REUL_LA); see
+ *   `calcHERSIndexNMEUL` (older projects: 100 × rated / reference site energy)
+ * - Hot water: (30 + 10·N_br) gal/day · 365 · 8.34 · (T_set − T_mains) / EF
+ * - Reference home (ANSI/RESNET 301): 2006 IECC assemblies by climate zone,
+ *   windows 0.18 · CFA · F_A, doors 40 ft², 23% wall framing, SLA 0.00036,
+ *   minimum-efficiency equipment of the rated fuel; see `referenceHouse`
+ * - IECC compliance: prescriptive wall (cavity + ci, or U), window U, ceiling
+ *   R and ACH50 by edition and climate zone; UA alternative passes when
+ *   Σ U·A ≤ Σ U_code·A over the same areas; see `checkCompliance`
+ * - Every scenario figure in the UI (card, summary, economics) comes from one
+ *   whole-house call, `evaluateScenario`; the hourly panel runs the same
+ *   scenario state through `evaluateScenarioHourly`
+ * - Economics: NPV = −ΔC + Σ S₁(1+e)^(t−1)/(1+d)^t; SIR = PV(savings)/ΔC
+ */
+
+export {
+  CLIMATE_DEFAULTS,
+  FRAMING_OPTIONS,
+  CAVITY_INSULATION_TYPES,
+  EXTERIOR_SHEATHING,
+  AIR_TIGHTNESS_PRESETS,
+  EXTERIOR_CONTINUOUS_INSULATION,
+  R_PER_INCH,
+  LAYER_R,
+  DEFAULT_HOME,
+  DEFAULT_ENVELOPE,
+  FLOOR_EXPOSURES,
+  SLAB_EDGE_OPTIONS,
+  WINDOW_ORIENTATIONS,
+  OVERHANG_OPTIONS,
+  DEFAULT_WINDOWS,
+  DEFAULT_INTERNAL_GAINS,
+  DEFAULT_THERMOSTAT,
+  VENTILATION_TYPES,
+  VENTILATION_CFM_MODES,
+  DEFAULT_VENTILATION,
+  DUCT_LOCATIONS,
+  DEFAULT_DUCTS,
+  INFILTRATION_METHODS,
+  SHIELDING_CLASSES,
+  DEFAULT_INFILTRATION,
+  DEFAULT_ECON,
+  DEFAULT_FINANCE,
+  STEEL_STUD_EFFECTIVE_R,
+  FRAMING_PRESETS,
+  FRAMING_FACTOR_MODES,
+  DEFAULT_WALL_GEOMETRY,
+  WALL_MATERIALS,
+  LAYER_PATHS,
+  WALL_MODES,
+  HEATING_TYPES,
+  LOAD_COMPONENTS,
+  DEFAULT_HVAC,
+  HEAT_PUMP_RATINGS,
+  HEAT_PUMP_MODELS,
+  HEAT_PUMP_CAPACITY_MODES,
+  DEFAULT_SCENARIOS,
+  REFERENCE_RULESETS,
+  HERS_INDEX_METHODS,
+  WATER_HEATER_TYPES,
+  DEFAULT_WATER_HEATING,
+  IECC_EDITIONS,
+  DEFAULT_COMPLIANCE,
+  HERS_DEFAULTS,
+} from "./catalogs.js";
+export {
+  calcCavityR,
+  steelStudLayerR,
+  calcWholeWallR,
+  scenarioWallInputs,
+  materialR,
+  calcLayeredWallR,
+  presetToLayers,
+  calcScenarioWall,
+  calcFramingFactor,
+  scenarioFramingFactor,
+  estimateSTC,
+} from "./wall.js";
+export {
+  ach50ToAchnat,
+  wallGrossAreaFromNet,
+  calcEnvelopeUA,
+  calcInternalGains,
+  calcBalancePoints,
+  calcWholeHouseKWh,
+  calcReferenceWholeHouseKWh,
+  calcComponentBreakdown,
+} from "./loads.js";
+export {
+  BTU_PER_KWH,
+  BTU_PER_THERM,
+  KWH_PER_THERM,
+  calcHeatingEnergy,
+  calcEnergyCosts,
+} from "./heating.js";
+export {
+  DEGREE_DAY_BASES_F,
+  isDegreeDayTable,
+  fitDegreeDayDistribution,
+  degreeDaysAtBase,
+  heatingLoadFractionBelow,
+} from "./degreeDays.js";
+export {
+  CLIMATE_LOCATIONS,
+  findLocation,
+  searchLocations,
+} from "./locations.js";
+export {
+  climateZoneNumber,
+  referenceHomeForClimateZone,
+  referenceAch50,
+  referenceFramingFactor,
+  referenceHvac,
+  referenceHouse,
+  referenceWaterHeating,
+} from "./reference.js";
+export { calcHotWater } from "./waterHeating.js";
+export {
+  codeRequirements,
+  nominalWallInsulation,
+  checkCompliance,
+} from "./compliance.js";
+export {
+  SOLAR_HEATING_UTILIZATION,
+  referenceWindows,
+  solarApertures,
+  calcSolarGains,
+  designSolarGain,
+  hourlySolarGain,
+} from "./solar.js";
+export {
+  INDOOR_HUMIDITY_GRAINS,
+  latentGrainDays,
+  humidityRatioGrains,
+  calcLatentLoad,
+  coolingWithLatent,
+  SHR_RANGE,
+} from "./latent.js";
+export {
+  ashrae622TotalCfm,
+  ventilationInputs,
+  calcVentilation,
+  referenceVentilation,
+} from "./ventilation.js";
+export { calcDistributionEfficiency } from "./ducts.js";
+export {
+  calcNaturalInfiltration,
+  ach50FromSpecificLeakageArea,
+} from "./infiltration.js";
+export {
+  NOMINAL_HEAT_PUMP_TONS,
+  recommendHeatPumpTons,
+  calcDesignLoads,
+} from "./sizing.js";
+export {
+  parseEPW,
+  parseTMY3,
+  parseWeatherFile,
+  degreeDaysFromHourly,
+  degreeDaysByBaseFromHourly,
+} from "./weather.js";
+export {
+  heatPumpCurve,
+  heatPumpCOPAt,
+  heatPumpCapacityAt,
+  ratedHeatPumpCapacity,
+  calcSeasonalHeatPump,
+  seasonalSEER,
+  ratedHeatingCOP,
+} from "./heatPump.js";
+export { simulateHourly } from "./hourly.js";
+export { estimateHERSIndex, hersEndUses, calcHERSIndexNMEUL } from "./hers.js";
+export { evaluateScenario, evaluateScenarioHourly } from "./evaluate.js";
+export { calcEconomics } from "./economics.js";
+export {
+  PROJECT_FORMAT,
+  PROJECT_SCHEMA_VERSION,
+  createDefaultProject,
+  serializeProject,
+  migrateProject,
+  parseProject,
+} from "./project.js";
+export {
+  bytesToBase64Url,
+  base64UrlToBytes,
+  encodeProjectHash,
+  decodeProjectHash,
+} from "./shareLink.js";
+export { runUnitTests } from "./selfTest.js";
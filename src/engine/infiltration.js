@@ -0,0 +1,87 @@
+import { DEFAULT_INFILTRATION, SHIELDING_CLASSES } from "./catalogs.js";
+
+/**
+ * Natural infiltration from a blower-door test (LBL / Sherman-Grimsrud).
+ *
+ * - CFM50 = ACH50 · V / 60.
+ * - Effective leakage area at 4 Pa: ELA = 0.2833 · CFM50 · (4/50)^n   [in²]
+ *   (0.2833 in²/cfm is 144 / 508 ft/min, the orifice velocity at 4 Pa).
+ * - Q = ELA · √(C_s · ΔT + C_w · U²)   [cfm], with C_s by stories, C_w by
+ *   stories and shielding class, ΔT the annual mean indoor–outdoor difference
+ *   (HDD65 + CDD65) / 365 and U the site's average wind speed.
+ * - ACHnat = 60 · Q / V; the equivalent N-factor is ACH50 / ACHnat.
+ */
+
+// LBL stack coefficients C_s (cfm²/in⁴·°F) for 1, 2 and 3 stories
+const STACK_COEFFICIENTS = [0.015, 0.0299, 0.0449];
+const ELA_IN2_PER_CFM4 = 144 / 508.3;
+
+/**
+ * Natural air changes per hour for one house at a blower-door ACH50.
+ * Without `shared.infiltration` (or with the "manual" method) this is
+ * ACH50 × `ach50ToNatFactor`.
+ *
+ * @param {object} input
+ * @param {number} input.ach50
+ * @param {number} input.ach50ToNatFactor Fixed factor for the "manual" method.
+ * @param {object} input.shared Shared house and climate inputs (`stories`,
+ *   `conditionedFloorArea`, `avgCeilingHeight`, `HDD65`, `CDD65`,
+ *   `infiltration`).
+ * @returns {{ method: string, ACHnat: number, nFactor: number, cfm50: number, elaIn2: number | null }}
+ */
+export function calcNaturalInfiltration({ ach50, ach50ToNatFactor, shared }) {
+  const volumeFt3 = shared.conditionedFloorArea * shared.avgCeilingHeight;
+  const cfm50 = (ach50 * volumeFt3) / 60;
+  const settings = shared.infiltration;
+  if (!settings || settings.method === "manual") {
+    const ACHnat = ach50 * ach50ToNatFactor;
+    return {
+      method: "manual",
+      ACHnat,
+      nFactor: ACHnat > 0 ? ach50 / ACHnat : Infinity,
+      cfm50,
+      elaIn2: null,
+    };
+  }
+
+  const s = { ...DEFAULT_INFILTRATION, ...settings };
+  const storyIndex = Math.min(3, Math.max(1, Math.round(shared.stories))) - 1;
+  const shielding =
+    SHIELDING_CLASSES.find((c) => c.key === s.shieldingKey) ||
+    SHIELDING_CLASSES[2];
+  const elaIn2 = ELA_IN2_PER_CFM4 * cfm50 * Math.pow(4 / 50, s.flowExponent);
+  const deltaT = (shared.HDD65 + shared.CDD65) / 365;
+  const cfm =
+    elaIn2 *
+    Math.sqrt(
+      STACK_COEFFICIENTS[storyIndex] * deltaT +
+        shielding.windCoefficients[storyIndex] * s.windSpeedMph ** 2
+    );
+  const ACHnat = volumeFt3 > 0 ? (60 * cfm) / volumeFt3 : 0;
+  return {
+    method: "lbl",
+    ACHnat,
+    nFactor: ACHnat > 0 ? ach50 / ACHnat : Infinity,
+    cfm50,
+    elaIn2,
+  };
+}
+
+/**
+ * Blower-door ACH50 of a house with a given specific leakage area
+ * (SLA = ELA / floor area, both in ft²), inverting the ELA relation above at
+ * the `shared.infiltration` flow exponent.
+ *
+ * @param {number} specificLeakageArea e.g. 0.00036 for the ANSI/RESNET 301
+ *   reference home.
+ * @param {object} shared `conditionedFloorArea`, `avgCeilingHeight`,
+ *   `infiltration`.
+ * @returns {number} ACH50.
+ */
+export function ach50FromSpecificLeakageArea(specificLeakageArea, shared) {
+  const { flowExponent } = { ...DEFAULT_INFILTRATION, ...shared.infiltration };
+  const elaIn2 = specificLeakageArea * shared.conditionedFloorArea * 144;
+  const cfm50 = elaIn2 / (ELA_IN2_PER_CFM4 * Math.pow(4 / 50, flowExponent));
+  const volumeFt3 = shared.conditionedFloorArea * shared.avgCeilingHeight;
+  return volumeFt3 > 0 ? (60 * cfm50) / volumeFt3 : 0;
+}
@@ -0,0 +1,103 @@
+/**
+ * Latent (moisture) cooling load from outdoor air.
+ *
+ * Latent load = 0.68 · CFM · (W_out − W_in) BTU/h, with humidity ratios in
+ * grains of water per lb of dry air. The degree-day model uses annual
+ * "grain-days" (Σ over cooling-season days of W_out − W_in, where positive)
+ * by climate zone; the hourly model takes W_out from each hour's dew point.
+ *
+ * Cooling equipment removes sensible and latent heat in a ratio set by its
+ * sensible heat ratio (SHR). When moisture is the larger job, the equipment
+ * runs longer than the sensible load alone needs; that extra runtime is
+ * counted as latent load.
+ */
+
+// Equipment SHR range: DX coils run about 0.6–0.85. An SHR at or near 1
+// would remove no moisture, and the latent-limited runtime would grow
+// without bound, so inputs are clamped to this range.
+export const SHR_RANGE = { min: 0.5, max: 0.9 };
+
+// Indoor humidity ratio held in cooling: 75°F, 50% RH ≈ 65 gr/lb.
+export const INDOOR_HUMIDITY_GRAINS = 65;
+
+// Annual cooling-season grain-days above 65 gr/lb, by IECC climate zone
+// (moist "A", dry "B", marine "C"). Approximate values from typical TMY
+// dew points, for comparative modeling.
+const GRAIN_DAYS_BY_ZONE = {
+  "1A": 12000,
+  "2A": 8000,
+  "2B": 800,
+  "3A": 4500,
+  "3B": 400,
+  "3C": 100,
+  "4A": 3000,
+  "4B": 200,
+  "4C": 100,
+  "5A": 1500,
+  "5B": 100,
+  "5C": 50,
+  "6A": 700,
+  "6B": 50,
+  7: 200,
+  8: 50,
+};
+
+/**
+ * Annual latent grain-days for a climate zone ("4A", "5B", "7"). A zone with
+ * no moisture letter takes its moist ("A") value; unknown zones get 0.
+ *
+ * @param {string} climateZone
+ * @returns {number} gr/lb · days.
+ */
+export function latentGrainDays(climateZone) {
+  const zone = String(climateZone ?? "")
+    .trim()
+    .toUpperCase();
+  const n = parseInt(zone, 10);
+  return (
+    GRAIN_DAYS_BY_ZONE[zone] ??
+    GRAIN_DAYS_BY_ZONE[`${n}A`] ??
+    GRAIN_DAYS_BY_ZONE[n] ??
+    0
+  );
+}
+
+/**
+ * Humidity ratio (gr/lb) at sea-level pressure for a dew point.
+ *
+ * @param {number} dewPointF
+ * @returns {number}
+ */
+export function humidityRatioGrains(dewPointF) {
+  const tC = ((dewPointF - 32) * 5) / 9;
+  const pw = 0.61094 * Math.exp((17.625 * tC) / (tC + 243.04)); // kPa (Magnus)
+  return ((0.622 * pw) / (101.325 - pw)) * 7000;
+}
+
+/**
+ * Annual latent load from outdoor air (BTU).
+ *
+ * @param {number} cfm Average outdoor air flow (infiltration, ventilation).
+ * @param {number} grainDays From `latentGrainDays`.
+ * @returns {number}
+ */
+export function calcLatentLoad(cfm, grainDays) {
+  return 0.68 * cfm * grainDays * 24;
+}
+
+/**
+ * Cooling the equipment has to deliver for a sensible and a latent load at
+ * a given sensible heat ratio: max(sensible + latent, latent / (1 − SHR)).
+ * The SHR is clamped to `SHR_RANGE`, so delivered cooling is at most
+ * 10 × the latent load.
+ *
+ * @param {object} input
+ * @param {number} input.sensible BTU (or BTU/h).
+ * @param {number} input.latent BTU (or BTU/h).
+ * @param {number} input.shr Equipment sensible heat ratio.
+ * @returns {number}
+ */
+export function coolingWithLatent({ sensible, latent, shr }) {
+  const bounded = Math.min(SHR_RANGE.max, Math.max(SHR_RANGE.min, shr || 0));
+  return Math.max(sensible + latent, latent / (1 - bounded));
+}
@@ -0,0 +1,485 @@
+import {
+  DEFAULT_ENVELOPE,
+  DEFAULT_HVAC,
+  DEFAULT_INTERNAL_GAINS,
+  DEFAULT_THERMOSTAT,
+  FLOOR_EXPOSURES,
+  LAYER_R,
+  LOAD_COMPONENTS,
+} from "./catalogs.js";
+import { degreeDaysAtBase } from "./degreeDays.js";
+import { BTU_PER_KWH, calcEnergyCosts, calcHeatingEnergy } from "./heating.js";
+import { calcSolarGains, referenceWindows } from "./solar.js";
+import { calcDistributionEfficiency } from "./ducts.js";
+import { calcNaturalInfiltration } from "./infiltration.js";
+import { ratedHeatPumpCapacity, seasonalSEER } from "./heatPump.js";
+import { calcDesignLoads } from "./sizing.js";
+import { referenceHouse } from "./reference.js";
+import {
+  calcVentilation,
+  referenceVentilation,
+  ventilationInputs,
+} from "./ventilation.js";
+import {
+  calcLatentLoad,
+  coolingWithLatent,
+  latentGrainDays,
+} from "./latent.js";
+
+/**
+ * Convert blower-door ACH50 to natural air changes per hour.
+ *
+ * @param {number} ach50
+ * @param {number} factor User-editable conversion factor (default 0.07).
+ * @returns {number} ACHnat (h⁻¹).
+ */
+export function ach50ToAchnat(ach50, factor) {
+  return ach50 * factor;
+}
+
+// --- Whole-house HERS model (simplified & transparent) ---
+
+/**
+ * Gross wall and window area from the net opaque wall area.
+ *
+ * @param {number} netOpaqueFt2
+ * @param {number} wwr Window-to-wall ratio (fraction of GROSS wall area).
+ * @returns {{ gross: number, windowArea: number }}
+ */
+export function wallGrossAreaFromNet(netOpaqueFt2, wwr) {
+  const gross = netOpaqueFt2 / Math.max(0.01, 1 - wwr);
+  return { gross, windowArea: gross * wwr };
+}
+
+/**
+ * Whole-house heat-transfer coefficients (BTU/hr·°F) for one envelope:
+ * conduction UA per component plus the sensible air coefficients 1.08 · CFM
+ * for infiltration (CFM = ACHnat · Vol / 60) and mechanical ventilation.
+ *
+ * Each component also carries the fraction of the indoor–outdoor difference
+ * it sees in heating and cooling. Floors over buffer spaces use
+ * `FLOOR_EXPOSURES`; slabs and basement walls lose heat to the ground but are
+ * not driven by summer air temperatures, so they add no cooling load.
+ *
+ * @param {object} input
+ * @param {number} input.wholeWallR Whole-wall effective R.
+ * @param {object} input.assemblies `hers.rated` or `hers.reference` values
+ *   (`windowU`, `doorU`, `ceilingR`, `cathedralR`, `floorR`, `slabF`,
+ *   `basementC`).
+ * @param {number} input.ACHnat Natural air changes per hour.
+ * @param {number} [input.ventilationCfm=0] Effective sensible outdoor air
+ *   added by ventilation (`sensibleCfm` from `calcVentilation`).
+ * @param {object} input.shared Shared house inputs (geometry, `envelope`).
+ * @returns {object} `components` (`LOAD_COMPONENTS` key →
+ *   `{ UA, heatFactor, coolFactor }`), `UA_heat` and `UA_cool` (Σ UA × factor),
+ *   `volumeFt3`, `windowArea` and `ceilingArea` (attic ceiling).
+ */
+export function calcEnvelopeUA({
+  wholeWallR,
+  assemblies,
+  ACHnat,
+  ventilationCfm = 0,
+  shared,
+}) {
+  const {
+    wallAreaFt2,
+    conditionedFloorArea,
+    avgCeilingHeight,
+    stories,
+    windowToWallRatio,
+  } = shared;
+  const envelope = { ...DEFAULT_ENVELOPE, ...shared.envelope };
+  const volumeFt3 = conditionedFloorArea * avgCeilingHeight;
+  const { windowArea } = wallGrossAreaFromNet(wallAreaFt2, windowToWallRatio);
+  // Top-floor footprint not covered by cathedral ceilings is attic ceiling
+  const ceilingArea = Math.max(
+    0,
+    conditionedFloorArea / Math.max(1, stories) - envelope.cathedralAreaFt2
+  );
+  const exposure =
+    FLOOR_EXPOSURES.find((o) => o.key === envelope.floorExposure) ||
+    FLOOR_EXPOSURES[0];
+  // Soil adds roughly R-1 per foot along the mean heat path (half the depth)
+  const soilR = envelope.basementDepthFt / 2;
+
+  const both = (UA) => ({ UA, heatFactor: 1, coolFactor: 1 });
+  const heatOnly = (UA) => ({ UA, heatFactor: 1, coolFactor: 0 });
+  const components = {
+    wall: both(wallAreaFt2 / wholeWallR),
+    window: both(assemblies.windowU * windowArea),
+    door: both(assemblies.doorU * envelope.doorAreaFt2),
+    ceiling: both(ceilingArea / (assemblies.ceilingR + LAYER_R.airFilms)),
+    cathedral: both(
+      envelope.cathedralAreaFt2 / (assemblies.cathedralR + LAYER_R.airFilms)
+    ),
+    floor: {
+      UA: envelope.floorAreaFt2 / (assemblies.floorR + LAYER_R.airFilms),
+      heatFactor: exposure.heatFactor,
+      coolFactor: exposure.coolFactor,
+    },
+    slab: heatOnly(assemblies.slabF * envelope.slabPerimeterFt),
+    basement: heatOnly(
+      envelope.basementWallAreaFt2 /
+        (1 / Math.max(0.01, assemblies.basementC) + soilR) // guard
+    ),
+    infiltration: both((1.08 * ACHnat * volumeFt3) / 60),
+    ventilation: both(1.08 * ventilationCfm),
+  };
+
+  const sum = (factor) =>
+    Object.values(components).reduce((a, c) => a + c.UA * c[factor], 0);
+  return {
+    components,
+    UA_heat: sum("heatFactor"),
+    UA_cool: sum("coolFactor"),
+    volumeFt3,
+    windowArea,
+    ceilingArea,
+  };
+}
+
+/**
+ * Sensible internal gains (BTU/h, annual average): occupants plus the share
+ * of the "other site energy" released indoors as heat.
+ *
+ * @param {object} [internalGains] `DEFAULT_INTERNAL_GAINS` shape.
+ * @param {number} otherSiteEnergyKWh Lights, appliances and plug loads
+ *   (water heating too in projects saved before it was modeled).
+ * @returns {{ occupantsBtuh: number, equipmentBtuh: number, totalBtuh: number }}
+ */
+export function calcInternalGains(internalGains, otherSiteEnergyKWh) {
+  const g = { ...DEFAULT_INTERNAL_GAINS, ...internalGains };
+  const occupantsBtuh = g.occupants * g.btuhPerOccupant;
+  const equipmentBtuh =
+    (otherSiteEnergyKWh * BTU_PER_KWH * g.otherEnergyToHeat) / 8760;
+  return {
+    occupantsBtuh,
+    equipmentBtuh,
+    totalBtuh: occupantsBtuh + equipmentBtuh,
+  };
+}
+
+/**
+ * Heating and cooling balance points: the outdoor temperature at which the
+ * envelope exchange equals internal gains, T_bal = T_set − Q_int / UA. A
+ * tighter, better-insulated home (lower UA) balances at a lower temperature,
+ * so it needs fewer heating degree days.
+ *
+ * @param {object} input
+ * @param {number} input.UA_heat BTU/hr·°F (from `calcEnvelopeUA`).
+ * @param {number} input.UA_cool BTU/hr·°F.
+ * @param {number} input.internalGainsBtuh From `calcInternalGains`.
+ * @param {object} [input.thermostat] `DEFAULT_THERMOSTAT` shape.
+ * @returns {{ heatF: number, coolF: number }}
+ */
+export function calcBalancePoints({
+  UA_heat,
+  UA_cool,
+  internalGainsBtuh,
+  thermostat,
+}) {
+  const t = { ...DEFAULT_THERMOSTAT, ...thermostat };
+  return {
+    heatF: t.heatingF - internalGainsBtuh / Math.max(1, UA_heat), // guard
+    coolF: t.coolingF - internalGainsBtuh / Math.max(1, UA_cool),
+  };
+}
+
+// Degree-day loads and energy for one envelope (rated or reference), on
+// degree days to that envelope's balance points. Solar gains offset heating
+// (never below zero) and add to cooling; outdoor-air moisture adds a latent
+// cooling load, met at the equipment's sensible heat ratio. Ventilation fan
+// energy rides on the ventilation row. Equipment energy is the delivered load
+// divided by the distribution efficiency; a heat pump sized from the design
+// loads (unless its capacity is given) hands what it cannot cover to backup.
+function degreeDayWholeHouse({
+  wholeWallR,
+  assemblies,
+  windows,
+  ACHnat,
+  ventilation,
+  distribution,
+  otherSiteEnergyKWh,
+  shared,
+}) {
+  const ua = calcEnvelopeUA({
+    wholeWallR,
+    assemblies,
+    ACHnat,
+    ventilationCfm: ventilation.sensibleCfm,
+    shared,
+  });
+  const { HDD65, CDD65, hvac } = shared;
+
+  const internalGains = calcInternalGains(
+    shared.internalGains,
+    otherSiteEnergyKWh
+  );
+  const balance = calcBalancePoints({
+    UA_heat: ua.UA_heat,
+    UA_cool: ua.UA_cool,
+    internalGainsBtuh: internalGains.totalBtuh,
+    thermostat: shared.thermostat,
+  });
+  const climate = {
+    HDD65,
+    CDD65,
+    degreeDaysByBase: shared.degreeDaysByBase,
+  };
+  const { HDD } = degreeDaysAtBase(climate, balance.heatF);
+  const { CDD } = degreeDaysAtBase(climate, balance.coolF);
+
+  const components = {};
+  for (const [key, c] of Object.entries(ua.components)) {
+    components[key] = {
+      Qh: c.UA * c.heatFactor * HDD * 24,
+      Qc: c.UA * c.coolFactor * CDD * 24,
+    };
+  }
+  const solar = calcSolarGains({
+    windowArea: ua.windowArea,
+    windows,
+    climateZone: shared.climateZone,
+  });
+  const Qh_envelope = ua.UA_heat * HDD * 24;
+  components.solar = {
+    Qh: -Math.min(solar.heatBTU, Qh_envelope),
+    Qc: solar.coolBTU,
+  };
+  const Qh_total = Qh_envelope + components.solar.Qh;
+  const Qc_sensible = ua.UA_cool * CDD * 24 + components.solar.Qc;
+  const outdoorAirCfm = (ACHnat * ua.volumeFt3) / 60 + ventilation.latentCfm;
+  const Qc_total = coolingWithLatent({
+    sensible: Qc_sensible,
+    latent: calcLatentLoad(outdoorAirCfm, latentGrainDays(shared.climateZone)),
+    shr: hvac.coolingSHR ?? DEFAULT_HVAC.coolingSHR,
+  });
+  components.latent = { Qh: 0, Qc: Qc_total - Qc_sensible };
+  components.ventilation.kWhFan = ventilation.fanKWh;
+
+  const design = calcDesignLoads(
+    {
+      UA_heat: ua.UA_heat,
+      UA_cool: ua.UA_cool,
+      volumeFt3: ua.volumeFt3,
+      windowArea: ua.windowArea,
+      ACHnat,
+      ventilation,
+      distribution,
+      internalGainsBtuh: internalGains.totalBtuh,
+    },
+    { ...shared, windows }
+  );
+  const heating = calcHeatingEnergy({
+    Qh_BTU: Qh_total / distribution.heating,
+    hvac,
+    HDD65,
+    CDD65,
+    balanceF: balance.heatF,
+    lossBtuhPerF: ua.UA_heat / distribution.heating,
+    ratedCapacityBtuh: ratedHeatPumpCapacity(hvac, design),
+  });
+  const { kWhHeat, thermsHeat } = heating;
+  const kWhCool = Qc_total / distribution.cooling / (seasonalSEER(hvac) * 1000);
+
+  return {
+    Qh_total,
+    Qc_total,
+    Qc_sensible,
+    Qc_latent: components.latent.Qc,
+    components,
+    kWhHeat,
+    thermsHeat,
+    kWhCool,
+    kWhFan: ventilation.fanKWh,
+    ventilation,
+    distribution,
+    design,
+    heatPump: {
+      seasonalCOP: heating.heatPumpCOP,
+      backupShare: heating.backupShare,
+      capacityBalanceF: heating.capacityBalanceF,
+    },
+    UA_heat: ua.UA_heat,
+    UA_cool: ua.UA_cool,
+    volumeFt3: ua.volumeFt3,
+    windowArea: ua.windowArea,
+    ceilingArea: ua.ceilingArea,
+    solar,
+    internalGainsBtuh: internalGains.totalBtuh,
+    balancePoint: { ...balance, HDD, CDD },
+  };
+}
+
+/**
+ * Whole-house heating/cooling kWh for the rated home (walls, windows, doors,
+ * attic and cathedral ceilings, floors, slab, basement walls, infiltration,
+ * mechanical ventilation, and solar gains through `shared.windows`), on
+ * degree days to the home's own balance points (see `calcBalancePoints`).
+ * Heating and cooling energy include duct losses through the scenario's
+ * distribution efficiency (see `calcDistributionEfficiency`).
+ *
+ * @param {object} input
+ * @param {number} input.scenarioWholeWallR Whole-wall effective R.
+ * @param {number} input.ach50
+ * @param {number} input.ach50ToNatFactor
+ * @param {object} [input.ventilation] Scenario ventilation
+ *   (`DEFAULT_VENTILATION` shape; none when omitted).
+ * @param {object} [input.ducts] Scenario duct system (`DEFAULT_DUCTS`
+ *   shape; ideal distribution when omitted).
+ * @param {object} input.shared Shared house, envelope, climate, gains,
+ *   thermostat and HVAC inputs.
+ * @param {object} input.hers HERS inputs (`hers.rated` and
+ *   `hers.otherSiteEnergyKWh` are used).
+ * @returns {object} Annual loads (`Qh_total`, `Qc_total` BTU), per-component
+ *   loads (`components` keyed like `LOAD_COMPONENTS` → `{ Qh, Qc }` BTU;
+ *   solar `Qh` is negative), `Qc_sensible` and `Qc_latent` (the latent
+ *   row, including any extra runtime the equipment needs to remove the
+ *   moisture at its SHR), `kWhHeat`, `thermsHeat`, `kWhCool`, `kWhFan`
+ *   (ventilation fans), `ventilation` (from `calcVentilation`),
+ *   `distribution` (heating/cooling DSE), `design` (from `calcDesignLoads`),
+ *   `heatPump` (`seasonalCOP`, resistance `backupShare` of the heating load,
+ *   `capacityBalanceF`), `ACHnat` and `infiltration` (from
+ *   `calcNaturalInfiltration`), `UA_heat`, `UA_cool`, `volumeFt3`,
+ *   `windowArea`, `ceilingArea`, `solar` (from `calcSolarGains`),
+ *   `internalGainsBtuh` and `balancePoint` (`heatF`, `coolF` and the `HDD`,
+ *   `CDD` to those bases).
+ */
+export function calcWholeHouseKWh({
+  scenarioWholeWallR,
+  ach50,
+  ach50ToNatFactor,
+  ventilation,
+  ducts,
+  shared,
+  hers,
+}) {
+  const infiltration = calcNaturalInfiltration({
+    ach50,
+    ach50ToNatFactor,
+    shared,
+  });
+  const { ACHnat } = infiltration;
+  const result = degreeDayWholeHouse({
+    wholeWallR: scenarioWholeWallR,
+    assemblies: hers.rated,
+    windows: shared.windows,
+    ACHnat,
+    ventilation: calcVentilation({
+      ventilation,
+      ...ventilationInputs(ACHnat, shared),
+    }),
+    distribution: calcDistributionEfficiency(ducts, shared),
+    otherSiteEnergyKWh: hers.otherSiteEnergyKWh,
+    shared,
+  });
+  return { ...result, ACHnat, infiltration };
+}
+
+/**
+ * Whole-house heating/cooling kWh for the HERS reference home. Floor area,
+ * volume and the other component areas are the same as the rated home;
+ * window, door and wall areas and equipment follow `referenceHouse`,
+ * assemblies come from `hers.reference`, with the window area split evenly
+ * over the four orientations at `hers.reference.shgc`. Ventilation follows
+ * `referenceVentilation`; ducts are a fixed
+ * `hers.reference.distributionEfficiency` for heating and cooling.
+ *
+ * @param {object} input
+ * @param {number} input.referenceWholeWallR Reference whole-wall effective R.
+ * @param {number} input.refAch50
+ * @param {number} input.ach50ToNatFactor
+ * @param {object} [input.ratedVentilation] The rated home's `ventilation`
+ *   result (none when omitted).
+ * @param {object} input.shared Shared house, envelope, climate and HVAC inputs.
+ * @param {object} input.hers HERS inputs (`hers.reference` is used).
+ * @returns {{ kWhHeat: number, thermsHeat: number, kWhCool: number, kWhFan: number, ACHnat: number, windowArea: number, doorAreaFt2: number, hvac: object, heatPump: object }}
+ */
+export function calcReferenceWholeHouseKWh({
+  referenceWholeWallR,
+  refAch50,
+  ach50ToNatFactor,
+  ratedVentilation = { typeKey: "none" },
+  shared,
+  hers,
+}) {
+  const refShared = referenceHouse(shared, hers.reference);
+  const { ACHnat } = calcNaturalInfiltration({
+    ach50: refAch50,
+    ach50ToNatFactor,
+    shared: refShared,
+  });
+  const { infiltrationCfm, house } = ventilationInputs(ACHnat, refShared);
+  const result = degreeDayWholeHouse({
+    wholeWallR: referenceWholeWallR,
+    assemblies: hers.reference,
+    windows: referenceWindows(hers.reference.shgc),
+    ACHnat,
+    ventilation: referenceVentilation(ratedVentilation, infiltrationCfm, house),
+    distribution: {
+      heating: hers.reference.distributionEfficiency ?? 1,
+      cooling: hers.reference.distributionEfficiency ?? 1,
+    },
+    otherSiteEnergyKWh: hers.otherSiteEnergyKWh,
+    shared: refShared,
+  });
+  return {
+    kWhHeat: result.kWhHeat,
+    thermsHeat: result.thermsHeat,
+    kWhCool: result.kWhCool,
+    kWhFan: result.kWhFan,
+    ACHnat,
+    windowArea: result.windowArea,
+    doorAreaFt2:
+      refShared.envelope?.doorAreaFt2 ?? DEFAULT_ENVELOPE.doorAreaFt2,
+    hvac: refShared.hvac,
+    heatPump: result.heatPump,
+  };
+}
+
+/**
+ * Split whole-house energy and cost across envelope components. Heating and
+ * cooling energy scale linearly with load, so each component gets its share
+ * of the BTU load.
+ *
+ * @param {object} wholeHouse Result of `calcWholeHouseKWh`.
+ * @param {{ elecPricePerKWh: number, gasPricePerTherm: number }} econ
+ * @returns {object[]} One row per `LOAD_COMPONENTS` entry: `Qh`, `Qc` (BTU),
+ *   `kWhHeat`, `thermsHeat`, `kWhCool`, `kWh`, `costHeat`, `costCool`,
+ *   `cost`, and `shareHeat` / `shareCool` (fractions of the totals). Solar
+ *   gains have negative heating figures.
+ */
+export function calcComponentBreakdown(wholeHouse, econ) {
+  const { Qh_total, Qc_total, components, kWhHeat, thermsHeat, kWhCool } =
+    wholeHouse;
+  const { costHeat, costCool } = calcEnergyCosts({
+    kWhHeat,
+    thermsHeat,
+    kWhCool,
+    econ,
+  });
+
+  return LOAD_COMPONENTS.map(({ key, label }) => {
+    const { Qh, Qc, kWhFan = 0 } = components[key];
+    const shareHeat = Qh_total > 0 ? Qh / Qh_total : 0;
+    const shareCool = Qc_total > 0 ? Qc / Qc_total : 0;
+    const row = {
+      key,
+      label,
+      Qh,
+      Qc,
+      kWhHeat: kWhHeat * shareHeat,
+      thermsHeat: thermsHeat * shareHeat,
+      kWhCool: kWhCool * shareCool,
+      costHeat: costHeat * shareHeat,
+      costCool: costCool * shareCool,
+      kWhFan,
+      costFan: kWhFan * econ.elecPricePerKWh,
+      shareHeat,
+      shareCool,
+    };
+    row.kWh = row.kWhHeat + row.kWhCool + row.kWhFan;
+    row.cost = row.costHeat + row.costCool + row.costFan;
+    return row;
+  });
+}
@@ -0,0 +1,1367 @@
+/**
+ * Bundled offline climate dataset (no network lookups).
+ *
+ * Degree days are rounded long-term normals (base 65°F); design temperatures
+ * are the ASHRAE 99% heating and 1% cooling dry-bulb values (°F); climate
+ * zones follow IECC/ASHRAE 169. Canadian sites carry their ASHRAE 169 zone.
+ * Values are approximate and intended for comparative modeling.
+ *
+ * `degreeDaysByBase` holds HDD/CDD at each of `DEGREE_DAY_BASES_F` (50–70°F).
+ * They come from the site's monthly normal temperatures by the ASHRAE
+ * variable-base monthly method (Erbs, Klein & Beckman 1983), calibrated so the
+ * base-65 column equals HDD65/CDD65, and are rounded to 10.
+ */
+
+export const CLIMATE_LOCATIONS = [
+  {
+    key: "us-ak-anchorage",
+    name: "Anchorage, AK",
+    country: "US",
+    climateZone: "7",
+    HDD65: 10200,
+    CDD65: 10,
+    degreeDaysByBase: {
+      HDD: [5450, 6830, 8430, 10200, 12020],
+      CDD: [730, 290, 70, 10, 0],
+    },
+    heatingDesignF: -8,
+    coolingDesignF: 71,
+    elevationFt: 131,
+  },
+  {
+    key: "us-ak-fairbanks",
+    name: "Fairbanks, AK",
+    country: "US",
+    climateZone: "8",
+    HDD65: 13500,
+    CDD65: 60,
+    degreeDaysByBase: {
+      HDD: [8980, 10330, 11830, 13500, 15280],
+      CDD: [1010, 540, 220, 60, 10],
+    },
+    heatingDesignF: -40,
+    coolingDesignF: 82,
+    elevationFt: 433,
+  },
+  {
+    key: "us-al-birmingham",
+    name: "Birmingham, AL",
+    country: "US",
+    climateZone: "3A",
+    HDD65: 2700,
+    CDD65: 2000,
+    degreeDaysByBase: {
+      HDD: [650, 1150, 1840, 2700, 3740],
+      CDD: [5420, 4100, 2960, 2000, 1210],
+    },
+    heatingDesignF: 22,
+    coolingDesignF: 94,
+    elevationFt: 620,
+  },
+  {
+    key: "us-ar-little-rock",
+    name: "Little Rock, AR",
+    country: "US",
+    climateZone: "3A",
+    HDD65: 2900,
+    CDD65: 2100,
+    degreeDaysByBase: {
+      HDD: [740, 1310, 2020, 2900, 3930],
+      CDD: [5420, 4160, 3050, 2100, 1310],
+    },
+    heatingDesignF: 20,
+    coolingDesignF: 96,
+    elevationFt: 257,
+  },
+  {
+    key: "us-az-flagstaff",
+    name: "Flagstaff, AZ",
+    country: "US",
+    climateZone: "5B",
+    HDD65: 7000,
+    CDD65: 150,
+    degreeDaysByBase: {
+      HDD: [2980, 4140, 5470, 7000, 8710],
+      CDD: [1600, 940, 450, 150, 30],
+    },
+    heatingDesignF: 8,
+    coolingDesignF: 83,
+    elevationFt: 7003,
+  },
+  {
+    key: "us-az-phoenix",
+    name: "Phoenix, AZ",
+    country: "US",
+    climateZone: "2B",
+    HDD65: 920,
+    CDD65: 4600,
+    degreeDaysByBase: {
+      HDD: [60, 180, 460, 920, 1580],
+      CDD: [9220, 7510, 5960, 4600, 3430],
+    },
+    heatingDesignF: 37,
+    coolingDesignF: 108,
+    elevationFt: 1107,
+  },
+  {
+    key: "us-az-tucson",
+    name: "Tucson, AZ",
+    country: "US",
+    climateZone: "2B",
+    HDD65: 1400,
+    CDD65: 3800,
+    degreeDaysByBase: {
+      HDD: [240, 470, 850, 1400, 2140],
+      CDD: [8120, 6520, 5070, 3800, 2710],
+    },
+    heatingDesignF: 33,
+    coolingDesignF: 104,
+    elevationFt: 2549,
+  },
+  {
+    key: "us-ca-los-angeles",
+    name: "Los Angeles, CA",
+    country: "US",
+    climateZone: "3B",
+    HDD65: 1250,
+    CDD65: 700,
+    degreeDaysByBase: {
+      HDD: [10, 80, 430, 1250, 2540],
+      CDD: [4930, 3180, 1700, 700, 160],
+    },
+    heatingDesignF: 44,
+    coolingDesignF: 83,
+    elevationFt: 99,
+  },
+  {
+    key: "us-ca-sacramento",
+    name: "Sacramento, CA",
+    country: "US",
+    climateZone: "3B",
+    HDD65: 2500,
+    CDD65: 1300,
+    degreeDaysByBase: {
+      HDD: [410, 870, 1580, 2500, 3650],
+      CDD: [4680, 3320, 2200, 1300, 630],
+    },
+    heatingDesignF: 32,
+    coolingDesignF: 100,
+    elevationFt: 23,
+  },
+  {
+    key: "us-ca-san-diego",
+    name: "San Diego, CA",
+    country: "US",
+    climateZone: "3B",
+    HDD65: 1100,
+    CDD65: 850,
+    degreeDaysByBase: {
+      HDD: [10, 50, 350, 1100, 2310],
+      CDD: [5230, 3450, 1920, 850, 230],
+    },
+    heatingDesignF: 45,
+    coolingDesignF: 82,
+    elevationFt: 15,
+  },
+  {
+    key: "us-ca-san-francisco",
+    name: "San Francisco, CA",
+    country: "US",
+    climateZone: "3C",
+    HDD65: 2700,
+    CDD65: 150,
+    degreeDaysByBase: {
+      HDD: [140, 550, 1390, 2700, 4390],
+      CDD: [3070, 1650, 660, 150, 20],
+    },
+    heatingDesignF: 40,
+    coolingDesignF: 80,
+    elevationFt: 10,
+  },
+  {
+    key: "us-co-denver",
+    name: "Denver, CO",
+    country: "US",
+    climateZone: "5B",
+    HDD65: 6000,
+    CDD65: 750,
+    degreeDaysByBase: {
+      HDD: [2620, 3610, 4730, 6000, 7430],
+      CDD: [2850, 2010, 1310, 750, 360],
+    },
+    heatingDesignF: 3,
+    coolingDesignF: 91,
+    elevationFt: 5283,
+  },
+  {
+    key: "us-ct-hartford",
+    name: "Hartford, CT",
+    country: "US",
+    climateZone: "5A",
+    HDD65: 6100,
+    CDD65: 750,
+    degreeDaysByBase: {
+      HDD: [2800, 3750, 4850, 6100, 7520],
+      CDD: [2920, 2050, 1330, 750, 350],
+    },
+    heatingDesignF: 5,
+    coolingDesignF: 88,
+    elevationFt: 180,
+  },
+  {
+    key: "us-dc-washington",
+    name: "Washington, DC",
+    country: "US",
+    climateZone: "4A",
+    HDD65: 4000,
+    CDD65: 1600,
+    degreeDaysByBase: {
+      HDD: [1420, 2120, 2980, 4000, 5180],
+      CDD: [4490, 3370, 2410, 1600, 950],
+    },
+    heatingDesignF: 19,
+    coolingDesignF: 93,
+    elevationFt: 10,
+  },
+  {
+    key: "us-de-wilmington",
+    name: "Wilmington, DE",
+    country: "US",
+    climateZone: "4A",
+    HDD65: 4700,
+    CDD65: 1100,
+    degreeDaysByBase: {
+      HDD: [1770, 2600, 3580, 4700, 5970],
+      CDD: [3650, 2650, 1800, 1100, 550],
+    },
+    heatingDesignF: 15,
+    coolingDesignF: 90,
+    elevationFt: 80,
+  },
+  {
+    key: "us-fl-jacksonville",
+    name: "Jacksonville, FL",
+    country: "US",
+    climateZone: "2A",
+    HDD65: 1300,
+    CDD65: 2700,
+    degreeDaysByBase: {
+      HDD: [150, 340, 720, 1300, 2110],
+      CDD: [7020, 5390, 3940, 2700, 1680],
+    },
+    heatingDesignF: 32,
+    coolingDesignF: 94,
+    elevationFt: 26,
+  },
+  {
+    key: "us-fl-miami",
+    name: "Miami, FL",
+    country: "US",
+    climateZone: "1A",
+    HDD65: 130,
+    CDD65: 4400,
+    degreeDaysByBase: {
+      HDD: [0, 10, 40, 130, 390],
+      CDD: [9750, 7930, 6130, 4400, 2830],
+    },
+    heatingDesignF: 50,
+    coolingDesignF: 91,
+    elevationFt: 29,
+  },
+  {
+    key: "us-fl-orlando",
+    name: "Orlando, FL",
+    country: "US",
+    climateZone: "2A",
+    HDD65: 500,
+    CDD65: 3400,
+    degreeDaysByBase: {
+      HDD: [20, 60, 200, 500, 1050],
+      CDD: [8390, 6610, 4920, 3400, 2130],
+    },
+    heatingDesignF: 41,
+    coolingDesignF: 93,
+    elevationFt: 96,
+  },
+  {
+    key: "us-fl-tampa",
+    name: "Tampa, FL",
+    country: "US",
+    climateZone: "2A",
+    HDD65: 530,
+    CDD65: 3600,
+    degreeDaysByBase: {
+      HDD: [30, 80, 230, 530, 1070],
+      CDD: [8570, 6800, 5120, 3600, 2310],
+    },
+    heatingDesignF: 42,
+    coolingDesignF: 92,
+    elevationFt: 20,
+  },
+  {
+    key: "us-ga-atlanta",
+    name: "Atlanta, GA",
+    country: "US",
+    climateZone: "3A",
+    HDD65: 2700,
+    CDD65: 1900,
+    degreeDaysByBase: {
+      HDD: [610, 1120, 1820, 2700, 3750],
+      CDD: [5280, 3970, 2850, 1900, 1130],
+    },
+    heatingDesignF: 24,
+    coolingDesignF: 93,
+    elevationFt: 1027,
+  },
+  {
+    key: "us-ga-savannah",
+    name: "Savannah, GA",
+    country: "US",
+    climateZone: "2A",
+    HDD65: 1800,
+    CDD65: 2400,
+    degreeDaysByBase: {
+      HDD: [270, 580, 1090, 1800, 2710],
+      CDD: [6350, 4830, 3520, 2400, 1490],
+    },
+    heatingDesignF: 29,
+    coolingDesignF: 94,
+    elevationFt: 46,
+  },
+  {
+    key: "us-hi-honolulu",
+    name: "Honolulu, HI",
+    country: "US",
+    climateZone: "1A",
+    HDD65: 0,
+    CDD65: 4600,
+    degreeDaysByBase: {
+      HDD: [0, 0, 0, 0, 0],
+      CDD: [10070, 8250, 6420, 4600, 2770],
+    },
+    heatingDesignF: 63,
+    coolingDesignF: 89,
+    elevationFt: 7,
+  },
+  {
+    key: "us-ia-des-moines",
+    name: "Des Moines, IA",
+    country: "US",
+    climateZone: "5A",
+    HDD65: 6400,
+    CDD65: 1100,
+    degreeDaysByBase: {
+      HDD: [3260, 4180, 5220, 6400, 7730],
+      CDD: [3440, 2530, 1740, 1100, 610],
+    },
+    heatingDesignF: -4,
+    coolingDesignF: 91,
+    elevationFt: 958,
+  },
+  {
+    key: "us-id-boise",
+    name: "Boise, ID",
+    country: "US",
+    climateZone: "5B",
+    HDD65: 5500,
+    CDD65: 900,
+    degreeDaysByBase: {
+      HDD: [2240, 3170, 4260, 5500, 6900],
+      CDD: [3120, 2220, 1490, 900, 470],
+    },
+    heatingDesignF: 10,
+    coolingDesignF: 98,
+    elevationFt: 2858,
+  },
+  {
+    key: "us-il-chicago",
+    name: "Chicago, IL",
+    country: "US",
+    climateZone: "5A",
+    HDD65: 6300,
+    CDD65: 850,
+    degreeDaysByBase: {
+      HDD: [3040, 3990, 5070, 6300, 7690],
+      CDD: [3070, 2190, 1450, 850, 420],
+    },
+    heatingDesignF: 0,
+    coolingDesignF: 90,
+    elevationFt: 673,
+  },
+  {
+    key: "us-in-indianapolis",
+    name: "Indianapolis, IN",
+    country: "US",
+    climateZone: "5A",
+    HDD65: 5400,
+    CDD65: 1050,
+    degreeDaysByBase: {
+      HDD: [2400, 3260, 4250, 5400, 6720],
+      CDD: [3520, 2560, 1730, 1050, 540],
+    },
+    heatingDesignF: 3,
+    coolingDesignF: 90,
+    elevationFt: 797,
+  },
+  {
+    key: "us-ks-wichita",
+    name: "Wichita, KS",
+    country: "US",
+    climateZone: "4A",
+    HDD65: 4600,
+    CDD65: 1650,
+    degreeDaysByBase: {
+      HDD: [1870, 2640, 3550, 4600, 5790],
+      CDD: [4400, 3340, 2430, 1650, 1020],
+    },
+    heatingDesignF: 8,
+    coolingDesignF: 99,
+    elevationFt: 1321,
+  },
+  {
+    key: "us-ky-louisville",
+    name: "Louisville, KY",
+    country: "US",
+    climateZone: "4A",
+    HDD65: 4300,
+    CDD65: 1500,
+    degreeDaysByBase: {
+      HDD: [1660, 2390, 3270, 4300, 5500],
+      CDD: [4330, 3240, 2290, 1500, 870],
+    },
+    heatingDesignF: 12,
+    coolingDesignF: 92,
+    elevationFt: 488,
+  },
+  {
+    key: "us-la-new-orleans",
+    name: "New Orleans, LA",
+    country: "US",
+    climateZone: "2A",
+    HDD65: 1400,
+    CDD65: 2800,
+    degreeDaysByBase: {
+      HDD: [170, 400, 800, 1400, 2210],
+      CDD: [7050, 5450, 4020, 2800, 1780],
+    },
+    heatingDesignF: 34,
+    coolingDesignF: 93,
+    elevationFt: 4,
+  },
+  {
+    key: "us-ma-boston",
+    name: "Boston, MA",
+    country: "US",
+    climateZone: "5A",
+    HDD65: 5600,
+    CDD65: 750,
+    degreeDaysByBase: {
+      HDD: [2360, 3280, 4360, 5600, 7010],
+      CDD: [2980, 2080, 1340, 750, 340],
+    },
+    heatingDesignF: 10,
+    coolingDesignF: 89,
+    elevationFt: 20,
+  },
+  {
+    key: "us-md-baltimore",
+    name: "Baltimore, MD",
+    country: "US",
+    climateZone: "4A",
+    HDD65: 4600,
+    CDD65: 1200,
+    degreeDaysByBase: {
+      HDD: [1740, 2550, 3500, 4600, 5860],
+      CDD: [3820, 2800, 1920, 1200, 630],
+    },
+    heatingDesignF: 16,
+    coolingDesignF: 93,
+    elevationFt: 146,
+  },
+  {
+    key: "us-me-portland",
+    name: "Portland, ME",
+    country: "US",
+    climateZone: "6A",
+    HDD65: 7300,
+    CDD65: 350,
+    degreeDaysByBase: {
+      HDD: [3550, 4650, 5890, 7300, 8890],
+      CDD: [2080, 1350, 760, 350, 120],
+    },
+    heatingDesignF: -1,
+    coolingDesignF: 85,
+    elevationFt: 62,
+  },
+  {
+    key: "us-mi-detroit",
+    name: "Detroit, MI",
+    country: "US",
+    climateZone: "5A",
+    HDD65: 6300,
+    CDD65: 750,
+    degreeDaysByBase: {
+      HDD: [2990, 3950, 5050, 6300, 7720],
+      CDD: [2920, 2050, 1330, 750, 340],
+    },
+    heatingDesignF: 4,
+    coolingDesignF: 89,
+    elevationFt: 627,
+  },
+  {
+    key: "us-mn-duluth",
+    name: "Duluth, MN",
+    country: "US",
+    climateZone: "7",
+    HDD65: 9600,
+    CDD65: 200,
+    degreeDaysByBase: {
+      HDD: [5470, 6690, 8060, 9600, 11290],
+      CDD: [1550, 940, 490, 200, 70],
+    },
+    heatingDesignF: -17,
+    coolingDesignF: 83,
+    elevationFt: 1417,
+  },
+  {
+    key: "us-mn-minneapolis",
+    name: "Minneapolis, MN",
+    country: "US",
+    climateZone: "6A",
+    HDD65: 7600,
+    CDD65: 750,
+    degreeDaysByBase: {
+      HDD: [4170, 5190, 6320, 7600, 9040],
+      CDD: [2800, 1990, 1300, 750, 360],
+    },
+    heatingDesignF: -11,
+    coolingDesignF: 89,
+    elevationFt: 837,
+  },
+  {
+    key: "us-mo-kansas-city",
+    name: "Kansas City, MO",
+    country: "US",
+    climateZone: "4A",
+    HDD65: 5100,
+    CDD65: 1350,
+    degreeDaysByBase: {
+      HDD: [2230, 3050, 4010, 5100, 6340],
+      CDD: [3950, 2950, 2080, 1350, 770],
+    },
+    heatingDesignF: 4,
+    coolingDesignF: 95,
+    elevationFt: 1014,
+  },
+  {
+    key: "us-mo-st-louis",
+    name: "St. Louis, MO",
+    country: "US",
+    climateZone: "4A",
+    HDD65: 4500,
+    CDD65: 1600,
+    degreeDaysByBase: {
+      HDD: [1840, 2590, 3470, 4500, 5680],
+      CDD: [4420, 3340, 2400, 1600, 950],
+    },
+    heatingDesignF: 6,
+    coolingDesignF: 94,
+    elevationFt: 535,
+  },
+  {
+    key: "us-ms-jackson",
+    name: "Jackson, MS",
+    country: "US",
+    climateZone: "3A",
+    HDD65: 2300,
+    CDD65: 2300,
+    degreeDaysByBase: {
+      HDD: [480, 900, 1510, 2300, 3270],
+      CDD: [5950, 4550, 3340, 2300, 1450],
+    },
+    heatingDesignF: 25,
+    coolingDesignF: 95,
+    elevationFt: 331,
+  },
+  {
+    key: "us-mt-billings",
+    name: "Billings, MT",
+    country: "US",
+    climateZone: "6B",
+    HDD65: 7000,
+    CDD65: 600,
+    degreeDaysByBase: {
+      HDD: [3360, 4430, 5640, 7000, 8510],
+      CDD: [2430, 1680, 1060, 600, 280],
+    },
+    heatingDesignF: -10,
+    coolingDesignF: 92,
+    elevationFt: 3570,
+  },
+  {
+    key: "us-nc-asheville",
+    name: "Asheville, NC",
+    country: "US",
+    climateZone: "4A",
+    HDD65: 4200,
+    CDD65: 850,
+    degreeDaysByBase: {
+      HDD: [1340, 2110, 3060, 4200, 5540],
+      CDD: [3470, 2410, 1540, 850, 370],
+    },
+    heatingDesignF: 14,
+    coolingDesignF: 86,
+    elevationFt: 2165,
+  },
+  {
+    key: "us-nc-charlotte",
+    name: "Charlotte, NC",
+    country: "US",
+    climateZone: "3A",
+    HDD65: 3200,
+    CDD65: 1700,
+    degreeDaysByBase: {
+      HDD: [890, 1490, 2260, 3200, 4320],
+      CDD: [4870, 3640, 2580, 1700, 990],
+    },
+    heatingDesignF: 22,
+    coolingDesignF: 93,
+    elevationFt: 728,
+  },
+  {
+    key: "us-nc-fuquay-varina",
+    name: "Fuquay-Varina, NC",
+    country: "US",
+    climateZone: "4A",
+    HDD65: 3450,
+    CDD65: 1730,
+    degreeDaysByBase: {
+      HDD: [1090, 1710, 2490, 3450, 4590],
+      CDD: [4850, 3640, 2600, 1730, 1040],
+    },
+    heatingDesignF: 20,
+    coolingDesignF: 92,
+    elevationFt: 400,
+  },
+  {
+    key: "us-nc-raleigh",
+    name: "Raleigh, NC",
+    country: "US",
+    climateZone: "4A",
+    HDD65: 3400,
+    CDD65: 1700,
+    degreeDaysByBase: {
+      HDD: [1040, 1650, 2440, 3400, 4540],
+      CDD: [4820, 3600, 2570, 1700, 1010],
+    },
+    heatingDesignF: 20,
+    coolingDesignF: 93,
+    elevationFt: 416,
+  },
+  {
+    key: "us-nd-fargo",
+    name: "Fargo, ND",
+    country: "US",
+    climateZone: "7",
+    HDD65: 9000,
+    CDD65: 600,
+    degreeDaysByBase: {
+      HDD: [5340, 6430, 7640, 9000, 10510],
+      CDD: [2420, 1680, 1070, 600, 290],
+    },
+    heatingDesignF: -18,
+    coolingDesignF: 89,
+    elevationFt: 900,
+  },
+  {
+    key: "us-ne-omaha",
+    name: "Omaha, NE",
+    country: "US",
+    climateZone: "5A",
+    HDD65: 6100,
+    CDD65: 1150,
+    degreeDaysByBase: {
+      HDD: [3000, 3900, 4930, 6100, 7420],
+      CDD: [3530, 2600, 1810, 1150, 640],
+    },
+    heatingDesignF: -3,
+    coolingDesignF: 93,
+    elevationFt: 984,
+  },
+  {
+    key: "us-nh-concord",
+    name: "Concord, NH",
+    country: "US",
+    climateZone: "6A",
+    HDD65: 7300,
+    CDD65: 450,
+    degreeDaysByBase: {
+      HDD: [3660, 4720, 5930, 7300, 8850],
+      CDD: [2280, 1520, 900, 450, 180],
+    },
+    heatingDesignF: -7,
+    coolingDesignF: 89,
+    elevationFt: 342,
+  },
+  {
+    key: "us-nj-newark",
+    name: "Newark, NJ",
+    country: "US",
+    climateZone: "4A",
+    HDD65: 4800,
+    CDD65: 1200,
+    degreeDaysByBase: {
+      HDD: [1890, 2710, 3680, 4800, 6070],
+      CDD: [3770, 2760, 1910, 1200, 640],
+    },
+    heatingDesignF: 14,
+    coolingDesignF: 93,
+    elevationFt: 7,
+  },
+  {
+    key: "us-nm-albuquerque",
+    name: "Albuquerque, NM",
+    country: "US",
+    climateZone: "4B",
+    HDD65: 4200,
+    CDD65: 1300,
+    degreeDaysByBase: {
+      HDD: [1440, 2200, 3130, 4200, 5430],
+      CDD: [4020, 2950, 2050, 1300, 700],
+    },
+    heatingDesignF: 18,
+    coolingDesignF: 95,
+    elevationFt: 5355,
+  },
+  {
+    key: "us-nv-las-vegas",
+    name: "Las Vegas, NV",
+    country: "US",
+    climateZone: "3B",
+    HDD65: 2200,
+    CDD65: 3300,
+    degreeDaysByBase: {
+      HDD: [450, 860, 1450, 2200, 3110],
+      CDD: [7020, 5610, 4370, 3300, 2380],
+    },
+    heatingDesignF: 29,
+    coolingDesignF: 108,
+    elevationFt: 2180,
+  },
+  {
+    key: "us-nv-reno",
+    name: "Reno, NV",
+    country: "US",
+    climateZone: "5B",
+    HDD65: 5500,
+    CDD65: 450,
+    degreeDaysByBase: {
+      HDD: [2040, 3050, 4220, 5500, 7000],
+      CDD: [2460, 1650, 1000, 450, 130],
+    },
+    heatingDesignF: 15,
+    coolingDesignF: 95,
+    elevationFt: 4400,
+  },
+  {
+    key: "us-ny-albany",
+    name: "Albany, NY",
+    country: "US",
+    climateZone: "5A",
+    HDD65: 6700,
+    CDD65: 600,
+    degreeDaysByBase: {
+      HDD: [3270, 4270, 5410, 6700, 8170],
+      CDD: [2640, 1820, 1130, 600, 250],
+    },
+    heatingDesignF: -2,
+    coolingDesignF: 88,
+    elevationFt: 285,
+  },
+  {
+    key: "us-ny-buffalo",
+    name: "Buffalo, NY",
+    country: "US",
+    climateZone: "5A",
+    HDD65: 6700,
+    CDD65: 550,
+    degreeDaysByBase: {
+      HDD: [3220, 4230, 5390, 6700, 8200],
+      CDD: [2550, 1730, 1060, 550, 220],
+    },
+    heatingDesignF: 5,
+    coolingDesignF: 85,
+    elevationFt: 705,
+  },
+  {
+    key: "us-ny-new-york",
+    name: "New York, NY",
+    country: "US",
+    climateZone: "4A",
+    HDD65: 4600,
+    CDD65: 1200,
+    degreeDaysByBase: {
+      HDD: [1750, 2550, 3500, 4600, 5870],
+      CDD: [3830, 2800, 1920, 1200, 640],
+    },
+    heatingDesignF: 15,
+    coolingDesignF: 90,
+    elevationFt: 130,
+  },
+  {
+    key: "us-oh-cincinnati",
+    name: "Cincinnati, OH",
+    country: "US",
+    climateZone: "4A",
+    HDD65: 4800,
+    CDD65: 1150,
+    degreeDaysByBase: {
+      HDD: [1950, 2750, 3700, 4800, 6070],
+      CDD: [3770, 2750, 1880, 1150, 590],
+    },
+    heatingDesignF: 6,
+    coolingDesignF: 91,
+    elevationFt: 869,
+  },
+  {
+    key: "us-oh-cleveland",
+    name: "Cleveland, OH",
+    country: "US",
+    climateZone: "5A",
+    HDD65: 6100,
+    CDD65: 750,
+    degreeDaysByBase: {
+      HDD: [2820, 3760, 4850, 6100, 7530],
+      CDD: [2950, 2060, 1330, 750, 350],
+    },
+    heatingDesignF: 6,
+    coolingDesignF: 88,
+    elevationFt: 770,
+  },
+  {
+    key: "us-oh-columbus",
+    name: "Columbus, OH",
+    country: "US",
+    climateZone: "5A",
+    HDD65: 5500,
+    CDD65: 950,
+    degreeDaysByBase: {
+      HDD: [2440, 3310, 4330, 5500, 6850],
+      CDD: [3360, 2410, 1600, 950, 470],
+    },
+    heatingDesignF: 5,
+    coolingDesignF: 89,
+    elevationFt: 815,
+  },
+  {
+    key: "us-ok-oklahoma-city",
+    name: "Oklahoma City, OK",
+    country: "US",
+    climateZone: "3A",
+    HDD65: 3400,
+    CDD65: 2000,
+    degreeDaysByBase: {
+      HDD: [1060, 1690, 2470, 3400, 4480],
+      CDD: [5130, 3940, 2890, 2000, 1260],
+    },
+    heatingDesignF: 14,
+    coolingDesignF: 98,
+    elevationFt: 1285,
+  },
+  {
+    key: "us-or-portland",
+    name: "Portland, OR",
+    country: "US",
+    climateZone: "4C",
+    HDD65: 4200,
+    CDD65: 400,
+    degreeDaysByBase: {
+      HDD: [990, 1830, 2900, 4200, 5730],
+      CDD: [2660, 1680, 930, 400, 110],
+    },
+    heatingDesignF: 26,
+    coolingDesignF: 91,
+    elevationFt: 20,
+  },
+  {
+    key: "us-pa-philadelphia",
+    name: "Philadelphia, PA",
+    country: "US",
+    climateZone: "4A",
+    HDD65: 4500,
+    CDD65: 1300,
+    degreeDaysByBase: {
+      HDD: [1690, 2480, 3410, 4500, 5740],
+      CDD: [3960, 2930, 2040, 1300, 710],
+    },
+    heatingDesignF: 15,
+    coolingDesignF: 92,
+    elevationFt: 10,
+  },
+  {
+    key: "us-pa-pittsburgh",
+    name: "Pittsburgh, PA",
+    country: "US",
+    climateZone: "5A",
+    HDD65: 5600,
+    CDD65: 750,
+    degreeDaysByBase: {
+      HDD: [2430, 3330, 4390, 5600, 7000],
+      CDD: [3050, 2130, 1360, 750, 330],
+    },
+    heatingDesignF: 5,
+    coolingDesignF: 88,
+    elevationFt: 1204,
+  },
+  {
+    key: "us-ri-providence",
+    name: "Providence, RI",
+    country: "US",
+    climateZone: "5A",
+    HDD65: 5600,
+    CDD65: 700,
+    degreeDaysByBase: {
+      HDD: [2330, 3270, 4360, 5600, 7010],
+      CDD: [2910, 2020, 1290, 700, 290],
+    },
+    heatingDesignF: 9,
+    coolingDesignF: 88,
+    elevationFt: 55,
+  },
+  {
+    key: "us-sc-charleston",
+    name: "Charleston, SC",
+    country: "US",
+    climateZone: "3A",
+    HDD65: 1900,
+    CDD65: 2300,
+    degreeDaysByBase: {
+      HDD: [280, 620, 1160, 1900, 2840],
+      CDD: [6150, 4670, 3380, 2300, 1410],
+    },
+    heatingDesignF: 29,
+    coolingDesignF: 93,
+    elevationFt: 41,
+  },
+  {
+    key: "us-sc-columbia",
+    name: "Columbia, SC",
+    country: "US",
+    climateZone: "3A",
+    HDD65: 2500,
+    CDD65: 2200,
+    degreeDaysByBase: {
+      HDD: [560, 1020, 1670, 2500, 3500],
+      CDD: [5730, 4370, 3200, 2200, 1380],
+    },
+    heatingDesignF: 24,
+    coolingDesignF: 96,
+    elevationFt: 213,
+  },
+  {
+    key: "us-sd-sioux-falls",
+    name: "Sioux Falls, SD",
+    country: "US",
+    climateZone: "6A",
+    HDD65: 7600,
+    CDD65: 750,
+    degreeDaysByBase: {
+      HDD: [4140, 5160, 6310, 7600, 9050],
+      CDD: [2760, 1960, 1290, 750, 370],
+    },
+    heatingDesignF: -11,
+    coolingDesignF: 91,
+    elevationFt: 1428,
+  },
+  {
+    key: "us-tn-memphis",
+    name: "Memphis, TN",
+    country: "US",
+    climateZone: "3A",
+    HDD65: 3000,
+    CDD65: 2200,
+    degreeDaysByBase: {
+      HDD: [880, 1430, 2140, 3000, 4020],
+      CDD: [5560, 4280, 3160, 2200, 1400],
+    },
+    heatingDesignF: 19,
+    coolingDesignF: 95,
+    elevationFt: 262,
+  },
+  {
+    key: "us-tn-nashville",
+    name: "Nashville, TN",
+    country: "US",
+    climateZone: "4A",
+    HDD65: 3700,
+    CDD65: 1700,
+    degreeDaysByBase: {
+      HDD: [1270, 1920, 2730, 3700, 4840],
+      CDD: [4740, 3570, 2550, 1700, 1010],
+    },
+    heatingDesignF: 15,
+    coolingDesignF: 93,
+    elevationFt: 590,
+  },
+  {
+    key: "us-tx-austin",
+    name: "Austin, TX",
+    country: "US",
+    climateZone: "2A",
+    HDD65: 1700,
+    CDD65: 3000,
+    degreeDaysByBase: {
+      HDD: [310, 600, 1060, 1700, 2520],
+      CDD: [7080, 5550, 4190, 3000, 2000],
+    },
+    heatingDesignF: 29,
+    coolingDesignF: 99,
+    elevationFt: 486,
+  },
+  {
+    key: "us-tx-dallas",
+    name: "Dallas, TX",
+    country: "US",
+    climateZone: "3A",
+    HDD65: 2300,
+    CDD65: 2800,
+    degreeDaysByBase: {
+      HDD: [550, 970, 1550, 2300, 3220],
+      CDD: [6530, 5120, 3870, 2800, 1900],
+    },
+    heatingDesignF: 24,
+    coolingDesignF: 100,
+    elevationFt: 545,
+  },
+  {
+    key: "us-tx-el-paso",
+    name: "El Paso, TX",
+    country: "US",
+    climateZone: "3B",
+    HDD65: 2400,
+    CDD65: 2300,
+    degreeDaysByBase: {
+      HDD: [450, 930, 1580, 2400, 3380],
+      CDD: [5820, 4480, 3310, 2300, 1460],
+    },
+    heatingDesignF: 25,
+    coolingDesignF: 101,
+    elevationFt: 3917,
+  },
+  {
+    key: "us-tx-houston",
+    name: "Houston, TX",
+    country: "US",
+    climateZone: "2A",
+    HDD65: 1400,
+    CDD65: 3000,
+    degreeDaysByBase: {
+      HDD: [190, 410, 810, 1400, 2190],
+      CDD: [7260, 5660, 4230, 3000, 1970],
+    },
+    heatingDesignF: 32,
+    coolingDesignF: 95,
+    elevationFt: 97,
+  },
+  {
+    key: "us-tx-san-antonio",
+    name: "San Antonio, TX",
+    country: "US",
+    climateZone: "2A",
+    HDD65: 1500,
+    CDD65: 3200,
+    degreeDaysByBase: {
+      HDD: [240, 490, 910, 1500, 2280],
+      CDD: [7420, 5840, 4430, 3200, 2160],
+    },
+    heatingDesignF: 30,
+    coolingDesignF: 99,
+    elevationFt: 788,
+  },
+  {
+    key: "us-ut-salt-lake-city",
+    name: "Salt Lake City, UT",
+    country: "US",
+    climateZone: "5B",
+    HDD65: 5600,
+    CDD65: 1100,
+    degreeDaysByBase: {
+      HDD: [2390, 3320, 4400, 5600, 6940],
+      CDD: [3370, 2470, 1720, 1100, 620],
+    },
+    heatingDesignF: 10,
+    coolingDesignF: 97,
+    elevationFt: 4226,
+  },
+  {
+    key: "us-va-richmond",
+    name: "Richmond, VA",
+    country: "US",
+    climateZone: "4A",
+    HDD65: 3900,
+    CDD65: 1450,
+    degreeDaysByBase: {
+      HDD: [1310, 2010, 2870, 3900, 5100],
+      CDD: [4330, 3210, 2250, 1450, 820],
+    },
+    heatingDesignF: 18,
+    coolingDesignF: 93,
+    elevationFt: 164,
+  },
+  {
+    key: "us-vt-burlington",
+    name: "Burlington, VT",
+    country: "US",
+    climateZone: "6A",
+    HDD65: 7600,
+    CDD65: 500,
+    degreeDaysByBase: {
+      HDD: [3990, 5050, 6240, 7600, 9130],
+      CDD: [2360, 1600, 970, 500, 210],
+    },
+    heatingDesignF: -9,
+    coolingDesignF: 86,
+    elevationFt: 332,
+  },
+  {
+    key: "us-wa-seattle",
+    name: "Seattle, WA",
+    country: "US",
+    climateZone: "4C",
+    HDD65: 4700,
+    CDD65: 200,
+    degreeDaysByBase: {
+      HDD: [1170, 2100, 3270, 4700, 6360],
+      CDD: [2140, 1250, 600, 200, 40],
+    },
+    heatingDesignF: 27,
+    coolingDesignF: 85,
+    elevationFt: 433,
+  },
+  {
+    key: "us-wa-spokane",
+    name: "Spokane, WA",
+    country: "US",
+    climateZone: "5B",
+    HDD65: 6800,
+    CDD65: 450,
+    degreeDaysByBase: {
+      HDD: [3080, 4160, 5400, 6800, 8360],
+      CDD: [2210, 1460, 870, 450, 180],
+    },
+    heatingDesignF: 6,
+    coolingDesignF: 92,
+    elevationFt: 2356,
+  },
+  {
+    key: "us-wi-green-bay",
+    name: "Green Bay, WI",
+    country: "US",
+    climateZone: "6A",
+    HDD65: 7700,
+    CDD65: 500,
+    degreeDaysByBase: {
+      HDD: [4060, 5130, 6340, 7700, 9230],
+      CDD: [2340, 1580, 960, 500, 210],
+    },
+    heatingDesignF: -8,
+    coolingDesignF: 87,
+    elevationFt: 682,
+  },
+  {
+    key: "us-wv-charleston",
+    name: "Charleston, WV",
+    country: "US",
+    climateZone: "4A",
+    HDD65: 4600,
+    CDD65: 1000,
+    degreeDaysByBase: {
+      HDD: [1740, 2530, 3480, 4600, 5920],
+      CDD: [3610, 2580, 1700, 1000, 490],
+    },
+    heatingDesignF: 12,
+    coolingDesignF: 90,
+    elevationFt: 981,
+  },
+  {
+    key: "us-wy-cheyenne",
+    name: "Cheyenne, WY",
+    country: "US",
+    climateZone: "6B",
+    HDD65: 7300,
+    CDD65: 350,
+    degreeDaysByBase: {
+      HDD: [3410, 4550, 5840, 7300, 8910],
+      CDD: [1930, 1250, 720, 350, 140],
+    },
+    heatingDesignF: -3,
+    coolingDesignF: 87,
+    elevationFt: 6141,
+  },
+  {
+    key: "ca-ab-calgary",
+    name: "Calgary, AB",
+    country: "CA",
+    climateZone: "7",
+    HDD65: 9300,
+    CDD65: 100,
+    degreeDaysByBase: {
+      HDD: [4940, 6210, 7670, 9300, 11050],
+      CDD: [1210, 660, 290, 100, 30],
+    },
+    heatingDesignF: -15,
+    coolingDesignF: 84,
+    elevationFt: 3556,
+  },
+  {
+    key: "ca-ab-edmonton",
+    name: "Edmonton, AB",
+    country: "CA",
+    climateZone: "7",
+    HDD65: 9900,
+    CDD65: 100,
+    degreeDaysByBase: {
+      HDD: [5610, 6850, 8280, 9900, 11650],
+      CDD: [1280, 700, 310, 100, 30],
+    },
+    heatingDesignF: -22,
+    coolingDesignF: 83,
+    elevationFt: 2372,
+  },
+  {
+    key: "ca-bc-vancouver",
+    name: "Vancouver, BC",
+    country: "CA",
+    climateZone: "5C",
+    HDD65: 5100,
+    CDD65: 50,
+    degreeDaysByBase: {
+      HDD: [1260, 2270, 3540, 5100, 6880],
+      CDD: [1690, 870, 310, 50, 0],
+    },
+    heatingDesignF: 23,
+    coolingDesignF: 78,
+    elevationFt: 14,
+  },
+  {
+    key: "ca-mb-winnipeg",
+    name: "Winnipeg, MB",
+    country: "CA",
+    climateZone: "7",
+    HDD65: 10400,
+    CDD65: 350,
+    degreeDaysByBase: {
+      HDD: [6450, 7620, 8940, 10400, 12020],
+      CDD: [1870, 1220, 710, 350, 140],
+    },
+    heatingDesignF: -25,
+    coolingDesignF: 87,
+    elevationFt: 784,
+  },
+  {
+    key: "ca-ns-halifax",
+    name: "Halifax, NS",
+    country: "CA",
+    climateZone: "6A",
+    HDD65: 7800,
+    CDD65: 150,
+    degreeDaysByBase: {
+      HDD: [3780, 4950, 6280, 7800, 9500],
+      CDD: [1600, 950, 450, 150, 30],
+    },
+    heatingDesignF: 2,
+    coolingDesignF: 80,
+    elevationFt: 476,
+  },
+  {
+    key: "ca-on-ottawa",
+    name: "Ottawa, ON",
+    country: "CA",
+    climateZone: "6A",
+    HDD65: 8200,
+    CDD65: 550,
+    degreeDaysByBase: {
+      HDD: [4590, 5650, 6850, 8200, 9720],
+      CDD: [2420, 1650, 1020, 550, 240],
+    },
+    heatingDesignF: -11,
+    coolingDesignF: 87,
+    elevationFt: 374,
+  },
+  {
+    key: "ca-on-toronto",
+    name: "Toronto, ON",
+    country: "CA",
+    climateZone: "6A",
+    HDD65: 6800,
+    CDD65: 650,
+    degreeDaysByBase: {
+      HDD: [3360, 4370, 5510, 6800, 8270],
+      CDD: [2690, 1870, 1180, 650, 290],
+    },
+    heatingDesignF: 1,
+    coolingDesignF: 87,
+    elevationFt: 569,
+  },
+  {
+    key: "ca-qc-montreal",
+    name: "Montreal, QC",
+    country: "CA",
+    climateZone: "6A",
+    HDD65: 8000,
+    CDD65: 600,
+    degreeDaysByBase: {
+      HDD: [4410, 5470, 6660, 8000, 9510],
+      CDD: [2480, 1720, 1080, 600, 280],
+    },
+    heatingDesignF: -9,
+    coolingDesignF: 86,
+    elevationFt: 118,
+  },
+  {
+    key: "ca-qc-quebec-city",
+    name: "Quebec City, QC",
+    country: "CA",
+    climateZone: "7",
+    HDD65: 9000,
+    CDD65: 300,
+    degreeDaysByBase: {
+      HDD: [5100, 6250, 7540, 9000, 10630],
+      CDD: [1880, 1200, 670, 300, 100],
+    },
+    heatingDesignF: -14,
+    coolingDesignF: 83,
+    elevationFt: 230,
+  },
+];
+
+/**
+ * Look up a bundled location by key.
+ *
+ * @param {string} key
+ * @returns {object|undefined}
+ */
+export function findLocation(key) {
+  return CLIMATE_LOCATIONS.find((l) => l.key === key);
+}
+
+/**
+ * Case-insensitive search over location name, country and climate zone.
+ * Every whitespace-separated term must match.
+ *
+ * @param {string} query e.g. "raleigh", "NC 4A", "ON".
+ * @param {number} [limit=8]
+ * @returns {object[]}
+ */
+export function searchLocations(query, limit = 8) {
+  const terms = String(query || "")
+    .toLowerCase()
+    .split(/[\s,]+/)
+    .filter(Boolean);
+  if (terms.length === 0) return [];
+  return CLIMATE_LOCATIONS.filter((l) => {
+    const haystack =
+      `${l.name} ${l.country} ${l.climateZone} cz${l.climateZone}`.toLowerCase();
+    return terms.every((t) => haystack.includes(t));
+  }).slice(0, limit);
+}
@@ -0,0 +1,601 @@
+import {
+  CAVITY_INSULATION_TYPES,
+  CLIMATE_DEFAULTS,
+  DEFAULT_ECON,
+  DEFAULT_ENVELOPE,
+  DEFAULT_FINANCE,
+  DEFAULT_HOME,
+  DEFAULT_HVAC,
+  DEFAULT_SCENARIOS,
+  EXTERIOR_CONTINUOUS_INSULATION,
+  EXTERIOR_SHEATHING,
+  FRAMING_OPTIONS,
+  HEATING_TYPES,
+  HERS_DEFAULTS,
+  LAYER_PATHS,
+  WALL_MATERIALS,
+  WALL_MODES,
+  DEFAULT_WALL_GEOMETRY,
+  FRAMING_FACTOR_MODES,
+  FLOOR_EXPOSURES,
+  DEFAULT_WINDOWS,
+  DEFAULT_INTERNAL_GAINS,
+  DEFAULT_THERMOSTAT,
+  OVERHANG_OPTIONS,
+  WINDOW_ORIENTATIONS,
+  VENTILATION_TYPES,
+  VENTILATION_CFM_MODES,
+  DUCT_LOCATIONS,
+  DEFAULT_DUCTS,
+  DEFAULT_INFILTRATION,
+  INFILTRATION_METHODS,
+  REFERENCE_RULESETS,
+  HERS_INDEX_METHODS,
+  WATER_HEATER_TYPES,
+  DEFAULT_WATER_HEATING,
+  IECC_EDITIONS,
+  DEFAULT_COMPLIANCE,
+  SHIELDING_CLASSES,
+  HEAT_PUMP_RATINGS,
+  HEAT_PUMP_MODELS,
+  HEAT_PUMP_CAPACITY_MODES,
+} from "./catalogs.js";
+import { DEGREE_DAY_BASES_F, isDegreeDayTable } from "./degreeDays.js";
+import { findLocation } from "./locations.js";
+
+/**
+ * Versioned project documents.
+ *
+ * A saved project is `{ format, schemaVersion, savedAt, project }`, where
+ * `project` is `{ shared, scenarios, baselineId }`. Loading runs every
+ * migration from the file's version up to `PROJECT_SCHEMA_VERSION`, then
+ * fills fields added since with defaults, then validates.
+ *
+ * Schema history:
+ * - 1: v1.2 app state — `{ shared, A, B }` with two fixed scenarios and a
+ *   hand-entered climate: no location, climate zone or design temperatures
+ *   (null until the user picks a location or enters them).
+ * - 2: `{ shared, scenarios, baselineId }` with a scenario list.
+ * - 3: scenarios may derive their framing factor from a framing description;
+ *   older scenarios keep their saved factor ("manual").
+ * - 4: steel stud framing; the steel framing materials are added to saved
+ *   materials libraries that lack them.
+ * - 5: doors, cathedral ceilings, floors, slabs and basement walls; older
+ *   projects get no door area so their results are unchanged.
+ * - 6: duct distribution losses; older scenarios get ducts in conditioned
+ *   space and the reference home a distribution efficiency of 1, so their
+ *   results are unchanged.
+ * - 7: blower-door infiltration model; older projects keep the fixed
+ *   ACH50 → ACHnat factor.
+ * - 8: design temperatures for equipment sizing, taken from the project's
+ *   location when it is in the bundled dataset.
+ * - 9: heat pump performance curves and SEER2; older projects keep their
+ *   single seasonal COP, and SEER becomes SEER2 at 0.95 × SEER.
+ * - 10: ANSI/RESNET 301 reference home; older projects keep the simplified
+ *   reference that borrows the rated home's areas, framing and equipment.
+ * - 11: water heating and the ANSI/RESNET 301 nMEUL index; older projects
+ *   keep the site-energy-ratio index, and the 0.6 share of other site energy
+ *   (then including water heating) released as internal gains.
+ * - 12: degree days tabulated at 50–70°F for the balance points, taken from
+ *   the project's location when it is in the bundled dataset; hand-entered
+ *   climates keep the distribution fitted to HDD65/CDD65.
+ * - 13: other site energy is lights, appliances and plug loads only (water
+ *   heating is modeled); older projects keep the 6000 kWh default that
+ *   included it.
+ */
+
+export const PROJECT_FORMAT = "home-energy-sim-project";
+export const PROJECT_SCHEMA_VERSION = 13;
+
+/**
+ * Fresh project state with every default filled in.
+ *
+ * @returns {{ shared: object, scenarios: object[], baselineId: string }}
+ */
+export function createDefaultProject() {
+  return {
+    shared: {
+      locationKey: CLIMATE_DEFAULTS.locationKey,
+      locationName: CLIMATE_DEFAULTS.locationName,
+      climateZone: CLIMATE_DEFAULTS.climateZone,
+      HDD65: CLIMATE_DEFAULTS.HDD65,
+      CDD65: CLIMATE_DEFAULTS.CDD65,
+      degreeDaysByBase: locationDegreeDays(
+        findLocation(CLIMATE_DEFAULTS.locationKey)
+      ),
+      heatingDesignF: CLIMATE_DEFAULTS.heatingDesignF,
+      coolingDesignF: CLIMATE_DEFAULTS.coolingDesignF,
+      wallAreaFt2: DEFAULT_HOME.wallAreaFt2,
+      conditionedFloorArea: DEFAULT_HOME.conditionedFloorArea,
+      avgCeilingHeight: DEFAULT_HOME.avgCeilingHeight,
+      stories: DEFAULT_HOME.stories,
+      bedrooms: DEFAULT_HOME.bedrooms,
+      windowToWallRatio: DEFAULT_HOME.windowToWallRatio,
+      econ: { ...DEFAULT_ECON },
+      hvac: { ...DEFAULT_HVAC },
+      hers: JSON.parse(JSON.stringify(HERS_DEFAULTS)),
+      finance: { ...DEFAULT_FINANCE },
+      materials: WALL_MATERIALS.map((m) => ({ ...m })),
+      wallGeometry: { ...DEFAULT_WALL_GEOMETRY },
+      envelope: { ...DEFAULT_ENVELOPE },
+      windows: JSON.parse(JSON.stringify(DEFAULT_WINDOWS)),
+      internalGains: { ...DEFAULT_INTERNAL_GAINS },
+      thermostat: { ...DEFAULT_THERMOSTAT },
+      infiltration: { ...DEFAULT_INFILTRATION },
+      waterHeating: { ...DEFAULT_WATER_HEATING },
+      compliance: { ...DEFAULT_COMPLIANCE },
+    },
+    scenarios: DEFAULT_SCENARIOS.map((sc) => ({
+      ...sc,
+      framing: { ...sc.framing },
+      ventilation: { ...sc.ventilation },
+      ducts: { ...sc.ducts },
+    })),
+    baselineId: DEFAULT_SCENARIOS[0].id,
+  };
+}
+
+// A copy of a bundled location's degree-day table (null if it has none).
+function locationDegreeDays(loc) {
+  const table = loc?.degreeDaysByBase;
+  return table ? { HDD: [...table.HDD], CDD: [...table.CDD] } : null;
+}
+
+// Each migration takes a project at version N and returns version N + 1.
+const MIGRATIONS = {
+  1: ({ shared, A, B }) => ({
+    shared: isPlainObject(shared)
+      ? {
+          locationKey: null,
+          climateZone: null,
+          heatingDesignF: null,
+          coolingDesignF: null,
+          ...shared,
+        }
+      : shared,
+    scenarios: [
+      { ...A, id: "a", name: "Scenario A" },
+      { ...B, id: "b", name: "Scenario B" },
+    ],
+    baselineId: "a",
+  }),
+  2: ({ scenarios, ...rest }) => ({
+    ...rest,
+    scenarios: Array.isArray(scenarios)
+      ? scenarios.map((sc) => ({ ...sc, framingFactorMode: "manual" }))
+      : scenarios,
+  }),
+  3: ({ shared, ...rest }) => ({
+    ...rest,
+    shared: Array.isArray(shared?.materials)
+      ? {
+          ...shared,
+          materials: [
+            ...shared.materials,
+            ...WALL_MATERIALS.filter(
+              (m) =>
+                m.steelSpacingIn &&
+                !shared.materials.some((x) => x?.key === m.key)
+            ),
+          ],
+        }
+      : shared,
+  }),
+  4: ({ shared, ...rest }) => ({
+    ...rest,
+    shared: isPlainObject(shared)
+      ? { ...shared, envelope: { doorAreaFt2: 0 } }
+      : shared,
+  }),
+  5: ({ shared, scenarios, ...rest }) => ({
+    ...rest,
+    shared: isPlainObject(shared?.hers?.reference)
+      ? {
+          ...shared,
+          hers: {
+            ...shared.hers,
+            reference: { ...shared.hers.reference, distributionEfficiency: 1 },
+          },
+        }
+      : shared,
+    scenarios: Array.isArray(scenarios)
+      ? scenarios.map((sc) =>
+          isPlainObject(sc)
+            ? { ...sc, ducts: { locationKey: "conditioned" } }
+            : sc
+        )
+      : scenarios,
+  }),
+  6: ({ shared, ...rest }) => ({
+    ...rest,
+    shared: isPlainObject(shared)
+      ? { ...shared, infiltration: { method: "manual" } }
+      : shared,
+  }),
+  7: ({ shared, ...rest }) => {
+    const loc = isPlainObject(shared) && findLocation(shared.locationKey);
+    return {
+      ...rest,
+      shared: loc
+        ? {
+            ...shared,
+            heatingDesignF: loc.heatingDesignF,
+            coolingDesignF: loc.coolingDesignF,
+          }
+        : shared,
+    };
+  },
+  8: ({ shared, ...rest }) => {
+    if (!isPlainObject(shared?.hvac)) return { ...rest, shared };
+    const { coolingSEER, ...hvac } = shared.hvac;
+    return {
+      ...rest,
+      shared: {
+        ...shared,
+        hvac: {
+          ...hvac,
+          heatPumpRating: "cop",
+          ...(Number.isFinite(coolingSEER)
+            ? { coolingSEER2: coolingSEER * 0.95 }
+            : {}),
+        },
+      },
+    };
+  },
+  9: ({ shared, ...rest }) => ({
+    ...rest,
+    shared: isPlainObject(shared?.hers?.reference)
+      ? {
+          ...shared,
+          hers: {
+            ...shared.hers,
+            reference: { ...shared.hers.reference, ruleset: "simplified" },
+          },
+        }
+      : shared,
+  }),
+  10: ({ shared, ...rest }) => ({
+    ...rest,
+    shared: isPlainObject(shared?.hers)
+      ? {
+          ...shared,
+          hers: { ...shared.hers, indexMethod: "ratio" },
+          internalGains: { otherEnergyToHeat: 0.6, ...shared.internalGains },
+        }
+      : shared,
+  }),
+  11: ({ shared, ...rest }) => {
+    if (!isPlainObject(shared)) return { ...rest, shared };
+    const loc = findLocation(shared.locationKey);
+    const sameClimate =
+      loc && loc.HDD65 === shared.HDD65 && loc.CDD65 === shared.CDD65;
+    return {
+      ...rest,
+      shared: {
+        ...shared,
+        degreeDaysByBase: sameClimate ? locationDegreeDays(loc) : null,
+      },
+    };
+  },
+  12: ({ shared, ...rest }) => ({
+    ...rest,
+    shared: isPlainObject(shared?.hers)
+      ? {
+          ...shared,
+          hers: { otherSiteEnergyKWh: 6000, ...shared.hers },
+        }
+      : shared,
+  }),
+};
+
+// Field rules: "number", "number?" (or null), "boolean", "string", or a
+// catalog whose keys are the allowed values.
+const SHARED_FIELDS = [
+  ["locationName", "string"],
+  ["HDD65", "number"],
+  ["CDD65", "number"],
+  ["heatingDesignF", "number?"],
+  ["coolingDesignF", "number?"],
+  ["wallAreaFt2", "number"],
+  ["conditionedFloorArea", "number"],
+  ["avgCeilingHeight", "number"],
+  ["stories", "number"],
+  ["bedrooms", "number"],
+  ["windowToWallRatio", "number"],
+  ["econ.elecPricePerKWh", "number"],
+  ["econ.gasPricePerTherm", "number"],
+  ["hvac.heatingType", HEATING_TYPES],
+  ["hvac.heatPumpRating", HEAT_PUMP_RATINGS],
+  ["hvac.heatPumpModelKey", HEAT_PUMP_MODELS],
+  ["hvac.hspf2", "number"],
+  ["hvac.heatPumpCOP", "number"],
+  ...Object.keys(DEFAULT_HVAC.heatPumpPoints).map((k) => [
+    `hvac.heatPumpPoints.${k}`,
+    "number",
+  ]),
+  ["hvac.heatPumpCapacityMode", HEAT_PUMP_CAPACITY_MODES],
+  ["hvac.heatPumpCapacityBtuh", "number"],
+  ["hvac.furnaceAFUE", "number"],
+  ["hvac.dualFuelSwitchoverF", "number"],
+  ["hvac.coolingSEER2", "number"],
+  ["hvac.coolingSHR", "number"],
+  ["hers.indexMethod", HERS_INDEX_METHODS],
+  ["hers.ach50ToNatFactor", "number"],
+  ["hers.otherSiteEnergyKWh", "number"],
+  ["hers.rated.windowU", "number"],
+  ["hers.rated.ceilingR", "number"],
+  ["hers.rated.cathedralR", "number"],
+  ["hers.rated.floorR", "number"],
+  ["hers.rated.slabF", "number"],
+  ["hers.rated.basementC", "number"],
+  ["hers.rated.doorU", "number"],
+  ["hers.reference.ruleset", REFERENCE_RULESETS],
+  ["hers.reference.framingKey", FRAMING_OPTIONS],
+  ["hers.reference.cavityKey", CAVITY_INSULATION_TYPES],
+  ["hers.reference.sheathingKey", EXTERIOR_SHEATHING],
+  ["hers.reference.exteriorContinuousKey", EXTERIOR_CONTINUOUS_INSULATION],
+  ["hers.reference.interiorPolyiso", "boolean"],
+  ["hers.reference.ach50", "number"],
+  ["hers.reference.windowU", "number"],
+  ["hers.reference.shgc", "number"],
+  ["hers.reference.ceilingR", "number"],
+  ["hers.reference.cathedralR", "number"],
+  ["hers.reference.floorR", "number"],
+  ["hers.reference.slabF", "number"],
+  ["hers.reference.basementC", "number"],
+  ["hers.reference.doorU", "number"],
+  ["hers.reference.distributionEfficiency", "number"],
+  ...[
+    "specificLeakageArea",
+    "framingFactor",
+    "windowAreaFraction",
+    "doorAreaFt2",
+    "heatPumpHSPF2",
+    "furnaceAFUE",
+    "coolingSEER2",
+    "waterHeaterElectricEF",
+    "waterHeaterGasEF",
+  ].map((k) => [`hers.reference.${k}`, "number"]),
+  ["finance.discountRate", "number"],
+  ["finance.escalationRate", "number"],
+  ["finance.analysisYears", "number"],
+  ...Object.keys(DEFAULT_WALL_GEOMETRY).map((k) => [
+    `wallGeometry.${k}`,
+    "number",
+  ]),
+  ...Object.keys(DEFAULT_ENVELOPE).map((k) => [
+    `envelope.${k}`,
+    k === "floorExposure" ? FLOOR_EXPOSURES : "number",
+  ]),
+  ...WINDOW_ORIENTATIONS.flatMap(({ key }) => [
+    [`windows.${key}.areaShare`, "number"],
+    [`windows.${key}.shgc`, "number"],
+    [`windows.${key}.overhangKey`, OVERHANG_OPTIONS],
+    [`windows.${key}.shadeFactor`, "number"],
+  ]),
+  ...Object.keys(DEFAULT_INTERNAL_GAINS).map((k) => [
+    `internalGains.${k}`,
+    "number",
+  ]),
+  ...Object.keys(DEFAULT_THERMOSTAT).map((k) => [`thermostat.${k}`, "number"]),
+  ["infiltration.method", INFILTRATION_METHODS],
+  ["infiltration.flowExponent", "number"],
+  ["infiltration.shieldingKey", SHIELDING_CLASSES],
+  ["infiltration.windSpeedMph", "number"],
+  ["waterHeating.typeKey", WATER_HEATER_TYPES],
+  ["waterHeating.energyFactor", "number"],
+  ["waterHeating.setpointF", "number"],
+  ["compliance.editionKey", IECC_EDITIONS],
+];
+
+const SCENARIO_FIELDS = [
+  ["id", "string"],
+  ["name", "string"],
+  ["framingKey", FRAMING_OPTIONS],
+  ["cavityKey", CAVITY_INSULATION_TYPES],
+  ["sheathingKey", EXTERIOR_SHEATHING],
+  ["exteriorContinuousKey", EXTERIOR_CONTINUOUS_INSULATION],
+  ["interiorPolyiso", "boolean"],
+  ["ach50", "number"],
+  ["framingFactor", "number"],
+  ["framingFactorMode", FRAMING_FACTOR_MODES],
+  ["framing.presetKey", "string"],
+  ["framing.studSpacingIn", "number"],
+  ["framing.plates", "number"],
+  ["framing.cornerStuds", "number"],
+  ["framing.intersectionStuds", "number"],
+  ["framing.headerDepthIn", "number"],
+  ["framing.jackStuds", "number"],
+  ["framing.extraStudsPct", "number"],
+  ["wallMode", WALL_MODES],
+  ["installedCost", "number"],
+  ["ventilation.typeKey", VENTILATION_TYPES],
+  ["ventilation.cfmMode", VENTILATION_CFM_MODES],
+  ["ventilation.cfm", "number"],
+  ["ventilation.sensibleRecovery", "number"],
+  ["ventilation.latentRecovery", "number"],
+  ["ventilation.wattsPerCfm", "number"],
+  ["ducts.locationKey", DUCT_LOCATIONS],
+  ...Object.keys(DEFAULT_DUCTS)
+    .filter((k) => k !== "locationKey")
+    .map((k) => [`ducts.${k}`, "number"]),
+];
+
+const MATERIAL_FIELDS = [
+  ["key", "string"],
+  ["label", "string"],
+];
+
+// Layer rules depend on the project's own materials library.
+function layerFields(layer, materials) {
+  const fields = [
+    ["id", "string"],
+    ["materialKey", materials],
+    ["thicknessIn", "number"],
+    ["path", LAYER_PATHS],
+  ];
+  if (layer?.path === "parallel") fields.push(["framingKey", materials]);
+  return fields;
+}
+
+function isPlainObject(x) {
+  return x !== null && typeof x === "object" && !Array.isArray(x);
+}
+
+// Defaults first, saved values on top; nested objects merge recursively.
+function withDefaults(defaults, value) {
+  if (!isPlainObject(defaults) || !isPlainObject(value)) {
+    return value === undefined ? defaults : value;
+  }
+  const out = { ...defaults };
+  for (const [k, v] of Object.entries(value)) {
+    out[k] = withDefaults(defaults[k], v);
+  }
+  return out;
+}
+
+function checkFields(obj, fields, prefix, errors) {
+  for (const [path, rule] of fields) {
+    const value = path.split(".").reduce((o, k) => o?.[k], obj);
+    const where = `${prefix}${path}`;
+    if (Array.isArray(rule)) {
+      if (!rule.some((o) => o?.key === value)) {
+        errors.push(
+          `${where} must be one of ${rule.map((o) => `"${o.key}"`).join(", ")}`
+        );
+      }
+    } else if (rule === "number?") {
+      if (value !== null && !Number.isFinite(value)) {
+        errors.push(`${where} must be a number or null`);
+      }
+    } else if (
+      rule === "number" ? !Number.isFinite(value) : typeof value !== rule
+    ) {
+      errors.push(`${where} must be a ${rule}`);
+    }
+  }
+}
+
+/**
+ * Wrap project state in a versioned document ready for `JSON.stringify`.
+ *
+ * @param {{ shared: object, scenarios: object[], baselineId: string }} project
+ * @returns {object}
+ */
+export function serializeProject({ shared, scenarios, baselineId }) {
+  return {
+    format: PROJECT_FORMAT,
+    schemaVersion: PROJECT_SCHEMA_VERSION,
+    savedAt: new Date().toISOString(),
+    project: { shared, scenarios, baselineId },
+  };
+}
+
+/**
+ * Bring a saved project (any schema version) up to the current version.
+ * Throws an `Error` whose message lists every problem found.
+ *
+ * @param {object} doc Parsed document from `serializeProject`.
+ * @returns {{ shared: object, scenarios: object[], baselineId: string }}
+ */
+export function migrateProject(doc) {
+  if (!isPlainObject(doc) || doc.format !== PROJECT_FORMAT) {
+    throw new Error('Not a project file (missing "format" marker).');
+  }
+  const version = doc.schemaVersion;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Unknown project schema version: ${version}.`);
+  }
+  if (version > PROJECT_SCHEMA_VERSION) {
+    throw new Error(
+      `Project was saved by a newer version (schema ${version}); this app reads up to schema ${PROJECT_SCHEMA_VERSION}.`
+    );
+  }
+  if (!isPlainObject(doc.project)) {
+    throw new Error('Project file has no "project" object.');
+  }
+
+  let project = doc.project;
+  for (let v = version; v < PROJECT_SCHEMA_VERSION; v++) {
+    project = MIGRATIONS[v](project);
+  }
+
+  const defaults = createDefaultProject();
+  const shared = withDefaults(defaults.shared, project.shared);
+  const scenarios = Array.isArray(project.scenarios)
+    ? project.scenarios.map((sc, i) =>
+        withDefaults({ ...DEFAULT_SCENARIOS[0], id: `s${i + 1}` }, sc)
+      )
+    : [];
+
+  const errors = [];
+  checkFields(shared, SHARED_FIELDS, "shared.", errors);
+  if (
+    shared.degreeDaysByBase !== null &&
+    !isDegreeDayTable(shared.degreeDaysByBase)
+  ) {
+    errors.push(
+      `shared.degreeDaysByBase must be null or HDD and CDD lists at ${DEGREE_DAY_BASES_F.join(
+        "/"
+      )}°F`
+    );
+  }
+  if (scenarios.length === 0) errors.push("scenarios must be a non-empty list");
+  const materials = Array.isArray(shared.materials) ? shared.materials : [];
+  if (materials.length === 0) {
+    errors.push("shared.materials must be a non-empty list");
+  }
+  materials.forEach((m, i) => {
+    checkFields(m, MATERIAL_FIELDS, `shared.materials[${i}].`, errors);
+    if (Number.isFinite(m?.rValue) === Number.isFinite(m?.rPerInch)) {
+      errors.push(
+        `shared.materials[${i}] needs exactly one of rValue or rPerInch`
+      );
+    }
+  });
+  if (new Set(materials.map((m) => m?.key)).size !== materials.length) {
+    errors.push("material keys must be unique");
+  }
+  scenarios.forEach((sc, i) => {
+    checkFields(sc, SCENARIO_FIELDS, `scenarios[${i}].`, errors);
+    if (!Array.isArray(sc.layers)) {
+      errors.push(`scenarios[${i}].layers must be a list`);
+      return;
+    }
+    sc.layers.forEach((layer, j) =>
+      checkFields(
+        layer,
+        layerFields(layer, materials),
+        `scenarios[${i}].layers[${j}].`,
+        errors
+      )
+    );
+  });
+  if (new Set(scenarios.map((sc) => sc.id)).size !== scenarios.length) {
+    errors.push("scenario ids must be unique");
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid project file:\n- ${errors.join("\n- ")}`);
+  }
+
+  const baselineId = scenarios.some((sc) => sc.id === project.baselineId)
+    ? project.baselineId
+    : scenarios[0].id;
+  return { shared, scenarios, baselineId };
+}
+
+/**
+ * Parse project JSON text; see `migrateProject` for what happens next.
+ *
+ * @param {string} text
+ * @returns {{ shared: object, scenarios: object[], baselineId: string }}
+ */
+export function parseProject(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Project file is not valid JSON: ${err.message}`);
+  }
+  return migrateProject(doc);
+}
@@ -0,0 +1,196 @@
+import {
+  DEFAULT_ENVELOPE,
+  DEFAULT_HVAC,
+  DEFAULT_WATER_HEATING,
+  HERS_DEFAULTS,
+  SLAB_EDGE_OPTIONS,
+  WATER_HEATER_TYPES,
+} from "./catalogs.js";
+import { ach50FromSpecificLeakageArea } from "./infiltration.js";
+
+/**
+ * HERS reference home (ANSI/RESNET 301).
+ *
+ * - Envelope: 2006 IECC prescriptive assemblies by climate zone.
+ * - Above-grade walls: the rated home's gross wall area at a 23% framing
+ *   factor, less the reference windows and doors.
+ * - Windows: A = 0.18 · CFA · F_A, F_A = gross above-grade wall /
+ *   (gross above-grade wall + 0.5 · basement wall), split evenly over the
+ *   four orientations at SHGC 0.40; doors 40 ft² at the window U-factor.
+ * - Leakage: SLA 0.00036 (ELA / floor area) → ACH50.
+ * - Equipment: the rated home's fuel at minimum efficiency — a heat pump for
+ *   electric heating, a furnace for fossil fuel (dual fuel included), and a
+ *   SEER 13 air conditioner; ducts at a fixed 0.80 DSE; a storage water
+ *   heater of the rated home's water heating fuel.
+ *
+ * With `hers.reference.ruleset` "simplified" the reference home instead
+ * borrows the rated home's window and door areas, the scenario's framing
+ * factor and the rated equipment and water heater, at the entered ACH50.
+ */
+
+// 2006 IECC prescriptive envelope (the HERS reference home basis), by
+// climate zone number. Marine 4C uses the zone 5 row, as in the 2006 table.
+// Wall cavities map onto the catalog: R-13 → 2x4 FG, R-19/21 → 2x6 FG.
+// Slab edge R-10 (2 ft / 4 ft) and basement R-10 are expressed as F- and
+// C-factors; doors take the fenestration U-factor, as in ANSI/RESNET 301.
+const REFERENCE_ENVELOPE_BY_ZONE = {
+  1: { framingKey: "2x4", windowU: 1.2, ceilingR: 30, floorR: 13 },
+  2: { framingKey: "2x4", windowU: 0.75, ceilingR: 30, floorR: 13 },
+  3: { framingKey: "2x4", windowU: 0.65, ceilingR: 30, floorR: 19 },
+  4: { framingKey: "2x4", windowU: 0.4, ceilingR: 38, floorR: 19 },
+  5: { framingKey: "2x6", windowU: 0.35, ceilingR: 38, floorR: 30 },
+  6: { framingKey: "2x6", windowU: 0.35, ceilingR: 49, floorR: 30 },
+  7: { framingKey: "2x6", windowU: 0.35, ceilingR: 49, floorR: 30 },
+  8: { framingKey: "2x6", windowU: 0.35, ceilingR: 49, floorR: 30 },
+};
+const UNINSULATED_BASEMENT_C = 1.14; // 8" concrete
+const R10_BASEMENT_C = 0.092;
+const slabF = (key) => SLAB_EDGE_OPTIONS.find((o) => o.key === key).fFactor;
+
+/**
+ * Numeric part of an IECC climate zone ("4A" → 4, "7" → 7).
+ *
+ * @param {string} climateZone
+ * @returns {number|null}
+ */
+export function climateZoneNumber(climateZone) {
+  const n = parseInt(String(climateZone ?? ""), 10);
+  return n >= 1 && n <= 8 ? n : null;
+}
+
+/**
+ * ANSI/RESNET 301 reference home for an IECC climate zone, in the shape of
+ * `HERS_DEFAULTS.reference`: the zone's envelope assemblies plus the
+ * reference window, door, leakage and equipment rules. Unknown zones fall
+ * back to the defaults.
+ *
+ * @param {string} climateZone e.g. "4A", "5B", "4C".
+ * @returns {object}
+ */
+export function referenceHomeForClimateZone(climateZone) {
+  const n = climateZoneNumber(climateZone);
+  const marine4 = n === 4 && /c$/i.test(String(climateZone).trim());
+  const zone = marine4 ? 5 : n;
+  const row = REFERENCE_ENVELOPE_BY_ZONE[zone];
+  if (!row) return { ...HERS_DEFAULTS.reference };
+  return {
+    ...HERS_DEFAULTS.reference,
+    ...row,
+    cathedralR: row.ceilingR,
+    slabF: slabF(zone <= 3 ? "none" : zone <= 5 ? "r10-24" : "r10-48"),
+    basementC: zone <= 3 ? UNINSULATED_BASEMENT_C : R10_BASEMENT_C,
+    doorU: row.windowU,
+  };
+}
+
+function isAnsi301(reference) {
+  return (reference.ruleset ?? "simplified") === "ansi301";
+}
+
+/**
+ * Reference home ACH50: from the specific leakage area under ANSI/RESNET 301,
+ * otherwise `reference.ach50`.
+ *
+ * @param {object} reference `hers.reference`.
+ * @param {object} shared Shared house inputs.
+ * @returns {number}
+ */
+export function referenceAch50(reference, shared) {
+  return isAnsi301(reference)
+    ? ach50FromSpecificLeakageArea(reference.specificLeakageArea, shared)
+    : reference.ach50;
+}
+
+/**
+ * Framing factor of the reference walls: the ANSI/RESNET 301 value, or the
+ * scenario's own under the simplified rules.
+ *
+ * @param {object} reference `hers.reference`.
+ * @param {number} scenarioFramingFactor
+ * @returns {number}
+ */
+export function referenceFramingFactor(reference, scenarioFramingFactor) {
+  return isAnsi301(reference) ? reference.framingFactor : scenarioFramingFactor;
+}
+
+/**
+ * Reference heating and cooling equipment: minimum efficiency for the rated
+ * home's fuel under ANSI/RESNET 301, otherwise the rated `hvac` itself.
+ *
+ * @param {object} hvac Rated home `DEFAULT_HVAC` shape.
+ * @param {object} reference `hers.reference`.
+ * @returns {object} `DEFAULT_HVAC` shape.
+ */
+export function referenceHvac(hvac, reference) {
+  if (!isAnsi301(reference)) return hvac;
+  const fossil =
+    hvac.heatingType === "gasfurnace" || hvac.heatingType === "dualfuel";
+  return {
+    ...DEFAULT_HVAC,
+    heatingType: fossil ? "gasfurnace" : "heatpump",
+    heatPumpRating: "hspf2",
+    heatPumpModelKey: "standard",
+    hspf2: reference.heatPumpHSPF2,
+    heatPumpCapacityMode: "design",
+    furnaceAFUE: reference.furnaceAFUE,
+    coolingSEER2: reference.coolingSEER2,
+    coolingSHR: hvac.coolingSHR ?? DEFAULT_HVAC.coolingSHR,
+  };
+}
+
+/**
+ * Shared house inputs as the reference home sees them: under ANSI/RESNET 301
+ * its own window, door and net wall areas and equipment; otherwise `shared`
+ * unchanged.
+ *
+ * @param {object} shared Shared house inputs.
+ * @param {object} reference `hers.reference`.
+ * @returns {object} `shared` with `wallAreaFt2`, `windowToWallRatio`,
+ *   `envelope.doorAreaFt2` and `hvac` replaced.
+ */
+export function referenceHouse(shared, reference) {
+  if (!isAnsi301(reference)) return shared;
+  const envelope = { ...DEFAULT_ENVELOPE, ...shared.envelope };
+  const ratedGlazing =
+    shared.wallAreaFt2 / Math.max(0.01, 1 - shared.windowToWallRatio) -
+    shared.wallAreaFt2;
+  const grossWall = shared.wallAreaFt2 + ratedGlazing + envelope.doorAreaFt2;
+  const aboveGradeFraction =
+    grossWall / Math.max(1, grossWall + 0.5 * envelope.basementWallAreaFt2);
+  const doorAreaFt2 = Math.min(reference.doorAreaFt2, grossWall);
+  const windowArea = Math.min(
+    reference.windowAreaFraction *
+      shared.conditionedFloorArea *
+      aboveGradeFraction,
+    grossWall - doorAreaFt2
+  );
+  const wallAreaFt2 = Math.max(1, grossWall - doorAreaFt2 - windowArea);
+  return {
+    ...shared,
+    wallAreaFt2,
+    windowToWallRatio: windowArea / (wallAreaFt2 + windowArea),
+    envelope: { ...envelope, doorAreaFt2 },
+    hvac: referenceHvac(shared.hvac, reference),
+  };
+}
+
+/**
+ * Reference water heater: a storage heater of the rated heater's fuel at the
+ * reference energy factor under ANSI/RESNET 301, otherwise the rated one.
+ *
+ * @param {object} [waterHeating] Rated `DEFAULT_WATER_HEATING` shape.
+ * @param {object} reference `hers.reference`.
+ * @returns {object} `DEFAULT_WATER_HEATING` shape.
+ */
+export function referenceWaterHeating(waterHeating, reference) {
+  const rated = { ...DEFAULT_WATER_HEATING, ...waterHeating };
+  if (!isAnsi301(reference)) return rated;
+  const type = WATER_HEATER_TYPES.find((t) => t.key === rated.typeKey);
+  return type?.fuel === "gas"
+    ? { ...rated, typeKey: "gas", energyFactor: reference.waterHeaterGasEF }
+    : {
+        ...rated,
+        typeKey: "electric",
+        energyFactor: reference.waterHeaterElectricEF,
+      };
+}
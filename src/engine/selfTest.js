@@ -0,0 +1,1517 @@
+import {
+  CLIMATE_DEFAULTS,
+  DEFAULT_SCENARIOS,
+  DEFAULT_VENTILATION,
+  DEFAULT_DUCTS,
+  DEFAULT_INFILTRATION,
+  DEFAULT_HVAC,
+  HEAT_PUMP_MODELS,
+  DEFAULT_WALL_GEOMETRY,
+  FRAMING_PRESETS,
+  HERS_DEFAULTS,
+  LOAD_COMPONENTS,
+  WALL_MATERIALS,
+} from "./catalogs.js";
+import {
+  calcFramingFactor,
+  calcLayeredWallR,
+  calcScenarioWall,
+  calcWholeWallR,
+  presetToLayers,
+  scenarioWallInputs,
+  steelStudLayerR,
+} from "./wall.js";
+import {
+  calcComponentBreakdown,
+  calcReferenceWholeHouseKWh,
+  calcWholeHouseKWh,
+} from "./loads.js";
+import { calcHERSIndexNMEUL, estimateHERSIndex, hersEndUses } from "./hers.js";
+import { calcEnergyCosts, calcHeatingEnergy } from "./heating.js";
+import {
+  CLIMATE_LOCATIONS,
+  findLocation,
+  searchLocations,
+} from "./locations.js";
+import { referenceHomeForClimateZone } from "./reference.js";
+import {
+  degreeDaysByBaseFromHourly,
+  degreeDaysFromHourly,
+  parseEPW,
+} from "./weather.js";
+import { simulateHourly } from "./hourly.js";
+import {
+  DEGREE_DAY_BASES_F,
+  degreeDaysAtBase,
+  isDegreeDayTable,
+} from "./degreeDays.js";
+import { coolingWithLatent, humidityRatioGrains } from "./latent.js";
+import { calcSolarGains, referenceWindows } from "./solar.js";
+import { ashrae622TotalCfm } from "./ventilation.js";
+import { calcNaturalInfiltration } from "./infiltration.js";
+import { recommendHeatPumpTons } from "./sizing.js";
+import { calcSeasonalHeatPump, heatPumpCapacityAt } from "./heatPump.js";
+import { codeRequirements, nominalWallInsulation } from "./compliance.js";
+import { calcEconomics } from "./economics.js";
+import {
+  PROJECT_FORMAT,
+  createDefaultProject,
+  parseProject,
+  serializeProject,
+} from "./project.js";
+import { evaluateScenario, evaluateScenarioHourly } from "./evaluate.js";
+import { base64UrlToBytes, bytesToBase64Url } from "./shareLink.js";
+
+// --- Minimal test harness ---
+function isFiniteNum(x) {
+  return Number.isFinite(x) && !Number.isNaN(x);
+}
+
+/**
+ * Built-in sanity checks for the core math paths and the HERS estimator.
+ *
+ * @returns {{ name: string, pass: boolean }[]}
+ */
+export function runUnitTests() {
+  const results = [];
+  const ok = (name, cond) => results.push({ name, pass: !!cond });
+  const approxEq = (a, b, tol = 1e-9) => Math.abs(a - b) <= tol;
+
+  // Common test params
+  const shared = {
+    HDD65: 3450,
+    CDD65: 1730,
+    wallAreaFt2: 3000,
+    conditionedFloorArea: 3500,
+    avgCeilingHeight: 9,
+    stories: 2,
+    windowToWallRatio: 0.15,
+    econ: { elecPricePerKWh: 0.14 },
+    hvac: { heatPumpCOP: 3, coolingSEER: 15 },
+  };
+  const hers = JSON.parse(JSON.stringify(HERS_DEFAULTS));
+
+  // Test 1: whole-wall R increases from 2x4 FG to 2x6 FG
+  const R_24 = calcWholeWallR({
+    framingDepthIn: 3.5,
+    cavityInsulationKey: "fiberglass",
+    exteriorSheathingKey: "osbwrap",
+    exteriorContinuousR: 0,
+    interiorPolyiso: false,
+    framingFactor: 0.23,
+  }).rEff;
+  const R_26 = calcWholeWallR({
+    framingDepthIn: 5.5,
+    cavityInsulationKey: "fiberglass",
+    exteriorSheathingKey: "osbwrap",
+    exteriorContinuousR: 0,
+    interiorPolyiso: false,
+    framingFactor: 0.23,
+  }).rEff;
+  ok("R(2x6 FG) > R(2x4 FG)", R_26 > R_24);
+  ok(
+    "scenario A wall inputs == 2x4 FG",
+    approxEq(
+      calcWholeWallR(scenarioWallInputs(DEFAULT_SCENARIOS[0])).rEff,
+      R_24
+    )
+  );
+
+  // Test 2: whole-house calc returns finite values
+  const ratedWH = calcWholeHouseKWh({
+    scenarioWholeWallR: R_24,
+    ach50: 5,
+    ach50ToNatFactor: 0.07,
+    shared,
+    hers,
+  });
+  ok(
+    "rated kWh finite",
+    isFiniteNum(ratedWH.kWhHeat) && isFiniteNum(ratedWH.kWhCool)
+  );
+
+  // Test 3: reference calc does not throw and returns finite
+  const refWallR = calcWholeWallR({
+    framingDepthIn: 3.5,
+    cavityInsulationKey: "fiberglass",
+    exteriorSheathingKey: "osbwrap",
+    exteriorContinuousR: 0,
+    interiorPolyiso: false,
+    framingFactor: 0.23,
+  }).rEff;
+  const refWH = calcReferenceWholeHouseKWh({
+    referenceWholeWallR: refWallR,
+    refAch50: 7,
+    ach50ToNatFactor: 0.07,
+    shared,
+    hers,
+  });
+  ok(
+    "reference kWh finite",
+    isFiniteNum(refWH.kWhHeat) && isFiniteNum(refWH.kWhCool)
+  );
+
+  // Test 4: lower ACH50 should reduce heating kWh (all else equal)
+  const infilHi = calcWholeHouseKWh({
+    scenarioWholeWallR: R_24,
+    ach50: 7,
+    ach50ToNatFactor: 0.07,
+    shared,
+    hers,
+  });
+  const infilLo = calcWholeHouseKWh({
+    scenarioWholeWallR: R_24,
+    ach50: 3,
+    ach50ToNatFactor: 0.07,
+    shared,
+    hers,
+  });
+  ok("ACH50 3 < 7 reduces kWhHeat", infilLo.kWhHeat < infilHi.kWhHeat);
+
+  // Test 5: HERS == 100 when rated == reference
+  const hers100 = estimateHERSIndex({
+    ratedKWhHeat: refWH.kWhHeat,
+    ratedKWhCool: refWH.kWhCool,
+    refKWhHeat: refWH.kWhHeat,
+    refKWhCool: refWH.kWhCool,
+    otherKWh: 6000,
+  });
+  ok("HERS 100 when rated==ref", approxEq(hers100, 100, 1e-6));
+
+  // Test 6: heating fuel follows the selected heating type
+  const heatQ = { Qh_BTU: 30e6, HDD65: 3450, CDD65: 1730 };
+  const gas = calcHeatingEnergy({
+    ...heatQ,
+    hvac: { heatingType: "gasfurnace", heatPumpCOP: 3, furnaceAFUE: 0.95 },
+  });
+  ok(
+    "gas furnace uses therms only",
+    gas.kWhHeat === 0 && approxEq(gas.thermsHeat, 300 / 0.95, 1e-6)
+  );
+  const dual = calcHeatingEnergy({
+    ...heatQ,
+    hvac: {
+      heatingType: "dualfuel",
+      heatPumpCOP: 3,
+      furnaceAFUE: 0.95,
+      dualFuelSwitchoverF: 35,
+    },
+  });
+  ok(
+    "dual fuel splits kWh and therms",
+    dual.kWhHeat > 0 &&
+      dual.thermsHeat > 0 &&
+      dual.furnaceShare > 0 &&
+      dual.furnaceShare < 1
+  );
+
+  // Test 7: bundled climate data matches the defaults and is searchable
+  const home = findLocation(CLIMATE_DEFAULTS.locationKey);
+  ok(
+    "default location in climate dataset",
+    home?.HDD65 === CLIMATE_DEFAULTS.HDD65 &&
+      home?.CDD65 === CLIMATE_DEFAULTS.CDD65 &&
+      home?.climateZone === CLIMATE_DEFAULTS.climateZone
+  );
+  ok(
+    "location search finds Raleigh",
+    searchLocations("raleigh nc").some((l) => l.key === "us-nc-raleigh")
+  );
+
+  // Test 8: reference home follows climate zone
+  ok(
+    "CZ4A reference == HERS defaults",
+    JSON.stringify(referenceHomeForClimateZone("4A")) ===
+      JSON.stringify(HERS_DEFAULTS.reference)
+  );
+  ok(
+    "CZ6 reference tighter than CZ2",
+    referenceHomeForClimateZone("6A").ceilingR >
+      referenceHomeForClimateZone("2A").ceilingR &&
+      referenceHomeForClimateZone("6A").windowU <
+        referenceHomeForClimateZone("2A").windowU
+  );
+
+  // Test 9: EPW reader returns 8760 hours in °F
+  const epwHeader = [
+    "LOCATION,Testville,NC,USA,TMY3,000000,35.0,-78.0,-5.0,100.0",
+    ...Array.from({ length: 7 }, () => "HEADER"),
+  ];
+  const epwRows = [];
+  const monthDays = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+  monthDays.forEach((n, m) => {
+    for (let d = 1; d <= n; d++) {
+      for (let h = 1; h <= 24; h++) {
+        epwRows.push(`1990,${m + 1},${d},${h},60,x,1.7,0,50,101325,0,0,0,0`);
+      }
+    }
+  });
+  const epw = parseEPW([...epwHeader, ...epwRows].join("\n"));
+  ok(
+    "EPW parses 8760 hours",
+    epw.hours.length === 8760 && approxEq(epw.hours[0].dryBulbF, 35.06, 1e-9)
+  );
+
+  // Test 10: constant-temperature hourly run matches the degree-day engine
+  // (the test file has no sun, so the degree-day run gets SHGC 0 glass)
+  const flat = { hours: epw.hours.map((h) => ({ ...h, dryBulbF: 35 })) };
+  const hourly = simulateHourly({
+    scenarioWholeWallR: R_24,
+    ach50: 5,
+    ach50ToNatFactor: 0.07,
+    shared,
+    hers,
+    weather: flat,
+  });
+  const ddFlat = calcWholeHouseKWh({
+    scenarioWholeWallR: R_24,
+    ach50: 5,
+    ach50ToNatFactor: 0.07,
+    shared: {
+      ...shared,
+      HDD65: 30 * 365,
+      CDD65: 0,
+      windows: referenceWindows(0),
+    },
+    hers,
+  });
+  ok(
+    "hourly == degree-day at constant 35°F",
+    approxEq(hourly.annual.kWhHeat, ddFlat.kWhHeat, 1e-6 * ddFlat.kWhHeat) &&
+      hourly.annual.kWhCool === 0
+  );
+
+  // Daily-mean degree days: a day swinging 55–75°F averages 65°F, so it adds
+  // nothing at base 65 (degree-hours would add 5 HDD and 5 CDD)
+  const swing = {
+    hours: epw.hours.map((h) => ({ ...h, dryBulbF: h.hour < 12 ? 55 : 75 })),
+  };
+  const swing65 = degreeDaysFromHourly(swing);
+  ok(
+    "hourly degree days use daily means",
+    swing65.HDD === 0 &&
+      swing65.CDD === 0 &&
+      approxEq(degreeDaysFromHourly(swing, 60).CDD, 5 * 365) &&
+      approxEq(degreeDaysFromHourly(flat).HDD, 30 * 365)
+  );
+
+  // Test 11: economics collapse to simple sums at 0% discount/escalation
+  const econ = calcEconomics({
+    incrementalCost: 1000,
+    kWhSaved: 1000,
+    econ: { elecPricePerKWh: 0.1, gasPricePerTherm: 1 },
+    finance: { discountRate: 0, escalationRate: 0, analysisYears: 20 },
+  });
+  ok(
+    "payback 10 yr, NPV $1000, SIR 2",
+    approxEq(econ.simplePaybackYears, 10, 1e-9) &&
+      approxEq(econ.npv, 1000, 1e-6) &&
+      approxEq(econ.sir, 2, 1e-9)
+  );
+  ok(
+    "IRR makes NPV zero; break-even price = cost/PV",
+    approxEq(
+      calcEconomics({
+        incrementalCost: 1000,
+        kWhSaved: 1000,
+        econ: { elecPricePerKWh: 0.1, gasPricePerTherm: 1 },
+        finance: { discountRate: 0, escalationRate: 0, analysisYears: 10 },
+      }).irr,
+      0,
+      1e-6
+    ) && approxEq(econ.breakEvenElecPrice, 0.05, 1e-9)
+  );
+
+  // Test 12: project files round-trip and v1 (two-scenario) files migrate
+  const project = createDefaultProject();
+  const roundTrip = parseProject(JSON.stringify(serializeProject(project)));
+  ok(
+    "project save/load round-trips",
+    JSON.stringify(roundTrip) === JSON.stringify(project)
+  );
+  const { hvac: _hvac, ...v1Shared } = project.shared;
+  const v1 = parseProject(
+    JSON.stringify({
+      format: PROJECT_FORMAT,
+      schemaVersion: 1,
+      project: {
+        shared: v1Shared,
+        A: project.scenarios[0],
+        B: { ...project.scenarios[1], ach50: 2 },
+      },
+    })
+  );
+  ok(
+    "v1 project migrates with defaults",
+    v1.scenarios.length === 2 &&
+      v1.scenarios[1].ach50 === 2 &&
+      v1.shared.hvac.heatingType === "heatpump"
+  );
+  // A v1.2 climate was typed in: it must not turn into the default location
+  const v1Custom = parseProject(
+    JSON.stringify({
+      format: PROJECT_FORMAT,
+      schemaVersion: 1,
+      project: {
+        shared: {
+          locationName: "Cabin (hand-entered)",
+          HDD65: 6000,
+          CDD65: 400,
+          wallAreaFt2: 1600,
+          conditionedFloorArea: 1800,
+          avgCeilingHeight: 8,
+          stories: 1,
+          windowToWallRatio: 0.15,
+          econ: project.shared.econ,
+          hvac: { heatingType: "heatpump", heatPumpCOP: 3, coolingSEER: 15 },
+          hers: {
+            ach50ToNatFactor: 0.07,
+            otherSiteEnergyKWh: 6000,
+            rated: { windowU: 0.3, ceilingR: 38 },
+            reference: { ach50: 7, windowU: 0.4, ceilingR: 38 },
+          },
+        },
+        A: DEFAULT_SCENARIOS[0],
+        B: DEFAULT_SCENARIOS[1],
+      },
+    })
+  );
+  const v1CustomEval = evaluateScenario(v1Custom.scenarios[0], v1Custom.shared);
+  ok(
+    "v1 hand-entered climate keeps its degree days, no borrowed location",
+    v1Custom.shared.locationKey === null &&
+      v1Custom.shared.locationName === "Cabin (hand-entered)" &&
+      v1Custom.shared.HDD65 === 6000 &&
+      v1Custom.shared.climateZone === null &&
+      v1Custom.shared.heatingDesignF === null &&
+      v1Custom.shared.coolingDesignF === null &&
+      v1CustomEval.compliance === null &&
+      v1CustomEval.design.designTempsAssumed &&
+      !evaluateScenario(DEFAULT_SCENARIOS[0], createDefaultProject().shared)
+        .design.designTempsAssumed
+  );
+  let badMessage = "";
+  try {
+    parseProject(
+      JSON.stringify({
+        ...serializeProject(project),
+        project: { ...project, scenarios: [{ framingKey: "2x12" }] },
+      })
+    );
+  } catch (err) {
+    badMessage = err.message;
+  }
+  ok(
+    "bad project names the offending field",
+    badMessage.includes("scenarios[0].framingKey")
+  );
+
+  // Test 13: share-link base64url is lossless and URL-safe
+  const allBytes = Uint8Array.from({ length: 256 }, (_, i) => i);
+  const encoded = bytesToBase64Url(allBytes);
+  ok(
+    "share link base64url round-trips",
+    /^[A-Za-z0-9_-]+$/.test(encoded) &&
+      base64UrlToBytes(encoded).every((b, i) => b === allBytes[i])
+  );
+  let truncatedError = null;
+  try {
+    base64UrlToBytes(encoded.slice(0, 4 * Math.floor(encoded.length / 4) + 1));
+  } catch (e) {
+    truncatedError = e;
+  }
+  ok(
+    "truncated share link fails with a readable error",
+    encoded.length % 4 !== 1 &&
+      truncatedError?.constructor === Error &&
+      truncatedError.message === "Share link is truncated or corrupted."
+  );
+
+  // Test 14: component breakdown adds back up to the whole-house totals
+  const breakdown = calcComponentBreakdown(ratedWH, {
+    elecPricePerKWh: 0.14,
+    gasPricePerTherm: 1.5,
+  });
+  const sum = (key) => breakdown.reduce((acc, row) => acc + row[key], 0);
+  ok(
+    "component loads sum to totals",
+    breakdown.length === LOAD_COMPONENTS.length &&
+      approxEq(sum("Qh"), ratedWH.Qh_total, 1e-6) &&
+      approxEq(sum("Qc"), ratedWH.Qc_total, 1e-6) &&
+      approxEq(sum("kWh"), ratedWH.kWhHeat + ratedWH.kWhCool, 1e-6) &&
+      approxEq(sum("shareHeat"), 1) &&
+      approxEq(sum("cost"), (ratedWH.kWhHeat + ratedWH.kWhCool) * 0.14, 1e-6)
+  );
+
+  // Test 15: one evaluation path — costs, breakdown, HERS and economics all
+  // agree with the whole-house engine
+  const evalShared = createDefaultProject().shared;
+  const [evalA, evalB] = DEFAULT_SCENARIOS.map((sc) =>
+    evaluateScenario(sc, evalShared)
+  );
+  const wallA = calcWholeWallR({
+    ...scenarioWallInputs(DEFAULT_SCENARIOS[0]),
+    framingFactor: evalA.framingFactor,
+  }).rEff;
+  const directA = calcWholeHouseKWh({
+    scenarioWholeWallR: wallA,
+    ach50: DEFAULT_SCENARIOS[0].ach50,
+    ach50ToNatFactor: evalShared.hers.ach50ToNatFactor,
+    ventilation: DEFAULT_SCENARIOS[0].ventilation,
+    ducts: DEFAULT_SCENARIOS[0].ducts,
+    shared: evalShared,
+    hers: evalShared.hers,
+  });
+  const directCostA = calcEnergyCosts({ ...directA, econ: evalShared.econ });
+  ok(
+    "scenario cost == whole-house cost",
+    approxEq(evalA.costs.annualCost, directCostA.annualCost, 1e-9) &&
+      approxEq(evalA.wholeWallR, wallA)
+  );
+  ok(
+    "scenario breakdown sums to scenario cost",
+    approxEq(
+      evalA.breakdown.reduce((acc, row) => acc + row.cost, 0),
+      evalA.costs.annualCost,
+      1e-9
+    )
+  );
+  const ecOf = (endUse) =>
+    evalA.hersDetail.rows
+      .filter((r) => r.endUse === endUse)
+      .reduce((a, r) => a + r.ECx, 0);
+  const evalRatioA = evaluateScenario(DEFAULT_SCENARIOS[0], {
+    ...evalShared,
+    hers: { ...evalShared.hers, indexMethod: "ratio" },
+  });
+  ok(
+    "scenario HERS uses the same energy as its costs",
+    approxEq(
+      ecOf("heating"),
+      (directA.kWhHeat * 3412 + directA.thermsHeat * 1e5) / 1e6
+    ) &&
+      approxEq(ecOf("cooling"), (directA.kWhCool * 3412) / 1e6) &&
+      approxEq(
+        evalRatioA.hers,
+        estimateHERSIndex({
+          ratedKWhHeat: directA.kWhHeat,
+          ratedThermsHeat: directA.thermsHeat,
+          ratedKWhCool: directA.kWhCool,
+          refKWhHeat: evalA.reference.kWhHeat,
+          refThermsHeat: evalA.reference.thermsHeat,
+          refKWhCool: evalA.reference.kWhCool,
+          otherKWh: evalShared.hers.otherSiteEnergyKWh,
+        })
+      )
+  );
+  const econAB = calcEconomics({
+    incrementalCost: 1000,
+    kWhSaved:
+      evalA.loads.kWhHeat +
+      evalA.loads.kWhCool -
+      evalB.loads.kWhHeat -
+      evalB.loads.kWhCool,
+    thermsSaved: evalA.loads.thermsHeat - evalB.loads.thermsHeat,
+    econ: evalShared.econ,
+    finance: evalShared.finance,
+  });
+  ok(
+    "economics savings == card cost difference",
+    evalB.costs.annualCost < evalA.costs.annualCost &&
+      approxEq(
+        econAB.annualSavings,
+        evalA.costs.annualCost - evalB.costs.annualCost,
+        1e-9
+      )
+  );
+
+  // Test 16: custom layers reproduce the presets; double-stud rows are
+  // placed independently, which beats aligned studs of the same depth
+  const presetCases = [
+    ...DEFAULT_SCENARIOS,
+    { ...DEFAULT_SCENARIOS[0], cavityKey: "flashbatt", sheathingKey: "zipr3" },
+  ];
+  ok(
+    "preset → layers keeps whole-wall R",
+    presetCases.every((sc) =>
+      approxEq(
+        calcScenarioWall({
+          ...sc,
+          wallMode: "layers",
+          layers: presetToLayers(sc),
+        }).rEff,
+        calcWholeWallR(scenarioWallInputs(sc)).rEff
+      )
+    )
+  );
+  const row = (thicknessIn) => ({
+    materialKey: "cellulose",
+    thicknessIn,
+    path: "parallel",
+    framingKey: "wood",
+  });
+  const films = { materialKey: "airFilms", thicknessIn: 0, path: "series" };
+  const gap = { materialKey: "cellulose", thicknessIn: 1, path: "series" };
+  const doubleStud = calcLayeredWallR({
+    layers: [films, row(3.5), gap, row(3.5)],
+  }).rEff;
+  const alignedStud = calcLayeredWallR({
+    layers: [films, row(3.5), row(1), row(3.5)],
+  }).rEff;
+  ok(
+    "double-stud (staggered) > aligned studs",
+    doubleStud > alignedStud && doubleStud < 0.85 + 8 * 3.6
+  );
+  const layered = createDefaultProject();
+  layered.scenarios[0] = {
+    ...layered.scenarios[0],
+    wallMode: "layers",
+    layers: [
+      { ...films, id: "l1" },
+      { ...row(5.5), id: "l2", framingKey: "nope" },
+    ],
+  };
+  let layerMessage = "";
+  try {
+    parseProject(JSON.stringify(serializeProject(layered)));
+  } catch (err) {
+    layerMessage = err.message;
+  }
+  ok(
+    "unknown layer material names the layer",
+    layerMessage.includes("scenarios[0].layers[1].framingKey")
+  );
+
+  // Test 17: framing-factor calculator orders the presets sensibly and the
+  // derived factor reaches the rated wall (and the simplified reference's)
+  const framingFor = (key) => {
+    const {
+      key: _k,
+      label: _l,
+      ...framing
+    } = FRAMING_PRESETS.find((p) => p.key === key);
+    return framing;
+  };
+  const ffOf = (key) =>
+    calcFramingFactor({ ...DEFAULT_WALL_GEOMETRY, ...framingFor(key) })
+      .framingFactor;
+  ok(
+    "framing factor: 16in > 24in > OVE",
+    ffOf("standard16") > ffOf("standard24") &&
+      ffOf("standard24") > ffOf("ove") &&
+      ffOf("standard16") > 0.2 &&
+      ffOf("standard16") < 0.27
+  );
+  const oveScenario = {
+    ...DEFAULT_SCENARIOS[0],
+    framing: { presetKey: "ove", ...framingFor("ove") },
+  };
+  const evalOve = evaluateScenario(oveScenario, evalShared);
+  const evalManual = evaluateScenario(
+    { ...oveScenario, framingFactorMode: "manual", framingFactor: 0.3 },
+    evalShared
+  );
+  const simplifiedShared = {
+    ...evalShared,
+    hers: {
+      ...evalShared.hers,
+      reference: { ...evalShared.hers.reference, ruleset: "simplified" },
+    },
+  };
+  ok(
+    "derived framing factor drives rated and reference walls",
+    approxEq(evalOve.framingFactor, ffOf("ove")) &&
+      evalOve.wholeWallR > evalA.wholeWallR &&
+      evalOve.reference.wholeWallR === evalA.reference.wholeWallR &&
+      evaluateScenario(oveScenario, simplifiedShared).reference.wholeWallR >
+        evaluateScenario(DEFAULT_SCENARIOS[0], simplifiedShared).reference
+          .wholeWallR &&
+      evalManual.framingFactor === 0.3
+  );
+
+  // Test 18: steel studs follow the ASHRAE 90.1 table, lose to wood of the
+  // same depth, and work in the layer builder
+  ok(
+    "steel stud layer R matches table",
+    approxEq(
+      steelStudLayerR({ depthIn: 3.5, spacingIn: 16, cavityR: 13 }),
+      6
+    ) &&
+      approxEq(
+        steelStudLayerR({ depthIn: 6, spacingIn: 24, cavityR: 20 }),
+        8.8
+      ) &&
+      approxEq(
+        steelStudLayerR({ depthIn: 3.625, spacingIn: 16, cavityR: 30 }),
+        12.8
+      )
+  );
+  const emptySteel = steelStudLayerR({
+    depthIn: 3.5,
+    spacingIn: 16,
+    cavityR: 0,
+  });
+  ok(
+    "steel stud layer R: blank or negative cavity counts as empty",
+    emptySteel >= 0 &&
+      approxEq(
+        steelStudLayerR({ depthIn: 3.5, spacingIn: 16, cavityR: -4 }),
+        emptySteel
+      ) &&
+      approxEq(
+        steelStudLayerR({ depthIn: 3.5, spacingIn: 16, cavityR: NaN }),
+        emptySteel
+      )
+  );
+  const steelScenario = { ...DEFAULT_SCENARIOS[0], framingKey: "steel358-16" };
+  const steelWall = calcWholeWallR(scenarioWallInputs(steelScenario));
+  const steelR = steelWall.rEff;
+  ok(
+    "steel < wood; steel layers == steel preset",
+    steelR < R_24 &&
+      approxEq(
+        calcScenarioWall({
+          ...steelScenario,
+          wallMode: "layers",
+          layers: presetToLayers(steelScenario),
+        }).rEff,
+        steelR
+      ) &&
+      steelWall.rStudPath === null &&
+      calcScenarioWall({
+        ...steelScenario,
+        wallMode: "layers",
+        layers: presetToLayers(steelScenario),
+      }).rCavityPath === null
+  );
+  // A steel-framed layer next to a wood-framed one is its own zone, in
+  // either order: the steel zone is a series layer, the wood zone framed
+  const woodLayer = {
+    materialKey: "fiberglass",
+    thicknessIn: 3.5,
+    path: "parallel",
+    framingKey: "wood",
+  };
+  const steelLayer = {
+    materialKey: "fiberglass",
+    thicknessIn: 3.625,
+    path: "parallel",
+    framingKey: "steel16",
+  };
+  const steelEquivalent = {
+    key: "steelEquivalent",
+    rValue: steelStudLayerR({
+      depthIn: 3.625,
+      spacingIn: 16,
+      cavityR: 3.625 * 3.7,
+    }),
+  };
+  const mixedR = (layers) =>
+    calcLayeredWallR({
+      layers: [{ materialKey: "drywall", thicknessIn: 0.5, path: "series" }]
+        .concat(layers)
+        .concat([{ materialKey: "siding", path: "series" }]),
+      materials: [...WALL_MATERIALS, steelEquivalent],
+    }).rEff;
+  const woodThenSteel = mixedR([woodLayer, steelLayer]);
+  ok(
+    "mixed wood and steel framing zones, either order",
+    approxEq(woodThenSteel, mixedR([steelLayer, woodLayer])) &&
+      approxEq(
+        woodThenSteel,
+        mixedR([woodLayer, { materialKey: "steelEquivalent", path: "series" }])
+      )
+  );
+  const { materials: v3Materials, ...v3Shared } = project.shared;
+  const v3 = parseProject(
+    JSON.stringify({
+      format: PROJECT_FORMAT,
+      schemaVersion: 3,
+      project: {
+        ...project,
+        shared: {
+          ...v3Shared,
+          materials: v3Materials.filter((m) => !m.steelSpacingIn),
+        },
+      },
+    })
+  );
+  ok(
+    "v3 project gains steel materials",
+    v3.shared.materials.some((m) => m.key === "steel16")
+  );
+
+  // Test 19: envelope components — slab and basement add heating only, a
+  // cathedral ceiling replaces attic area, and old projects get no doors
+  const withEnvelope = (envelope) =>
+    calcWholeHouseKWh({
+      scenarioWholeWallR: R_24,
+      ach50: 5,
+      ach50ToNatFactor: 0.07,
+      shared: { ...shared, envelope },
+      hers,
+    });
+  const slabWH = withEnvelope({ slabPerimeterFt: 200 });
+  const basementWH = withEnvelope({ basementWallAreaFt2: 1000 });
+  const cathedralWH = withEnvelope({ cathedralAreaFt2: 500 });
+  ok(
+    "slab/basement heat only; unused components zero",
+    ratedWH.components.slab.Qh === 0 &&
+      ratedWH.components.basement.Qh === 0 &&
+      approxEq(
+        slabWH.components.slab.Qh,
+        hers.rated.slabF * 200 * slabWH.balancePoint.HDD * 24,
+        1e-6
+      ) &&
+      slabWH.Qh_total > ratedWH.Qh_total &&
+      approxEq(slabWH.Qc_total, ratedWH.Qc_total, 1e-6) &&
+      basementWH.components.basement.Qh > 0 &&
+      basementWH.components.basement.Qc === 0
+  );
+  ok(
+    "cathedral area comes out of the attic ceiling",
+    approxEq(cathedralWH.ceilingArea, ratedWH.ceilingArea - 500) &&
+      cathedralWH.components.cathedral.Qh > 0
+  );
+  const v4 = parseProject(
+    JSON.stringify({
+      format: PROJECT_FORMAT,
+      schemaVersion: 4,
+      project: {
+        ...project,
+        shared: { ...project.shared, envelope: undefined },
+      },
+    })
+  );
+  ok(
+    "v4 project has no door area; reference slab follows zone",
+    v4.shared.envelope.doorAreaFt2 === 0 &&
+      v4.shared.envelope.basementDepthFt === 7 &&
+      referenceHomeForClimateZone("2A").slabF >
+        referenceHomeForClimateZone("6A").slabF
+  );
+
+  // Test 20: solar gains offset heating and add to cooling; low-SHGC glass
+  // trades one for the other, south glass beats north in winter and an
+  // overhang cuts summer gain more than winter gain
+  const withWindows = (windows) =>
+    calcWholeHouseKWh({
+      scenarioWholeWallR: R_24,
+      ach50: 5,
+      ach50ToNatFactor: 0.07,
+      shared: { ...shared, windows },
+      hers,
+    });
+  const clearWH = withWindows(referenceWindows(0.6));
+  const lowEWH = withWindows(referenceWindows(0.25));
+  ok(
+    "low SHGC: more heating, less cooling",
+    ratedWH.components.solar.Qh < 0 &&
+      ratedWH.components.solar.Qc > 0 &&
+      lowEWH.Qh_total > clearWH.Qh_total &&
+      lowEWH.Qc_total < clearWH.Qc_total
+  );
+  const facing = (key, overhangKey = "none") => ({
+    [key]: { areaShare: 1, shgc: 0.4, overhangKey, shadeFactor: 1 },
+    ...Object.fromEntries(
+      ["N", "E", "S", "W"]
+        .filter((k) => k !== key)
+        .map((k) => [
+          k,
+          { areaShare: 0, shgc: 0.4, overhangKey, shadeFactor: 1 },
+        ])
+    ),
+  });
+  const gains = (windows) =>
+    calcSolarGains({ windowArea: 100, windows, climateZone: "5A" });
+  const south = gains(facing("S"));
+  const shadedSouth = gains(facing("S", "deep"));
+  ok(
+    "south > north in winter; overhang favours winter",
+    south.heatBTU > gains(facing("N")).heatBTU &&
+      shadedSouth.coolBTU / south.coolBTU < shadedSouth.heatBTU / south.heatBTU
+  );
+
+  // Test 21: balance point — base 65 reproduces the climate inputs, a better
+  // wall lowers the heating balance point, and more internal gains trade
+  // heating load for cooling load
+  const dd65 = degreeDaysAtBase(shared, 65);
+  const superWH = calcWholeHouseKWh({
+    scenarioWholeWallR: 40,
+    ach50: 1,
+    ach50ToNatFactor: 0.07,
+    shared,
+    hers,
+  });
+  const busyWH = calcWholeHouseKWh({
+    scenarioWholeWallR: R_24,
+    ach50: 5,
+    ach50ToNatFactor: 0.07,
+    shared: { ...shared, internalGains: { occupants: 6 } },
+    hers,
+  });
+  ok(
+    "degree days at base 65 == HDD65/CDD65",
+    approxEq(dd65.HDD, shared.HDD65, 1e-6) &&
+      approxEq(dd65.CDD, shared.CDD65, 1e-6)
+  );
+  ok(
+    "better envelope: lower balance point, fewer HDD",
+    superWH.balancePoint.heatF < ratedWH.balancePoint.heatF &&
+      superWH.balancePoint.HDD < ratedWH.balancePoint.HDD &&
+      busyWH.Qh_total < ratedWH.Qh_total &&
+      busyWH.Qc_total > ratedWH.Qc_total
+  );
+
+  // Test 22: latent cooling — humid zones and leaky houses carry more, a low
+  // SHR only costs extra when moisture is the bigger job
+  const inZone = (climateZone, ach50) =>
+    calcWholeHouseKWh({
+      scenarioWholeWallR: R_24,
+      ach50,
+      ach50ToNatFactor: 0.07,
+      shared: { ...shared, climateZone },
+      hers,
+    });
+  const humid = inZone("4A", 5);
+  ok(
+    "latent: humid > dry, leaky > tight, counted in cooling kWh",
+    humid.Qc_latent > inZone("4B", 5).Qc_latent &&
+      humid.Qc_latent > inZone("4A", 1).Qc_latent &&
+      approxEq(humid.Qc_total, humid.Qc_sensible + humid.Qc_latent) &&
+      approxEq(humid.kWhCool, humid.Qc_total / (15 * 1000))
+  );
+  ok(
+    "SHR limits moisture removal; 55°F dew point ≈ 65 gr/lb",
+    coolingWithLatent({ sensible: 10, latent: 2, shr: 0.75 }) === 12 &&
+      approxEq(coolingWithLatent({ sensible: 10, latent: 5, shr: 0.75 }), 20) &&
+      approxEq(coolingWithLatent({ sensible: 10, latent: 5, shr: 1 }), 50) &&
+      approxEq(coolingWithLatent({ sensible: 10, latent: 5, shr: 0.2 }), 15) &&
+      approxEq(humidityRatioGrains(55), 64.4, 0.5)
+  );
+
+  // Test 23: mechanical ventilation — 62.2 rate, recovery, fan energy in
+  // costs and HERS, and an exhaust-only reference
+  const withVent = (typeKey, extra = {}) =>
+    calcWholeHouseKWh({
+      scenarioWholeWallR: R_24,
+      ach50: 1.5,
+      ach50ToNatFactor: 0.07,
+      ventilation: { ...DEFAULT_VENTILATION, typeKey, ...extra },
+      shared: { ...shared, climateZone: "4A", bedrooms: 4 },
+      hers,
+    });
+  const tightNone = withVent("none");
+  const tightExhaust = withVent("exhaust", { wattsPerCfm: 0.3 });
+  const tightErv = withVent("erv", {
+    sensibleRecovery: 0.7,
+    latentRecovery: 0.5,
+    wattsPerCfm: 0.6,
+  });
+  ok(
+    "62.2: 0.03·CFA + 7.5·(Nbr+1); none adds nothing",
+    approxEq(
+      ashrae622TotalCfm({ conditionedFloorArea: 3500, bedrooms: 4 }),
+      142.5
+    ) &&
+      tightNone.kWhFan === 0 &&
+      approxEq(
+        tightNone.Qh_total,
+        calcWholeHouseKWh({
+          scenarioWholeWallR: R_24,
+          ach50: 1.5,
+          ach50ToNatFactor: 0.07,
+          shared,
+          hers,
+        }).Qh_total
+      )
+  );
+  ok(
+    "ERV: full infiltration credit, less load than exhaust, fan kWh = W/CFM · CFM · 8.76",
+    tightErv.components.ventilation.Qh > 0 &&
+      tightErv.components.ventilation.Qh <
+        tightExhaust.components.ventilation.Qh &&
+      tightErv.Qc_latent < tightExhaust.Qc_latent &&
+      approxEq(
+        tightErv.kWhFan,
+        0.6 * tightErv.ventilation.fanCfm * 8.76,
+        1e-6
+      ) &&
+      tightErv.ventilation.fanCfm < tightExhaust.ventilation.fanCfm
+  );
+  const ventScenario = {
+    ...DEFAULT_SCENARIOS[0],
+    ach50: 1.5,
+    ventilation: {
+      ...DEFAULT_VENTILATION,
+      typeKey: "hrv",
+      sensibleRecovery: 0.75,
+      wattsPerCfm: 0.5,
+    },
+  };
+  const evalVent = evaluateScenario(ventScenario, evalShared);
+  const evalNoVent = evaluateScenario(
+    { ...ventScenario, ventilation: DEFAULT_VENTILATION },
+    evalShared
+  );
+  ok(
+    "fan energy counted in costs, HERS and the exhaust-only reference",
+    approxEq(
+      evalVent.costs.costFan,
+      evalVent.loads.kWhFan * evalShared.econ.elecPricePerKWh
+    ) &&
+      evalVent.reference.kWhFan > 0 &&
+      evalNoVent.reference.kWhFan === 0 &&
+      approxEq(
+        evalVent.breakdown.reduce((acc, row) => acc + row.cost, 0),
+        evalVent.costs.annualCost,
+        1e-6
+      )
+  );
+
+  // Test 24: duct losses — attic ducts cost energy, not load; sealing,
+  // insulating or moving them inside recovers it; old projects keep ideal
+  // distribution
+  const withDucts = (ducts) =>
+    calcWholeHouseKWh({
+      scenarioWholeWallR: R_24,
+      ach50: 5,
+      ach50ToNatFactor: 0.07,
+      ducts,
+      shared,
+      hers,
+    });
+  const atticDucts = withDucts(DEFAULT_DUCTS);
+  const leakyDucts = withDucts({ ...DEFAULT_DUCTS, leakageCfm25: 400 });
+  const bareDucts = withDucts({ ...DEFAULT_DUCTS, insulationR: 0 });
+  const insideDucts = withDucts({
+    ...DEFAULT_DUCTS,
+    locationKey: "conditioned",
+  });
+  ok(
+    "duct DSE: attic < 1, worse leaky or bare, 1 inside; load unchanged",
+    atticDucts.distribution.heating < 1 &&
+      atticDucts.distribution.cooling < 1 &&
+      leakyDucts.distribution.heating < atticDucts.distribution.heating &&
+      bareDucts.distribution.cooling < atticDucts.distribution.cooling &&
+      insideDucts.distribution.heating === 1 &&
+      approxEq(atticDucts.Qh_total, ratedWH.Qh_total) &&
+      approxEq(
+        atticDucts.kWhHeat,
+        ratedWH.kWhHeat / atticDucts.distribution.heating,
+        1e-6
+      ) &&
+      approxEq(insideDucts.kWhCool, ratedWH.kWhCool, 1e-6)
+  );
+  const v5 = parseProject(
+    JSON.stringify({
+      format: PROJECT_FORMAT,
+      schemaVersion: 5,
+      project: {
+        ...project,
+        scenarios: project.scenarios.map(({ ducts: _ducts, ...sc }) => sc),
+      },
+    })
+  );
+  ok(
+    "v5 project: ducts in conditioned space, reference DSE 1",
+    v5.scenarios.every((sc) => sc.ducts.locationKey === "conditioned") &&
+      v5.shared.hers.reference.distributionEfficiency === 1 &&
+      evaluateScenario(v5.scenarios[0], v5.shared).loads.distribution
+        .heating === 1
+  );
+
+  // Test 25: LBL infiltration — leakage area from CFM50, taller and more
+  // exposed houses leak more, and old projects keep the fixed factor
+  const lbl = (infiltration, extra = {}) =>
+    calcNaturalInfiltration({
+      ach50: 5,
+      ach50ToNatFactor: 0.07,
+      shared: {
+        ...shared,
+        ...extra,
+        infiltration: { ...DEFAULT_INFILTRATION, ...infiltration },
+      },
+    });
+  const lblDefault = lbl({});
+  ok(
+    "LBL: ELA ≈ 0.055·CFM50 at n = 0.65; N-factor in the usual 10–30 band",
+    approxEq(lblDefault.cfm50, 2625, 1e-9) &&
+      approxEq(lblDefault.elaIn2 / lblDefault.cfm50, 0.0548, 0.0005) &&
+      lblDefault.nFactor > 10 &&
+      lblDefault.nFactor < 30 &&
+      lbl({ method: "manual" }).ACHnat === 5 * 0.07
+  );
+  ok(
+    "LBL: more stories, less shielding and more wind raise ACHnat",
+    lbl({}, { stories: 3 }).ACHnat > lblDefault.ACHnat &&
+      lbl({ shieldingKey: "class1" }).ACHnat > lblDefault.ACHnat &&
+      lbl({ windSpeedMph: 14 }).ACHnat > lblDefault.ACHnat
+  );
+  const v6 = parseProject(
+    JSON.stringify({
+      format: PROJECT_FORMAT,
+      schemaVersion: 6,
+      project: {
+        ...project,
+        shared: { ...project.shared, infiltration: undefined },
+      },
+    })
+  );
+  ok(
+    "v6 project keeps the fixed ACH50 factor",
+    v6.shared.infiltration.method === "manual" &&
+      approxEq(
+        evaluateScenario(v6.scenarios[0], v6.shared).loads.ACHnat,
+        v6.scenarios[0].ach50 * v6.shared.hers.ach50ToNatFactor
+      ) &&
+      createDefaultProject().shared.infiltration.method === "lbl"
+  );
+
+  // Test 26: design loads — heat loss is UA · ΔT at the 99% design
+  // temperature, the better envelope needs a smaller heat pump, and colder
+  // design days size up
+  const [designA, designB] = [evalA, evalB].map((e) => e.design);
+  ok(
+    "design heat loss = UA_heat · (70 − T99) / DSE",
+    approxEq(
+      designA.heatLossBtuh,
+      (evalA.loads.UA_heat * (70 - evalShared.heatingDesignF)) /
+        evalA.loads.distribution.heating,
+      1e-6
+    ) &&
+      designA.heatGainBtuh > designA.latentGainBtuh &&
+      designA.latentGainBtuh > 0
+  );
+  ok(
+    "scenario B needs less capacity than A; colder design sizes up",
+    designB.heatLossBtuh < designA.heatLossBtuh &&
+      designB.heatGainBtuh < designA.heatGainBtuh &&
+      designB.tons <= designA.tons &&
+      evaluateScenario(DEFAULT_SCENARIOS[0], {
+        ...evalShared,
+        heatingDesignF: -10,
+      }).design.heatLossBtuh > designA.heatLossBtuh &&
+      recommendHeatPumpTons({ heatLossBtuh: 20000, heatGainBtuh: 26000 }) ===
+        2.5 &&
+      recommendHeatPumpTons({ heatLossBtuh: 60000, heatGainBtuh: 24000 }) ===
+        2.5 &&
+      recommendHeatPumpTons({ heatLossBtuh: 0, heatGainBtuh: 80000 }) === 7
+  );
+
+  // Test 27: heat pump curves — an HSPF2 rating reproduces itself in region
+  // IV, cold-climate units need less backup in a cold climate, and projects
+  // saved with a single COP keep it
+  const hpModel = (key) => {
+    const model = HEAT_PUMP_MODELS.find((m) => m.key === key);
+    return { ...DEFAULT_HVAC, heatPumpModelKey: key, hspf2: model.hspf2 };
+  };
+  const regionIV = calcSeasonalHeatPump({
+    hvac: DEFAULT_HVAC,
+    climate: { HDD65: 5400, CDD65: 1000 },
+    balanceF: 55,
+    lossBtuhPerF: (1.15 * 36000) / 50,
+    ratedCapacityBtuh: 36000,
+  });
+  ok(
+    "HSPF2 scaling reproduces the rating in region IV",
+    approxEq(
+      3.412 / (regionIV.hpShare / regionIV.hpCOP + regionIV.backupShare),
+      DEFAULT_HVAC.hspf2,
+      0.01
+    )
+  );
+  const coldSeason = (key) =>
+    calcSeasonalHeatPump({
+      hvac: hpModel(key),
+      climate: { HDD65: 8000, CDD65: 300 },
+      balanceF: 60,
+      lossBtuhPerF: 600,
+      ratedCapacityBtuh: 36000,
+    });
+  const [standardHP, coldHP] = ["standard", "coldclimate"].map(coldSeason);
+  ok(
+    "cold-climate heat pump: more 5°F capacity, less backup, lower balance point",
+    heatPumpCapacityAt(5, hpModel("coldclimate"), 36000) >
+      heatPumpCapacityAt(5, hpModel("standard"), 36000) &&
+      coldHP.backupShare < standardHP.backupShare &&
+      coldHP.hpCOP > standardHP.hpCOP &&
+      coldHP.capacityBalanceF < standardHP.capacityBalanceF
+  );
+  const pointsHvac = {
+    ...DEFAULT_HVAC,
+    heatPumpRating: "points",
+    heatPumpPoints: { ...DEFAULT_HVAC.heatPumpPoints, capacity5: 8000 },
+  };
+  ok(
+    "entered capacity points are used as-is",
+    heatPumpCapacityAt(5, pointsHvac, 1e6) === 8000 &&
+      heatPumpCapacityAt(17, pointsHvac) ===
+        DEFAULT_HVAC.heatPumpPoints.capacity17
+  );
+  const legacyHeat = calcHeatingEnergy({
+    Qh_BTU: 30e6,
+    hvac: { heatingType: "heatpump", heatPumpCOP: 3 },
+    HDD65: 8000,
+    CDD65: 300,
+    lossBtuhPerF: 600,
+    ratedCapacityBtuh: 10000,
+  });
+  const v8 = parseProject(
+    JSON.stringify({
+      format: PROJECT_FORMAT,
+      schemaVersion: 8,
+      project: {
+        ...project,
+        shared: {
+          ...project.shared,
+          hvac: { heatingType: "heatpump", heatPumpCOP: 3.2, coolingSEER: 16 },
+        },
+      },
+    })
+  );
+  ok(
+    "single-COP mode is unchanged; v8 projects keep their COP and SEER",
+    approxEq(legacyHeat.kWhHeat, 30e6 / 3412 / 3) &&
+      legacyHeat.backupShare === 0 &&
+      v8.shared.hvac.heatPumpRating === "cop" &&
+      approxEq(v8.shared.hvac.coolingSEER2, 16 * 0.95) &&
+      !("coolingSEER" in v8.shared.hvac) &&
+      approxEq(
+        evaluateScenario(v8.scenarios[0], v8.shared).loads.heatPump.seasonalCOP,
+        3.2
+      )
+  );
+
+  // Test 28: ANSI/RESNET 301 reference home — its own window and door areas,
+  // leakage and minimum equipment of the rated fuel, independent of the
+  // rated home's equipment; older projects keep the simplified reference
+  const cfa = evalShared.conditionedFloorArea;
+  ok(
+    "301 reference: windows 18% of CFA, 40 ft² of doors, SLA 0.00036",
+    approxEq(evalA.reference.windowArea, 0.18 * cfa, 1e-6) &&
+      evalA.reference.doorAreaFt2 === 40 &&
+      approxEq(
+        calcNaturalInfiltration({
+          ach50: evalA.reference.ach50,
+          ach50ToNatFactor: 0.07,
+          shared: { ...evalShared, infiltration: { method: "lbl" } },
+        }).elaIn2,
+        0.00036 * cfa * 144,
+        1e-6
+      ) &&
+      evalA.reference.framingFactor === 0.23
+  );
+  const withHvac = (patch) =>
+    evaluateScenario(DEFAULT_SCENARIOS[0], {
+      ...evalShared,
+      hvac: { ...evalShared.hvac, ...patch },
+    }).reference;
+  const refGas = withHvac({ heatingType: "gasfurnace", furnaceAFUE: 0.97 });
+  ok(
+    "301 reference equipment follows the rated fuel, not its efficiency",
+    withHvac({ hspf2: 10, coolingSEER2: 20 }).kWhHeat ===
+      evalA.reference.kWhHeat &&
+      withHvac({ heatingType: "resistance" }).hvac.heatingType === "heatpump" &&
+      refGas.hvac.heatingType === "gasfurnace" &&
+      refGas.hvac.furnaceAFUE === 0.78 &&
+      withHvac({ heatingType: "dualfuel" }).hvac.heatingType === "gasfurnace"
+  );
+  const v9 = parseProject(
+    JSON.stringify({ format: PROJECT_FORMAT, schemaVersion: 9, project })
+  );
+  const v9Eval = evaluateScenario(v9.scenarios[0], v9.shared);
+  ok(
+    "v9 projects keep the simplified reference",
+    v9.shared.hers.reference.ruleset === "simplified" &&
+      v9Eval.reference.windowArea === v9Eval.loads.windowArea &&
+      v9Eval.reference.ach50 === v9.shared.hers.reference.ach50 &&
+      v9Eval.reference.framingFactor === v9Eval.framingFactor &&
+      v9Eval.reference.hvac === v9.shared.hvac
+  );
+
+  // Test 29: nMEUL HERS index — a home built to the reference scores 100,
+  // the terms reconcile, efficient equipment lowers its end use, and older
+  // projects keep the site-energy ratio
+  const refEndUses = hersEndUses({
+    ...evalA.reference,
+    hotWater: evalA.reference.hotWater,
+  });
+  const asReference = calcHERSIndexNMEUL({
+    rated: refEndUses,
+    reference: refEndUses,
+    distributionEfficiency: 0.8,
+    ratedLAKWh: 6000,
+    refLAKWh: 6000,
+  });
+  const detailA = evalA.hersDetail;
+  ok(
+    "nMEUL: reference-equivalent home ≈ 100; terms reconcile",
+    approxEq(asReference.index, 100, 0.5) &&
+      approxEq(
+        detailA.TnML,
+        detailA.rows.reduce((a, r) => a + r.nMEUL, 0) + detailA.ECLA
+      ) &&
+      approxEq(detailA.index, (100 * detailA.TnML) / detailA.TRL) &&
+      detailA.rows.every((r) =>
+        approxEq(r.nMEUL, (r.REUL * r.nECx) / r.ECr, 1e-9)
+      ) &&
+      evalA.hers === detailA.index
+  );
+  const withWaterHeater = (typeKey, energyFactor) =>
+    evaluateScenario(DEFAULT_SCENARIOS[0], {
+      ...evalShared,
+      waterHeating: { ...evalShared.waterHeating, typeKey, energyFactor },
+    });
+  const hpwh = withWaterHeater("heatpump", 3.3);
+  const gasWH = withWaterHeater("gas", 0.59);
+  const hotWaterRow = (e) =>
+    e.hersDetail.rows.find((r) => r.endUse === "hotWater");
+  ok(
+    "nMEUL: heat pump water heater lowers hot water; minimum gas scores 1",
+    hotWaterRow(hpwh).nMEUL < hotWaterRow(evalA).nMEUL &&
+      hpwh.hers < evalA.hers &&
+      hotWaterRow(gasWH).fuel === "gas" &&
+      approxEq(hotWaterRow(gasWH).nMEUL, hotWaterRow(gasWH).REUL, 0.01) &&
+      evalA.hotWater.gallonsPerDay === 30 + 10 * evalShared.bedrooms
+  );
+  const v10 = parseProject(
+    JSON.stringify({ format: PROJECT_FORMAT, schemaVersion: 10, project })
+  );
+  const v10Eval = evaluateScenario(v10.scenarios[0], v10.shared);
+  const { internalGains: _gains, ...sharedNoGains } = project.shared;
+  const v10NoGains = parseProject(
+    JSON.stringify({
+      format: PROJECT_FORMAT,
+      schemaVersion: 10,
+      project: { ...project, shared: sharedNoGains },
+    })
+  );
+  ok(
+    "v10 projects keep internal gains tuned for other energy with hot water",
+    v10NoGains.shared.internalGains.otherEnergyToHeat === 0.6 &&
+      v10.shared.internalGains.otherEnergyToHeat ===
+        project.shared.internalGains.otherEnergyToHeat &&
+      createDefaultProject().shared.internalGains.otherEnergyToHeat === 0.8
+  );
+  const v12 = (hers) =>
+    parseProject(
+      JSON.stringify({
+        format: PROJECT_FORMAT,
+        schemaVersion: 12,
+        project: { ...project, shared: { ...project.shared, hers } },
+      })
+    ).shared.hers.otherSiteEnergyKWh;
+  const { otherSiteEnergyKWh: _la, ...hersNoLA } = project.shared.hers;
+  ok(
+    "other site energy excludes water heating; v12 projects keep theirs",
+    project.shared.hers.otherSiteEnergyKWh === 2600 &&
+      v12(hersNoLA) === 6000 &&
+      v12({ ...hersNoLA, otherSiteEnergyKWh: 4500 }) === 4500
+  );
+  ok(
+    "v10 projects keep the site-energy ratio index",
+    v10.shared.hers.indexMethod === "ratio" &&
+      v10Eval.hersDetail === null &&
+      approxEq(
+        v10Eval.hers,
+        estimateHERSIndex({
+          ratedKWhHeat: v10Eval.loads.kWhHeat,
+          ratedThermsHeat: v10Eval.loads.thermsHeat,
+          ratedKWhCool: v10Eval.loads.kWhCool,
+          refKWhHeat: v10Eval.reference.kWhHeat,
+          refThermsHeat: v10Eval.reference.thermsHeat,
+          refKWhCool: v10Eval.reference.kWhCool,
+          ratedKWhFan: v10Eval.loads.kWhFan,
+          refKWhFan: v10Eval.reference.kWhFan,
+          otherKWh: v10.shared.hers.otherSiteEnergyKWh,
+        })
+      )
+  );
+
+  // Test 30: IECC compliance — tables by edition and zone, prescriptive wall
+  // options, the UA alternative and the mandatory air leakage limit
+  const iecc2021 = { ...evalShared, climateZone: "4A" };
+  const req4A = codeRequirements("4A", "2021");
+  ok(
+    "IECC tables: 2021 zone 4, marine 4C as zone 5, unknown zone",
+    req4A.ceilingR === 60 &&
+      req4A.walls.some((o) => o.cavityR === 20 && o.ciR === 5) &&
+      codeRequirements("4A", "2018").ach50 === 3 &&
+      codeRequirements("4C", "2018").uFactors.floorU ===
+        codeRequirements("5B", "2018").uFactors.floorU &&
+      codeRequirements("4A", "2018").uFactors.floorU !==
+        codeRequirements("5B", "2018").uFactors.floorU &&
+      codeRequirements("", "2021") === null &&
+      evaluateScenario(DEFAULT_SCENARIOS[0], { ...evalShared, climateZone: "" })
+        .compliance === null
+  );
+  const compA = evaluateScenario(DEFAULT_SCENARIOS[0], iecc2021).compliance;
+  const compB = evaluateScenario(DEFAULT_SCENARIOS[1], iecc2021).compliance;
+  const wallCheck = (c) => c.checks.find((k) => k.key === "wall");
+  ok(
+    "IECC prescriptive: R-13 alone fails zone 4, R-23 + 15ci passes",
+    !wallCheck(compA).pass &&
+      wallCheck(compB).pass &&
+      wallCheck(compB).proposed.cavityR === 23 &&
+      wallCheck(compB).proposed.ciR === 15 &&
+      nominalWallInsulation({
+        ...DEFAULT_SCENARIOS[0],
+        framingKey: "steel358-16",
+      }) === null
+  );
+  const leaky = evaluateScenario(
+    { ...DEFAULT_SCENARIOS[1], ach50: 7 },
+    iecc2021
+  ).compliance;
+  ok(
+    "IECC UA alternative: Σ U·A at code U-factors; ACH50 is mandatory",
+    approxEq(
+      compB.ua.components.wall.code,
+      iecc2021.wallAreaFt2 * req4A.uFactors.wallU
+    ) &&
+      approxEq(
+        compB.ua.code,
+        Object.values(compB.ua.components).reduce((a, c) => a + c.code, 0)
+      ) &&
+      compB.ua.pass === compB.ua.margin >= 0 &&
+      compB.ua.pass &&
+      !compA.ua.pass &&
+      leaky.ua.pass &&
+      !leaky.pass
+  );
+
+  // Test 31: degree days by base — bundled locations tabulate 50–70°F around
+  // their HDD65/CDD65, balance points interpolate between the bases, hand-
+  // entered climates fall back to the fitted distribution, and older
+  // projects pick up their location's table
+  const monotone = (xs, sign) =>
+    xs.every((x, i) => i === 0 || sign * (x - xs[i - 1]) >= 0);
+  ok(
+    "bundled locations tabulate degree days by base",
+    CLIMATE_LOCATIONS.every(
+      ({ HDD65, CDD65, degreeDaysByBase: t }) =>
+        isDegreeDayTable(t) &&
+        t.HDD[DEGREE_DAY_BASES_F.indexOf(65)] === HDD65 &&
+        t.CDD[DEGREE_DAY_BASES_F.indexOf(65)] === CDD65 &&
+        monotone(t.HDD, 1) &&
+        monotone(t.CDD, -1)
+    )
+  );
+  const chicago = findLocation("us-il-chicago");
+  const chicagoTable = chicago.degreeDaysByBase;
+  const handChicago = { HDD65: chicago.HDD65, CDD65: chicago.CDD65 };
+  const dd575 = degreeDaysAtBase(chicago, 57.5);
+  const dd50 = degreeDaysAtBase(chicago, 50);
+  const dd49 = degreeDaysAtBase(chicago, 49.999);
+  ok(
+    "tabulated degree days interpolate between bases",
+    dd50.HDD === chicagoTable.HDD[0] &&
+      approxEq(dd575.HDD, (chicagoTable.HDD[1] + chicagoTable.HDD[2]) / 2) &&
+      approxEq(dd575.CDD, (chicagoTable.CDD[1] + chicagoTable.CDD[2]) / 2) &&
+      approxEq(dd49.HDD, dd50.HDD, 1) &&
+      degreeDaysAtBase(chicago, 40).HDD < dd50.HDD &&
+      degreeDaysAtBase(chicago, 80).CDD < chicagoTable.CDD[4]
+  );
+  ok(
+    "hand-entered climates approximate degree days from HDD65/CDD65",
+    approxEq(
+      degreeDaysAtBase({ ...handChicago, degreeDaysByBase: null }, 55).HDD,
+      degreeDaysAtBase(handChicago, 55).HDD
+    ) &&
+      Math.abs(degreeDaysAtBase(handChicago, 55).HDD - chicagoTable.HDD[1]) >
+        0 &&
+      approxEq(degreeDaysAtBase(handChicago, 65).HDD, chicago.HDD65, 1e-6)
+  );
+  const swingTable = degreeDaysByBaseFromHourly(swing);
+  ok(
+    "weather files tabulate degree days by base",
+    isDegreeDayTable(swingTable) &&
+      swingTable.HDD.join() === "0,0,0,0,1825" &&
+      swingTable.CDD.join() === "5475,3650,1825,0,0"
+  );
+  const v11Shared = ({ degreeDaysByBase: _t, ...rest }) => rest;
+  const v11 = (shared) =>
+    parseProject(
+      JSON.stringify({
+        format: PROJECT_FORMAT,
+        schemaVersion: 11,
+        project: { ...project, shared: v11Shared(shared) },
+      })
+    ).shared;
+  const v11Located = v11(project.shared);
+  const v11Hand = v11({ ...project.shared, locationKey: null, HDD65: 5000 });
+  let badTable = "";
+  try {
+    parseProject(
+      JSON.stringify(
+        serializeProject({
+          ...project,
+          shared: { ...project.shared, degreeDaysByBase: { HDD: [1, 2] } },
+        })
+      )
+    );
+  } catch (err) {
+    badTable = err.message;
+  }
+  ok(
+    "v11 projects take their location's degree-day table",
+    v11Located.degreeDaysByBase.HDD.join() ===
+      findLocation(project.shared.locationKey).degreeDaysByBase.HDD.join() &&
+      v11Hand.degreeDaysByBase === null &&
+      evaluateScenario(project.scenarios[0], v11Hand).loads.balancePoint.HDD >
+        0 &&
+      badTable.includes("shared.degreeDaysByBase")
+  );
+
+  // Test 32: the hourly panel runs the scenario state — attic ducts and an
+  // exhaust fan reach the hourly and degree-day runs just as on the cards
+  const fannedScenario = {
+    ...project.scenarios[0],
+    ventilation: {
+      ...project.scenarios[0].ventilation,
+      typeKey: "exhaust",
+      cfmMode: "manual",
+      cfm: 60,
+      wattsPerCfm: 0.3,
+    },
+  };
+  const card = evaluateScenario(fannedScenario, project.shared);
+  const panel = evaluateScenarioHourly(fannedScenario, project.shared, epw);
+  ok(
+    "hourly and card runs share ducts and fans",
+    project.scenarios[0].ducts.locationKey === "attic" &&
+      card.loads.distribution.heating < 1 &&
+      approxEq(
+        panel.hourly.annual.distribution.heating,
+        card.loads.distribution.heating
+      ) &&
+      approxEq(
+        panel.degreeDay.distribution.cooling,
+        card.loads.distribution.cooling
+      ) &&
+      card.loads.kWhFan > 0 &&
+      approxEq(panel.hourly.annual.kWhFan, card.loads.kWhFan, 1e-6)
+  );
+  const flatPanel = evaluateScenarioHourly(
+    project.scenarios[0],
+    project.shared,
+    flat
+  );
+  ok(
+    "hourly comparison uses the weather year's degree days, not the location's",
+    isDegreeDayTable(project.shared.degreeDaysByBase) &&
+      approxEq(
+        flatPanel.degreeDay.balancePoint.HDD,
+        flatPanel.hourly.annual.balancePoint.HDD,
+        0.01 * flatPanel.hourly.annual.balancePoint.HDD
+      ) &&
+      approxEq(
+        flatPanel.degreeDay.kWhHeat,
+        flatPanel.hourly.annual.kWhHeat,
+        0.05 * flatPanel.hourly.annual.kWhHeat
+      )
+  );
+
+  return results;
+}
@@ -0,0 +1,116 @@
+import { migrateProject, serializeProject } from "./project.js";
+
+/**
+ * Shareable links: the whole project packed into the URL hash.
+ *
+ * The hash is `#p=<codec>.<data>`, where `data` is the base64url of the same
+ * versioned document a saved project file holds (minus `savedAt`), so old
+ * links go through `migrateProject` exactly like old files do.
+ *
+ * Codecs:
+ * - "z": deflate-raw via `CompressionStream` (used whenever available).
+ * - "j": plain UTF-8 JSON, for runtimes without `CompressionStream`.
+ */
+
+const HASH_KEY = "p";
+
+/**
+ * Bytes → unpadded base64url.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function bytesToBase64Url(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+/**
+ * Unpadded base64url → bytes. Throws on characters outside the alphabet
+ * and on a length no encoding produces (a cut-off link).
+ *
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+export function base64UrlToBytes(text) {
+  if (!/^[A-Za-z0-9_-]*$/.test(text)) {
+    throw new Error("Share link data is not base64url.");
+  }
+  let binary;
+  try {
+    binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  } catch {
+    throw new Error("Share link is truncated or corrupted.");
+  }
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
+
+async function pipeBytes(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Encode project state as a URL hash (including the leading "#"). Rejects
+ * with a readable `Error` if compression fails.
+ *
+ * @param {{ shared: object, scenarios: object[], baselineId: string }} project
+ * @returns {Promise<string>}
+ */
+export async function encodeProjectHash(project) {
+  const { savedAt: _savedAt, ...doc } = serializeProject(project);
+  const json = new TextEncoder().encode(JSON.stringify(doc));
+  if (typeof CompressionStream === "undefined") {
+    return `#${HASH_KEY}=j.${bytesToBase64Url(json)}`;
+  }
+  let packed;
+  try {
+    packed = await pipeBytes(json, new CompressionStream("deflate-raw"));
+  } catch {
+    throw new Error("This browser could not compress the share link.");
+  }
+  return `#${HASH_KEY}=z.${bytesToBase64Url(packed)}`;
+}
+
+/**
+ * Decode a URL hash from `encodeProjectHash`, migrating older schemas.
+ * Returns null when the hash carries no project; throws on a damaged one.
+ *
+ * @param {string} hash `location.hash`, with or without the leading "#".
+ * @returns {Promise<{ shared: object, scenarios: object[], baselineId: string } | null>}
+ */
+export async function decodeProjectHash(hash) {
+  const value = new URLSearchParams(hash.replace(/^#/, "")).get(HASH_KEY);
+  if (!value) return null;
+
+  const match = /^([a-z])\.(.*)$/.exec(value);
+  if (!match) throw new Error("Share link is malformed.");
+  const [, codec, data] = match;
+  let bytes = base64UrlToBytes(data);
+  if (codec === "z") {
+    if (typeof DecompressionStream === "undefined") {
+      throw new Error("This browser cannot decompress share links.");
+    }
+    try {
+      bytes = await pipeBytes(bytes, new DecompressionStream("deflate-raw"));
+    } catch {
+      throw new Error("Share link is truncated or corrupted.");
+    }
+  } else if (codec !== "j") {
+    throw new Error(`Unknown share link encoding "${codec}".`);
+  }
+
+  let doc;
+  try {
+    doc = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    throw new Error("Share link is truncated or corrupted.");
+  }
+  return migrateProject(doc);
+}
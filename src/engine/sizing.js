@@ -0,0 +1,106 @@
+import { CLIMATE_DEFAULTS, DEFAULT_INTERNAL_GAINS } from "./catalogs.js";
+import { designSolarGain, solarApertures } from "./solar.js";
+
+/**
+ * Equipment sizing: Manual J-style design-day loads on the same envelope as
+ * the annual model, and a Manual S-style nominal heat pump size.
+ *
+ * - Heat loss: UA_heat · (70°F − 99% design dry-bulb); no internal or solar
+ *   credit.
+ * - Heat gain: UA_cool · (1% design dry-bulb − 75°F) + design-day solar
+ *   + occupant and appliance gains (sensible), plus 0.68 · CFM_outdoor ·
+ *   Δgrains and occupant moisture (latent).
+ * - Duct losses divide each load by the scenario's distribution efficiency.
+ * - Heat pump: the smallest nominal size covering the total cooling load, or
+ *   the heating load up to 125% of the cooling load where heating dominates.
+ */
+
+// Manual J indoor design conditions (°F)
+const INDOOR_HEATING_F = 70;
+const INDOOR_COOLING_F = 75;
+// Design outdoor minus indoor humidity ratio (gr/lb) by moisture regime
+const DESIGN_GRAINS = { A: 40, B: 0, C: 10 };
+const LATENT_BTUH_PER_OCCUPANT = 200;
+const MAX_HEATING_OVERSIZE = 1.25;
+const BTUH_PER_TON = 12000;
+
+/**
+ * Nominal heat pump sizes (tons) offered by `recommendHeatPumpTons`. Above
+ * the largest single unit, sizes go up in half tons.
+ */
+export const NOMINAL_HEAT_PUMP_TONS = [1.5, 2, 2.5, 3, 3.5, 4, 5];
+
+function designGrains(climateZone) {
+  const letter = /[ABC]$/i.exec(String(climateZone ?? "").trim());
+  return DESIGN_GRAINS[letter ? letter[0].toUpperCase() : "A"];
+}
+
+/**
+ * Smallest nominal heat pump size (tons) for the design loads.
+ *
+ * @param {{ heatLossBtuh: number, heatGainBtuh: number }} loads
+ * @returns {number}
+ */
+export function recommendHeatPumpTons({ heatLossBtuh, heatGainBtuh }) {
+  const sizingBtuh = Math.max(
+    heatGainBtuh,
+    Math.min(heatLossBtuh, MAX_HEATING_OVERSIZE * heatGainBtuh)
+  );
+  const tons = sizingBtuh / BTUH_PER_TON;
+  const nominal = NOMINAL_HEAT_PUMP_TONS.find((t) => t >= tons);
+  return nominal ?? Math.ceil(tons * 2) / 2;
+}
+
+/**
+ * Design heat loss and heat gain for one home.
+ *
+ * @param {object} wholeHouse Result of `calcWholeHouseKWh` (`UA_heat`,
+ *   `UA_cool`, `volumeFt3`, `windowArea`, `ACHnat`, `ventilation`,
+ *   `distribution` are used).
+ * @param {object} shared Shared inputs: `heatingDesignF`, `coolingDesignF`,
+ *   `climateZone`, `windows`, `internalGains`, `hers.otherSiteEnergyKWh`.
+ * @returns {{ heatingDesignF: number, coolingDesignF: number, designTempsAssumed: boolean, heatLossBtuh: number, heatGainBtuh: number, sensibleGainBtuh: number, latentGainBtuh: number, ductBtuh: { heating: number, cooling: number }, tons: number }}
+ *   Loads are at the equipment (duct losses included). Design temperatures
+ *   the project has not set (null) fall back to `CLIMATE_DEFAULTS`, flagged
+ *   by `designTempsAssumed`.
+ */
+export function calcDesignLoads(wholeHouse, shared) {
+  const { UA_heat, UA_cool, volumeFt3, windowArea, ACHnat } = wholeHouse;
+  const distribution = wholeHouse.distribution ?? { heating: 1, cooling: 1 };
+  const heatingDesignF =
+    shared.heatingDesignF ?? CLIMATE_DEFAULTS.heatingDesignF;
+  const coolingDesignF =
+    shared.coolingDesignF ?? CLIMATE_DEFAULTS.coolingDesignF;
+  const gains = { ...DEFAULT_INTERNAL_GAINS, ...shared.internalGains };
+
+  const envelopeLoss = UA_heat * Math.max(0, INDOOR_HEATING_F - heatingDesignF);
+  const sensible =
+    UA_cool * Math.max(0, coolingDesignF - INDOOR_COOLING_F) +
+    designSolarGain(solarApertures(windowArea, shared.windows)) +
+    wholeHouse.internalGainsBtuh;
+  const outdoorAirCfm =
+    (ACHnat * volumeFt3) / 60 + (wholeHouse.ventilation?.latentCfm ?? 0);
+  const latent =
+    0.68 * outdoorAirCfm * designGrains(shared.climateZone) +
+    gains.occupants * LATENT_BTUH_PER_OCCUPANT;
+
+  const heatLossBtuh = envelopeLoss / distribution.heating;
+  const sensibleGainBtuh = sensible / distribution.cooling;
+  const latentGainBtuh = latent;
+  const heatGainBtuh = sensibleGainBtuh + latentGainBtuh;
+  return {
+    heatingDesignF,
+    coolingDesignF,
+    designTempsAssumed:
+      shared.heatingDesignF == null || shared.coolingDesignF == null,
+    heatLossBtuh,
+    heatGainBtuh,
+    sensibleGainBtuh,
+    latentGainBtuh,
+    ductBtuh: {
+      heating: heatLossBtuh - envelopeLoss,
+      cooling: sensibleGainBtuh - sensible,
+    },
+    tons: recommendHeatPumpTons({ heatLossBtuh, heatGainBtuh }),
+  };
+}
@@ -0,0 +1,178 @@
+import {
+  DEFAULT_WINDOWS,
+  OVERHANG_OPTIONS,
+  WINDOW_ORIENTATIONS,
+} from "./catalogs.js";
+import { climateZoneNumber } from "./reference.js";
+
+/**
+ * Solar heat gain through windows.
+ *
+ * Gain = Σ over orientations of area × SHGC × shading × incident solar. The
+ * degree-day model uses seasonal incident solar on vertical glass by climate
+ * zone; the hourly model scales each hour's global horizontal irradiance to
+ * each orientation.
+ */
+
+// Incident solar on vertical glass (kBTU/ft² per season), by climate zone
+// number: heating season and cooling season. Approximate values from typical
+// TMY weather at mid-zone latitudes, for comparative modeling.
+const SOLAR_BY_ZONE = {
+  1: {
+    heat: { N: 20, E: 45, S: 70, W: 45 },
+    cool: { N: 100, E: 190, S: 150, W: 190 },
+  },
+  2: {
+    heat: { N: 30, E: 65, S: 110, W: 65 },
+    cool: { N: 80, E: 160, S: 130, W: 160 },
+  },
+  3: {
+    heat: { N: 40, E: 85, S: 150, W: 85 },
+    cool: { N: 65, E: 130, S: 110, W: 130 },
+  },
+  4: {
+    heat: { N: 50, E: 100, S: 180, W: 100 },
+    cool: { N: 50, E: 100, S: 85, W: 100 },
+  },
+  5: {
+    heat: { N: 60, E: 115, S: 200, W: 115 },
+    cool: { N: 40, E: 80, S: 65, W: 80 },
+  },
+  6: {
+    heat: { N: 70, E: 125, S: 210, W: 125 },
+    cool: { N: 30, E: 60, S: 50, W: 60 },
+  },
+  7: {
+    heat: { N: 80, E: 135, S: 215, W: 135 },
+    cool: { N: 20, E: 40, S: 35, W: 40 },
+  },
+  8: {
+    heat: { N: 90, E: 140, S: 200, W: 140 },
+    cool: { N: 10, E: 25, S: 20, W: 25 },
+  },
+};
+const DEFAULT_SOLAR_ZONE = 4;
+
+// Annual ratio of incident solar on vertical glass to global horizontal.
+const VERTICAL_TO_HORIZONTAL = { N: 0.35, E: 0.55, S: 0.7, W: 0.55 };
+
+// Share of heating-season gain that offsets heating (the rest arrives when
+// the house is already warm enough).
+export const SOLAR_HEATING_UTILIZATION = 0.7;
+
+const BTU_PER_HR_FT2_PER_W_M2 = 0.317;
+
+// Design-day solar gain per ft² of aperture (BTU/h), averaged over the
+// afternoon peak as Manual J's glass loads are.
+const DESIGN_SOLAR_BTUH_PER_FT2 = { N: 25, E: 75, S: 40, W: 75 };
+
+/**
+ * Windows for the HERS reference home: the same total area split evenly over
+ * the four orientations, one SHGC, no overhangs or other shading.
+ *
+ * @param {number} shgc
+ * @returns {object} `DEFAULT_WINDOWS` shape.
+ */
+export function referenceWindows(shgc) {
+  return Object.fromEntries(
+    WINDOW_ORIENTATIONS.map(({ key }) => [
+      key,
+      { areaShare: 0.25, shgc, overhangKey: "none", shadeFactor: 1 },
+    ])
+  );
+}
+
+/**
+ * Window area and effective solar aperture (area × SHGC × shading, ft²) per
+ * orientation. Area shares are normalized to the total window area; all-zero
+ * shares split it evenly.
+ *
+ * @param {number} windowArea Total window area (ft²).
+ * @param {object} [windows] Per-orientation windows (`DEFAULT_WINDOWS` shape).
+ * @returns {{ key: string, areaFt2: number, heatAperture: number, coolAperture: number }[]}
+ */
+export function solarApertures(windowArea, windows = DEFAULT_WINDOWS) {
+  const rows = WINDOW_ORIENTATIONS.map(({ key }) => ({
+    key,
+    ...DEFAULT_WINDOWS[key],
+    ...windows[key],
+  }));
+  const totalShare = rows.reduce((a, w) => a + Math.max(0, w.areaShare), 0);
+  return rows.map((w) => {
+    const share =
+      totalShare > 0 ? Math.max(0, w.areaShare) / totalShare : 1 / rows.length;
+    const overhang =
+      OVERHANG_OPTIONS.find((o) => o.key === w.overhangKey) ||
+      OVERHANG_OPTIONS[0];
+    const areaFt2 = windowArea * share;
+    const aperture = areaFt2 * w.shgc * w.shadeFactor;
+    return {
+      key: w.key,
+      areaFt2,
+      heatAperture: aperture * overhang.heatFactor,
+      coolAperture: aperture * overhang.coolFactor,
+    };
+  });
+}
+
+/**
+ * Seasonal solar gains for the degree-day model.
+ *
+ * @param {object} input
+ * @param {number} input.windowArea Total window area (ft²).
+ * @param {object} [input.windows] Per-orientation windows.
+ * @param {string} input.climateZone IECC zone; unknown zones use zone 4.
+ * @returns {{ heatBTU: number, coolBTU: number, byOrientation: object[] }}
+ *   `heatBTU` is the useful heating-season gain (after
+ *   `SOLAR_HEATING_UTILIZATION`); `coolBTU` is the cooling-season gain.
+ */
+export function calcSolarGains({ windowArea, windows, climateZone }) {
+  const solar =
+    SOLAR_BY_ZONE[climateZoneNumber(climateZone) ?? DEFAULT_SOLAR_ZONE];
+  const byOrientation = solarApertures(windowArea, windows).map((a) => ({
+    key: a.key,
+    areaFt2: a.areaFt2,
+    heatBTU:
+      a.heatAperture * solar.heat[a.key] * 1000 * SOLAR_HEATING_UTILIZATION,
+    coolBTU: a.coolAperture * solar.cool[a.key] * 1000,
+  }));
+  return {
+    heatBTU: byOrientation.reduce((a, o) => a + o.heatBTU, 0),
+    coolBTU: byOrientation.reduce((a, o) => a + o.coolBTU, 0),
+    byOrientation,
+  };
+}
+
+/**
+ * Design-day (peak cooling) solar gain through the windows, BTU/h.
+ *
+ * @param {object[]} apertures From `solarApertures`.
+ * @returns {number}
+ */
+export function designSolarGain(apertures) {
+  return apertures.reduce(
+    (a, o) => a + o.coolAperture * DESIGN_SOLAR_BTUH_PER_FT2[o.key],
+    0
+  );
+}
+
+/**
+ * Hourly solar gain (BTU/h) from global horizontal irradiance.
+ *
+ * @param {object[]} apertures From `solarApertures`.
+ * @param {number} ghi Global horizontal irradiance (W/m²).
+ * @param {boolean} heating Whether the house is heating this hour (selects
+ *   the overhang's heating or cooling factor).
+ * @returns {number}
+ */
+export function hourlySolarGain(apertures, ghi, heating) {
+  const irradiance = ghi * BTU_PER_HR_FT2_PER_W_M2;
+  return apertures.reduce(
+    (a, o) =>
+      a +
+      (heating ? o.heatAperture : o.coolAperture) *
+        irradiance *
+        VERTICAL_TO_HORIZONTAL[o.key],
+    0
+  );
+}
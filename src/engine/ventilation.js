@@ -0,0 +1,125 @@
+import {
+  DEFAULT_HOME,
+  DEFAULT_VENTILATION,
+  VENTILATION_TYPES,
+} from "./catalogs.js";
+
+/**
+ * Whole-house mechanical ventilation.
+ *
+ * - Required rate (ASHRAE 62.2-2016): Q_tot = 0.03 · CFA + 7.5 · (N_br + 1),
+ *   less an infiltration credit, Q_fan = Q_tot − Φ · Q_inf, with Φ = 1 for
+ *   balanced systems and Q_inf / Q_tot for unbalanced ones.
+ * - Balanced systems add Q_fan · (1 − recovery) of effective outdoor air
+ *   (sensible and latent recovery apply separately).
+ * - Unbalanced systems combine with infiltration sub-additively:
+ *   Q_comb = max(Q_fan, Q_inf + Q_fan / 2).
+ * - Fans run continuously: kWh = W/CFM · Q_fan · 8760 / 1000.
+ */
+
+const HOURS_PER_YEAR = 8760;
+
+/**
+ * ASHRAE 62.2-2016 total required ventilation (CFM), before infiltration
+ * credit.
+ *
+ * @param {{ conditionedFloorArea: number, bedrooms: number }} house
+ * @returns {number}
+ */
+export function ashrae622TotalCfm({ conditionedFloorArea, bedrooms }) {
+  return 0.03 * conditionedFloorArea + 7.5 * (bedrooms + 1);
+}
+
+/**
+ * Natural infiltration and the house description `calcVentilation` needs.
+ *
+ * @param {number} ACHnat Natural air changes per hour.
+ * @param {object} shared Shared house inputs.
+ * @returns {{ infiltrationCfm: number, house: { conditionedFloorArea: number, bedrooms: number } }}
+ */
+export function ventilationInputs(ACHnat, shared) {
+  const { conditionedFloorArea, avgCeilingHeight } = shared;
+  return {
+    infiltrationCfm: (ACHnat * conditionedFloorArea * avgCeilingHeight) / 60,
+    house: {
+      conditionedFloorArea,
+      bedrooms: shared.bedrooms ?? DEFAULT_HOME.bedrooms,
+    },
+  };
+}
+
+/**
+ * Ventilation airflow, the outdoor air it adds beyond infiltration, and fan
+ * energy.
+ *
+ * @param {object} input
+ * @param {object} [input.ventilation] Scenario ventilation
+ *   (`DEFAULT_VENTILATION` shape).
+ * @param {number} input.infiltrationCfm Natural infiltration (ACHnat · V / 60).
+ * @param {{ conditionedFloorArea: number, bedrooms: number }} input.house
+ * @returns {{ typeKey: string, requiredCfm: number, fanCfm: number, sensibleCfm: number, latentCfm: number, fanKWh: number }}
+ *   `sensibleCfm` / `latentCfm` are the effective outdoor air the system adds
+ *   to infiltration for sensible and latent loads.
+ */
+export function calcVentilation({ ventilation, infiltrationCfm, house }) {
+  const v = { ...DEFAULT_VENTILATION, ...ventilation };
+  const type =
+    VENTILATION_TYPES.find((t) => t.key === v.typeKey) || VENTILATION_TYPES[0];
+  const requiredCfm = ashrae622TotalCfm(house);
+  if (type.key === "none") {
+    return {
+      typeKey: type.key,
+      requiredCfm,
+      fanCfm: 0,
+      sensibleCfm: 0,
+      latentCfm: 0,
+      fanKWh: 0,
+    };
+  }
+
+  const phi = type.balanced
+    ? 1
+    : Math.min(1, infiltrationCfm / Math.max(1, requiredCfm));
+  const fanCfm = Math.max(
+    0,
+    v.cfmMode === "manual" ? v.cfm : requiredCfm - phi * infiltrationCfm
+  );
+  const addedCfm = type.balanced
+    ? fanCfm
+    : Math.max(fanCfm, infiltrationCfm + fanCfm / 2) - infiltrationCfm;
+  const recovery = (r) => (type.balanced ? Math.min(1, Math.max(0, r)) : 0);
+  return {
+    typeKey: type.key,
+    requiredCfm,
+    fanCfm,
+    sensibleCfm: addedCfm * (1 - recovery(v.sensibleRecovery)),
+    latentCfm: addedCfm * (1 - recovery(v.latentRecovery)),
+    fanKWh: (v.wattsPerCfm * fanCfm * HOURS_PER_YEAR) / 1000,
+  };
+}
+
+/**
+ * HERS reference home ventilation (ANSI/RESNET 301): none when the rated
+ * home has none; otherwise the same fan airflow, exhaust-only with no
+ * recovery, and fan energy kWh = 0.03942 · CFA + 29.565 · (N_br + 1).
+ *
+ * @param {object} rated Rated home result of `calcVentilation`.
+ * @param {number} infiltrationCfm Reference home infiltration (CFM).
+ * @param {{ conditionedFloorArea: number, bedrooms: number }} house
+ * @returns {object} `calcVentilation` shape.
+ */
+export function referenceVentilation(rated, infiltrationCfm, house) {
+  if (rated.typeKey === "none") {
+    return calcVentilation({ infiltrationCfm, house });
+  }
+  const vent = calcVentilation({
+    ventilation: { typeKey: "exhaust", cfmMode: "manual", cfm: rated.fanCfm },
+    infiltrationCfm,
+    house,
+  });
+  return {
+    ...vent,
+    fanKWh:
+      0.03942 * house.conditionedFloorArea + 29.565 * (house.bedrooms + 1),
+  };
+}
@@ -0,0 +1,498 @@
+import {
+  EXTERIOR_CONTINUOUS_INSULATION,
+  EXTERIOR_SHEATHING,
+  FRAMING_OPTIONS,
+  LAYER_R,
+  R_PER_INCH,
+  STEEL_STUD_EFFECTIVE_R,
+  WALL_MATERIALS,
+} from "./catalogs.js";
+
+/**
+ * Nominal R-value of a filled stud cavity.
+ *
+ * @param {number} depth Cavity depth in inches.
+ * @param {string} insulationKey Key from `CAVITY_INSULATION_TYPES`.
+ * @returns {number} Cavity R-value (hr·ft²·°F/BTU).
+ */
+export function calcCavityR(depth, insulationKey) {
+  const d = depth; // inches
+  switch (insulationKey) {
+    case "fiberglass":
+      return d * R_PER_INCH.fiberglass;
+    case "mineralwool":
+      return d * R_PER_INCH.mineralwool;
+    case "ocspf":
+      return d * R_PER_INCH.ocspf;
+    case "ccspf":
+      return d * R_PER_INCH.ccspf;
+    case "flashbatt": {
+      const foam = 1 * R_PER_INCH.ccspf;
+      const remaining = Math.max(0, d - 1) * R_PER_INCH.fiberglass;
+      return foam + remaining;
+    }
+    default:
+      return d * R_PER_INCH.fiberglass;
+  }
+}
+
+/**
+ * Effective R of a steel-stud insulation/framing layer (ASHRAE 90.1 Table
+ * A9.2B). Uses the nearest tabulated depth and spacing, interpolates on the
+ * nominal cavity R, and above the table applies the top row's correction
+ * factor (effective / nominal) to the cavity R.
+ *
+ * @param {object} layer
+ * @param {number} layer.depthIn Stud depth in inches.
+ * @param {number} layer.spacingIn Stud spacing in inches on center.
+ * @param {number} layer.cavityR Nominal cavity insulation R; negative or
+ *   missing (a blank thickness) counts as an empty cavity.
+ * @returns {number}
+ */
+export function steelStudLayerR({ depthIn, spacingIn, cavityR: nominalR }) {
+  const cavityR = Math.max(0, nominalR || 0); // guard
+  const nearest = (key, value) =>
+    STEEL_STUD_EFFECTIVE_R.reduce((best, row) =>
+      Math.abs(row[key] - value) < Math.abs(best[key] - value) ? row : best
+    )[key];
+  const depth = nearest("depthIn", depthIn);
+  const spacing = nearest("spacingIn", spacingIn);
+  const { points } = STEEL_STUD_EFFECTIVE_R.find(
+    (row) => row.depthIn === depth && row.spacingIn === spacing
+  );
+
+  const [rTop, effTop] = points[points.length - 1];
+  if (cavityR >= rTop) return cavityR * (effTop / rTop);
+  const i = points.findIndex(([r]) => r > cavityR);
+  const [r0, e0] = points[i - 1];
+  const [r1, e1] = points[i];
+  return e0 + ((cavityR - r0) / (r1 - r0)) * (e1 - e0);
+}
+
+/**
+ * Whole-wall effective R by the parallel-path method:
+ * U_eff = f/R_stud + (1‑f)/R_cavity → R_eff = 1/U_eff.
+ * Steel framing instead adds the `steelStudLayerR` of the framed layer in
+ * series with the other layers (the framing factor is not used).
+ *
+ * @param {object} wall
+ * @param {number} wall.framingDepthIn Stud depth in inches.
+ * @param {string} wall.cavityInsulationKey Key from `CAVITY_INSULATION_TYPES`.
+ * @param {string} wall.exteriorSheathingKey Key from `EXTERIOR_SHEATHING`.
+ * @param {number} [wall.exteriorContinuousR] Added exterior foam R-value.
+ * @param {boolean} [wall.interiorPolyiso] Interior polyiso thermal break.
+ * @param {number} [wall.framingFactor=0.23] Framing fraction of wall area.
+ * @param {string} [wall.framingMaterial="wood"] "wood" or "steel".
+ * @param {number} [wall.studSpacingIn=16] Stud spacing (steel only).
+ * @returns {{ rEff: number, rStudPath: number|null, rCavityPath: number|null }}
+ *   The stud and cavity paths are null for steel, which has no parallel
+ *   paths.
+ */
+export function calcWholeWallR({
+  framingDepthIn,
+  cavityInsulationKey,
+  exteriorSheathingKey,
+  exteriorContinuousR,
+  interiorPolyiso,
+  framingFactor = 0.23,
+  framingMaterial = "wood",
+  studSpacingIn = 16,
+}) {
+  const depth = framingDepthIn; // inches
+  const rCavity = calcCavityR(depth, cavityInsulationKey);
+  const rWoodStud = depth * R_PER_INCH.wood;
+  const ext = EXTERIOR_SHEATHING.find((x) => x.key === exteriorSheathingKey);
+
+  // Determine the R-value of the sheathing layer itself.
+  // Standard OSB is R-0.62, while insulated sheathing has its own value.
+  const rSheathing = ext?.rContinuous > 0 ? ext.rContinuous : LAYER_R.osb716;
+
+  const rInteriorThermalBreak = interiorPolyiso
+    ? LAYER_R.interiorPolyisoHalf
+    : 0;
+
+  // Add the R-value from the continuous foam layer
+  const rExteriorContinuous = exteriorContinuousR || 0;
+
+  // Common layers NOT including sheathing
+  const rCommon = LAYER_R.airFilms + LAYER_R.drywallHalf + LAYER_R.siding;
+
+  if (framingMaterial === "steel") {
+    const rOther =
+      rCommon + rInteriorThermalBreak + rSheathing + rExteriorContinuous;
+    const rFramedLayer = steelStudLayerR({
+      depthIn: depth,
+      spacingIn: studSpacingIn,
+      cavityR: rCavity,
+    });
+    return {
+      rEff: rOther + rFramedLayer,
+      rStudPath: null,
+      rCavityPath: null,
+    };
+  }
+
+  // Add the distinct sheathing R-value AND continuous foam to both paths
+  const rStudPath =
+    rCommon +
+    rInteriorThermalBreak +
+    rSheathing +
+    rWoodStud +
+    rExteriorContinuous;
+  const rCavityPath =
+    rCommon +
+    rInteriorThermalBreak +
+    rSheathing +
+    rCavity +
+    rExteriorContinuous;
+
+  // Area-weighted effective R
+  const uEff = framingFactor / rStudPath + (1 - framingFactor) / rCavityPath;
+  const rEff = 1 / uEff;
+  return { rEff, rStudPath, rCavityPath };
+}
+
+/**
+ * Map a scenario (catalog keys, see `DEFAULT_SCENARIOS`) onto the inputs of
+ * `calcWholeWallR`. Unknown framing falls back to the first option.
+ *
+ * @param {object} scenario
+ * @returns {object} Arguments for `calcWholeWallR`.
+ */
+export function scenarioWallInputs(scenario) {
+  const framing =
+    FRAMING_OPTIONS.find((f) => f.key === scenario.framingKey) ||
+    FRAMING_OPTIONS[0];
+  const exteriorFoam = EXTERIOR_CONTINUOUS_INSULATION.find(
+    (o) => o.key === scenario.exteriorContinuousKey
+  ) || { rValue: 0 };
+  return {
+    framingDepthIn: framing.depth,
+    cavityInsulationKey: scenario.cavityKey,
+    exteriorSheathingKey: scenario.sheathingKey,
+    exteriorContinuousR: exteriorFoam.rValue,
+    interiorPolyiso: scenario.interiorPolyiso,
+    framingFactor: scenario.framingFactor,
+    framingMaterial: framing.material || "wood",
+    studSpacingIn: framing.spacingIn,
+  };
+}
+
+/**
+ * R-value of one layer of a library material.
+ *
+ * @param {{ rPerInch?: number, rValue?: number }} material
+ * @param {number} thicknessIn Ignored for fixed-R materials.
+ * @returns {number}
+ */
+export function materialR(material, thicknessIn) {
+  return material.rValue != null
+    ? material.rValue
+    : material.rPerInch * thicknessIn;
+}
+
+/**
+ * Effective R of a custom layer-by-layer wall.
+ *
+ * Series layers are continuous and add to every heat-flow path. A parallel
+ * layer is framed: `framingKey` material over the framing fraction, the
+ * layer's own material (the cavity fill) over the rest. Adjacent parallel
+ * layers with the same framing share one run of it (e.g. flash-and-batt in
+ * one stud bay); framed zones separated by a series layer (e.g. the two stud
+ * rows of a double-stud wall) or by a change of framing material are placed
+ * independently, so each framing/cavity
+ * combination is its own path:
+ * U_eff = Σ_paths (Π f or (1‑f)) / R_path → R_eff = 1/U_eff.
+ * With a single framed zone this is the parallel-path method of
+ * `calcWholeWallR`. A zone framed with steel (a material with
+ * `steelSpacingIn`) is instead one series layer of `steelStudLayerR`.
+ *
+ * @param {object} wall
+ * @param {object[]} wall.layers Inside to outside: `{ materialKey,
+ *   thicknessIn, path: "series" | "parallel", framingKey? }`.
+ * @param {object[]} [wall.materials] Materials library (`WALL_MATERIALS`
+ *   shape).
+ * @param {number} [wall.framingFactor=0.23] Framing fraction of wall area.
+ * @returns {{ rEff: number, rStudPath: number|null, rCavityPath: number|null }}
+ *   Steel zones count in both paths; a wall framed only with steel has no
+ *   stud or cavity path (null), as in `calcWholeWallR`.
+ */
+export function calcLayeredWallR({
+  layers,
+  materials = WALL_MATERIALS,
+  framingFactor = 0.23,
+}) {
+  const material = (key) => {
+    const found = materials.find((m) => m.key === key);
+    if (!found) throw new Error(`Unknown wall material "${key}".`);
+    return found;
+  };
+
+  let rSeries = 0;
+  const zones = [];
+  let zone = null;
+  for (const layer of layers) {
+    const rLayer = materialR(material(layer.materialKey), layer.thicknessIn);
+    if (layer.path === "parallel") {
+      if (!zone || zone.framingKey !== layer.framingKey) {
+        zone = {
+          framingKey: layer.framingKey,
+          steelSpacingIn: material(layer.framingKey).steelSpacingIn,
+          rFraming: 0,
+          rFill: 0,
+          depthIn: 0,
+        };
+        zones.push(zone);
+      }
+      zone.depthIn += layer.thicknessIn;
+      zone.rFraming += materialR(material(layer.framingKey), layer.thicknessIn);
+      zone.rFill += rLayer;
+    } else {
+      rSeries += rLayer;
+      zone = null;
+    }
+  }
+
+  // Steel-framed zones become one series layer (ASHRAE 90.1 effective R)
+  for (const z of zones.filter((z) => z.steelSpacingIn)) {
+    rSeries += steelStudLayerR({
+      depthIn: z.depthIn,
+      spacingIn: z.steelSpacingIn,
+      cavityR: z.rFill,
+    });
+  }
+  const woodZones = zones.filter((z) => !z.steelSpacingIn);
+
+  let uEff = 0;
+  for (let mask = 0; mask < 1 << woodZones.length; mask++) {
+    let rPath = rSeries;
+    let area = 1;
+    woodZones.forEach((z, i) => {
+      const framed = mask & (1 << i);
+      rPath += framed ? z.rFraming : z.rFill;
+      area *= framed ? framingFactor : 1 - framingFactor;
+    });
+    uEff += area / Math.max(0.01, rPath); // guard
+  }
+
+  const sum = (key) => woodZones.reduce((acc, z) => acc + z[key], 0);
+  const steelOnly = zones.length > 0 && woodZones.length === 0;
+  return {
+    rEff: 1 / uEff,
+    rStudPath: steelOnly ? null : rSeries + sum("rFraming"),
+    rCavityPath: steelOnly ? null : rSeries + sum("rFill"),
+  };
+}
+
+// Preset sheathing → materials library key
+const SHEATHING_MATERIAL = {
+  osbwrap: "osb716",
+  zip: "osb716",
+  zipr3: "zipr3",
+  zipr6: "zipr6",
+};
+
+/**
+ * Expand a preset scenario into the equivalent custom layers, as a starting
+ * point for the layer builder. `calcLayeredWallR` of the result matches
+ * `calcWholeWallR(scenarioWallInputs(scenario))`.
+ *
+ * @param {object} scenario
+ * @returns {object[]} Layers, inside to outside.
+ */
+export function presetToLayers(scenario) {
+  const {
+    framingDepthIn,
+    cavityInsulationKey,
+    exteriorSheathingKey,
+    exteriorContinuousR,
+    interiorPolyiso,
+    framingMaterial,
+    studSpacingIn,
+  } = scenarioWallInputs(scenario);
+  const framingKey =
+    framingMaterial === "steel" ? `steel${studSpacingIn}` : "wood";
+
+  const cavity =
+    cavityInsulationKey === "flashbatt"
+      ? [
+          { materialKey: "ccspf", thicknessIn: 1 },
+          { materialKey: "fiberglass", thicknessIn: framingDepthIn - 1 },
+        ]
+      : [
+          {
+            materialKey: R_PER_INCH[cavityInsulationKey]
+              ? cavityInsulationKey
+              : "fiberglass",
+            thicknessIn: framingDepthIn,
+          },
+        ];
+
+  const layers = [
+    { materialKey: "airFilms", thicknessIn: 0, path: "series" },
+    { materialKey: "drywall", thicknessIn: 0.5, path: "series" },
+    interiorPolyiso && {
+      materialKey: "polyiso",
+      thicknessIn: LAYER_R.interiorPolyisoHalf / R_PER_INCH.polyiso,
+      path: "series",
+    },
+    ...cavity.map((c) => ({ ...c, path: "parallel", framingKey })),
+    {
+      materialKey: SHEATHING_MATERIAL[exteriorSheathingKey] || "osb716",
+      thicknessIn: 0.4375,
+      path: "series",
+    },
+    exteriorContinuousR > 0 && {
+      materialKey: "polyiso",
+      thicknessIn: exteriorContinuousR / R_PER_INCH.polyiso,
+      path: "series",
+    },
+    { materialKey: "siding", thicknessIn: 0.5, path: "series" },
+  ];
+  return layers
+    .filter(Boolean)
+    .map((layer, i) => ({ id: `l${i + 1}`, ...layer }));
+}
+
+/**
+ * Whole-wall R for a scenario in either wall mode: the preset assembly via
+ * `calcWholeWallR`, or custom layers via `calcLayeredWallR`.
+ *
+ * @param {object} scenario
+ * @param {object[]} [materials] Materials library for custom layers.
+ * @returns {{ rEff: number, rStudPath: number, rCavityPath: number }}
+ */
+export function calcScenarioWall(scenario, materials = WALL_MATERIALS) {
+  if (scenario.wallMode === "layers") {
+    return calcLayeredWallR({
+      layers: scenario.layers,
+      materials,
+      framingFactor: scenario.framingFactor,
+    });
+  }
+  return calcWholeWallR(scenarioWallInputs(scenario));
+}
+
+/**
+ * Framing factor (framing share of net opaque wall area) from a framing
+ * description and the exterior wall geometry. Framing face width is 1.5".
+ *
+ * - Plates: `plates` × 1.5" over the whole wall length.
+ * - Corners and interior-wall intersections: studs beyond one regular stud.
+ * - Each opening: a king stud per side, `jackStuds` per side up to the
+ *   opening height, a header of `headerDepthIn` and (windows) one sill.
+ * - Remaining field: one stud per `studSpacingIn`, plus `extraStudsPct`.
+ *
+ * @param {object} input Framing description (`FRAMING_PRESETS` fields)
+ *   merged with wall geometry (`DEFAULT_WALL_GEOMETRY` fields).
+ * @returns {{ framingFactor: number, netWallFt2: number, framingFt2: object }}
+ *   `framingFt2` splits the framing area into `plates`, `corners`,
+ *   `openings` and `studs`.
+ */
+export function calcFramingFactor({
+  studSpacingIn,
+  plates,
+  cornerStuds,
+  intersectionStuds,
+  headerDepthIn,
+  jackStuds,
+  extraStudsPct,
+  wallLengthFt,
+  wallHeightFt,
+  corners,
+  intersections,
+  windows,
+  windowWidthFt,
+  windowHeightFt,
+  doors,
+  doorWidthFt,
+  doorHeightFt,
+}) {
+  const w = 1.5 / 12; // ft
+  const studHeight = Math.max(0, wallHeightFt - plates * w);
+
+  const opening = (count, width, height, sills) =>
+    count *
+    (2 * w * studHeight +
+      2 * jackStuds * w * height +
+      (headerDepthIn / 12) * (width + 2 * jackStuds * w) +
+      sills * w * width);
+  const openingFt2 =
+    windows * windowWidthFt * windowHeightFt +
+    doors * doorWidthFt * doorHeightFt;
+  const netWallFt2 = Math.max(1, wallLengthFt * wallHeightFt - openingFt2); // guard
+
+  const framingFt2 = {
+    plates: plates * w * wallLengthFt,
+    corners:
+      (corners * Math.max(0, cornerStuds - 1) +
+        intersections * intersectionStuds) *
+      w *
+      studHeight,
+    openings:
+      opening(windows, windowWidthFt, windowHeightFt, 1) +
+      opening(doors, doorWidthFt, doorHeightFt, 0),
+  };
+  const field = Math.max(
+    0,
+    netWallFt2 - framingFt2.plates - framingFt2.corners - framingFt2.openings
+  );
+  framingFt2.studs = field * (1.5 / studSpacingIn) * (1 + extraStudsPct / 100);
+
+  const total = Object.values(framingFt2).reduce((a, b) => a + b, 0);
+  return {
+    framingFactor: Math.min(1, total / netWallFt2),
+    netWallFt2,
+    framingFt2,
+  };
+}
+
+/**
+ * The framing factor a scenario uses: its manual `framingFactor`, or the one
+ * derived from `scenario.framing` and the house wall geometry.
+ *
+ * @param {object} scenario
+ * @param {object} wallGeometry `DEFAULT_WALL_GEOMETRY` shape.
+ * @returns {number}
+ */
+export function scenarioFramingFactor(scenario, wallGeometry) {
+  if (scenario.framingFactorMode !== "calculated")
+    return scenario.framingFactor;
+  return calcFramingFactor({ ...wallGeometry, ...scenario.framing })
+    .framingFactor;
+}
+
+/**
+ * Heuristic sound transmission class for relative comparison (bounded 28–55).
+ *
+ * @param {object} wall
+ * @param {string} wall.framingKey Key from `FRAMING_OPTIONS`.
+ * @param {string} wall.cavityInsulationKey Key from `CAVITY_INSULATION_TYPES`.
+ * @returns {number}
+ */
+export function estimateSTC({ framingKey, cavityInsulationKey }) {
+  let stc = 33; // base 2x4 empty
+  if (framingKey === "2x6") stc += 2;
+  // Light-gauge steel studs flex more than wood, decoupling the faces a bit
+  if (framingKey.startsWith("steel")) stc += 3;
+  switch (cavityInsulationKey) {
+    case "fiberglass":
+      stc += 3;
+      break;
+    case "mineralwool":
+      stc += 5;
+      break;
+    case "ocspf":
+      stc += 2;
+      break;
+    case "ccspf":
+      stc += 1;
+      break;
+    case "flashbatt":
+      stc += 4;
+      break;
+    default:
+      break;
+  }
+  return Math.max(28, Math.min(55, Math.round(stc)));
+}
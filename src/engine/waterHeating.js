@@ -0,0 +1,46 @@
+import { DEFAULT_WATER_HEATING, WATER_HEATER_TYPES } from "./catalogs.js";
+import { fitDegreeDayDistribution } from "./degreeDays.js";
+import { BTU_PER_KWH, BTU_PER_THERM } from "./heating.js";
+
+/**
+ * Domestic hot water (ANSI/RESNET 301 reference use).
+ *
+ * - Use: 30 + 10 · bedrooms gallons per day.
+ * - Mains temperature: annual mean outdoor temperature + 6°F, the mean taken
+ *   from the distribution fitted to HDD65/CDD65.
+ * - Load = gal/day · 365 · 8.34 BTU/gal·°F · (setpoint − mains)   [BTU/yr]
+ * - Energy = load / energy factor, in kWh or therms by the heater's fuel.
+ */
+
+const BTU_PER_GALLON_F = 8.34;
+const MAINS_OFFSET_F = 6;
+
+/**
+ * Annual hot water load and the energy a water heater uses to meet it.
+ *
+ * @param {object} input
+ * @param {object} [input.waterHeating] `DEFAULT_WATER_HEATING` shape.
+ * @param {object} input.shared `bedrooms`, `HDD65`, `CDD65`.
+ * @returns {{ fuel: string, energyFactor: number, gallonsPerDay: number, mainsF: number, loadBtu: number, kWh: number, therms: number }}
+ */
+export function calcHotWater({ waterHeating, shared }) {
+  const w = { ...DEFAULT_WATER_HEATING, ...waterHeating };
+  const type =
+    WATER_HEATER_TYPES.find((t) => t.key === w.typeKey) ||
+    WATER_HEATER_TYPES[0];
+  const energyFactor = Math.max(0.1, w.energyFactor);
+  const gallonsPerDay = 30 + 10 * Math.max(0, shared.bedrooms ?? 3);
+  const mainsF = fitDegreeDayDistribution(shared).meanF + MAINS_OFFSET_F;
+  const loadBtu =
+    gallonsPerDay * 365 * BTU_PER_GALLON_F * Math.max(0, w.setpointF - mainsF);
+  const input = loadBtu / energyFactor;
+  return {
+    fuel: type.fuel,
+    energyFactor,
+    gallonsPerDay,
+    mainsF,
+    loadBtu,
+    kWh: type.fuel === "electric" ? input / BTU_PER_KWH : 0,
+    therms: type.fuel === "gas" ? input / BTU_PER_THERM : 0,
+  };
+}
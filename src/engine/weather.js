@@ -0,0 +1,238 @@
+import { DEGREE_DAY_BASES_F } from "./degreeDays.js";
+
+/**
+ * Weather file readers for the hourly engine.
+ *
+ * Supported formats (read from local text, never fetched):
+ * - EnergyPlus EPW: 8 header records, then hourly rows with dry-bulb (°C) in
+ *   field 7, dew point (°C) in field 8 and global horizontal irradiance
+ *   (Wh/m²) in field 14.
+ * - NREL TMY3 CSV: a site metadata line, a column header line, then hourly
+ *   rows with a "Dry-bulb (C)" column (and optional "Dew-point (C)").
+ *
+ * Both are normalized to `{ source, location, hours }`, where each hour is
+ * `{ month, day, hour, dryBulbF, dewPointF, ghi }` and `hour` is 0–23. A
+ * missing dew point is NaN (no latent load that hour).
+ */
+
+const HOURS_PER_YEAR = 8760;
+const EPW_HEADER_LINES = 8;
+const EPW_MISSING_TEMP = 99.9; // dry bulb and dew point, °C
+
+function cToF(c) {
+  return (c * 9) / 5 + 32;
+}
+
+// Minimal CSV field splitter that honours double-quoted fields.
+function splitCsvLine(line) {
+  const out = [];
+  let cur = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') quoted = !quoted;
+    else if (ch === "," && !quoted) {
+      out.push(cur);
+      cur = "";
+    } else cur += ch;
+  }
+  out.push(cur);
+  return out.map((f) => f.trim());
+}
+
+function toLines(text) {
+  return String(text ?? "")
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .filter((l) => l.trim() !== "");
+}
+
+function checkHourCount(hours, label) {
+  // Leap-year files carry 8784 rows; drop Feb 29 so every year is 8760.
+  const trimmed =
+    hours.length === HOURS_PER_YEAR + 24
+      ? hours.filter((h) => !(h.month === 2 && h.day === 29))
+      : hours;
+  if (trimmed.length !== HOURS_PER_YEAR) {
+    throw new Error(
+      `${label}: expected ${HOURS_PER_YEAR} hourly rows, found ${hours.length}.`
+    );
+  }
+  return trimmed;
+}
+
+// Carry the last good reading forward over missing values.
+function fillMissing(hours, label) {
+  let last = null;
+  for (const h of hours) {
+    if (Number.isFinite(h.dryBulbF)) last = h.dryBulbF;
+    else if (last !== null) h.dryBulbF = last;
+  }
+  const first = hours.find((h) => Number.isFinite(h.dryBulbF));
+  if (!first) throw new Error(`${label}: no valid dry-bulb temperatures.`);
+  for (const h of hours) {
+    if (!Number.isFinite(h.dryBulbF)) h.dryBulbF = first.dryBulbF;
+  }
+  return hours;
+}
+
+/**
+ * Parse an EnergyPlus EPW weather file.
+ *
+ * @param {string} text File contents.
+ * @returns {{ source: "epw", location: object, hours: object[] }}
+ */
+export function parseEPW(text) {
+  const lines = toLines(text);
+  const loc = splitCsvLine(lines[0] || "");
+  if (loc[0]?.toUpperCase() !== "LOCATION") {
+    throw new Error("EPW: first line must be a LOCATION record.");
+  }
+  const rows = lines.slice(EPW_HEADER_LINES);
+  const hours = rows.map((line, i) => {
+    const f = splitCsvLine(line);
+    if (f.length < 14) {
+      throw new Error(`EPW: data row ${i + 1} has ${f.length} fields.`);
+    }
+    const dryBulbC = parseFloat(f[6]);
+    const dewPointC = parseFloat(f[7]);
+    return {
+      month: parseInt(f[1], 10),
+      day: parseInt(f[2], 10),
+      hour: parseInt(f[3], 10) - 1,
+      dryBulbF:
+        Number.isFinite(dryBulbC) && dryBulbC < EPW_MISSING_TEMP
+          ? cToF(dryBulbC)
+          : NaN,
+      dewPointF:
+        Number.isFinite(dewPointC) && dewPointC < EPW_MISSING_TEMP
+          ? cToF(dewPointC)
+          : NaN,
+      ghi: parseFloat(f[13]) || 0,
+    };
+  });
+  return {
+    source: "epw",
+    location: {
+      name: [loc[1], loc[2], loc[3]].filter(Boolean).join(", "),
+      latitude: parseFloat(loc[6]),
+      longitude: parseFloat(loc[7]),
+      timeZone: parseFloat(loc[8]),
+      elevationFt: parseFloat(loc[9]) * 3.28084,
+    },
+    hours: fillMissing(checkHourCount(hours, "EPW"), "EPW"),
+  };
+}
+
+/**
+ * Parse an NREL TMY3 CSV weather file.
+ *
+ * @param {string} text File contents.
+ * @returns {{ source: "tmy3", location: object, hours: object[] }}
+ */
+export function parseTMY3(text) {
+  const lines = toLines(text);
+  if (lines.length < 3) throw new Error("TMY3: file is too short.");
+  const meta = splitCsvLine(lines[0]);
+  const header = splitCsvLine(lines[1]);
+  const col = (prefix) =>
+    header.findIndex((h) => h.toLowerCase().startsWith(prefix));
+  const iDate = col("date");
+  const iTime = col("time");
+  const iDryBulb = col("dry-bulb (c)");
+  const iGhi = col("ghi (w/m^2)");
+  const iDewPoint = col("dew-point (c)");
+  if (iDate < 0 || iTime < 0 || iDryBulb < 0) {
+    throw new Error(
+      'TMY3: header must include "Date", "Time" and "Dry-bulb (C)" columns.'
+    );
+  }
+  const hours = lines.slice(2).map((line, i) => {
+    const f = splitCsvLine(line);
+    const [month, day] = (f[iDate] || "").split("/").map((x) => parseInt(x));
+    const hour = parseInt(f[iTime], 10) - 1;
+    if (!(month >= 1 && month <= 12) || !(hour >= 0 && hour <= 23)) {
+      throw new Error(`TMY3: data row ${i + 1} has a bad date or time.`);
+    }
+    return {
+      month,
+      day,
+      hour,
+      dryBulbF: cToF(parseFloat(f[iDryBulb])),
+      dewPointF: iDewPoint >= 0 ? cToF(parseFloat(f[iDewPoint])) : NaN,
+      ghi: iGhi >= 0 ? parseFloat(f[iGhi]) || 0 : 0,
+    };
+  });
+  return {
+    source: "tmy3",
+    location: {
+      name: [meta[1], meta[2]].filter(Boolean).join(", "),
+      latitude: parseFloat(meta[4]),
+      longitude: parseFloat(meta[5]),
+      timeZone: parseFloat(meta[3]),
+      elevationFt: parseFloat(meta[6]) * 3.28084,
+    },
+    hours: fillMissing(checkHourCount(hours, "TMY3"), "TMY3"),
+  };
+}
+
+/**
+ * Parse a weather file, picking the reader from the file name or contents.
+ *
+ * @param {string} text File contents.
+ * @param {string} [fileName]
+ * @returns {{ source: string, location: object, hours: object[] }}
+ */
+export function parseWeatherFile(text, fileName = "") {
+  if (/\.epw$/i.test(fileName) || /^\uFEFF?LOCATION,/i.test(text)) {
+    return parseEPW(text);
+  }
+  if (/\.csv$/i.test(fileName)) return parseTMY3(text);
+  throw new Error(
+    "Unrecognized weather file: use an EnergyPlus .epw or a TMY3 .csv."
+  );
+}
+
+/**
+ * Annual degree days (°F·days) from the daily mean of the hourly dry-bulb
+ * temperatures, the convention of NOAA normals and the bundled locations.
+ * (Integrating degree-hours instead counts the daily swing on both sides of
+ * the base and runs higher.)
+ *
+ * @param {{ hours: { month: number, day: number, dryBulbF: number }[] }} weather
+ * @param {number} [baseF=65]
+ * @returns {{ HDD: number, CDD: number }}
+ */
+export function degreeDaysFromHourly(weather, baseF = 65) {
+  const days = new Map();
+  for (const { month, day, dryBulbF } of weather.hours) {
+    const key = month * 100 + day;
+    const d = days.get(key) || { sum: 0, count: 0 };
+    d.sum += dryBulbF;
+    d.count += 1;
+    days.set(key, d);
+  }
+  let HDD = 0;
+  let CDD = 0;
+  for (const { sum, count } of days.values()) {
+    const meanF = sum / count;
+    HDD += Math.max(0, baseF - meanF);
+    CDD += Math.max(0, meanF - baseF);
+  }
+  return { HDD, CDD };
+}
+
+/**
+ * Degree days at each of `DEGREE_DAY_BASES_F`, rounded, in the shape of a
+ * location's `degreeDaysByBase`.
+ *
+ * @param {{ hours: object[] }} weather
+ * @returns {{ HDD: number[], CDD: number[] }}
+ */
+export function degreeDaysByBaseFromHourly(weather) {
+  const rows = DEGREE_DAY_BASES_F.map((b) => degreeDaysFromHourly(weather, b));
+  return {
+    HDD: rows.map((r) => Math.round(r.HDD)),
+    CDD: rows.map((r) => Math.round(r.CDD)),
+  };
+}